@@ -0,0 +1,157 @@
+import React from "react";
+import {
+  Box,
+  Grid,
+  Typography,
+  Button,
+  TextField,
+  MenuItem,
+} from "@mui/material";
+
+const DATE_FIELDS = [
+  { value: "created", label: "Created" },
+  { value: "start", label: "Start date" },
+  { value: "end", label: "End date" },
+];
+
+// Every filter in this panel at its default; status, search and sort are
+// set elsewhere on the page
+const CLEARED_FILTERS = {
+  counterpartyId: "",
+  minValue: "",
+  maxValue: "",
+  dateField: "created",
+  from: "",
+  to: "",
+  verified: "all",
+};
+
+/**
+ * ContractFilters component for narrowing a contract list by counterparty,
+ * value, dates and verification. The search itself runs on the server.
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.filters Current filters from the contract context
+ * @param {function} props.onChange Called with the filters to change
+ * @param {Array} props.counterparties Users the current user has contracts with ({ id, name })
+ * @param {string} props.counterpartyLabel Label of the counterparty filter, e.g. "Freelancer"
+ * @returns {React.ReactElement} Contract filters component
+ */
+const ContractFilters = ({ filters, onChange, counterparties, counterpartyLabel }) => {
+  const handleChange = (e) => {
+    onChange({ [e.target.name]: e.target.value });
+  };
+
+  return (
+    <Box sx={{ p: 2, width: 360 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Filter Contracts
+      </Typography>
+      <Grid container spacing={2}>
+        <Grid item xs={12}>
+          <TextField
+            select
+            label={counterpartyLabel}
+            name="counterpartyId"
+            fullWidth
+            size="small"
+            value={filters.counterpartyId}
+            onChange={handleChange}
+          >
+            <MenuItem value="">Anyone</MenuItem>
+            {counterparties.map((user) => (
+              <MenuItem key={user.id} value={user.id}>
+                {user.name}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={6}>
+          <TextField
+            label="Min value"
+            name="minValue"
+            type="number"
+            fullWidth
+            size="small"
+            value={filters.minValue}
+            onChange={handleChange}
+            inputProps={{ min: 0 }}
+          />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField
+            label="Max value"
+            name="maxValue"
+            type="number"
+            fullWidth
+            size="small"
+            value={filters.maxValue}
+            onChange={handleChange}
+            inputProps={{ min: 0 }}
+          />
+        </Grid>
+        <Grid item xs={12}>
+          <TextField
+            select
+            label="Date"
+            name="dateField"
+            fullWidth
+            size="small"
+            value={filters.dateField}
+            onChange={handleChange}
+          >
+            {DATE_FIELDS.map((field) => (
+              <MenuItem key={field.value} value={field.value}>
+                {field.label}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={6}>
+          <TextField
+            label="From"
+            name="from"
+            type="date"
+            fullWidth
+            size="small"
+            value={filters.from}
+            onChange={handleChange}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField
+            label="To"
+            name="to"
+            type="date"
+            fullWidth
+            size="small"
+            value={filters.to}
+            onChange={handleChange}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={12}>
+          <TextField
+            select
+            label="Payment"
+            name="verified"
+            fullWidth
+            size="small"
+            value={filters.verified}
+            onChange={handleChange}
+          >
+            <MenuItem value="all">Any</MenuItem>
+            <MenuItem value="true">Verified and released</MenuItem>
+            <MenuItem value="false">Not yet verified</MenuItem>
+          </TextField>
+        </Grid>
+      </Grid>
+      <Box sx={{ display: "flex", justifyContent: "flex-end", mt: 2 }}>
+        <Button onClick={() => onChange(CLEARED_FILTERS)}>Clear Filters</Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default ContractFilters;
\ No newline at end of file
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from "react";
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  Rating,
+  Avatar,
+} from "@mui/material";
+import { RateReview as ReviewIcon } from "@mui/icons-material";
+
+import { getContractReviews, submitReview } from "../services/reviewService";
+
+// Same limit as the server
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * ContractReviews component for the reviews the investor and the lead
+ * freelancer leave each other once a contract is verified
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.contract Formatted contract
+ * @param {function} props.onSuccess Called with a success message
+ * @param {function} props.onError Called with an error message
+ * @returns {React.ReactElement} Contract reviews component
+ */
+const ContractReviews = ({ contract, onSuccess, onError }) => {
+  const [reviews, setReviews] = useState([]);
+  const [canReview, setCanReview] = useState(false);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!contract.verified) {
+      return;
+    }
+
+    getContractReviews(contract.id)
+      .then((result) => {
+        setReviews(result.reviews);
+        setCanReview(result.canReview);
+      })
+      .catch((err) => console.error("Error loading contract reviews:", err));
+  }, [contract.id, contract.verified]);
+
+  const handleSubmit = async () => {
+    try {
+      setSaving(true);
+      const review = await submitReview(contract.id, rating, comment.trim());
+      setReviews([...reviews, review]);
+      setCanReview(false);
+      setDialogOpen(false);
+      setRating(0);
+      setComment("");
+      onSuccess("Review submitted");
+    } catch (err) {
+      onError(err.message || "Failed to submit review.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!contract.verified || (reviews.length === 0 && !canReview)) {
+    return null;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Typography variant="h6">Reviews</Typography>
+        {canReview && (
+          <Button size="small" startIcon={<ReviewIcon />} onClick={() => setDialogOpen(true)}>
+            Leave Review
+          </Button>
+        )}
+      </Box>
+
+      {reviews.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          No reviews yet. Rate how working on this contract went.
+        </Typography>
+      ) : (
+        reviews.map((review) => (
+          <Box key={review.id} sx={{ display: "flex", mt: 2 }}>
+            <Avatar src={review.reviewer.profileImage} sx={{ mr: 1, width: 32, height: 32 }}>
+              {(review.reviewer.name || review.reviewer.email).charAt(0).toUpperCase()}
+            </Avatar>
+            <Box>
+              <Typography variant="body2" fontWeight="medium">
+                {review.reviewer.name || review.reviewer.email}
+                <Typography component="span" variant="caption" color="text.secondary">
+                  {" "}
+                  · {review.reviewerRole === "investor" ? "Investor" : "Freelancer"}
+                </Typography>
+              </Typography>
+              <Rating value={review.rating} size="small" readOnly />
+              {review.comment && (
+                <Typography variant="body2" color="text.secondary">
+                  {review.comment}
+                </Typography>
+              )}
+            </Box>
+          </Box>
+        ))
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Leave a Review</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Your review is shown on the other party's profile and cannot be
+            changed once submitted.
+          </Typography>
+          <Rating value={rating} onChange={(e, value) => setRating(value || 0)} size="large" />
+          <TextField
+            label="Review"
+            multiline
+            rows={4}
+            fullWidth
+            margin="normal"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            inputProps={{ maxLength: MAX_COMMENT_LENGTH }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSubmit} disabled={saving || rating < 1}>
+            {saving ? <CircularProgress size={24} /> : "Submit Review"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ContractReviews;
\ No newline at end of file
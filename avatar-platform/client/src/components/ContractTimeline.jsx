@@ -0,0 +1,148 @@
+import React from "react";
+import { Box, Typography, Tooltip, useTheme, styled } from "@mui/material";
+import {
+  NoteAdd as CreatedIcon,
+  SwapHoriz as StatusIcon,
+  Draw as SignedIcon,
+  AttachFile as DeliverableIcon,
+  CheckCircle as ApprovedIcon,
+  Cancel as RejectedIcon,
+  Replay as RevisionIcon,
+  Payments as PaymentIcon,
+  Edit as AmendmentIcon,
+  Gavel as DisputeIcon,
+  EventBusy as ExpiredIcon,
+  AccessTime as TimesheetIcon,
+  CallSplit as SplitIcon,
+  Group as TeamIcon,
+  RateReview as ReviewIcon,
+  Download as DownloadIcon,
+  Circle as DefaultIcon,
+} from "@mui/icons-material";
+
+// Styled components
+const TimelineItem = styled(Box)(({ theme }) => ({
+  display: "flex",
+  position: "relative",
+  paddingBottom: theme.spacing(2),
+  "&:last-of-type": {
+    paddingBottom: 0,
+  },
+  // Connector between this item's dot and the next one
+  "&:not(:last-of-type)::before": {
+    content: '""',
+    position: "absolute",
+    left: 15,
+    top: 32,
+    bottom: 0,
+    width: 2,
+    backgroundColor: theme.colors.background.default,
+  },
+}));
+
+const TimelineDot = styled(Box)(({ color }) => ({
+  flexShrink: 0,
+  width: 32,
+  height: 32,
+  borderRadius: "50%",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  backgroundColor: color,
+  color: "#fff",
+}));
+
+/**
+ * ContractTimeline component for displaying a contract's audit log
+ *
+ * @param {Object} props Component props
+ * @param {Array} props.events Contract events, oldest first
+ * @returns {React.ReactElement} Contract timeline component
+ */
+const ContractTimeline = ({ events = [] }) => {
+  const theme = useTheme();
+
+  const eventStyles = {
+    contract_created: { icon: CreatedIcon, color: theme.colors.info.main },
+    status_changed: { icon: StatusIcon, color: theme.colors.secondary.main },
+    contract_signed: { icon: SignedIcon, color: theme.colors.success.main },
+    deliverable_added: { icon: DeliverableIcon, color: theme.colors.info.main },
+    deliverable_approved: { icon: ApprovedIcon, color: theme.colors.success.main },
+    deliverable_rejected: { icon: RejectedIcon, color: theme.colors.error.main },
+    deliverable_changes_requested: { icon: RevisionIcon, color: theme.colors.warning.main },
+    deliverable_resubmitted: { icon: DeliverableIcon, color: theme.colors.info.main },
+    deliverable_downloaded: { icon: DownloadIcon, color: theme.colors.secondary.main },
+    payment_verified: { icon: PaymentIcon, color: theme.colors.success.main },
+    amendment_proposed: { icon: AmendmentIcon, color: theme.colors.warning.main },
+    amendment_accepted: { icon: AmendmentIcon, color: theme.colors.success.main },
+    amendment_rejected: { icon: AmendmentIcon, color: theme.colors.error.main },
+    dispute_raised: { icon: DisputeIcon, color: theme.colors.secondary.dark },
+    dispute_resolved: { icon: DisputeIcon, color: theme.colors.success.main },
+    timesheet_submitted: { icon: TimesheetIcon, color: theme.colors.warning.main },
+    timesheet_approved: { icon: TimesheetIcon, color: theme.colors.success.main },
+    timesheet_rejected: { icon: TimesheetIcon, color: theme.colors.error.main },
+    contract_expired: { icon: ExpiredIcon, color: theme.colors.text.secondary },
+    payout_splits_updated: { icon: SplitIcon, color: theme.colors.info.main },
+    team_member_invited: { icon: TeamIcon, color: theme.colors.info.main },
+    team_member_joined: { icon: TeamIcon, color: theme.colors.success.main },
+    team_member_declined: { icon: TeamIcon, color: theme.colors.error.main },
+    team_member_updated: { icon: TeamIcon, color: theme.colors.secondary.main },
+    team_member_removed: { icon: TeamIcon, color: theme.colors.secondary.dark },
+    review_submitted: { icon: ReviewIcon, color: theme.colors.warning.main },
+  };
+
+  if (events.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No history has been recorded for this contract.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      {events.map((event) => {
+        const { icon: Icon, color } = eventStyles[event.type] || {
+          icon: DefaultIcon,
+          color: theme.colors.text.disabled,
+        };
+
+        return (
+          <TimelineItem key={event.id}>
+            <TimelineDot color={color}>
+              <Icon sx={{ fontSize: 18 }} />
+            </TimelineDot>
+            <Box sx={{ ml: 2, minWidth: 0 }}>
+              <Typography variant="body2">{event.description}</Typography>
+              <Typography variant="caption" color="text.secondary">
+                {new Date(event.createdAt).toLocaleString()} ·{" "}
+                {event.actor ? event.actor.name || "Unknown user" : "System"}
+              </Typography>
+              {event.transactionHash && (
+                <Tooltip title={event.transactionHash}>
+                  <Typography
+                    variant="caption"
+                    component="a"
+                    href={`https://etherscan.io/tx/${event.transactionHash}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    sx={{
+                      display: "block",
+                      fontFamily: "monospace",
+                      color: theme.colors.secondary.main,
+                    }}
+                  >
+                    {event.transactionHash.slice(0, 10)}…
+                    {event.transactionHash.slice(-8)}
+                  </Typography>
+                </Tooltip>
+              )}
+            </Box>
+          </TimelineItem>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default ContractTimeline;
\ No newline at end of file
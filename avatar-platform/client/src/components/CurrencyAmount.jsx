@@ -0,0 +1,49 @@
+import React from "react";
+import { Box, Typography } from "@mui/material";
+
+import { useCurrency } from "../context/CurrencyContext";
+import { formatCurrency } from "../utils/formatters";
+import { DEFAULT_CURRENCY } from "../utils/currencies";
+
+/**
+ * CurrencyAmount component for showing an amount in its own currency with
+ * its value in the display currency underneath
+ *
+ * @param {Object} props Component props
+ * @param {number} props.amount Amount to show
+ * @param {string} props.currency Currency of the amount
+ * @param {string} props.variant Typography variant of the native amount
+ * @param {Object} props.sx Styles for the native amount
+ * @param {boolean} props.inline Show the converted value on the same line
+ * @returns {React.ReactElement} Currency amount component
+ */
+const CurrencyAmount = ({
+  amount,
+  currency = DEFAULT_CURRENCY,
+  variant = "body2",
+  sx,
+  inline = false,
+}) => {
+  const { formatConverted } = useCurrency();
+  const converted = formatConverted(amount, currency);
+
+  return (
+    <Box component={inline ? "span" : "div"}>
+      <Typography variant={variant} component={inline ? "span" : "p"} sx={sx}>
+        {formatCurrency(amount, currency)}
+      </Typography>
+      {converted && (
+        <Typography
+          variant="caption"
+          color="text.secondary"
+          component={inline ? "span" : "p"}
+          sx={inline ? { ml: 0.5 } : undefined}
+        >
+          ≈ {converted}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default CurrencyAmount;
\ No newline at end of file
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from "react";
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  Chip,
+  Avatar,
+  Divider,
+  IconButton,
+  Tooltip,
+} from "@mui/material";
+import { Download as DownloadIcon, Send as SendIcon } from "@mui/icons-material";
+
+import {
+  getDeliverableVersions,
+  addDeliverableComment,
+  getDeliverableDownloadUrl,
+} from "../services/contractService";
+
+// Same limit as the server
+const MAX_COMMENT_LENGTH = 2000;
+
+const STATUS_LABELS = {
+  pending: { label: "Awaiting Review", color: "warning" },
+  approved: { label: "Approved", color: "success" },
+  changes_requested: { label: "Changes Requested", color: "info" },
+  rejected: { label: "Rejected", color: "error" },
+};
+
+/**
+ * DeliverableVersions dialog listing every submitted version of a
+ * deliverable, newest first, with the feedback thread of each version
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.deliverable Deliverable to show, the dialog is closed when null
+ * @param {function} props.onClose Called when the dialog is closed
+ * @param {function} props.onError Called with an error message
+ * @returns {React.ReactElement} Deliverable versions dialog
+ */
+const DeliverableVersions = ({ deliverable, onClose, onError }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [comment, setComment] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!deliverable) {
+      return;
+    }
+
+    setVersions([]);
+    setComment("");
+    setLoading(true);
+
+    getDeliverableVersions(deliverable.id)
+      .then(setVersions)
+      .catch((err) => onError(err.message || "Failed to load the version history."))
+      .finally(() => setLoading(false));
+  }, [deliverable?.id]);
+
+  const current = versions[versions.length - 1];
+
+  // Open a short-lived link to a version's file
+  const handleDownload = async (version) => {
+    try {
+      const download = await getDeliverableDownloadUrl(deliverable.id, version.id);
+      window.open(download.url, "_blank");
+    } catch (err) {
+      onError(err.message || "Failed to download the file.");
+    }
+  };
+
+  // Comments go on the current version's thread
+  const handleComment = async () => {
+    try {
+      setSaving(true);
+      const created = await addDeliverableComment(deliverable.id, comment.trim(), current.id);
+      setVersions(
+        versions.map((v) =>
+          v.id === current.id ? { ...v, comments: [...v.comments, created] } : v
+        )
+      );
+      setComment("");
+    } catch (err) {
+      onError(err.message || "Failed to add comment.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(deliverable)} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{deliverable?.title} · Version History</DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box sx={{ display: "flex", justifyContent: "center", py: 3 }}>
+            <CircularProgress size={32} />
+          </Box>
+        ) : (
+          [...versions].reverse().map((version, index) => {
+            const status = STATUS_LABELS[version.status] || STATUS_LABELS.pending;
+
+            return (
+              <Box key={version.id}>
+                {index > 0 && <Divider sx={{ my: 2 }} />}
+                <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                  <Typography variant="subtitle1" fontWeight="medium">
+                    Version {version.version}
+                  </Typography>
+                  <Chip label={status.label} color={status.color} size="small" />
+                  <Box sx={{ flex: 1 }} />
+                  {version.hasFile && (
+                    <Tooltip title="Download File">
+                      <IconButton size="small" onClick={() => handleDownload(version)}>
+                        <DownloadIcon />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </Box>
+                <Typography variant="caption" color="text.secondary">
+                  Submitted {new Date(version.submittedAt).toLocaleString()}
+                  {version.reviewedAt &&
+                    ` · Reviewed ${new Date(version.reviewedAt).toLocaleString()}`}
+                </Typography>
+                {version.description && (
+                  <Typography variant="body2" sx={{ mt: 1, whiteSpace: "pre-wrap" }}>
+                    {version.description}
+                  </Typography>
+                )}
+
+                {version.comments.map((c) => (
+                  <Box key={c.id} sx={{ display: "flex", mt: 1.5, ml: 2 }}>
+                    <Avatar src={c.author.profileImage} sx={{ mr: 1, width: 28, height: 28 }}>
+                      {(c.author.name || c.author.email || "?").charAt(0).toUpperCase()}
+                    </Avatar>
+                    <Box>
+                      <Typography variant="body2" fontWeight="medium">
+                        {c.author.name || c.author.email}
+                        <Typography component="span" variant="caption" color="text.secondary">
+                          {" "}
+                          · {new Date(c.createdAt).toLocaleString()}
+                        </Typography>
+                      </Typography>
+                      <Typography variant="body2" sx={{ whiteSpace: "pre-wrap" }}>
+                        {c.body}
+                      </Typography>
+                    </Box>
+                  </Box>
+                ))}
+              </Box>
+            );
+          })
+        )}
+
+        {current && (
+          <Box sx={{ display: "flex", alignItems: "flex-start", gap: 1, mt: 3 }}>
+            <TextField
+              label={`Comment on version ${current.version}`}
+              multiline
+              maxRows={4}
+              fullWidth
+              size="small"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              inputProps={{ maxLength: MAX_COMMENT_LENGTH }}
+            />
+            <IconButton
+              color="primary"
+              onClick={handleComment}
+              disabled={saving || !comment.trim()}
+            >
+              {saving ? <CircularProgress size={20} /> : <SendIcon />}
+            </IconButton>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DeliverableVersions;
\ No newline at end of file
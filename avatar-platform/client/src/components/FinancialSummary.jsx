@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from "react";
+import {
+  Box,
+  Grid,
+  Paper,
+  Typography,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Divider,
+  Tooltip,
+  useTheme,
+} from "@mui/material";
+import { ReceiptLong as InvoiceIcon } from "@mui/icons-material";
+
+import { formatCurrency } from "../utils/formatters";
+import { getFinancialSummary, getInvoices } from "../services/ledgerService";
+
+// Invoices shown under the totals
+const RECENT_INVOICE_COUNT = 5;
+
+/**
+ * FinancialSummary component for the money a user has moved through escrow
+ *
+ * @param {Object} props Component props
+ * @param {string} props.role "freelancer" shows earnings and issued invoices,
+ *   "investor" shows funding, payments and received invoices
+ * @returns {React.ReactElement} Financial summary component
+ */
+const FinancialSummary = ({ role }) => {
+  const theme = useTheme();
+  const [summary, setSummary] = useState(null);
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isFreelancer = role === "freelancer";
+
+  useEffect(() => {
+    const loadFinancials = async () => {
+      try {
+        const [summaryData, invoiceData] = await Promise.all([
+          getFinancialSummary(),
+          getInvoices(isFreelancer ? "issued" : "received"),
+        ]);
+        setSummary(summaryData);
+        setInvoices(invoiceData);
+      } catch (err) {
+        console.error("Error loading financial summary:", err);
+        setError("Failed to load financial summary.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadFinancials();
+  }, [isFreelancer]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: "flex", justifyContent: "center", py: 3 }}>
+        <CircularProgress size={28} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Typography variant="body2" color="error">
+        {error}
+      </Typography>
+    );
+  }
+
+  const stats = isFreelancer
+    ? [
+        { label: "Total Earned", value: summary.earned, color: theme.colors.success.main },
+        { label: "Payments Received", value: summary.payments, count: true, color: theme.colors.info.main },
+        { label: "Invoices Issued", value: invoices.length, count: true, color: theme.colors.secondary.main },
+      ]
+    : [
+        { label: "Total Funded", value: summary.funded, color: theme.colors.info.main },
+        { label: "Paid to Freelancers", value: summary.paid, color: theme.colors.success.main },
+        { label: "Refunded", value: summary.refunded, color: theme.colors.warning.main },
+        { label: "Held in Escrow", value: summary.inEscrow, color: theme.colors.secondary.main },
+      ];
+
+  return (
+    <Box>
+      <Grid container spacing={3}>
+        {stats.map((stat) => (
+          <Grid item xs={12} sm={6} md={12 / stats.length} key={stat.label}>
+            <Paper
+              sx={{
+                p: 2,
+                textAlign: "center",
+                height: "100%",
+                borderTop: `3px solid ${stat.color}`,
+              }}
+            >
+              <Typography variant="h5" sx={{ mb: 1 }}>
+                {stat.count ? stat.value : formatCurrency(stat.value, summary.currency)}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {stat.label}
+              </Typography>
+            </Paper>
+          </Grid>
+        ))}
+      </Grid>
+
+      <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+        Recent Invoices
+      </Typography>
+      {invoices.length > 0 ? (
+        <List disablePadding>
+          {invoices.slice(0, RECENT_INVOICE_COUNT).map((invoice, index) => (
+            <React.Fragment key={invoice.id}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem
+                disableGutters
+                secondaryAction={
+                  <Typography variant="body2" sx={{ fontWeight: "bold" }}>
+                    {formatCurrency(invoice.amount, invoice.currency)}
+                  </Typography>
+                }
+              >
+                <InvoiceIcon sx={{ mr: 2, color: theme.colors.text.secondary }} />
+                <ListItemText
+                  primary={`${invoice.number} · ${invoice.description}`}
+                  secondary={
+                    <>
+                      {invoice.contractTitle} · Paid{" "}
+                      {new Date(invoice.paidAt).toLocaleDateString()}
+                      {invoice.transactionHash && (
+                        <Tooltip title={invoice.transactionHash}>
+                          <Box
+                            component="a"
+                            href={`https://etherscan.io/tx/${invoice.transactionHash}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            sx={{ ml: 1, color: theme.colors.secondary.main }}
+                          >
+                            View transaction
+                          </Box>
+                        </Tooltip>
+                      )}
+                    </>
+                  }
+                />
+              </ListItem>
+            </React.Fragment>
+          ))}
+        </List>
+      ) : (
+        <Typography variant="body2" color="text.secondary">
+          {isFreelancer
+            ? "Invoices are issued automatically when a milestone, timesheet or contract payment is released to you."
+            : "Invoices from your freelancers will appear here as payments are released."}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default FinancialSummary;
\ No newline at end of file
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from "react";
+import { Chip, Tooltip, CircularProgress } from "@mui/material";
+import {
+  VerifiedUser as VerifiedIcon,
+  GppBad as MismatchIcon,
+  GppMaybe as UncheckedIcon,
+} from "@mui/icons-material";
+
+import { verifyDeliverableIntegrity } from "../services/contractService";
+
+const BADGES = {
+  verified: { label: "Integrity verified", color: "success", icon: <VerifiedIcon /> },
+  mismatch: { label: "Hash mismatch", color: "error", icon: <MismatchIcon /> },
+  missing: { label: "File missing", color: "error", icon: <MismatchIcon /> },
+  unhashed: { label: "Not hashed", color: "default", icon: <UncheckedIcon /> },
+  unchecked: { label: "Not checked", color: "default", icon: <UncheckedIcon /> },
+};
+
+/**
+ * IntegrityBadge component showing whether a deliverable's stored content
+ * still matches the hash recorded on submission. Clicking it re-hashes the
+ * content on the server.
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.deliverable Formatted deliverable
+ * @param {function} props.onError Called with an error message
+ * @returns {React.ReactElement} Integrity badge component
+ */
+const IntegrityBadge = ({ deliverable, onError }) => {
+  const [result, setResult] = useState({
+    status: deliverable.integrityStatus || "unchecked",
+    expectedCid: deliverable.contentCid,
+    checkedAt: deliverable.integrityCheckedAt,
+  });
+  const [checking, setChecking] = useState(false);
+
+  useEffect(() => {
+    setResult({
+      status: deliverable.integrityStatus || "unchecked",
+      expectedCid: deliverable.contentCid,
+      checkedAt: deliverable.integrityCheckedAt,
+    });
+  }, [deliverable.id, deliverable.integrityStatus, deliverable.contentCid]);
+
+  const handleVerify = async () => {
+    try {
+      setChecking(true);
+      setResult(await verifyDeliverableIntegrity(deliverable.id));
+    } catch (err) {
+      onError(err.message || "Failed to verify the deliverable.");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const badge = BADGES[result.status] || BADGES.unchecked;
+
+  const details =
+    result.status === "unhashed"
+      ? "Submitted before content hashing, so there is nothing to check against"
+      : [
+          `CID ${result.expectedCid}`,
+          result.actualCid && result.actualCid !== result.expectedCid && `Stored CID ${result.actualCid}`,
+          result.onChainMatches === false && "The stored content is not recorded on-chain",
+          result.checkedAt
+            ? `Checked ${new Date(result.checkedAt).toLocaleString()}. Click to check again.`
+            : "Click to check the stored content.",
+        ]
+          .filter(Boolean)
+          .join(" · ");
+
+  return (
+    <Tooltip title={details}>
+      <Chip
+        icon={checking ? <CircularProgress size={14} /> : badge.icon}
+        label={badge.label}
+        color={badge.color}
+        size="small"
+        variant="outlined"
+        onClick={result.status === "unhashed" || checking ? undefined : handleVerify}
+        sx={{ mt: 0.5, mr: 0.5 }}
+      />
+    </Tooltip>
+  );
+};
+
+export default IntegrityBadge;
\ No newline at end of file
@@ -0,0 +1,51 @@
+import React from "react";
+import { Box, Chip, Tooltip, Typography } from "@mui/material";
+import { ThumbUp as ThumbUpIcon } from "@mui/icons-material";
+
+// Scores at or above these read as strong or fair matches
+const STRONG_MATCH = 70;
+const FAIR_MATCH = 40;
+
+/**
+ * MatchScoreBadge component showing a recommendation's match score. Hovering
+ * it lists each feature's share of the score and the reason behind it.
+ *
+ * @param {Object} props Component props
+ * @param {number} props.score Match score from 0 to 100
+ * @param {Array} props.breakdown Feature breakdown from the recommendations endpoint
+ * @returns {React.ReactElement} Match score badge component
+ */
+const MatchScoreBadge = ({ score, breakdown = [] }) => {
+  const totalWeight = breakdown.reduce((sum, f) => sum + f.weight, 0) || 1;
+
+  const details = (
+    <Box sx={{ p: 0.5 }}>
+      {breakdown.map((feature) => (
+        <Box key={feature.feature} sx={{ mb: 0.5 }}>
+          <Typography variant="caption" component="div" sx={{ fontWeight: "bold" }}>
+            {feature.label}: {Math.round((feature.weight * feature.score * 100) / totalWeight)} of{" "}
+            {Math.round((feature.weight * 100) / totalWeight)} points
+          </Typography>
+          <Typography variant="caption" component="div">
+            {feature.reason}
+          </Typography>
+        </Box>
+      ))}
+    </Box>
+  );
+
+  return (
+    <Tooltip title={breakdown.length > 0 ? details : ""}>
+      <Chip
+        icon={<ThumbUpIcon />}
+        label={`${score}% match`}
+        color={score >= STRONG_MATCH ? "success" : score >= FAIR_MATCH ? "warning" : "default"}
+        size="small"
+        variant="outlined"
+        sx={{ alignSelf: "flex-start", mb: 1 }}
+      />
+    </Tooltip>
+  );
+};
+
+export default MatchScoreBadge;
\ No newline at end of file
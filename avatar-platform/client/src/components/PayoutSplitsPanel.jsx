@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from "react";
+import {
+  Box,
+  Grid,
+  Typography,
+  Button,
+  IconButton,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+} from "@mui/material";
+import { Add as AddIcon, Delete as DeleteIcon } from "@mui/icons-material";
+
+import { getPayoutSplits, updatePayoutSplits } from "../services/ledgerService";
+
+// Same limit as the server and the escrow contract
+const MAX_SPLITS = 5;
+
+const EMPTY_SPLIT = { label: "", walletAddress: "", share: "" };
+
+/**
+ * Shorten a wallet address for display
+ * @param {string} address Wallet address
+ * @returns {string} Shortened address
+ */
+const shortAddress = (address) =>
+  address ? `${address.slice(0, 6)}…${address.slice(-4)}` : "";
+
+/**
+ * PayoutSplitsPanel component for the wallets sharing a freelancer's payments,
+ * e.g. an agency and a subcontractor
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.contract Formatted contract
+ * @param {boolean} props.canEdit Whether the current user can change the splits
+ * @param {function} props.onSuccess Called with a success message
+ * @param {function} props.onError Called with an error message
+ * @returns {React.ReactElement} Payout splits panel component
+ */
+const PayoutSplitsPanel = ({ contract, canEdit, onSuccess, onError }) => {
+  const [splits, setSplits] = useState([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getPayoutSplits(contract.id)
+      .then(setSplits)
+      .catch((err) => console.error("Error loading payout splits:", err));
+  }, [contract.id]);
+
+  // Team members' shares are managed from the team roster
+  const teamShare = splits
+    .filter((s) => s.teamMemberId)
+    .reduce((sum, s) => sum + s.shareBps / 100, 0);
+
+  const openDialog = () => {
+    setRows(
+      splits
+        .filter((s) => !s.teamMemberId)
+        .map((s) => ({
+          label: s.label || "",
+          walletAddress: s.walletAddress || "",
+          share: String(s.shareBps / 100),
+        }))
+    );
+    setDialogOpen(true);
+  };
+
+  const updateRow = (index, field, value) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const totalShare = rows.reduce((sum, row) => sum + (Number(row.share) || 0), teamShare);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const saved = await updatePayoutSplits(
+        contract.id,
+        rows.map((row) => ({
+          label: row.label,
+          walletAddress: row.walletAddress.trim(),
+          shareBps: Math.round(Number(row.share) * 100),
+        }))
+      );
+      setSplits(saved);
+      setDialogOpen(false);
+      onSuccess("Payout splits updated");
+    } catch (err) {
+      onError(err.message || "Failed to update payout splits.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (splits.length === 0 && !canEdit) {
+    return null;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Typography variant="h6">Payout Splits</Typography>
+        {canEdit && (
+          <Button size="small" onClick={openDialog}>
+            Edit
+          </Button>
+        )}
+      </Box>
+      {splits.length > 0 ? (
+        <List dense disablePadding>
+          {splits.map((split) => (
+            <ListItem key={split.id} disableGutters>
+              <ListItemText
+                primary={`${split.label || shortAddress(split.walletAddress)} · ${
+                  split.shareBps / 100
+                }%`}
+                secondary={split.label ? shortAddress(split.walletAddress) : null}
+              />
+            </ListItem>
+          ))}
+        </List>
+      ) : (
+        <Typography variant="body2" color="text.secondary">
+          All payments go to the freelancer's wallet.
+        </Typography>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Payout Splits</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Each wallet receives its share of every payment after the platform fee.
+            You keep the rest.
+            {teamShare > 0 && ` Team members take ${teamShare}% of each payment.`}
+          </Typography>
+          <Grid container spacing={2}>
+            {rows.map((row, index) => (
+              <React.Fragment key={index}>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    label="Label"
+                    fullWidth
+                    value={row.label}
+                    onChange={(e) => updateRow(index, "label", e.target.value)}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    label="Wallet Address"
+                    fullWidth
+                    value={row.walletAddress}
+                    onChange={(e) => updateRow(index, "walletAddress", e.target.value)}
+                  />
+                </Grid>
+                <Grid item xs={9} sm={2}>
+                  <TextField
+                    label="Share (%)"
+                    type="number"
+                    fullWidth
+                    value={row.share}
+                    onChange={(e) => updateRow(index, "share", e.target.value)}
+                    inputProps={{ min: 0.01, max: 100, step: 0.01 }}
+                  />
+                </Grid>
+                <Grid item xs={3} sm={1} sx={{ display: "flex", alignItems: "center" }}>
+                  <IconButton onClick={() => setRows(rows.filter((_, i) => i !== index))}>
+                    <DeleteIcon />
+                  </IconButton>
+                </Grid>
+              </React.Fragment>
+            ))}
+          </Grid>
+          <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mt: 2 }}>
+            <Button
+              startIcon={<AddIcon />}
+              onClick={() => setRows([...rows, EMPTY_SPLIT])}
+              disabled={rows.length + splits.filter((s) => s.teamMemberId).length >= MAX_SPLITS}
+            >
+              Add Wallet
+            </Button>
+            <Typography variant="body2" color={totalShare > 100 ? "error" : "text.secondary"}>
+              You keep {Math.max(100 - totalShare, 0).toFixed(2)}%
+            </Typography>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || totalShare > 100}
+          >
+            {saving ? <CircularProgress size={24} /> : "Save Splits"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default PayoutSplitsPanel;
\ No newline at end of file
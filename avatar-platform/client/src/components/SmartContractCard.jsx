@@ -16,8 +16,11 @@ import {
   ContentCopy as CopyIcon,
   OpenInNew as ExternalLinkIcon,
   Flag as StatusIcon,
+  Schedule as OverdueIcon,
 } from "@mui/icons-material";
 
+import CurrencyAmount from "./CurrencyAmount";
+
 // Styled components
 const StyledCard = styled(Paper)(({ theme }) => ({
   padding: theme.spacing(3),
@@ -64,6 +67,8 @@ const StatusChip = styled(Chip)(({ theme, status }) => {
     active: theme.colors.success.main,
     completed: theme.colors.info.main,
     cancelled: theme.colors.error.main,
+    disputed: theme.colors.secondary.dark,
+    expired: theme.colors.text.secondary,
     draft: theme.colors.text.disabled,
   };
 
@@ -86,6 +91,9 @@ const StatusChip = styled(Chip)(({ theme, status }) => {
  * @param {Object} props.investor Investor info
  * @param {Object} props.freelancer Freelancer info
  * @param {number} props.value Contract value
+ * @param {string} props.currency Currency of the contract value
+ * @param {string} props.endDate Contract end date
+ * @param {boolean} props.overdue Whether the contract is past its end date
  * @param {Array} props.tags Tag list
  * @param {function} props.onClick Click handler
  * @param {React.ReactNode} props.actions Additional actions
@@ -100,6 +108,9 @@ const SmartContractCard = ({
   investor,
   freelancer,
   value,
+  currency,
+  endDate,
+  overdue = false,
   tags = [],
   onClick,
   actions,
@@ -124,6 +135,8 @@ const SmartContractCard = ({
       active: "Active",
       completed: "Completed",
       cancelled: "Cancelled",
+      disputed: "Disputed",
+      expired: "Expired",
       draft: "Draft",
     };
     return statusMap[status] || "Unknown";
@@ -154,6 +167,15 @@ const SmartContractCard = ({
             size="small"
           />
 
+          {overdue && (
+            <Chip
+              icon={<OverdueIcon />}
+              label="Overdue"
+              color="error"
+              size="small"
+            />
+          )}
+
           <Tooltip
             title={verified ? "Verified Contract" : "Unverified Contract"}
           >
@@ -225,17 +247,25 @@ const SmartContractCard = ({
             <Typography variant="caption" color="text.secondary">
               Value
             </Typography>
-            <Typography
-              variant="body2"
-              fontWeight="bold"
-              color={theme.colors.success.main}
-            >
-              ${value.toLocaleString()}
-            </Typography>
+            <CurrencyAmount
+              amount={value}
+              currency={currency}
+              sx={{ fontWeight: "bold", color: theme.colors.success.main }}
+            />
           </Box>
         )}
       </Box>
 
+      {endDate && (
+        <Typography
+          variant="caption"
+          color={overdue ? "error" : "text.secondary"}
+          sx={{ display: "block", mb: 2 }}
+        >
+          Due {new Date(endDate).toLocaleDateString()}
+        </Typography>
+      )}
+
       {tags.length > 0 && (
         <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5, mb: 2 }}>
           {tags.map((tag, idx) => (
@@ -0,0 +1,294 @@
+import React, { useState } from "react";
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Chip,
+  Tooltip,
+} from "@mui/material";
+import {
+  PersonAdd as InviteIcon,
+  Edit as EditIcon,
+  PersonRemove as RemoveIcon,
+} from "@mui/icons-material";
+
+import {
+  inviteTeamMember,
+  respondToTeamInvite,
+  updateTeamMember,
+  removeTeamMember,
+} from "../services/teamService";
+
+// Contracts the lead can still invite members to
+const OPEN_STATUSES = ["draft", "pending", "active"];
+
+const STATUS_COLORS = {
+  invited: "warning",
+  accepted: "success",
+};
+
+/**
+ * TeamRoster component for the freelancers working on a contract, with
+ * each member's share, invitation status and deliverables
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.contract Formatted contract
+ * @param {Array} props.team Roster from getContractTeam, lead first
+ * @param {string} props.currentUserId Signed in user
+ * @param {function} props.onChange Called after the team changes
+ * @param {function} props.onSuccess Called with a success message
+ * @param {function} props.onError Called with an error message
+ * @returns {React.ReactElement} Team roster component
+ */
+const TeamRoster = ({ contract, team, currentUserId, onChange, onSuccess, onError }) => {
+  const [inviteOpen, setInviteOpen] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [editMember, setEditMember] = useState(null);
+  const [share, setShare] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const isLead = contract.freelancer.id === currentUserId;
+  const settled =
+    contract.verified || ["cancelled", "expired"].includes(contract.status);
+  const canInvite = isLead && !contract.verified && OPEN_STATUSES.includes(contract.status);
+
+  // Run a team action and refresh the roster
+  const runAction = async (action, message) => {
+    try {
+      setLoading(true);
+      await action();
+      onSuccess(message);
+      onChange();
+      return true;
+    } catch (err) {
+      onError(err.message || "Failed to update the team.");
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInvite = async () => {
+    const sent = await runAction(
+      () => inviteTeamMember(contract.id, inviteEmail, Math.round(Number(share) * 100)),
+      "Invitation sent"
+    );
+    if (sent) {
+      setInviteOpen(false);
+      setInviteEmail("");
+      setShare("");
+    }
+  };
+
+  const handleUpdateShare = async () => {
+    const saved = await runAction(
+      () => updateTeamMember(contract.id, editMember.id, Math.round(Number(share) * 100)),
+      "Share updated"
+    );
+    if (saved) {
+      setEditMember(null);
+      setShare("");
+    }
+  };
+
+  const renderActions = (member) => {
+    if (settled || member.role !== "member") {
+      return null;
+    }
+
+    if (member.userId === currentUserId && member.status === "invited") {
+      return (
+        <Box>
+          <Button
+            size="small"
+            disabled={loading}
+            onClick={() =>
+              runAction(
+                () => respondToTeamInvite(contract.id, member.id, true),
+                "You joined the team"
+              )
+            }
+          >
+            Accept
+          </Button>
+          <Button
+            size="small"
+            color="error"
+            disabled={loading}
+            onClick={() =>
+              runAction(
+                () => respondToTeamInvite(contract.id, member.id, false),
+                "Invitation declined"
+              )
+            }
+          >
+            Decline
+          </Button>
+        </Box>
+      );
+    }
+
+    if (isLead || member.userId === currentUserId) {
+      return (
+        <Box>
+          {isLead && (
+            <Tooltip title="Change share">
+              <IconButton
+                size="small"
+                onClick={() => {
+                  setEditMember(member);
+                  setShare(String(member.shareBps / 100));
+                }}
+              >
+                <EditIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip title={isLead ? "Remove from team" : "Leave team"}>
+            <IconButton
+              size="small"
+              disabled={loading}
+              onClick={() =>
+                runAction(
+                  () => removeTeamMember(contract.id, member.id),
+                  isLead ? "Team member removed" : "You left the team"
+                )
+              }
+            >
+              <RemoveIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Typography variant="h6">Team</Typography>
+        {canInvite && (
+          <Button size="small" startIcon={<InviteIcon />} onClick={() => setInviteOpen(true)}>
+            Invite
+          </Button>
+        )}
+      </Box>
+      <List dense disablePadding>
+        {team.map((member) => (
+          <ListItem
+            key={member.id || member.userId}
+            disableGutters
+            secondaryAction={renderActions(member)}
+          >
+            <ListItemAvatar>
+              <Avatar src={member.profileImage}>
+                {(member.name || member.email).charAt(0).toUpperCase()}
+              </Avatar>
+            </ListItemAvatar>
+            <ListItemText
+              primary={
+                <Box sx={{ display: "flex", alignItems: "center", gap: 1, flexWrap: "wrap" }}>
+                  {member.name || member.email}
+                  <Chip
+                    label={member.role === "member" ? "Member" : "Lead"}
+                    size="small"
+                    variant="outlined"
+                  />
+                  {member.status !== "accepted" && (
+                    <Chip
+                      label={member.status.charAt(0).toUpperCase() + member.status.slice(1)}
+                      color={STATUS_COLORS[member.status] || "default"}
+                      size="small"
+                    />
+                  )}
+                </Box>
+              }
+              secondary={`${member.shareBps / 100}% share · ${
+                member.deliverables.total
+              } deliverable(s), ${member.deliverables.approved} approved`}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      <Dialog open={inviteOpen} onClose={() => setInviteOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Invite Team Member</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Team members submit their own deliverables and are paid their share of
+            every payment after the platform fee once they accept.
+          </Typography>
+          <TextField
+            label="Freelancer Email"
+            type="email"
+            fullWidth
+            margin="normal"
+            value={inviteEmail}
+            onChange={(e) => setInviteEmail(e.target.value)}
+          />
+          <TextField
+            label="Share (%)"
+            type="number"
+            fullWidth
+            margin="normal"
+            value={share}
+            onChange={(e) => setShare(e.target.value)}
+            inputProps={{ min: 0.01, max: 100, step: 0.01 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setInviteOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleInvite}
+            disabled={loading || !inviteEmail || !(Number(share) > 0)}
+          >
+            {loading ? <CircularProgress size={24} /> : "Send Invitation"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(editMember)} onClose={() => setEditMember(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Change Share</DialogTitle>
+        <DialogContent>
+          <TextField
+            label="Share (%)"
+            type="number"
+            fullWidth
+            margin="normal"
+            value={share}
+            onChange={(e) => setShare(e.target.value)}
+            inputProps={{ min: 0.01, max: 100, step: 0.01 }}
+            helperText={editMember ? `Share of ${editMember.name || editMember.email}` : ""}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditMember(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleUpdateShare}
+            disabled={loading || !(Number(share) > 0)}
+          >
+            {loading ? <CircularProgress size={24} /> : "Save"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TeamRoster;
\ No newline at end of file
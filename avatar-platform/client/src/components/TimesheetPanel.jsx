@@ -0,0 +1,469 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Grid,
+  Paper,
+  Typography,
+  Button,
+  Chip,
+  IconButton,
+  Tooltip,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  LinearProgress,
+  useTheme,
+} from "@mui/material";
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Send as SendIcon,
+  CheckCircle as ApproveIcon,
+  Cancel as RejectIcon,
+} from "@mui/icons-material";
+
+import { formatCurrency } from "../utils/formatters";
+import {
+  getContractTimesheets,
+  logTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  submitTimesheet,
+  reviewTimesheet,
+} from "../services/contractService";
+
+const EMPTY_ENTRY = { workDate: "", hours: "", description: "" };
+
+/**
+ * TimesheetPanel component for logging and approving time on an hourly contract
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.contract Formatted hourly contract
+ * @param {boolean} props.isFreelancer Whether the current user logs the time
+ * @param {boolean} props.isInvestor Whether the current user approves the time
+ * @param {function} props.onChange Called after a timesheet is submitted or reviewed
+ * @param {function} props.onSuccess Called with a success message
+ * @param {function} props.onError Called with an error message
+ * @returns {React.ReactElement} Timesheet panel component
+ */
+const TimesheetPanel = ({
+  contract,
+  isFreelancer = false,
+  isInvestor = false,
+  onChange,
+  onSuccess,
+  onError,
+}) => {
+  const theme = useTheme();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [entryDialogOpen, setEntryDialogOpen] = useState(false);
+  const [editingEntry, setEditingEntry] = useState(null);
+  const [entryData, setEntryData] = useState(EMPTY_ENTRY);
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectNote, setRejectNote] = useState("");
+
+  const canLogTime = isFreelancer && contract.status === "active";
+
+  const refresh = useCallback(async () => {
+    try {
+      setData(await getContractTimesheets(contract.id));
+    } catch (err) {
+      console.error("Error fetching timesheets:", err);
+      onError?.("Failed to load timesheets.");
+    } finally {
+      setLoading(false);
+    }
+  }, [contract.id, onError]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const statusColors = {
+    open: theme.colors.text.disabled,
+    submitted: theme.colors.warning.main,
+    approved: theme.colors.success.main,
+    rejected: theme.colors.error.main,
+  };
+
+  // Open the entry dialog, prefilled when editing
+  const handleOpenEntryDialog = (entry = null) => {
+    setEditingEntry(entry);
+    setEntryData(
+      entry
+        ? {
+            workDate: entry.workDate,
+            hours: String(entry.hours),
+            description: entry.description,
+          }
+        : { ...EMPTY_ENTRY, workDate: new Date().toISOString().slice(0, 10) }
+    );
+    setEntryDialogOpen(true);
+  };
+
+  const handleEntryChange = (e) => {
+    const { name, value } = e.target;
+    setEntryData({ ...entryData, [name]: value });
+  };
+
+  // Run a timesheet action, refreshing the panel afterwards
+  const runAction = async (action, message, changesContract = false) => {
+    try {
+      setSaving(true);
+      await action();
+      await refresh();
+      if (changesContract) {
+        await onChange?.();
+      }
+      onSuccess?.(message);
+      return true;
+    } catch (err) {
+      console.error("Error updating timesheet:", err);
+      onError?.(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveEntry = async () => {
+    if (!entryData.workDate || !(Number(entryData.hours) > 0)) {
+      onError?.("Enter a date and the hours worked");
+      return;
+    }
+
+    const entry = { ...entryData, hours: Number(entryData.hours) };
+    const saved = await runAction(
+      () =>
+        editingEntry
+          ? updateTimeEntry(contract.id, editingEntry.id, entry)
+          : logTimeEntry(contract.id, entry),
+      editingEntry ? "Time entry updated" : "Time logged"
+    );
+
+    if (saved) {
+      setEntryDialogOpen(false);
+    }
+  };
+
+  const handleDeleteEntry = (entry) =>
+    runAction(() => deleteTimeEntry(contract.id, entry.id), "Time entry deleted");
+
+  const handleSubmitWeek = (week) =>
+    runAction(
+      () => submitTimesheet(contract.id, week.weekStart),
+      "Timesheet submitted for approval",
+      true
+    );
+
+  const handleApprove = (week) =>
+    runAction(
+      () => reviewTimesheet(contract.id, week.timesheet.id, true),
+      "Timesheet approved and payment released",
+      true
+    );
+
+  const handleReject = async () => {
+    if (!rejectNote) {
+      onError?.("Explain why the timesheet is rejected");
+      return;
+    }
+
+    const rejected = await runAction(
+      () => reviewTimesheet(contract.id, rejecting.timesheet.id, false, rejectNote),
+      "Timesheet rejected",
+      true
+    );
+
+    if (rejected) {
+      setRejecting(null);
+      setRejectNote("");
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: "flex", justifyContent: "center", py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!data) {
+    return null;
+  }
+
+  const { totals } = data;
+  const summary = [
+    { label: "Hourly rate", value: formatCurrency(data.hourlyRate, contract.currency) },
+    {
+      label: "Weekly cap",
+      value: data.weeklyHourCap ? `${data.weeklyHourCap} h` : "None",
+    },
+    { label: "Approved", value: `${totals.approvedHours} h` },
+    { label: "Paid", value: formatCurrency(totals.paidAmount, contract.currency) },
+    {
+      label: "Awaiting approval",
+      value: `${totals.pendingHours} h (${formatCurrency(totals.pendingAmount, contract.currency)})`,
+    },
+    { label: "Budget left", value: formatCurrency(totals.remainingBudget, contract.currency) },
+  ];
+
+  return (
+    <Box>
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        {summary.map((item) => (
+          <Grid item xs={6} sm={4} key={item.label}>
+            <Typography variant="caption" color="text.secondary">
+              {item.label}
+            </Typography>
+            <Typography variant="body2" sx={{ fontWeight: "bold" }}>
+              {item.value}
+            </Typography>
+          </Grid>
+        ))}
+      </Grid>
+
+      <LinearProgress
+        variant="determinate"
+        value={totals.budget > 0 ? (totals.paidAmount / totals.budget) * 100 : 0}
+        sx={{ height: 8, borderRadius: 4, mb: 3 }}
+      />
+
+      <Box
+        sx={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          mb: 2,
+        }}
+      >
+        <Typography variant="h6">Weekly Timesheets</Typography>
+        {canLogTime && (
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => handleOpenEntryDialog()}
+          >
+            Log Time
+          </Button>
+        )}
+      </Box>
+
+      {data.weeks.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No time has been logged yet.
+        </Typography>
+      ) : (
+        data.weeks.map((week) => {
+          const editable = isFreelancer && !week.locked && canLogTime;
+
+          return (
+            <Paper key={week.weekStart} variant="outlined" sx={{ p: 2, mb: 2 }}>
+              <Box
+                sx={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                }}
+              >
+                <Box>
+                  <Typography variant="subtitle1" sx={{ fontWeight: "bold" }}>
+                    Week of {new Date(week.weekStart).toLocaleDateString()}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {week.totalHours} h · {formatCurrency(week.amount, contract.currency)}
+                  </Typography>
+                </Box>
+                <Chip
+                  label={week.status.charAt(0).toUpperCase() + week.status.slice(1)}
+                  size="small"
+                  sx={{
+                    backgroundColor: statusColors[week.status],
+                    color: "#fff",
+                  }}
+                />
+              </Box>
+
+              {week.status === "rejected" && week.timesheet?.reviewNote && (
+                <Typography
+                  variant="body2"
+                  sx={{ mt: 1, color: theme.colors.error.main }}
+                >
+                  Rejected: {week.timesheet.reviewNote}
+                </Typography>
+              )}
+
+              <List dense>
+                {week.entries.map((entry) => (
+                  <ListItem
+                    key={entry.id}
+                    disableGutters
+                    secondaryAction={
+                      editable && (
+                        <>
+                          <Tooltip title="Edit">
+                            <IconButton
+                              size="small"
+                              onClick={() => handleOpenEntryDialog(entry)}
+                            >
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Delete">
+                            <IconButton
+                              size="small"
+                              disabled={saving}
+                              onClick={() => handleDeleteEntry(entry)}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </>
+                      )
+                    }
+                  >
+                    <ListItemText
+                      primary={`${new Date(entry.workDate).toLocaleDateString()} · ${entry.hours} h`}
+                      secondary={entry.description || null}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+
+              {isFreelancer &&
+                ["open", "rejected"].includes(week.status) &&
+                week.entries.length > 0 &&
+                ["active", "completed"].includes(contract.status) && (
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    startIcon={<SendIcon />}
+                    disabled={saving}
+                    onClick={() => handleSubmitWeek(week)}
+                  >
+                    Submit Week
+                  </Button>
+                )}
+
+              {isInvestor && week.status === "submitted" && (
+                <Box sx={{ display: "flex", gap: 1 }}>
+                  <Button
+                    size="small"
+                    variant="contained"
+                    color="success"
+                    startIcon={<ApproveIcon />}
+                    disabled={saving}
+                    onClick={() => handleApprove(week)}
+                  >
+                    Approve & Pay
+                  </Button>
+                  <Button
+                    size="small"
+                    color="error"
+                    startIcon={<RejectIcon />}
+                    disabled={saving}
+                    onClick={() => setRejecting(week)}
+                  >
+                    Reject
+                  </Button>
+                </Box>
+              )}
+            </Paper>
+          );
+        })
+      )}
+
+      {/* Log Time Dialog */}
+      <Dialog
+        open={entryDialogOpen}
+        onClose={() => setEntryDialogOpen(false)}
+        maxWidth="xs"
+        fullWidth
+      >
+        <DialogTitle>{editingEntry ? "Edit Time Entry" : "Log Time"}</DialogTitle>
+        <DialogContent>
+          <TextField
+            margin="dense"
+            name="workDate"
+            label="Date"
+            type="date"
+            fullWidth
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ max: new Date().toISOString().slice(0, 10) }}
+            value={entryData.workDate}
+            onChange={handleEntryChange}
+          />
+          <TextField
+            margin="dense"
+            name="hours"
+            label="Hours"
+            type="number"
+            fullWidth
+            inputProps={{ min: 0.25, max: 24, step: 0.25 }}
+            value={entryData.hours}
+            onChange={handleEntryChange}
+          />
+          <TextField
+            margin="dense"
+            name="description"
+            label="What did you work on?"
+            fullWidth
+            multiline
+            rows={3}
+            value={entryData.description}
+            onChange={handleEntryChange}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEntryDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleSaveEntry} disabled={saving}>
+            {saving ? <CircularProgress size={24} /> : "Save"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Reject Timesheet Dialog */}
+      <Dialog
+        open={Boolean(rejecting)}
+        onClose={() => setRejecting(null)}
+        maxWidth="xs"
+        fullWidth
+      >
+        <DialogTitle>Reject Timesheet</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" paragraph>
+            The freelancer can correct the week and submit it again.
+          </Typography>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Reason"
+            fullWidth
+            multiline
+            rows={3}
+            value={rejectNote}
+            onChange={(e) => setRejectNote(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRejecting(null)}>Cancel</Button>
+          <Button color="error" onClick={handleReject} disabled={saving}>
+            {saving ? <CircularProgress size={24} /> : "Reject"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TimesheetPanel;
\ No newline at end of file
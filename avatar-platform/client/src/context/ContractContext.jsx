@@ -1,12 +1,53 @@
-import React, { createContext, useContext, useState, useEffect } from "react";
-import { getUserContracts } from "../services/contractService";
+import React, { createContext, useContext, useState, useEffect, useRef } from "react";
+import { searchContracts } from "../services/contractService";
 import { useAuth } from "./AuthContext";
 
 // Create contract context
 const ContractContext = createContext();
 
+// Contracts loaded per page
+const PAGE_SIZE = 20;
+
+// Wait for the user to stop typing before searching
+const SEARCH_DELAY = 300;
+
+const DEFAULT_FILTERS = {
+  status: "all",
+  search: "",
+  sortBy: "newest",
+  counterpartyId: "",
+  minValue: "",
+  maxValue: "",
+  dateField: "created",
+  from: "",
+  to: "",
+  verified: "all",
+};
+
+/**
+ * Turn the filters into the server's search parameters
+ * @param {Object} filterOptions Filter options
+ * @param {string} search Search text
+ * @returns {Object} Search parameters
+ */
+const toSearchParams = (filterOptions, search) => ({
+  q: search.trim(),
+  status: filterOptions.status,
+  counterpartyId: filterOptions.counterpartyId,
+  minValue: filterOptions.minValue,
+  maxValue: filterOptions.maxValue,
+  dateField: filterOptions.dateField,
+  from: filterOptions.from,
+  to: filterOptions.to,
+  verified: filterOptions.verified === "all" ? "" : filterOptions.verified,
+  sort: filterOptions.sortBy,
+  limit: PAGE_SIZE,
+});
+
 /**
- * Contract provider component for managing contract state globally
+ * Contract provider component for managing contract state globally.
+ * Searching, filtering, sorting and paging are done by the server; the
+ * provider holds the pages loaded so far for the current filters.
  * @param {Object} props Component props
  * @param {React.ReactNode} props.children Child components
  * @returns {React.ReactElement} Contract provider component
@@ -16,95 +57,104 @@ export const ContractProvider = ({ children }) => {
 
   // State
   const [contracts, setContracts] = useState([]);
-  const [filteredContracts, setFilteredContracts] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [searching, setSearching] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
-  const [filters, setFilters] = useState({
-    status: "all",
-    search: "",
-    sortBy: "newest",
-  });
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [refreshKey, setRefreshKey] = useState(0);
 
-  // Fetch contracts when user changes
+  // Responses to superseded searches are ignored
+  const requestRef = useRef(0);
+
+  const searchParams = toSearchParams(filters, debouncedSearch);
+  const searchKey = JSON.stringify(searchParams);
+
+  // Debounce the search text
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(filters.search), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [filters.search]);
+
+  // Show the loading state until the first page for a user arrives
+  useEffect(() => {
+    setContracts([]);
+    setNextCursor(null);
+    setTotal(0);
+    setLoading(Boolean(currentUser));
+  }, [currentUser?.id]);
+
+  // Fetch the first page when the user or the filters change
   useEffect(() => {
     if (!currentUser) {
-      setContracts([]);
-      setFilteredContracts([]);
       return;
     }
 
+    const request = ++requestRef.current;
+
     const fetchContracts = async () => {
       try {
-        setLoading(true);
+        setSearching(true);
         setError(null);
 
-        // Fetch contracts from API
-        const data = await getUserContracts(currentUser.id);
+        const page = await searchContracts(searchParams);
 
-        // Sort by created date by default
-        const sortedContracts = data.sort(
-          (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-        );
+        if (request !== requestRef.current) return;
 
-        setContracts(sortedContracts);
-        applyFilters(sortedContracts, filters);
+        setContracts(page.contracts);
+        setNextCursor(page.nextCursor);
+        setTotal(page.total);
       } catch (err) {
+        if (request !== requestRef.current) return;
         console.error("Error fetching contracts:", err);
         setError("Failed to load contracts. Please try again later.");
       } finally {
-        setLoading(false);
+        if (request === requestRef.current) {
+          setLoading(false);
+          setSearching(false);
+        }
       }
     };
 
     fetchContracts();
-  }, [currentUser]);
-
-  // Apply filters whenever contracts or filters change
-  useEffect(() => {
-    applyFilters(contracts, filters);
-  }, [contracts, filters]);
+  }, [currentUser, searchKey, refreshKey]);
 
   /**
-   * Apply filters to contracts
-   * @param {Array} contractsData List of contracts to filter
-   * @param {Object} filterOptions Filter options
+   * Load the next page of contracts for the current filters
    */
-  const applyFilters = (contractsData, filterOptions) => {
-    // Start with all contracts
-    let result = [...contractsData];
-
-    // Apply status filter
-    if (filterOptions.status !== "all") {
-      result = result.filter(
-        (contract) => contract.status === filterOptions.status
-      );
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) {
+      return;
     }
 
-    // Apply search filter
-    if (filterOptions.search.trim()) {
-      const query = filterOptions.search.toLowerCase();
-      result = result.filter(
-        (contract) =>
-          contract.title.toLowerCase().includes(query) ||
-          contract.description?.toLowerCase().includes(query) ||
-          (currentUser?.userType === "investor"
-            ? contract.freelancer.name?.toLowerCase().includes(query)
-            : contract.investor.name?.toLowerCase().includes(query))
-      );
-    }
+    const request = requestRef.current;
+
+    try {
+      setLoadingMore(true);
+
+      const page = await searchContracts({ ...searchParams, cursor: nextCursor });
+
+      if (request !== requestRef.current) return;
 
-    // Apply sorting
-    if (filterOptions.sortBy === "newest") {
-      result.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    } else if (filterOptions.sortBy === "oldest") {
-      result.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-    } else if (filterOptions.sortBy === "value-high") {
-      result.sort((a, b) => b.value - a.value);
-    } else if (filterOptions.sortBy === "value-low") {
-      result.sort((a, b) => a.value - b.value);
+      setContracts((loaded) => [...loaded, ...page.contracts]);
+      setNextCursor(page.nextCursor);
+      setTotal(page.total);
+    } catch (err) {
+      console.error("Error loading more contracts:", err);
+      setError("Failed to load more contracts. Please try again.");
+    } finally {
+      setLoadingMore(false);
     }
+  };
 
-    setFilteredContracts(result);
+  /**
+   * Reload the first page, e.g. after a contract changed on the server
+   */
+  const refreshContracts = () => {
+    setRefreshKey((key) => key + 1);
   };
 
   /**
@@ -122,11 +172,7 @@ export const ContractProvider = ({ children }) => {
    * Reset all filters to defaults
    */
   const resetFilters = () => {
-    setFilters({
-      status: "all",
-      search: "",
-      sortBy: "newest",
-    });
+    setFilters(DEFAULT_FILTERS);
   };
 
   /**
@@ -134,9 +180,8 @@ export const ContractProvider = ({ children }) => {
    * @param {Object} contract New contract to add
    */
   const addContract = (contract) => {
-    const updatedContracts = [contract, ...contracts];
-    setContracts(updatedContracts);
-    // Filters will be automatically applied by the useEffect
+    setContracts([contract, ...contracts]);
+    setTotal(total + 1);
   };
 
   /**
@@ -150,7 +195,6 @@ export const ContractProvider = ({ children }) => {
     );
 
     setContracts(updatedContracts);
-    // Filters will be automatically applied by the useEffect
   };
 
   /**
@@ -162,11 +206,11 @@ export const ContractProvider = ({ children }) => {
       (contract) => contract.id !== contractId
     );
     setContracts(updatedContracts);
-    // Filters will be automatically applied by the useEffect
+    setTotal(Math.max(total - (contracts.length - updatedContracts.length), 0));
   };
 
   /**
-   * Get a specific contract by ID
+   * Get a specific loaded contract by ID
    * @param {string} contractId Contract ID to get
    * @returns {Object|null} Contract or null if not found
    */
@@ -175,7 +219,7 @@ export const ContractProvider = ({ children }) => {
   };
 
   /**
-   * Get contracts by status
+   * Get loaded contracts by status
    * @param {string} status Status to filter by
    * @returns {Array} Filtered contracts
    */
@@ -186,12 +230,19 @@ export const ContractProvider = ({ children }) => {
   // Context value with state and functions
   const contextValue = {
     contracts,
-    filteredContracts,
+    // The server applies the filters, so every loaded contract matches them
+    filteredContracts: contracts,
+    total,
+    hasMore: Boolean(nextCursor),
     loading,
+    searching,
+    loadingMore,
     error,
     filters,
     updateFilters,
     resetFilters,
+    loadMore,
+    refreshContracts,
     addContract,
     updateContract,
     removeContract,
@@ -218,4 +269,4 @@ export const useContracts = () => {
   }
 
   return context;
-};
+};
\ No newline at end of file
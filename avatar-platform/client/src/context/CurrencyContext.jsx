@@ -0,0 +1,86 @@
+import React, { createContext, useContext, useState, useEffect, useMemo } from "react";
+import { getCurrencies } from "../services/currencyService";
+import { useAuth } from "./AuthContext";
+import {
+  CURRENCIES,
+  DISPLAY_CURRENCY,
+  convertAmount,
+} from "../utils/currencies";
+import { formatCurrency } from "../utils/formatters";
+
+// Create currency context
+const CurrencyContext = createContext();
+
+/**
+ * Currency provider component that loads exchange rates once per session
+ * @param {Object} props Component props
+ * @param {React.ReactNode} props.children Child components
+ * @returns {React.ReactElement} Currency provider component
+ */
+export const CurrencyProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+
+  // State
+  const [currencies, setCurrencies] = useState(CURRENCIES);
+  const [rates, setRates] = useState(null);
+  const [ratesUpdatedAt, setRatesUpdatedAt] = useState(null);
+
+  // Rates come from an authenticated endpoint, so wait for a user
+  useEffect(() => {
+    if (!currentUser) {
+      return;
+    }
+
+    getCurrencies()
+      .then((data) => {
+        setCurrencies(data.currencies);
+        setRates(data.rates);
+        setRatesUpdatedAt(data.updatedAt);
+      })
+      // Without rates, amounts are still shown in their own currency
+      .catch((err) => console.error("Error loading exchange rates:", err));
+  }, [currentUser]);
+
+  const value = useMemo(() => {
+    const convert = (amount, from, to = DISPLAY_CURRENCY) =>
+      rates ? convertAmount(rates, amount, from, to) : null;
+
+    return {
+      currencies,
+      rates,
+      ratesUpdatedAt,
+      displayCurrency: DISPLAY_CURRENCY,
+      convert,
+      // Converted amount in the display currency, or null when it is the
+      // same currency or no rate is known
+      formatConverted: (amount, from) => {
+        if (from === DISPLAY_CURRENCY) {
+          return null;
+        }
+
+        const converted = convert(amount, from);
+        return converted === null ? null : formatCurrency(converted, DISPLAY_CURRENCY);
+      },
+    };
+  }, [currencies, rates, ratesUpdatedAt]);
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
+
+/**
+ * Custom hook to use the currency context
+ * @returns {Object} Currency context value
+ */
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+
+  if (!context) {
+    throw new Error("useCurrency must be used within a CurrencyProvider");
+  }
+
+  return context;
+};
\ No newline at end of file
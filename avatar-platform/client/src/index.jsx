@@ -3,14 +3,17 @@ import ReactDOM from 'react-dom/client';
 import App from './App';
 import { AuthProvider } from './context/AuthContext';
 import { ContractProvider } from './context/ContractContext';
+import { CurrencyProvider } from './context/CurrencyContext';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <AuthProvider>
-      <ContractProvider>
-        <App />
-      </ContractProvider>
+      <CurrencyProvider>
+        <ContractProvider>
+          <App />
+        </ContractProvider>
+      </CurrencyProvider>
     </AuthProvider>
   </React.StrictMode>
 );
\ No newline at end of file
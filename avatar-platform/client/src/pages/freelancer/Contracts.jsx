@@ -10,6 +10,7 @@ import {
   Chip,
   IconButton,
   Menu,
+  Popover,
   MenuItem,
   CircularProgress,
   Divider,
@@ -35,13 +36,18 @@ import {
   FilterList as FilterIcon,
   Sort as SortIcon,
   Search as SearchIcon,
+  AccessTime as HoursIcon,
 } from "@mui/icons-material";
 
 import Navigation from "../../components/Navigation";
 import SmartContractCard from "../../components/SmartContractCard";
+import ContractFilters from "../../components/ContractFilters";
 import { useAuth } from "../../context/AuthContext";
 import { useContracts } from "../../context/ContractContext";
 import { getUserContracts, createContract } from "../../services/contractService";
+import { formatCurrency } from "../../utils/formatters";
+import { useCurrency } from "../../context/CurrencyContext";
+import { DEFAULT_CURRENCY } from "../../utils/currencies";
 
 // Styled components
 const Container = styled(Box)(({ theme }) => ({
@@ -83,6 +89,7 @@ function TabPanel(props) {
 const FreelancerContracts = () => {
   const theme = useTheme();
   const { currentUser } = useAuth();
+  const { convert, displayCurrency } = useCurrency();
   const {
     contracts,
     filteredContracts,
@@ -91,6 +98,11 @@ const FreelancerContracts = () => {
     filters,
     updateFilters,
     resetFilters,
+    total,
+    hasMore,
+    searching,
+    loadingMore,
+    loadMore,
   } = useContracts();
 
   // Local state
@@ -101,6 +113,8 @@ const FreelancerContracts = () => {
   const [search, setSearch] = useState("");
   const [sortOpen, setSortOpen] = useState(false);
   const [sortAnchorEl, setSortAnchorEl] = useState(null);
+  const [filterAnchorEl, setFilterAnchorEl] = useState(null);
+  const [counterparties, setCounterparties] = useState([]);
   const [successMessage, setSuccessMessage] = useState(null);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
 
@@ -160,6 +174,31 @@ const FreelancerContracts = () => {
     setSuccessMessage("Contract deleted successfully");
   };
 
+  // Remember everyone the loaded pages were with, so the counterparty
+  // filter keeps its options while the list is filtered
+  useEffect(() => {
+    setCounterparties((known) => {
+      const byId = new Map(known.map((user) => [user.id, user]));
+      contracts.forEach((contract) => {
+        const user = contract.investor;
+        if (user && !byId.has(user.id)) {
+          byId.set(user.id, { id: user.id, name: user.name || user.email });
+        }
+      });
+      return byId.size === known.length ? known : Array.from(byId.values());
+    });
+  }, [contracts]);
+
+  // Filters set in the filter panel
+  const activeFilterCount = [
+    filters.counterpartyId,
+    filters.minValue,
+    filters.maxValue,
+    filters.from,
+    filters.to,
+    filters.verified !== "all",
+  ].filter(Boolean).length;
+
   // Handle sort menu
   const handleSortClick = (event) => {
     setSortAnchorEl(event.currentTarget);
@@ -220,6 +259,8 @@ const FreelancerContracts = () => {
       active: { label: "Active", color: theme.colors.success.main },
       completed: { label: "Completed", color: theme.colors.info.main },
       cancelled: { label: "Cancelled", color: theme.colors.error.main },
+      disputed: { label: "Disputed", color: theme.colors.secondary.dark },
+      expired: { label: "Expired", color: theme.colors.text.secondary },
       draft: { label: "Draft", color: theme.colors.text.disabled },
     };
 
@@ -247,6 +288,63 @@ const FreelancerContracts = () => {
     );
   }
 
+  // Active contracts past their end date
+  const overdueContracts = filteredContracts.filter((contract) => contract.overdue);
+
+  // Hours approved and awaiting approval across the hourly contracts loaded
+  const hourlyContracts = contracts.filter((contract) => contract.timesheets);
+  // Contracts can use different currencies, so amounts are totalled in the
+  // display currency and left unknown until exchange rates are loaded
+  const addConverted = (total, amount, currency) => {
+    const converted = convert(amount, currency);
+    return total === null || converted === null ? null : total + converted;
+  };
+
+  const hourlyTotals = hourlyContracts.reduce(
+    (totals, contract) => ({
+      approvedHours: totals.approvedHours + contract.timesheets.approvedHours,
+      paidAmount: addConverted(
+        totals.paidAmount,
+        contract.timesheets.paidAmount,
+        contract.currency
+      ),
+      pendingHours: totals.pendingHours + contract.timesheets.pendingHours,
+      pendingAmount: addConverted(
+        totals.pendingAmount,
+        contract.timesheets.pendingAmount,
+        contract.currency
+      ),
+    }),
+    { approvedHours: 0, paidAmount: 0, pendingHours: 0, pendingAmount: 0 }
+  );
+
+  const formatTotal = (amount) =>
+    amount === null ? "-" : formatCurrency(amount, displayCurrency);
+
+  // Timesheet summary shown on hourly contract cards
+  const renderHourlySummary = (contract) => {
+    if (!contract.timesheets) {
+      return null;
+    }
+
+    return (
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, flexWrap: "wrap" }}>
+        <HoursIcon fontSize="small" color="action" />
+        <Typography variant="body2">
+          {formatCurrency(contract.hourlyRate, contract.currency)}/h ·{" "}
+          {contract.timesheets.approvedHours} h approved
+        </Typography>
+        {contract.timesheets.pendingHours > 0 && (
+          <Chip
+            size="small"
+            color="warning"
+            label={`${contract.timesheets.pendingHours} h awaiting approval`}
+          />
+        )}
+      </Box>
+    );
+  };
+
   // Filter contracts by status for each tab panel
   const getContractsByStatus = (status) => {
     if (status === "all") {
@@ -263,6 +361,52 @@ const FreelancerContracts = () => {
           My Contracts
         </Typography>
 
+        {overdueContracts.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {overdueContracts.length === 1
+              ? "1 active contract is past its end date."
+              : `${overdueContracts.length} active contracts are past their end date.`}
+          </Alert>
+        )}
+
+        {hourlyContracts.length > 0 && (
+          <StyledPaper>
+            <Typography variant="h6" gutterBottom>
+              Hourly Work
+            </Typography>
+            <Grid container spacing={2}>
+              <Grid item xs={6} md={3}>
+                <Typography variant="caption" color="text.secondary">
+                  Approved hours
+                </Typography>
+                <Typography variant="h6">{hourlyTotals.approvedHours} h</Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="caption" color="text.secondary">
+                  Paid
+                </Typography>
+                <Typography variant="h6">
+                  {formatTotal(hourlyTotals.paidAmount)}
+                </Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="caption" color="text.secondary">
+                  Awaiting approval
+                </Typography>
+                <Typography variant="h6">{hourlyTotals.pendingHours} h</Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="caption" color="text.secondary">
+                  Pending payment
+                </Typography>
+                <Typography variant="h6">
+                  {formatTotal(hourlyTotals.pendingAmount)}
+                </Typography>
+              </Grid>
+            </Grid>
+          </StyledPaper>
+        )}
+
         <StyledPaper>
           <Box
             sx={{
@@ -294,9 +438,31 @@ const FreelancerContracts = () => {
                   disableUnderline: true,
                 }}
               />
+              {searching && <CircularProgress size={16} sx={{ ml: 1 }} />}
             </Box>
 
             <Box sx={{ display: "flex", gap: 1 }}>
+              <Button
+                variant={activeFilterCount > 0 ? "contained" : "outlined"}
+                startIcon={<FilterIcon />}
+                onClick={(e) => setFilterAnchorEl(e.currentTarget)}
+              >
+                {activeFilterCount > 0 ? `Filters (${activeFilterCount})` : "Filters"}
+              </Button>
+              <Popover
+                open={Boolean(filterAnchorEl)}
+                anchorEl={filterAnchorEl}
+                onClose={() => setFilterAnchorEl(null)}
+                anchorOrigin={{ vertical: "bottom", horizontal: "left" }}
+              >
+                <ContractFilters
+                  filters={filters}
+                  onChange={updateFilters}
+                  counterparties={counterparties}
+                  counterpartyLabel="Investor"
+                />
+              </Popover>
+
               <Button
                 variant="outlined"
                 startIcon={<SortIcon />}
@@ -333,6 +499,12 @@ const FreelancerContracts = () => {
                 >
                   Lowest Value
                 </MenuItem>
+                <MenuItem
+                  onClick={() => handleSortSelect("updated")}
+                  selected={filters.sortBy === "updated"}
+                >
+                  Recently Updated
+                </MenuItem>
               </Menu>
 
               <Button
@@ -404,6 +576,11 @@ const FreelancerContracts = () => {
                       investor={contract.investor}
                       freelancer={contract.freelancer}
                       value={contract.value}
+                      currency={contract.currency}
+                      endDate={contract.endDate}
+                      overdue={contract.overdue}
+                      tags={contract.isTeamMember ? ["Team member"] : []}
+                      children={renderHourlySummary(contract)}
                       onClick={() => {
                         // Navigate to contract details
                       }}
@@ -445,6 +622,11 @@ const FreelancerContracts = () => {
                       investor={contract.investor}
                       freelancer={contract.freelancer}
                       value={contract.value}
+                      currency={contract.currency}
+                      endDate={contract.endDate}
+                      overdue={contract.overdue}
+                      tags={contract.isTeamMember ? ["Team member"] : []}
+                      children={renderHourlySummary(contract)}
                       onClick={() => {
                         // Navigate to contract details
                       }}
@@ -486,6 +668,11 @@ const FreelancerContracts = () => {
                       investor={contract.investor}
                       freelancer={contract.freelancer}
                       value={contract.value}
+                      currency={contract.currency}
+                      endDate={contract.endDate}
+                      overdue={contract.overdue}
+                      tags={contract.isTeamMember ? ["Team member"] : []}
+                      children={renderHourlySummary(contract)}
                       onClick={() => {
                         // Navigate to contract details
                       }}
@@ -527,6 +714,11 @@ const FreelancerContracts = () => {
                       investor={contract.investor}
                       freelancer={contract.freelancer}
                       value={contract.value}
+                      currency={contract.currency}
+                      endDate={contract.endDate}
+                      overdue={contract.overdue}
+                      tags={contract.isTeamMember ? ["Team member"] : []}
+                      children={renderHourlySummary(contract)}
                       onClick={() => {
                         // Navigate to contract details
                       }}
@@ -544,6 +736,26 @@ const FreelancerContracts = () => {
               </Grid>
             )}
           </TabPanel>
+
+          {filteredContracts.length > 0 && (
+            <Box
+              sx={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                mt: 3,
+              }}
+            >
+              <Typography variant="body2" color="text.secondary">
+                Showing {filteredContracts.length} of {total} contracts
+              </Typography>
+              {hasMore && (
+                <Button variant="outlined" onClick={loadMore} disabled={loadingMore}>
+                  {loadingMore ? <CircularProgress size={24} /> : "Load More"}
+                </Button>
+              )}
+            </Box>
+          )}
         </StyledPaper>
       </Container>
 
@@ -592,7 +804,7 @@ const FreelancerContracts = () => {
           />
           <TextField
             name="value"
-            label="Contract Value ($)"
+            label={`Contract Value (${selectedContract?.currency || DEFAULT_CURRENCY})`}
             type="number"
             fullWidth
             margin="normal"
@@ -32,7 +32,8 @@ import {
 
 import Navigation from "../../components/Navigation";
 import { useAuth } from "../../context/AuthContext";
-import { getInvestors } from "../../services/userService";
+import MatchScoreBadge from "../../components/MatchScoreBadge";
+import { getRecommendations } from "../../services/userService";
 
 // Styled components
 const StickyNote = styled(Paper)(({ theme }) => ({
@@ -128,21 +129,18 @@ const FreelancerHome = () => {
   const [filterCategory, setFilterCategory] = useState("all");
   const [matchedInvestors, setMatchedInvestors] = useState(new Set());
 
-  // Fetch investors
+  // Fetch investors, ranked for this freelancer by the server
   useEffect(() => {
     const fetchInvestors = async () => {
       try {
         setLoading(true);
 
-        const data = await getInvestors();
+        const { results } = await getRecommendations({ limit: 100 });
 
-        // Add some mock recommendation scores and matching scores
-        const investorsWithScore = data.map((investor) => ({
+        const investorsWithScore = results.map((investor) => ({
           ...investor,
-          recommendationScore: Math.floor(Math.random() * 100), // Mock score
-          matchScore: Math.floor(Math.random() * 100), // Mock match score
-          hasSmartContract: Math.random() > 0.7, // 30% chance to have a smart contract
-          averageInvestment: Math.floor(Math.random() * 50000) + 10000, // $10K to $60K
+          completedInvestments: investor.completedContracts,
+          averageInvestment: investor.averageContractValue,
         }));
 
         setInvestors(investorsWithScore);
@@ -182,7 +180,7 @@ const FreelancerHome = () => {
     // Apply category filter
     if (filterCategory !== "all") {
       result = result.filter((investor) =>
-        investor.industries.includes(filterCategory)
+        investor.categories.includes(filterCategory)
       );
     }
 
@@ -305,7 +303,9 @@ const FreelancerHome = () => {
             >
               <MenuItem value="all">All Industries</MenuItem>
               <MenuItem value="tech">Technology</MenuItem>
+              <MenuItem value="design">Design</MenuItem>
               <MenuItem value="finance">Finance</MenuItem>
+              <MenuItem value="marketing">Marketing</MenuItem>
               <MenuItem value="healthcare">Healthcare</MenuItem>
               <MenuItem value="education">Education</MenuItem>
               <MenuItem value="real-estate">Real Estate</MenuItem>
@@ -364,6 +364,10 @@ const FreelancerHome = () => {
                         Avg: ${(investor.averageInvestment / 1000).toFixed(0)}K
                       </Typography>
                     </Box>
+                    <MatchScoreBadge
+                      score={investor.matchScore}
+                      breakdown={investor.breakdown}
+                    />
                     <Typography
                       variant="body2"
                       color="text.secondary"
@@ -420,6 +424,10 @@ const FreelancerHome = () => {
                         Avg: ${(investor.averageInvestment / 1000).toFixed(0)}K
                       </Typography>
                     </Box>
+                    <MatchScoreBadge
+                      score={investor.matchScore}
+                      breakdown={investor.breakdown}
+                    />
                     <Typography
                       variant="body2"
                       color="text.secondary"
@@ -48,12 +48,14 @@ import {
 } from "@mui/icons-material";
 
 import Navigation from "../../components/Navigation";
+import FinancialSummary from "../../components/FinancialSummary";
 import { useAuth } from "../../context/AuthContext";
 import {
   updateProfile,
   uploadProfileImage,
   updateWalletAddress,
 } from "../../services/authService";
+import { getUserReviews, getUserReputation } from "../../services/reviewService";
 
 // Styled components
 const Container = styled(Box)(({ theme }) => ({
@@ -126,6 +128,8 @@ const FreelancerProfile = () => {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [walletConnected, setWalletConnected] = useState(!!currentUser?.walletAddress);
+  const [reviews, setReviews] = useState([]);
+  const [reputation, setReputation] = useState(null);
   const [openSkillDialog, setOpenSkillDialog] = useState(false);
   const [openEducationDialog, setOpenEducationDialog] = useState(false);
   const [openExperienceDialog, setOpenExperienceDialog] = useState(false);
@@ -177,6 +181,18 @@ const FreelancerProfile = () => {
     }
   }, [currentUser]);
 
+  // Fetch the reviews shown in the analytics tab
+  useEffect(() => {
+    if (!currentUser?.id) return;
+
+    Promise.all([getUserReviews(currentUser.id, 5), getUserReputation(currentUser.id)])
+      .then(([reviewsData, reputationData]) => {
+        setReviews(reviewsData);
+        setReputation(reputationData);
+      })
+      .catch((err) => console.error("Error fetching reviews:", err));
+  }, [currentUser?.id]);
+
   // Handle tab change
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
@@ -219,7 +235,7 @@ const FreelancerProfile = () => {
       setSuccess("Profile image updated successfully!");
     } catch (err) {
       console.error("Error uploading image:", err);
-      setError("Failed to upload image. Please try again.");
+      setError(err.message || "Failed to upload image. Please try again.");
     } finally {
       setImageLoading(false);
     }
@@ -876,7 +892,7 @@ const FreelancerProfile = () => {
                   >
                     <Box sx={{ display: "flex", justifyContent: "center", mb: 1 }}>
                       <Typography variant="h3" sx={{ mr: 0.5 }}>
-                        {currentUser?.rating?.toFixed(1) || "0.0"}
+                        {(reputation ? reputation.asFreelancer.rating : currentUser?.rating || 0).toFixed(1)}
                       </Typography>
                       <StarIcon
                         sx={{ color: theme.colors.warning.main, fontSize: 30, mt: 0.8 }}
@@ -884,6 +900,7 @@ const FreelancerProfile = () => {
                     </Box>
                     <Typography variant="body2" color="text.secondary">
                       Average Rating
+                      {reputation && ` (${reputation.asFreelancer.ratingsCount} reviews)`}
                     </Typography>
                   </Paper>
                 </Grid>
@@ -924,35 +941,57 @@ const FreelancerProfile = () => {
               </Grid>
             </Box>
 
+            <Box sx={{ mb: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Financial Summary
+              </Typography>
+              <Typography variant="body2" color="text.secondary" paragraph>
+                Payments released to you from escrow and the invoices issued for them.
+              </Typography>
+              <FinancialSummary role="freelancer" />
+            </Box>
+
             <Box>
               <Typography variant="h6" gutterBottom>
-                Recent Contracts
+                Recent Reviews
               </Typography>
-              {currentUser?.completedContracts > 0 ? (
+              {reputation?.onChain && (
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  On-chain reputation: {reputation.onChain.reputation} verified contract(s)
+                  {!reputation.onChain.inSync &&
+                    ` (${reputation.onChain.expected} verified on the platform)`}
+                </Typography>
+              )}
+              {reviews.length > 0 ? (
                 <List>
-                  {/* This would be populated with actual contract data */}
-                  <ListItem>
-                    <ListItemAvatar>
-                      <Avatar>
-                        <ContractIcon />
-                      </Avatar>
-                    </ListItemAvatar>
-                    <ListItemText
-                      primary="Website Development Project"
-                      secondary="Completed on Jan 15, 2023 • $5,000"
-                    />
-                    <Box sx={{ display: "flex", alignItems: "center" }}>
-                      <Typography variant="body2" sx={{ mr: 1 }}>
-                        Rating:
-                      </Typography>
-                      <Rating value={4.5} precision={0.5} readOnly size="small" />
-                    </Box>
-                  </ListItem>
-                  <Divider variant="inset" component="li" />
+                  {reviews.map((review) => (
+                    <React.Fragment key={review.id}>
+                      <ListItem>
+                        <ListItemAvatar>
+                          <Avatar>
+                            <ContractIcon />
+                          </Avatar>
+                        </ListItemAvatar>
+                        <ListItemText
+                          primary={review.contractTitle}
+                          secondary={`${review.reviewer.name || review.reviewer.email} • ${new Date(
+                            review.createdAt
+                          ).toLocaleDateString()}${review.comment ? ` • ${review.comment}` : ""}`}
+                        />
+                        <Box sx={{ display: "flex", alignItems: "center" }}>
+                          <Typography variant="body2" sx={{ mr: 1 }}>
+                            Rating:
+                          </Typography>
+                          <Rating value={review.rating} readOnly size="small" />
+                        </Box>
+                      </ListItem>
+                      <Divider variant="inset" component="li" />
+                    </React.Fragment>
+                  ))}
                 </List>
               ) : (
                 <Typography variant="body2" color="text.secondary">
-                  No completed contracts yet. Your contract history will appear here once you complete your first project.
+                  No reviews yet. Clients can review you once they verify a completed contract.
                 </Typography>
               )}
             </Box>
@@ -11,6 +11,7 @@ import {
   Chip,
   IconButton,
   Menu,
+  Popover,
   MenuItem,
   CircularProgress,
   Divider,
@@ -24,6 +25,8 @@ import {
   FormControl,
   InputLabel,
   Select,
+  FormControlLabel,
+  Checkbox,
   useTheme,
 } from "@mui/material";
 import { styled } from "@mui/material/styles";
@@ -40,14 +43,40 @@ import {
   FilterList as FilterIcon,
   Sort as SortIcon,
   Search as SearchIcon,
+  Description as TemplateIcon,
+  Save as SaveIcon,
+  Cancel as CancelIcon,
+  DoneAll as ApproveIcon,
+  Download as DownloadIcon,
+  Chat as ChatIcon,
 } from "@mui/icons-material";
 
 import Navigation from "../../components/Navigation";
 import SmartContractCard from "../../components/SmartContractCard";
+import ContractFilters from "../../components/ContractFilters";
 import { useAuth } from "../../context/AuthContext";
 import { useContracts } from "../../context/ContractContext";
-import { getUserContracts, createContract } from "../../services/contractService";
+import {
+  getUserContracts,
+  createContract,
+  bulkContractAction,
+} from "../../services/contractService";
 import { getFreelancers } from "../../services/userService";
+import {
+  getContractTemplates,
+  createContractTemplate,
+  deleteContractTemplate,
+  renderContractTemplate,
+  getMissingVariables,
+} from "../../services/templateService";
+import { isNotPastDate, isValidDateRange } from "../../utils/validators";
+import {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  canEscrowOnChain,
+  isTokenCurrency,
+} from "../../utils/currencies";
+import { useCurrency } from "../../context/CurrencyContext";
 
 // Styled components
 const Container = styled(Box)(({ theme }) => ({
@@ -90,6 +119,7 @@ const InvestorContracts = () => {
   const theme = useTheme();
   const navigate = useNavigate();
   const { currentUser } = useAuth();
+  const { formatConverted } = useCurrency();
   const {
     contracts,
     filteredContracts,
@@ -98,6 +128,12 @@ const InvestorContracts = () => {
     filters,
     updateFilters,
     resetFilters,
+    total,
+    hasMore,
+    searching,
+    loadingMore,
+    loadMore,
+    refreshContracts,
   } = useContracts();
 
   // Local state
@@ -110,16 +146,52 @@ const InvestorContracts = () => {
   const [search, setSearch] = useState("");
   const [sortOpen, setSortOpen] = useState(false);
   const [sortAnchorEl, setSortAnchorEl] = useState(null);
+  const [filterAnchorEl, setFilterAnchorEl] = useState(null);
+  const [counterparties, setCounterparties] = useState([]);
   const [successMessage, setSuccessMessage] = useState(null);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
 
+  // Bulk action state
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkLoading, setBulkLoading] = useState(false);
+  const [bulkError, setBulkError] = useState(null);
+  const [bulkResult, setBulkResult] = useState(null);
+  const [bulkConfirm, setBulkConfirm] = useState(null);
+  const [messageDialogOpen, setMessageDialogOpen] = useState(false);
+  const [bulkMessage, setBulkMessage] = useState("");
+
+  // Template state
+  const [templateDialogOpen, setTemplateDialogOpen] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [templatesLoading, setTemplatesLoading] = useState(false);
+  const [selectedTemplateId, setSelectedTemplateId] = useState("");
+  const [templateValues, setTemplateValues] = useState({});
+  const [missingVariables, setMissingVariables] = useState([]);
+  const [templateError, setTemplateError] = useState(null);
+  const [saveTemplateOpen, setSaveTemplateOpen] = useState(false);
+  const [saveTemplateData, setSaveTemplateData] = useState({
+    name: "",
+    category: "custom",
+    isPrivate: true,
+  });
+
+  const selectedTemplate = templates.find((t) => t.id === selectedTemplateId);
+
   // Dialog form state
   const [formData, setFormData] = useState({
     title: "",
     description: "",
+    terms: "",
     value: 0,
+    currency: DEFAULT_CURRENCY,
+    contractType: "fixed",
+    hourlyRate: "",
+    weeklyHourCap: "",
     freelancerId: "",
     createOnBlockchain: true,
+    milestones: [],
+    startDate: "",
+    endDate: "",
   });
 
   // Fetch freelancers for the dialog
@@ -174,9 +246,17 @@ const InvestorContracts = () => {
     setFormData({
       title: selectedContract.title,
       description: selectedContract.description,
+      terms: selectedContract.terms || "",
       value: selectedContract.value,
+      currency: selectedContract.currency || DEFAULT_CURRENCY,
+      contractType: selectedContract.contractType || "fixed",
+      hourlyRate: selectedContract.hourlyRate || "",
+      weeklyHourCap: "",
       freelancerId: selectedContract.freelancer.id,
       createOnBlockchain: !!selectedContract.smartContractAddress,
+      milestones: [],
+      startDate: selectedContract.startDate || "",
+      endDate: selectedContract.endDate || "",
     });
     setOpenDialog(true);
   };
@@ -192,6 +272,98 @@ const InvestorContracts = () => {
     setSuccessMessage("Contract deleted successfully");
   };
 
+  // Remember everyone the loaded pages were with, so the counterparty
+  // filter keeps its options while the list is filtered
+  useEffect(() => {
+    setCounterparties((known) => {
+      const byId = new Map(known.map((user) => [user.id, user]));
+      contracts.forEach((contract) => {
+        const user = contract.freelancer;
+        if (user && !byId.has(user.id)) {
+          byId.set(user.id, { id: user.id, name: user.name || user.email });
+        }
+      });
+      return byId.size === known.length ? known : Array.from(byId.values());
+    });
+  }, [contracts]);
+
+  // Keep only the selected contracts that are still listed
+  useEffect(() => {
+    setSelectedIds((selected) => {
+      const listed = selected.filter((id) =>
+        filteredContracts.some((contract) => contract.id === id)
+      );
+      return listed.length === selected.length ? selected : listed;
+    });
+  }, [filteredContracts]);
+
+  const toggleSelected = (contractId) => {
+    setSelectedIds((selected) =>
+      selected.includes(contractId)
+        ? selected.filter((id) => id !== contractId)
+        : [...selected, contractId]
+    );
+  };
+
+  const allSelected =
+    filteredContracts.length > 0 && selectedIds.length === filteredContracts.length;
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : filteredContracts.map((contract) => contract.id));
+  };
+
+  // Run an action on the selected contracts. Failures are listed per
+  // contract; the rest of the selection is still processed.
+  const handleBulkAction = async (action, message = undefined) => {
+    try {
+      setBulkLoading(true);
+      setBulkError(null);
+      setBulkConfirm(null);
+
+      const result = await bulkContractAction(action, selectedIds, message);
+
+      if (action === "export") {
+        const url = URL.createObjectURL(new Blob([result.csv], { type: "text/csv" }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `contracts-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+      }
+
+      if (action === "message") {
+        setMessageDialogOpen(false);
+        setBulkMessage("");
+      }
+
+      if (action === "cancel" || action === "approve-deliverables") {
+        refreshContracts();
+      }
+
+      if (result.failed > 0) {
+        setBulkResult(result);
+      } else {
+        setSuccessMessage(`Done for ${result.succeeded} contract(s)`);
+        setSelectedIds([]);
+      }
+    } catch (err) {
+      console.error("Error running bulk action:", err);
+      setBulkError(err.message || "Failed to run the action. Please try again.");
+    } finally {
+      setBulkLoading(false);
+    }
+  };
+
+  // Filters set in the filter panel
+  const activeFilterCount = [
+    filters.counterpartyId,
+    filters.minValue,
+    filters.maxValue,
+    filters.from,
+    filters.to,
+    filters.verified !== "all",
+  ].filter(Boolean).length;
+
   // Handle sort menu
   const handleSortClick = (event) => {
     setSortAnchorEl(event.currentTarget);
@@ -212,9 +384,17 @@ const InvestorContracts = () => {
     setFormData({
       title: "",
       description: "",
+      terms: "",
       value: 0,
+      currency: DEFAULT_CURRENCY,
+      contractType: "fixed",
+      hourlyRate: "",
+      weeklyHourCap: "",
       freelancerId: "",
       createOnBlockchain: true,
+      milestones: [],
+      startDate: "",
+      endDate: "",
     });
     setOpenDialog(true);
   };
@@ -228,6 +408,10 @@ const InvestorContracts = () => {
     setFormData({
       ...formData,
       [name]: name === "value" ? parseFloat(value) : value,
+      // Only ether can be escrowed on-chain
+      ...(name === "currency" && !canEscrowOnChain(value)
+        ? { createOnBlockchain: false }
+        : {}),
     });
   };
 
@@ -238,16 +422,83 @@ const InvestorContracts = () => {
     });
   };
 
+  // Milestone editor handlers
+  const handleAddMilestone = () => {
+    setFormData({
+      ...formData,
+      milestones: [...formData.milestones, { title: "", amount: 0, dueDate: "" }],
+    });
+  };
+
+  const handleMilestoneChange = (index, field, value) => {
+    const milestones = formData.milestones.map((milestone, i) =>
+      i === index
+        ? { ...milestone, [field]: field === "amount" ? parseFloat(value) || 0 : value }
+        : milestone
+    );
+
+    setFormData({
+      ...formData,
+      milestones,
+      // Milestones always split the full contract value
+      value: milestones.reduce((sum, m) => sum + m.amount, 0),
+    });
+  };
+
+  const handleRemoveMilestone = (index) => {
+    const milestones = formData.milestones.filter((_, i) => i !== index);
+
+    setFormData({
+      ...formData,
+      milestones,
+      value:
+        milestones.length > 0
+          ? milestones.reduce((sum, m) => sum + m.amount, 0)
+          : formData.value,
+    });
+  };
+
+  // Validate the contract dates, keyed by field
+  const getDateErrors = () => {
+    const errors = {};
+
+    if (formData.startDate) {
+      const result = isNotPastDate(formData.startDate);
+      if (!result.valid) errors.startDate = result.message;
+    }
+
+    if (formData.endDate) {
+      const result = formData.startDate
+        ? isValidDateRange(formData.startDate, formData.endDate)
+        : isNotPastDate(formData.endDate);
+      if (!result.valid) errors.endDate = result.message;
+    }
+
+    return errors;
+  };
+
   const handleCreateContract = async () => {
     try {
+      if (Object.keys(getDateErrors()).length > 0) {
+        return;
+      }
+
       // In real app, call API to create/update contract
       const contractData = {
         title: formData.title,
         description: formData.description,
+        terms: formData.terms,
         value: formData.value,
+        currency: formData.currency,
+        contractType: formData.contractType,
+        hourlyRate: formData.hourlyRate,
+        weeklyHourCap: formData.weeklyHourCap,
         investorId: currentUser.id,
         freelancerId: formData.freelancerId,
         createOnBlockchain: formData.createOnBlockchain,
+        milestones: formData.contractType === "hourly" ? [] : formData.milestones,
+        startDate: formData.startDate,
+        endDate: formData.endDate,
       };
 
       // Call service to create contract
@@ -266,6 +517,102 @@ const InvestorContracts = () => {
     }
   };
 
+  // Template handlers
+  const handleOpenTemplateDialog = async () => {
+    setTemplateDialogOpen(true);
+    setTemplateError(null);
+
+    try {
+      setTemplatesLoading(true);
+      setTemplates(await getContractTemplates());
+    } catch (err) {
+      console.error("Error fetching templates:", err);
+      setTemplateError("Failed to load templates. Please try again.");
+    } finally {
+      setTemplatesLoading(false);
+    }
+  };
+
+  const handleCloseTemplateDialog = () => {
+    setTemplateDialogOpen(false);
+    setSelectedTemplateId("");
+    setTemplateValues({});
+    setMissingVariables([]);
+  };
+
+  const handleSelectTemplate = (templateId) => {
+    const template = templates.find((t) => t.id === templateId);
+
+    setSelectedTemplateId(templateId);
+    setMissingVariables([]);
+    setTemplateValues(
+      Object.fromEntries(
+        (template?.variables || []).map((v) => [v.key, v.defaultValue || ""])
+      )
+    );
+  };
+
+  const handleTemplateValueChange = (key, value) => {
+    setTemplateValues({ ...templateValues, [key]: value });
+    setMissingVariables(missingVariables.filter((k) => k !== key));
+  };
+
+  // Fill the template and pre-fill the create form with the result
+  const handleApplyTemplate = async () => {
+    const missing = getMissingVariables(selectedTemplate, templateValues);
+
+    if (missing.length > 0) {
+      setMissingVariables(missing);
+      return;
+    }
+
+    try {
+      const rendered = await renderContractTemplate(selectedTemplateId, templateValues);
+
+      setFormData({
+        ...formData,
+        title: rendered.title,
+        description: rendered.description,
+        terms: rendered.terms,
+      });
+      handleCloseTemplateDialog();
+    } catch (err) {
+      console.error("Error applying template:", err);
+      setTemplateError(err.message);
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    try {
+      await deleteContractTemplate(selectedTemplateId);
+      setTemplates(templates.filter((t) => t.id !== selectedTemplateId));
+      setSelectedTemplateId("");
+      setSuccessMessage("Template deleted");
+    } catch (err) {
+      console.error("Error deleting template:", err);
+      setTemplateError("Failed to delete template. Please try again.");
+    }
+  };
+
+  // Save the current form as a reusable template
+  const handleSaveTemplate = async () => {
+    try {
+      await createContractTemplate({
+        ...saveTemplateData,
+        title: formData.title,
+        body: formData.description,
+        terms: formData.terms,
+      });
+
+      setSaveTemplateOpen(false);
+      setSaveTemplateData({ name: "", category: "custom", isPrivate: true });
+      setSuccessMessage("Template saved");
+    } catch (err) {
+      console.error("Error saving template:", err);
+      setTemplateError(err.message);
+    }
+  };
+
   // Handle search
   const handleSearchChange = (e) => {
     setSearch(e.target.value);
@@ -298,6 +645,11 @@ const InvestorContracts = () => {
     );
   }
 
+  const dateErrors = getDateErrors();
+
+  // Active contracts past their end date
+  const overdueContracts = filteredContracts.filter((contract) => contract.overdue);
+
   // Filter contracts by status for each tab panel
   const getContractsByStatus = (status) => {
     if (status === "all") {
@@ -314,6 +666,14 @@ const InvestorContracts = () => {
           Manage Contracts
         </Typography>
 
+        {overdueContracts.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {overdueContracts.length === 1
+              ? "1 active contract is past its end date."
+              : `${overdueContracts.length} active contracts are past their end date.`}
+          </Alert>
+        )}
+
         <StyledPaper>
           <Box
             sx={{
@@ -345,9 +705,31 @@ const InvestorContracts = () => {
                   disableUnderline: true,
                 }}
               />
+              {searching && <CircularProgress size={16} sx={{ ml: 1 }} />}
             </Box>
 
             <Box sx={{ display: "flex", gap: 1 }}>
+              <Button
+                variant={activeFilterCount > 0 ? "contained" : "outlined"}
+                startIcon={<FilterIcon />}
+                onClick={(e) => setFilterAnchorEl(e.currentTarget)}
+              >
+                {activeFilterCount > 0 ? `Filters (${activeFilterCount})` : "Filters"}
+              </Button>
+              <Popover
+                open={Boolean(filterAnchorEl)}
+                anchorEl={filterAnchorEl}
+                onClose={() => setFilterAnchorEl(null)}
+                anchorOrigin={{ vertical: "bottom", horizontal: "left" }}
+              >
+                <ContractFilters
+                  filters={filters}
+                  onChange={updateFilters}
+                  counterparties={counterparties}
+                  counterpartyLabel="Freelancer"
+                />
+              </Popover>
+
               <Button
                 variant="outlined"
                 startIcon={<SortIcon />}
@@ -384,6 +766,12 @@ const InvestorContracts = () => {
                 >
                   Lowest Value
                 </MenuItem>
+                <MenuItem
+                  onClick={() => handleSortSelect("updated")}
+                  selected={filters.sortBy === "updated"}
+                >
+                  Recently Updated
+                </MenuItem>
               </Menu>
 
               <Button
@@ -400,6 +788,68 @@ const InvestorContracts = () => {
             </Box>
           </Box>
 
+          {selectedIds.length > 0 && (
+            <Box
+              sx={{
+                display: "flex",
+                alignItems: "center",
+                flexWrap: "wrap",
+                gap: 1,
+                mb: 2,
+                p: 1,
+                borderRadius: 1,
+                backgroundColor: "rgba(0, 0, 0, 0.04)",
+              }}
+            >
+              <Typography variant="body2" sx={{ mr: 1 }}>
+                {selectedIds.length} selected
+              </Typography>
+              <Button
+                size="small"
+                startIcon={<CancelIcon />}
+                disabled={bulkLoading}
+                onClick={() => setBulkConfirm("cancel")}
+              >
+                Cancel Drafts
+              </Button>
+              <Button
+                size="small"
+                startIcon={<ApproveIcon />}
+                disabled={bulkLoading}
+                onClick={() => setBulkConfirm("approve-deliverables")}
+              >
+                Approve Deliverables
+              </Button>
+              <Button
+                size="small"
+                startIcon={<DownloadIcon />}
+                disabled={bulkLoading}
+                onClick={() => handleBulkAction("export")}
+              >
+                Export CSV
+              </Button>
+              <Button
+                size="small"
+                startIcon={<ChatIcon />}
+                disabled={bulkLoading}
+                onClick={() => setMessageDialogOpen(true)}
+              >
+                Message Freelancers
+              </Button>
+              <Box sx={{ flex: 1 }} />
+              {bulkLoading && <CircularProgress size={20} />}
+              <Button size="small" onClick={() => setSelectedIds([])}>
+                Clear Selection
+              </Button>
+            </Box>
+          )}
+
+          {bulkError && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setBulkError(null)}>
+              {bulkError}
+            </Alert>
+          )}
+
           <Tabs
             value={tabValue}
             onChange={handleTabChange}
@@ -455,14 +905,26 @@ const InvestorContracts = () => {
                       investor={contract.investor}
                       freelancer={contract.freelancer}
                       value={contract.value}
+                      currency={contract.currency}
+                      endDate={contract.endDate}
+                      overdue={contract.overdue}
                       onClick={() => handleViewContract(contract.id)}
                       actions={
-                        <IconButton
-                          size="small"
-                          onClick={(e) => handleMenuOpen(e, contract)}
-                        >
-                          <MoreIcon />
-                        </IconButton>
+                        <>
+                          <Checkbox
+                            size="small"
+                            checked={selectedIds.includes(contract.id)}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={() => toggleSelected(contract.id)}
+                            inputProps={{ "aria-label": `Select ${contract.title}` }}
+                          />
+                          <IconButton
+                            size="small"
+                            onClick={(e) => handleMenuOpen(e, contract)}
+                          >
+                            <MoreIcon />
+                          </IconButton>
+                        </>
                       }
                     />
                   </Grid>
@@ -494,14 +956,26 @@ const InvestorContracts = () => {
                       investor={contract.investor}
                       freelancer={contract.freelancer}
                       value={contract.value}
+                      currency={contract.currency}
+                      endDate={contract.endDate}
+                      overdue={contract.overdue}
                       onClick={() => handleViewContract(contract.id)}
                       actions={
-                        <IconButton
-                          size="small"
-                          onClick={(e) => handleMenuOpen(e, contract)}
-                        >
-                          <MoreIcon />
-                        </IconButton>
+                        <>
+                          <Checkbox
+                            size="small"
+                            checked={selectedIds.includes(contract.id)}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={() => toggleSelected(contract.id)}
+                            inputProps={{ "aria-label": `Select ${contract.title}` }}
+                          />
+                          <IconButton
+                            size="small"
+                            onClick={(e) => handleMenuOpen(e, contract)}
+                          >
+                            <MoreIcon />
+                          </IconButton>
+                        </>
                       }
                     />
                   </Grid>
@@ -533,14 +1007,26 @@ const InvestorContracts = () => {
                       investor={contract.investor}
                       freelancer={contract.freelancer}
                       value={contract.value}
+                      currency={contract.currency}
+                      endDate={contract.endDate}
+                      overdue={contract.overdue}
                       onClick={() => handleViewContract(contract.id)}
                       actions={
-                        <IconButton
-                          size="small"
-                          onClick={(e) => handleMenuOpen(e, contract)}
-                        >
-                          <MoreIcon />
-                        </IconButton>
+                        <>
+                          <Checkbox
+                            size="small"
+                            checked={selectedIds.includes(contract.id)}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={() => toggleSelected(contract.id)}
+                            inputProps={{ "aria-label": `Select ${contract.title}` }}
+                          />
+                          <IconButton
+                            size="small"
+                            onClick={(e) => handleMenuOpen(e, contract)}
+                          >
+                            <MoreIcon />
+                          </IconButton>
+                        </>
                       }
                     />
                   </Grid>
@@ -572,14 +1058,26 @@ const InvestorContracts = () => {
                       investor={contract.investor}
                       freelancer={contract.freelancer}
                       value={contract.value}
+                      currency={contract.currency}
+                      endDate={contract.endDate}
+                      overdue={contract.overdue}
                       onClick={() => handleViewContract(contract.id)}
                       actions={
-                        <IconButton
-                          size="small"
-                          onClick={(e) => handleMenuOpen(e, contract)}
-                        >
-                          <MoreIcon />
-                        </IconButton>
+                        <>
+                          <Checkbox
+                            size="small"
+                            checked={selectedIds.includes(contract.id)}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={() => toggleSelected(contract.id)}
+                            inputProps={{ "aria-label": `Select ${contract.title}` }}
+                          />
+                          <IconButton
+                            size="small"
+                            onClick={(e) => handleMenuOpen(e, contract)}
+                          >
+                            <MoreIcon />
+                          </IconButton>
+                        </>
                       }
                     />
                   </Grid>
@@ -587,6 +1085,38 @@ const InvestorContracts = () => {
               </Grid>
             )}
           </TabPanel>
+
+          {filteredContracts.length > 0 && (
+            <Box
+              sx={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                mt: 3,
+              }}
+            >
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={allSelected}
+                    indeterminate={selectedIds.length > 0 && !allSelected}
+                    onChange={toggleSelectAll}
+                  />
+                }
+                label={
+                  <Typography variant="body2" color="text.secondary">
+                    Showing {filteredContracts.length} of {total} contracts
+                  </Typography>
+                }
+              />
+              {hasMore && (
+                <Button variant="outlined" onClick={loadMore} disabled={loadingMore}>
+                  {loadingMore ? <CircularProgress size={24} /> : "Load More"}
+                </Button>
+              )}
+            </Box>
+          )}
         </StyledPaper>
       </Container>
 
@@ -608,8 +1138,19 @@ const InvestorContracts = () => {
 
       {/* Create/Edit Contract Dialog */}
       <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="md" fullWidth>
-        <DialogTitle>
+        <DialogTitle
+          sx={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}
+        >
           {selectedContract ? "Edit Contract" : "Create New Contract"}
+          {!selectedContract && (
+            <Button
+              size="small"
+              startIcon={<TemplateIcon />}
+              onClick={handleOpenTemplateDialog}
+            >
+              From Template
+            </Button>
+          )}
         </DialogTitle>
         <DialogContent>
           <Grid container spacing={2} sx={{ mt: 1 }}>
@@ -634,14 +1175,100 @@ const InvestorContracts = () => {
                 onChange={handleInputChange}
               />
             </Grid>
+            <Grid item xs={12}>
+              <TextField
+                name="terms"
+                label="Terms"
+                fullWidth
+                multiline
+                rows={6}
+                value={formData.terms}
+                onChange={handleInputChange}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth>
+                <InputLabel>Contract Type</InputLabel>
+                <Select
+                  name="contractType"
+                  value={formData.contractType}
+                  onChange={handleInputChange}
+                  label="Contract Type"
+                  disabled={!!selectedContract || formData.milestones.length > 0}
+                >
+                  <MenuItem value="fixed">Fixed price</MenuItem>
+                  <MenuItem value="hourly">Hourly</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth>
+                <InputLabel>Currency</InputLabel>
+                <Select
+                  name="currency"
+                  value={formData.currency}
+                  onChange={handleInputChange}
+                  label="Currency"
+                  disabled={!!selectedContract}
+                >
+                  {CURRENCIES.map((c) => (
+                    <MenuItem key={c.code} value={c.code}>
+                      {c.code} - {c.name}
+                      {c.type === "token" && " (ERC-20)"}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            {formData.contractType === "hourly" && (
+              <>
+                <Grid item xs={6} md={3}>
+                  <TextField
+                    name="hourlyRate"
+                    label={`Hourly Rate (${formData.currency})`}
+                    type="number"
+                    fullWidth
+                    value={formData.hourlyRate}
+                    onChange={handleInputChange}
+                    required
+                  />
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <TextField
+                    name="weeklyHourCap"
+                    label="Weekly Cap (h)"
+                    type="number"
+                    fullWidth
+                    value={formData.weeklyHourCap}
+                    onChange={handleInputChange}
+                    helperText="Optional"
+                  />
+                </Grid>
+              </>
+            )}
             <Grid item xs={12} md={6}>
               <TextField
                 name="value"
-                label="Contract Value ($)"
+                label={
+                  formData.contractType === "hourly"
+                    ? `Budget (${formData.currency})`
+                    : `Contract Value (${formData.currency})`
+                }
                 type="number"
                 fullWidth
                 value={formData.value}
                 onChange={handleInputChange}
+                disabled={formData.milestones.length > 0}
+                helperText={
+                  formData.milestones.length > 0
+                    ? "Calculated from the milestone amounts"
+                    : formData.contractType === "hourly"
+                    ? "Held in escrow and paid out as timesheets are approved"
+                    : formData.value > 0 &&
+                      formatConverted(formData.value, formData.currency)
+                    ? `≈ ${formatConverted(formData.value, formData.currency)}`
+                    : ""
+                }
                 InputProps={{
                   startAdornment: <MoneyIcon sx={{ mr: 1, color: "text.secondary" }} />,
                 }}
@@ -670,6 +1297,99 @@ const InvestorContracts = () => {
                 </Select>
               </FormControl>
             </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                name="startDate"
+                label="Start Date"
+                type="date"
+                fullWidth
+                value={formData.startDate}
+                onChange={handleInputChange}
+                InputLabelProps={{ shrink: true }}
+                error={!!dateErrors.startDate}
+                helperText={
+                  dateErrors.startDate ||
+                  "Unaccepted contracts expire once the start date passes"
+                }
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                name="endDate"
+                label="End Date"
+                type="date"
+                fullWidth
+                value={formData.endDate}
+                onChange={handleInputChange}
+                InputLabelProps={{ shrink: true }}
+                error={!!dateErrors.endDate}
+                helperText={dateErrors.endDate}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <Box
+                sx={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                }}
+              >
+                <Typography variant="subtitle1">Milestones</Typography>
+                <Button
+                  size="small"
+                  startIcon={<AddIcon />}
+                  onClick={handleAddMilestone}
+                  disabled={!!selectedContract || formData.contractType === "hourly"}
+                >
+                  Add Milestone
+                </Button>
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                {formData.contractType === "hourly"
+                  ? "Hourly contracts are paid per approved weekly timesheet"
+                  : "Each milestone's amount is released from escrow once its deliverables are approved"}
+              </Typography>
+            </Grid>
+            {formData.milestones.map((milestone, index) => (
+              <React.Fragment key={index}>
+                <Grid item xs={12} md={5}>
+                  <TextField
+                    label="Milestone Title"
+                    fullWidth
+                    size="small"
+                    value={milestone.title}
+                    onChange={(e) => handleMilestoneChange(index, "title", e.target.value)}
+                    required
+                  />
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <TextField
+                    label={`Amount (${formData.currency})`}
+                    type="number"
+                    fullWidth
+                    size="small"
+                    value={milestone.amount}
+                    onChange={(e) => handleMilestoneChange(index, "amount", e.target.value)}
+                  />
+                </Grid>
+                <Grid item xs={5} md={3}>
+                  <TextField
+                    label="Due Date"
+                    type="date"
+                    fullWidth
+                    size="small"
+                    value={milestone.dueDate}
+                    onChange={(e) => handleMilestoneChange(index, "dueDate", e.target.value)}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                </Grid>
+                <Grid item xs={1}>
+                  <IconButton onClick={() => handleRemoveMilestone(index)}>
+                    <DeleteIcon />
+                  </IconButton>
+                </Grid>
+              </React.Fragment>
+            ))}
             <Grid item xs={12}>
               <FormControl fullWidth>
                 <Box sx={{ display: "flex", alignItems: "center" }}>
@@ -681,21 +1401,38 @@ const InvestorContracts = () => {
                     value={formData.createOnBlockchain}
                     onChange={(e) => handleInputChange(e)}
                   >
-                    <MenuItem value={true}>Yes - Deploy on Blockchain</MenuItem>
+                    <MenuItem value={true} disabled={!canEscrowOnChain(formData.currency)}>
+                      Yes - Deploy on Blockchain
+                    </MenuItem>
                     <MenuItem value={false}>No - Save as Regular Contract</MenuItem>
                   </Select>
                 </Box>
                 <Typography variant="caption" color="text.secondary" sx={{ mt: 1 }}>
-                  Smart contracts are stored on the blockchain for increased security and transparency
+                  {!canEscrowOnChain(formData.currency)
+                    ? `${formData.currency} contracts are tracked off-chain; choose ETH or a supported token to escrow on the blockchain`
+                    : isTokenCurrency(formData.currency) && formData.createOnBlockchain
+                    ? `Your wallet will ask you to approve the ${formData.currency} transfer before the escrow is created`
+                    : "Smart contracts are stored on the blockchain for increased security and transparency"}
                 </Typography>
               </FormControl>
             </Grid>
           </Grid>
         </DialogContent>
         <DialogActions>
+          {!selectedContract && (
+            <Button
+              startIcon={<SaveIcon />}
+              onClick={() => setSaveTemplateOpen(true)}
+              disabled={!formData.title}
+              sx={{ mr: "auto" }}
+            >
+              Save as Template
+            </Button>
+          )}
           <Button onClick={handleCloseDialog}>Cancel</Button>
           <Button
             onClick={handleCreateContract}
+            disabled={Object.keys(dateErrors).length > 0}
             variant="contained"
             sx={{
               bgcolor: theme.colors.secondary.main,
@@ -707,6 +1444,181 @@ const InvestorContracts = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Create From Template Dialog */}
+      <Dialog
+        open={templateDialogOpen}
+        onClose={handleCloseTemplateDialog}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Create from Template</DialogTitle>
+        <DialogContent>
+          {templateError && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setTemplateError(null)}>
+              {templateError}
+            </Alert>
+          )}
+          <FormControl fullWidth sx={{ mt: 1 }}>
+            <InputLabel>Template</InputLabel>
+            <Select
+              value={selectedTemplateId}
+              onChange={(e) => handleSelectTemplate(e.target.value)}
+              label="Template"
+            >
+              {templatesLoading ? (
+                <MenuItem disabled>Loading templates...</MenuItem>
+              ) : (
+                templates.map((template) => (
+                  <MenuItem key={template.id} value={template.id}>
+                    <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                      {template.name}
+                      {template.builtIn ? (
+                        <Chip label="Built-in" size="small" />
+                      ) : (
+                        <Chip
+                          label={template.isPrivate ? "Private" : "Shared"}
+                          size="small"
+                          variant="outlined"
+                        />
+                      )}
+                    </Box>
+                  </MenuItem>
+                ))
+              )}
+            </Select>
+          </FormControl>
+
+          {selectedTemplate && (
+            <Box sx={{ mt: 2 }}>
+              {selectedTemplate.description && (
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  {selectedTemplate.description}
+                </Typography>
+              )}
+              <Grid container spacing={2}>
+                {selectedTemplate.variables.map((variable) => (
+                  <Grid item xs={12} sm={6} key={variable.key}>
+                    <TextField
+                      label={variable.label}
+                      fullWidth
+                      size="small"
+                      required={variable.required}
+                      value={templateValues[variable.key] || ""}
+                      onChange={(e) =>
+                        handleTemplateValueChange(variable.key, e.target.value)
+                      }
+                      error={missingVariables.includes(variable.key)}
+                      helperText={
+                        missingVariables.includes(variable.key)
+                          ? "Required"
+                          : `{{${variable.key}}}`
+                      }
+                    />
+                  </Grid>
+                ))}
+              </Grid>
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {selectedTemplate?.ownerId === currentUser?.id && (
+            <Button
+              color="error"
+              startIcon={<DeleteIcon />}
+              onClick={handleDeleteTemplate}
+              sx={{ mr: "auto" }}
+            >
+              Delete Template
+            </Button>
+          )}
+          <Button onClick={handleCloseTemplateDialog}>Cancel</Button>
+          <Button
+            onClick={handleApplyTemplate}
+            disabled={!selectedTemplate}
+            variant="contained"
+            sx={{
+              bgcolor: theme.colors.secondary.main,
+              "&:hover": { bgcolor: theme.colors.secondary.dark },
+            }}
+          >
+            Use Template
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Save As Template Dialog */}
+      <Dialog
+        open={saveTemplateOpen}
+        onClose={() => setSaveTemplateOpen(false)}
+        maxWidth="xs"
+        fullWidth
+      >
+        <DialogTitle>Save as Template</DialogTitle>
+        <DialogContent>
+          {templateError && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setTemplateError(null)}>
+              {templateError}
+            </Alert>
+          )}
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Placeholders such as {"{{project_name}}"} in the title, description
+            or terms are filled in each time the template is used.
+          </Typography>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Template Name"
+            fullWidth
+            value={saveTemplateData.name}
+            onChange={(e) =>
+              setSaveTemplateData({ ...saveTemplateData, name: e.target.value })
+            }
+            required
+          />
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Category</InputLabel>
+            <Select
+              value={saveTemplateData.category}
+              onChange={(e) =>
+                setSaveTemplateData({ ...saveTemplateData, category: e.target.value })
+              }
+              label="Category"
+            >
+              <MenuItem value="nda">NDA</MenuItem>
+              <MenuItem value="fixed_price">Fixed Price</MenuItem>
+              <MenuItem value="hourly_retainer">Hourly Retainer</MenuItem>
+              <MenuItem value="equity_for_work">Equity for Work</MenuItem>
+              <MenuItem value="custom">Custom</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={saveTemplateData.isPrivate}
+                onChange={(e) =>
+                  setSaveTemplateData({ ...saveTemplateData, isPrivate: e.target.checked })
+                }
+              />
+            }
+            label="Only visible to me"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSaveTemplateOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handleSaveTemplate}
+            disabled={!saveTemplateData.name}
+            variant="contained"
+            sx={{
+              bgcolor: theme.colors.secondary.main,
+              "&:hover": { bgcolor: theme.colors.secondary.dark },
+            }}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Delete Confirmation Dialog */}
       <Dialog
         open={deleteConfirmOpen}
@@ -731,6 +1643,100 @@ const InvestorContracts = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Bulk Action Confirmation Dialog */}
+      <Dialog open={Boolean(bulkConfirm)} onClose={() => setBulkConfirm(null)}>
+        <DialogTitle>
+          {bulkConfirm === "cancel" ? "Cancel Draft Contracts" : "Approve Deliverables"}
+        </DialogTitle>
+        <DialogContent>
+          <Typography>
+            {bulkConfirm === "cancel"
+              ? `Cancel the drafts among the ${selectedIds.length} selected contract(s)? Contracts that are not drafts are skipped.`
+              : `Approve every pending deliverable on the ${selectedIds.length} selected contract(s)? Milestones whose deliverables are all approved release their payment.`}
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBulkConfirm(null)}>Back</Button>
+          <Button
+            variant="contained"
+            color={bulkConfirm === "cancel" ? "error" : "primary"}
+            onClick={() => handleBulkAction(bulkConfirm)}
+          >
+            {bulkConfirm === "cancel" ? "Cancel Drafts" : "Approve"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Bulk Message Dialog */}
+      <Dialog
+        open={messageDialogOpen}
+        onClose={() => setMessageDialogOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Message Freelancers</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            The lead freelancer of each of the {selectedIds.length} selected contract(s)
+            receives this message in chat, headed with the contract title.
+          </Typography>
+          <TextField
+            label="Message"
+            multiline
+            rows={4}
+            fullWidth
+            value={bulkMessage}
+            onChange={(e) => setBulkMessage(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMessageDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            disabled={bulkLoading || !bulkMessage.trim()}
+            onClick={() => handleBulkAction("message", bulkMessage)}
+          >
+            {bulkLoading ? <CircularProgress size={24} /> : "Send"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Bulk Action Results Dialog */}
+      <Dialog open={Boolean(bulkResult)} onClose={() => setBulkResult(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Some Contracts Were Not Updated</DialogTitle>
+        <DialogContent>
+          {bulkResult && (
+            <>
+              <Typography paragraph>
+                {bulkResult.succeeded} succeeded, {bulkResult.failed} failed.
+              </Typography>
+              {bulkResult.results
+                .filter((item) => !item.success)
+                .map((item) => (
+                  <Alert key={item.contractId} severity="warning" sx={{ mb: 1 }}>
+                    <strong>{item.title || item.contractId}</strong>: {item.error}
+                    {item.message && ` (${item.message})`}
+                    {item.approved > 0 && ` ${item.approved} deliverable(s) were approved first.`}
+                  </Alert>
+                ))}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => {
+              // Leave only the failed contracts selected so they can be retried
+              setSelectedIds(
+                bulkResult.results.filter((item) => !item.success).map((item) => item.contractId)
+              );
+              setBulkResult(null);
+            }}
+          >
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Success Snackbar */}
       <Snackbar
         open={!!successMessage}
@@ -22,13 +22,13 @@ import { styled } from "@mui/material/styles";
 import {
   Search as SearchIcon,
   FilterList as FilterIcon,
-  ThumbUp as ThumbUpIcon,
   StarRate as StarIcon,
 } from "@mui/icons-material";
 
 import Navigation from "../../components/Navigation";
 import { useAuth } from "../../context/AuthContext";
-import { getFreelancers } from "../../services/userService";
+import MatchScoreBadge from "../../components/MatchScoreBadge";
+import { getRecommendations } from "../../services/userService";
 
 // Styled components
 const StickyNote = styled(Paper)(({ theme }) => ({
@@ -99,23 +99,16 @@ const InvestorHome = () => {
   const [searchQuery, setSearchQuery] = useState("");
   const [filterCategory, setFilterCategory] = useState("all");
 
-  // Fetch freelancers
+  // Fetch freelancers, ranked for this investor by the server
   useEffect(() => {
     const fetchFreelancers = async () => {
       try {
         setLoading(true);
 
-        const data = await getFreelancers();
+        const { results } = await getRecommendations({ limit: 100 });
 
-        // Add some mock recommendation scores
-        const freelancersWithScore = data.map((freelancer) => ({
-          ...freelancer,
-          recommendationScore: Math.floor(Math.random() * 100), // Mock score
-          hasSmartContract: Math.random() > 0.7, // 30% chance to have a smart contract
-        }));
-
-        setFreelancers(freelancersWithScore);
-        setFilteredFreelancers(freelancersWithScore);
+        setFreelancers(results);
+        setFilteredFreelancers(results);
       } catch (err) {
         console.error("Error fetching freelancers:", err);
         setError("Failed to load freelancers. Please try again later.");
@@ -147,13 +140,13 @@ const InvestorHome = () => {
     // Apply category filter
     if (filterCategory !== "all") {
       result = result.filter(
-        (freelancer) => freelancer.category === filterCategory
+        (freelancer) => freelancer.categories.includes(filterCategory)
       );
     }
 
     // Apply sort
     if (sortBy === "recommended") {
-      result.sort((a, b) => b.recommendationScore - a.recommendationScore);
+      result.sort((a, b) => b.matchScore - a.matchScore);
     } else if (sortBy === "rating") {
       result.sort((a, b) => b.rating - a.rating);
     } else if (sortBy === "contracts") {
@@ -246,6 +239,9 @@ const InvestorHome = () => {
               <MenuItem value="design">Design</MenuItem>
               <MenuItem value="finance">Finance</MenuItem>
               <MenuItem value="marketing">Marketing</MenuItem>
+              <MenuItem value="healthcare">Healthcare</MenuItem>
+              <MenuItem value="education">Education</MenuItem>
+              <MenuItem value="real-estate">Real Estate</MenuItem>
               <MenuItem value="other">Other</MenuItem>
             </Select>
           </FormControl>
@@ -277,6 +273,10 @@ const InvestorHome = () => {
                         {freelancer.rating.toFixed(1)}
                       </Typography>
                     </Box>
+                    <MatchScoreBadge
+                      score={freelancer.matchScore}
+                      breakdown={freelancer.breakdown}
+                    />
                     <Typography
                       variant="body2"
                       color="text.secondary"
@@ -310,6 +310,10 @@ const InvestorHome = () => {
                         {freelancer.rating.toFixed(1)}
                       </Typography>
                     </Box>
+                    <MatchScoreBadge
+                      score={freelancer.matchScore}
+                      breakdown={freelancer.breakdown}
+                    />
                     <Typography
                       variant="body2"
                       color="text.secondary"
@@ -46,6 +46,7 @@ import {
 } from "@mui/icons-material";
 
 import Navigation from "../../components/Navigation";
+import FinancialSummary from "../../components/FinancialSummary";
 import { useAuth } from "../../context/AuthContext";
 import {
   updateProfile,
@@ -192,7 +193,7 @@ const InvestorProfile = () => {
       setSuccess("Profile image updated successfully!");
     } catch (err) {
       console.error("Error uploading image:", err);
-      setError("Failed to upload image. Please try again.");
+      setError(err.message || "Failed to upload image. Please try again.");
     } finally {
       setImageLoading(false);
     }
@@ -741,6 +742,16 @@ const InvestorProfile = () => {
               </Grid>
             </Box>
 
+            <Box sx={{ mb: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Financial Summary
+              </Typography>
+              <Typography variant="body2" color="text.secondary" paragraph>
+                Escrow funding, payments to freelancers and refunds across your contracts.
+              </Typography>
+              <FinancialSummary role="investor" />
+            </Box>
+
             <Box>
               <Typography variant="h6" gutterBottom>
                 Recent Activity
@@ -27,6 +27,11 @@ import {
   Snackbar,
   Alert,
   Tooltip,
+  LinearProgress,
+  MenuItem,
+  Select,
+  Tabs,
+  Tab,
   useTheme,
 } from "@mui/material";
 import { styled } from "@mui/material/styles";
@@ -47,18 +52,56 @@ import {
   Send as SendIcon,
   Chat as ChatIcon,
   AccountBalanceWallet as WalletIcon,
+  Flag as MilestoneIcon,
+  Gavel as DisputeIcon,
+  Schedule as OverdueIcon,
+  EventBusy as ExpiredIcon,
+  History as HistoryIcon,
+  Draw as SignIcon,
+  Email as EmailIcon,
+  Replay as RevisionIcon,
+  Upload as ResubmitIcon,
 } from "@mui/icons-material";
 
 import Navigation from "../../components/Navigation";
+import ContractTimeline from "../../components/ContractTimeline";
+import TimesheetPanel from "../../components/TimesheetPanel";
+import PayoutSplitsPanel from "../../components/PayoutSplitsPanel";
+import TeamRoster from "../../components/TeamRoster";
+import ContractReviews from "../../components/ContractReviews";
+import DeliverableVersions from "../../components/DeliverableVersions";
+import IntegrityBadge from "../../components/IntegrityBadge";
 import { useAuth } from "../../context/AuthContext";
+import { isNotPastDate } from "../../utils/validators";
+import { diffLines } from "../../utils/textDiff";
+import { formatCurrency as formatAmount } from "../../utils/formatters";
+import { useCurrency } from "../../context/CurrencyContext";
 import {
   getContractById,
   updateContractStatus,
   addDeliverable,
   updateDeliverableStatus,
+  resubmitDeliverable,
   uploadDeliverableFile,
+  uploadEvidenceFile,
+  getDeliverableDownloadUrl,
   verifyAndReleasePayment,
+  getContractDisputes,
+  raiseDispute,
+  addDisputeEvidence,
+  resolveDispute,
+  getContractVersions,
+  proposeAmendment,
+  respondToAmendment,
+  getContractSignatures,
+  signContractWithWallet,
+  requestSignatureCode,
+  signContractWithEmail,
+  exportContractPdf,
+  getContractHistory,
 } from "../../services/contractService";
+import { getContractLedger, getPayoutPreview } from "../../services/ledgerService";
+import { getContractTeam } from "../../services/teamService";
 
 // Styled components
 const Container = styled(Box)(({ theme }) => ({
@@ -100,6 +143,8 @@ const StatusChip = styled(Chip)(({ theme, status }) => {
     active: theme.colors.success.main,
     completed: theme.colors.info.main,
     cancelled: theme.colors.error.main,
+    disputed: theme.colors.secondary.dark,
+    expired: theme.colors.text.secondary,
     draft: theme.colors.text.disabled,
   };
 
@@ -114,6 +159,7 @@ const DeliverableItem = styled(ListItem)(({ theme, status }) => {
   const statusColors = {
     pending: "rgba(255, 152, 0, 0.1)",
     approved: "rgba(76, 175, 80, 0.1)",
+    changes_requested: "rgba(33, 150, 243, 0.1)",
     rejected: "rgba(244, 67, 54, 0.1)",
   };
 
@@ -124,6 +170,38 @@ const DeliverableItem = styled(ListItem)(({ theme, status }) => {
   };
 });
 
+const DiffLine = styled(Box)(({ theme, type }) => {
+  const lineColors = {
+    added: "rgba(76, 175, 80, 0.15)",
+    removed: "rgba(244, 67, 54, 0.15)",
+  };
+
+  return {
+    backgroundColor: lineColors[type] || "transparent",
+    fontFamily: "monospace",
+    fontSize: "0.875rem",
+    whiteSpace: "pre-wrap",
+    padding: theme.spacing(0.25, 1),
+    textDecoration: type === "removed" ? "line-through" : "none",
+  };
+});
+
+const SignatureBox = styled(Box)(({ theme, signed }) => ({
+  padding: theme.spacing(2),
+  height: "100%",
+  border: `1px ${signed ? "solid" : "dashed"} ${
+    signed ? theme.colors.success.main : theme.colors.text.disabled
+  }`,
+  borderRadius: theme.shape.borderRadius,
+}));
+
+const DELIVERABLE_STATUSES = {
+  pending: { label: "Pending", color: "warning", done: "submitted" },
+  approved: { label: "Approved", color: "success", done: "approved" },
+  changes_requested: { label: "Changes Requested", color: "info", done: "sent back for changes" },
+  rejected: { label: "Rejected", color: "error", done: "rejected" },
+};
+
 const VisuallyHiddenInput = styled("input")({
   clip: "rect(0 0 0 0)",
   clipPath: "inset(50%)",
@@ -139,6 +217,7 @@ const VisuallyHiddenInput = styled("input")({
 // Main component
 const ContractDetails = () => {
   const theme = useTheme();
+  const { formatConverted } = useCurrency();
   const { id } = useParams();
   const navigate = useNavigate();
   const { currentUser } = useAuth();
@@ -154,15 +233,63 @@ const ContractDetails = () => {
   const [openCompleteDialog, setOpenCompleteDialog] = useState(false);
   const [selectedDeliverable, setSelectedDeliverable] = useState(null);
   const [verifyDialogOpen, setVerifyDialogOpen] = useState(false);
+  const [payoutPreview, setPayoutPreview] = useState(null);
   const [statusUpdateLoading, setStatusUpdateLoading] = useState(false);
   const [file, setFile] = useState(null);
+  const [disputes, setDisputes] = useState([]);
+  const [disputeDialogOpen, setDisputeDialogOpen] = useState(false);
+  const [evidenceDialogOpen, setEvidenceDialogOpen] = useState(false);
+  const [disputeLoading, setDisputeLoading] = useState(false);
+  const [evidenceFile, setEvidenceFile] = useState(null);
+
+  // Dispute form state
+  const [disputeReason, setDisputeReason] = useState("");
+  const [evidenceDescription, setEvidenceDescription] = useState("");
+  const [resolutionData, setResolutionData] = useState({
+    freelancerAmount: "",
+    resolution: "",
+  });
+
+  const openDispute = disputes.find((d) => d.status === "open");
+  const [versions, setVersions] = useState([]);
+  const [amendmentDialogOpen, setAmendmentDialogOpen] = useState(false);
+  const [amendmentLoading, setAmendmentLoading] = useState(false);
+  const [amendmentData, setAmendmentData] = useState({
+    terms: "",
+    value: "",
+    note: "",
+  });
+  const [compareVersions, setCompareVersions] = useState({ from: "", to: "" });
+
+  const pendingAmendment = versions.find((v) => v.status === "proposed");
+  const acceptedVersions = versions.filter((v) => v.status === "accepted");
+  const [signatureStatus, setSignatureStatus] = useState(null);
+  const [signDialogOpen, setSignDialogOpen] = useState(false);
+  const [signLoading, setSignLoading] = useState(false);
+  const [signatureCode, setSignatureCode] = useState("");
+  const [codeSentTo, setCodeSentTo] = useState(null);
+  const [exportLoading, setExportLoading] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [ledger, setLedger] = useState(null);
+  const [team, setTeam] = useState([]);
+  const [activeTab, setActiveTab] = useState("overview");
 
   // Deliverable form state
   const [deliverableData, setDeliverableData] = useState({
     title: "",
     description: "",
+    milestoneId: "",
+    dueDate: "",
   });
 
+  // Deliverable revision state
+  const [changesDeliverable, setChangesDeliverable] = useState(null);
+  const [changesFeedback, setChangesFeedback] = useState("");
+  const [resubmitTarget, setResubmitTarget] = useState(null);
+  const [resubmitDescription, setResubmitDescription] = useState("");
+  const [resubmitLoading, setResubmitLoading] = useState(false);
+  const [historyDeliverable, setHistoryDeliverable] = useState(null);
+
   // Fetch contract data
   useEffect(() => {
     const fetchContract = async () => {
@@ -170,6 +297,13 @@ const ContractDetails = () => {
         setLoading(true);
         const data = await getContractById(id);
         setContract(data);
+        setDisputes(await getContractDisputes(id));
+        setVersions(await getContractVersions(id));
+
+        // Signatures come from the server, the rest of the page works without them
+        getContractSignatures(id)
+          .then(setSignatureStatus)
+          .catch((err) => console.error("Error fetching signatures:", err));
       } catch (err) {
         console.error("Error fetching contract:", err);
         setError("Failed to load contract details. Please try again later.");
@@ -181,6 +315,38 @@ const ContractDetails = () => {
     fetchContract();
   }, [id]);
 
+  // Every action reloads the contract or its signatures, so reload the
+  // audit log and payment ledger with them. Failures only hide those sections.
+  useEffect(() => {
+    if (!contract) {
+      return;
+    }
+
+    getContractHistory(id)
+      .then(setHistory)
+      .catch((err) => console.error("Error fetching contract history:", err));
+
+    getContractLedger(id)
+      .then(setLedger)
+      .catch((err) => console.error("Error fetching contract ledger:", err));
+
+    getContractTeam(id)
+      .then(setTeam)
+      .catch((err) => console.error("Error fetching contract team:", err));
+  }, [id, contract, signatureStatus]);
+
+  // Show how the final payment is divided before the investor releases it
+  const openVerifyDialog = () => {
+    setPayoutPreview(null);
+    setVerifyDialogOpen(true);
+
+    if (contract.contractType !== "hourly") {
+      getPayoutPreview(contract.id)
+        .then(setPayoutPreview)
+        .catch((err) => console.error("Error previewing payout:", err));
+    }
+  };
+
   // Handle file upload for deliverable
   const handleFileUpload = (e) => {
     const selectedFile = e.target.files[0];
@@ -206,15 +372,22 @@ const ContractDetails = () => {
         return;
       }
 
-      let fileUrl = "";
-      if (file) {
-        fileUrl = await uploadDeliverableFile(contract.id, file);
+      if (deliverableData.dueDate) {
+        const dueDateCheck = isNotPastDate(deliverableData.dueDate);
+        if (!dueDateCheck.valid) {
+          setError(dueDateCheck.message);
+          return;
+        }
       }
 
+      const upload = file ? await uploadDeliverableFile(contract.id, file) : null;
+
       const deliverablePayload = {
         title: deliverableData.title,
         description: deliverableData.description,
-        fileUrl,
+        milestoneId: deliverableData.milestoneId || null,
+        dueDate: deliverableData.dueDate || null,
+        filePath: upload ? upload.filePath : null,
       };
 
       await addDeliverable(contract.id, deliverablePayload);
@@ -224,12 +397,12 @@ const ContractDetails = () => {
       setContract(updatedContract);
 
       setOpenDeliverableDialog(false);
-      setDeliverableData({ title: "", description: "" });
+      setDeliverableData({ title: "", description: "", milestoneId: "", dueDate: "" });
       setFile(null);
       setSuccess("Deliverable added successfully");
     } catch (err) {
       console.error("Error adding deliverable:", err);
-      setError("Failed to add deliverable. Please try again.");
+      setError(err.message || "Failed to add deliverable. Please try again.");
     }
   };
 
@@ -238,7 +411,7 @@ const ContractDetails = () => {
     try {
       setStatusUpdateLoading(true);
 
-      await updateContractStatus(contract.id, newStatus, currentUser.id);
+      await updateContractStatus(contract.id, newStatus);
 
       // Refresh contract data
       const updatedContract = await getContractById(id);
@@ -256,25 +429,62 @@ const ContractDetails = () => {
   };
 
   // Handle deliverable status update
-  const handleDeliverableStatusUpdate = async (deliverableId, status) => {
+  const handleDeliverableStatusUpdate = async (deliverableId, status, comment = undefined) => {
     try {
-      await updateDeliverableStatus(deliverableId, status, currentUser.id);
+      await updateDeliverableStatus(deliverableId, status, comment);
 
       // Refresh contract data
       const updatedContract = await getContractById(id);
       setContract(updatedContract);
 
-      setSuccess(`Deliverable ${status === "approved" ? "approved" : "rejected"} successfully`);
+      setChangesDeliverable(null);
+      setChangesFeedback("");
+      setSuccess(`Deliverable ${DELIVERABLE_STATUSES[status].done}`);
     } catch (err) {
       console.error("Error updating deliverable status:", err);
-      setError(`Failed to ${status} deliverable. Please try again.`);
+      setError(err.message || "Failed to update deliverable. Please try again.");
+    }
+  };
+
+  // Open the resubmit dialog with the current description to edit
+  const openResubmitDialog = (deliverable) => {
+    setResubmitTarget(deliverable);
+    setResubmitDescription(deliverable.description || "");
+    setFile(null);
+  };
+
+  // Handle resubmitting a deliverable as a new version. Earlier versions keep
+  // their files, so a new file is uploaded alongside them.
+  const handleResubmitDeliverable = async () => {
+    try {
+      setResubmitLoading(true);
+
+      const upload = file ? await uploadDeliverableFile(contract.id, file) : null;
+
+      await resubmitDeliverable(resubmitTarget.id, {
+        description: resubmitDescription,
+        filePath: upload ? upload.filePath : null,
+      });
+
+      // Refresh contract data
+      const updatedContract = await getContractById(id);
+      setContract(updatedContract);
+
+      setResubmitTarget(null);
+      setFile(null);
+      setSuccess("Deliverable resubmitted for review");
+    } catch (err) {
+      console.error("Error resubmitting deliverable:", err);
+      setError(err.message || "Failed to resubmit deliverable. Please try again.");
+    } finally {
+      setResubmitLoading(false);
     }
   };
 
   // Handle verify and release payment
   const handleVerifyAndRelease = async () => {
     try {
-      await verifyAndReleasePayment(contract.id, currentUser.id);
+      await verifyAndReleasePayment(contract.id);
 
       // Refresh contract data
       const updatedContract = await getContractById(id);
@@ -288,6 +498,288 @@ const ContractDetails = () => {
     }
   };
 
+  // Refresh contract and dispute data after a dispute action
+  const refreshDisputes = async () => {
+    const updatedContract = await getContractById(id);
+    setContract(updatedContract);
+    setDisputes(await getContractDisputes(id));
+  };
+
+  // Upload an evidence file to the contract's storage folder
+  const uploadEvidence = async () => {
+    if (!evidenceFile) {
+      return "";
+    }
+
+    return uploadEvidenceFile(contract.id, evidenceFile);
+  };
+
+  // Open a short-lived link to a deliverable's file
+  const handleDownloadDeliverable = async (deliverable) => {
+    try {
+      const download = await getDeliverableDownloadUrl(deliverable.id);
+      window.open(download.url, "_blank");
+
+      if (download.watermarked) {
+        setSuccess("This is a watermarked preview. The original file is available once payment is released.");
+      }
+    } catch (err) {
+      console.error("Error downloading deliverable:", err);
+      setError(err.message || "Failed to download the file. Please try again.");
+    }
+  };
+
+  // Handle raise dispute
+  const handleRaiseDispute = async () => {
+    try {
+      if (!disputeReason) {
+        setError("Please describe why you are disputing this contract");
+        return;
+      }
+
+      setDisputeLoading(true);
+      const fileUrl = await uploadEvidence();
+
+      await raiseDispute(contract.id, {
+        reason: disputeReason,
+        evidence: [{ description: evidenceDescription, fileUrl }],
+      });
+
+      await refreshDisputes();
+
+      setDisputeDialogOpen(false);
+      setDisputeReason("");
+      setEvidenceDescription("");
+      setEvidenceFile(null);
+      setSuccess("Dispute raised. Funds are held until an arbiter resolves it.");
+    } catch (err) {
+      console.error("Error raising dispute:", err);
+      setError("Failed to raise dispute. Please try again.");
+    } finally {
+      setDisputeLoading(false);
+    }
+  };
+
+  // Handle add evidence to the open dispute
+  const handleAddEvidence = async () => {
+    try {
+      if (!evidenceDescription && !evidenceFile) {
+        setError("Add a description or a file");
+        return;
+      }
+
+      setDisputeLoading(true);
+      const fileUrl = await uploadEvidence();
+
+      await addDisputeEvidence(contract.id, openDispute.id, {
+        description: evidenceDescription,
+        fileUrl,
+      });
+
+      await refreshDisputes();
+
+      setEvidenceDialogOpen(false);
+      setEvidenceDescription("");
+      setEvidenceFile(null);
+      setSuccess("Evidence added successfully");
+    } catch (err) {
+      console.error("Error adding evidence:", err);
+      setError("Failed to add evidence. Please try again.");
+    } finally {
+      setDisputeLoading(false);
+    }
+  };
+
+  // Handle arbiter resolution
+  const handleResolveDispute = async () => {
+    try {
+      if (!resolutionData.resolution || resolutionData.freelancerAmount === "") {
+        setError("Enter the freelancer's share and a resolution");
+        return;
+      }
+
+      setDisputeLoading(true);
+
+      await resolveDispute(contract.id, openDispute.id, resolutionData);
+
+      await refreshDisputes();
+
+      setResolutionData({ freelancerAmount: "", resolution: "" });
+      setSuccess("Dispute resolved and escrow released");
+    } catch (err) {
+      console.error("Error resolving dispute:", err);
+      setError("Failed to resolve dispute. Please try again.");
+    } finally {
+      setDisputeLoading(false);
+    }
+  };
+
+  // Timesheet reviews release escrow, so reload the contract balance
+  const refreshContract = async () => {
+    setContract(await getContractById(id));
+  };
+
+  // Refresh contract and version data after an amendment action
+  const refreshVersions = async () => {
+    const updatedContract = await getContractById(id);
+    setContract(updatedContract);
+    setVersions(await getContractVersions(id));
+    // Accepted amendments change the terms hash the signatures cover
+    await refreshSignatures();
+  };
+
+  // Load signatures verified by the server. Failures only hide the block.
+  const refreshSignatures = async () => {
+    try {
+      setSignatureStatus(await getContractSignatures(id));
+    } catch (err) {
+      console.error("Error fetching signatures:", err);
+      setSignatureStatus(null);
+    }
+  };
+
+  // Close the sign dialog and reset the email code form
+  const handleCloseSignDialog = () => {
+    setSignDialogOpen(false);
+    setSignatureCode("");
+    setCodeSentTo(null);
+  };
+
+  // Record a new signature and activate the contract once both parties signed
+  const handleSigned = async (status) => {
+    setSignatureStatus({ ...signatureStatus, ...status });
+    handleCloseSignDialog();
+
+    if (status.complete && contract.status === "pending" && isFreelancer()) {
+      await handleUpdateStatus("active");
+    } else {
+      setSuccess("Contract terms signed");
+    }
+  };
+
+  // Sign the terms with the connected wallet
+  const handleSignWithWallet = async () => {
+    try {
+      setSignLoading(true);
+      await handleSigned(await signContractWithWallet(contract.id));
+    } catch (err) {
+      console.error("Error signing contract:", err);
+      setError(err.message || "Failed to sign contract. Please try again.");
+    } finally {
+      setSignLoading(false);
+    }
+  };
+
+  // Email a confirmation code for signing without a wallet
+  const handleRequestSignatureCode = async () => {
+    try {
+      setSignLoading(true);
+      const { email } = await requestSignatureCode(contract.id);
+      setCodeSentTo(email);
+    } catch (err) {
+      console.error("Error requesting signature code:", err);
+      setError("Failed to send confirmation code. Please try again.");
+    } finally {
+      setSignLoading(false);
+    }
+  };
+
+  // Sign the terms with the emailed code
+  const handleSignWithEmail = async () => {
+    try {
+      if (!signatureCode) {
+        setError("Enter the code from your email");
+        return;
+      }
+
+      setSignLoading(true);
+      await handleSigned(await signContractWithEmail(contract.id, signatureCode));
+    } catch (err) {
+      console.error("Error signing contract:", err);
+      setError(err.message || "Failed to sign contract. Please try again.");
+    } finally {
+      setSignLoading(false);
+    }
+  };
+
+  // Open the amendment dialog prefilled with the current terms
+  const handleOpenAmendmentDialog = () => {
+    setAmendmentData({
+      terms: contract.terms || "",
+      value: contract.value,
+      note: "",
+    });
+    setAmendmentDialogOpen(true);
+  };
+
+  // Handle propose amendment
+  const handleProposeAmendment = async () => {
+    try {
+      setAmendmentLoading(true);
+
+      await proposeAmendment(contract.id, amendmentData);
+      await refreshVersions();
+
+      setAmendmentDialogOpen(false);
+      setSuccess("Change proposed. The other party has been asked to review it.");
+    } catch (err) {
+      console.error("Error proposing amendment:", err);
+      setError(err.message || "Failed to propose change. Please try again.");
+    } finally {
+      setAmendmentLoading(false);
+    }
+  };
+
+  // Handle accept or reject of the pending amendment
+  const handleRespondToAmendment = async (accept) => {
+    try {
+      setAmendmentLoading(true);
+
+      await respondToAmendment(contract.id, pendingAmendment.id, accept);
+      await refreshVersions();
+
+      setSuccess(accept ? "Amended terms accepted" : "Proposed change rejected");
+    } catch (err) {
+      console.error("Error responding to amendment:", err);
+      setError(err.message || "Failed to respond to the proposed change. Please try again.");
+    } finally {
+      setAmendmentLoading(false);
+    }
+  };
+
+  // Versions being compared, defaulting to the latest two accepted versions
+  const getComparedVersions = () => {
+    const findVersion = (number) => versions.find((v) => v.version === number);
+    const latest = acceptedVersions[acceptedVersions.length - 1];
+    const previous = acceptedVersions[acceptedVersions.length - 2];
+
+    return {
+      from: findVersion(compareVersions.from) || previous,
+      to: findVersion(compareVersions.to) || latest,
+    };
+  };
+
+  // Render a line diff between two term texts
+  const renderDiff = (oldTerms, newTerms) => (
+    <Box
+      sx={{
+        border: 1,
+        borderColor: "divider",
+        borderRadius: 1,
+        py: 0.5,
+        maxHeight: 300,
+        overflow: "auto",
+      }}
+    >
+      {diffLines(oldTerms, newTerms).map((line, idx) => (
+        <DiffLine key={idx} type={line.type}>
+          {line.type === "added" ? "+ " : line.type === "removed" ? "- " : "  "}
+          {line.text}
+        </DiffLine>
+      ))}
+    </Box>
+  );
+
   // Handle copy address
   const handleCopyAddress = () => {
     if (contract?.smartContractAddress) {
@@ -316,23 +808,105 @@ const ContractDetails = () => {
     return currentUser?.id === contract?.freelancer?.id;
   };
 
+  // Check if user joined the contract's team
+  const isTeamMember = () => {
+    return team.some(
+      (m) => m.role === "member" && m.userId === currentUser?.id && m.status === "accepted"
+    );
+  };
+
+  // Lead freelancer and team members both submit deliverables
+  const canDeliver = () => isFreelancer() || isTeamMember();
+
+  // Name of the teammate who submitted a deliverable
+  const getOwnerName = (ownerId) => {
+    const owner = team.find((m) => m.userId === ownerId);
+    return owner ? owner.name || owner.email : "";
+  };
+
+  // Latest signature by a party that still covers the current terms
+  const getSignature = (role) => {
+    return [...(signatureStatus?.signatures || [])]
+      .reverse()
+      .find((s) => s.role === role && s.valid);
+  };
+
+  // Check if the current user can sign the current terms
+  const canSign = () => {
+    return (
+      Boolean(signatureStatus?.role) &&
+      ["draft", "pending", "active"].includes(contract.status) &&
+      !getSignature(signatureStatus.role)
+    );
+  };
+
+  // Check if user is a platform arbiter
+  const isArbiter = () => {
+    return Boolean(currentUser?.isArbiter);
+  };
+
+  // Resolve a user ID to the party's display name
+  const getPartyName = (userId) => {
+    if (userId === contract.investor.id) {
+      return contract.investor.name || "Investor";
+    }
+    if (userId === contract.freelancer.id) {
+      return contract.freelancer.name || "Freelancer";
+    }
+    return "Arbiter";
+  };
+
+  // Contracts can be disputed while work is in progress or awaiting payment
+  const canDispute = () => {
+    return (
+      (isInvestor() || isFreelancer()) &&
+      (contract.status === "active" ||
+        (contract.status === "completed" && !contract.verified))
+    );
+  };
+
   // Handle navigate to chat
   const handleOpenChat = () => {
     const otherPartyId = isInvestor() ? contract.freelancer.id : contract.investor.id;
     navigate(`/chat/${otherPartyId}`);
   };
 
+  // Download the contract as a PDF
+  const handleExportPdf = async () => {
+    try {
+      setExportLoading(true);
+      const pdf = await exportContractPdf(contract.id);
+
+      const url = URL.createObjectURL(pdf);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `contract-${contract.id}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Error exporting contract:", err);
+      setError("Failed to export contract. Please try again.");
+    } finally {
+      setExportLoading(false);
+    }
+  };
+
   // Handle back
   const handleBack = () => {
     navigate(-1);
   };
 
-  // Format value with currency
-  const formatCurrency = (value) => {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: "USD",
-    }).format(value);
+  // Format an amount in the contract's currency
+  const formatCurrency = (value) => formatAmount(value, contract.currency);
+
+  // Count approved deliverables linked to a milestone
+  const getMilestoneProgress = (milestone) => {
+    const linked = contract.deliverables.filter(
+      (d) => d.milestoneId === milestone.id
+    );
+    const approved = linked.filter((d) => d.status === "approved").length;
+
+    return `${approved}/${linked.length} deliverables approved`;
   };
 
   // Get status info
@@ -356,6 +930,19 @@ const ContractDetails = () => {
           color: theme.colors.error.main,
           icon: <CancelledIcon />,
         };
+      case "disputed":
+        return {
+          label: "Disputed",
+          color: theme.colors.secondary.dark,
+          icon: <DisputeIcon />,
+        };
+      case "expiring": // Being expired by the deadline scheduler
+      case "expired":
+        return {
+          label: "Expired",
+          color: theme.colors.text.secondary,
+          icon: <ExpiredIcon />,
+        };
       case "draft":
         return {
           label: "Draft",
@@ -378,6 +965,7 @@ const ContractDetails = () => {
       case "pending":
         return 0;
       case "active":
+      case "disputed":
         return 1;
       case "completed":
         return contract.verified ? 3 : 2;
@@ -454,6 +1042,15 @@ const ContractDetails = () => {
                   label={getStatusInfo(contract.status).label}
                   icon={getStatusInfo(contract.status).icon}
                 />
+                {contract.overdue && (
+                  <Chip
+                    icon={<OverdueIcon />}
+                    label="Overdue"
+                    color="error"
+                    size="small"
+                    sx={{ ml: 1 }}
+                  />
+                )}
                 {contract.smartContractAddress && (
                   <Tooltip title="Verified on Blockchain">
                     <Chip
@@ -478,7 +1075,16 @@ const ContractDetails = () => {
                 Chat
               </Button>
 
-              {contract.status === "active" && isFreelancer() && (
+              <Button
+                variant="outlined"
+                startIcon={<DownloadIcon />}
+                onClick={handleExportPdf}
+                disabled={exportLoading}
+              >
+                {exportLoading ? <CircularProgress size={24} /> : "Export PDF"}
+              </Button>
+
+              {contract.status === "active" && canDeliver() && (
                 <Button
                   variant="contained"
                   startIcon={<AddIcon />}
@@ -493,17 +1099,42 @@ const ContractDetails = () => {
               )}
 
               {contract.status === "pending" && isFreelancer() && (
-                <Button
-                  variant="contained"
-                  color="success"
-                  onClick={() => handleUpdateStatus("active")}
-                  disabled={statusUpdateLoading}
+                <Tooltip
+                  title={
+                    getSignature("freelancer") && !getSignature("investor")
+                      ? "Waiting for the investor to sign"
+                      : ""
+                  }
                 >
-                  {statusUpdateLoading ? <CircularProgress size={24} /> : "Accept Contract"}
-                </Button>
+                  <span>
+                    <Button
+                      variant="contained"
+                      color="success"
+                      startIcon={!getSignature("freelancer") && <SignIcon />}
+                      onClick={() =>
+                        getSignature("freelancer")
+                          ? handleUpdateStatus("active")
+                          : setSignDialogOpen(true)
+                      }
+                      disabled={
+                        statusUpdateLoading ||
+                        !signatureStatus ||
+                        (Boolean(getSignature("freelancer")) && !getSignature("investor"))
+                      }
+                    >
+                      {statusUpdateLoading ? (
+                        <CircularProgress size={24} />
+                      ) : getSignature("freelancer") ? (
+                        "Accept Contract"
+                      ) : (
+                        "Sign & Accept"
+                      )}
+                    </Button>
+                  </span>
+                </Tooltip>
               )}
 
-              {contract.status === "active" && (isInvestor() || isFreelancer()) && (
+              {contract.status === "active" && isInvestor() && (
                 <Button
                   variant="outlined"
                   color="error"
@@ -523,11 +1154,22 @@ const ContractDetails = () => {
                 </Button>
               )}
 
+              {canDispute() && (
+                <Button
+                  variant="outlined"
+                  color="secondary"
+                  startIcon={<DisputeIcon />}
+                  onClick={() => setDisputeDialogOpen(true)}
+                >
+                  Dispute
+                </Button>
+              )}
+
               {contract.status === "completed" && !contract.verified && isInvestor() && (
                 <Button
                   variant="contained"
                   startIcon={<WalletIcon />}
-                  onClick={() => setVerifyDialogOpen(true)}
+                  onClick={openVerifyDialog}
                   sx={{
                     bgcolor: theme.colors.secondary.main,
                     "&:hover": { bgcolor: theme.colors.secondary.dark },
@@ -566,7 +1208,33 @@ const ContractDetails = () => {
             </AddressBox>
           )}
 
-          <Grid container spacing={4}>
+          {contract.contractType === "hourly" && (
+            <Tabs
+              value={activeTab}
+              onChange={(e, value) => setActiveTab(value)}
+              sx={{ mb: 3, borderBottom: 1, borderColor: "divider" }}
+            >
+              <Tab label="Overview" value="overview" />
+              <Tab label="Timesheets" value="timesheets" />
+            </Tabs>
+          )}
+
+          {activeTab === "timesheets" && contract.contractType === "hourly" && (
+            <TimesheetPanel
+              contract={contract}
+              isFreelancer={isFreelancer()}
+              isInvestor={isInvestor()}
+              onChange={refreshContract}
+              onSuccess={setSuccess}
+              onError={setError}
+            />
+          )}
+
+          <Grid
+            container
+            spacing={4}
+            sx={{ display: activeTab === "overview" ? "flex" : "none" }}
+          >
             <Grid item xs={12} md={8}>
               <Typography variant="h6" gutterBottom>
                 Contract Details
@@ -577,29 +1245,277 @@ const ContractDetails = () => {
 
               <Divider sx={{ my: 3 }} />
 
-              <Typography variant="h6" gutterBottom>
-                Contract Lifecycle
-              </Typography>
-              <Stepper
-                activeStep={getActiveStep()}
-                orientation="vertical"
-                sx={{ mb: 3 }}
+              <Box
+                sx={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  mb: 1,
+                }}
               >
-                <Step>
-                  <StepLabel>Contract Created</StepLabel>
-                  <StepContent>
-                    <Typography variant="body2">
-                      Contract was created by {contract.investor.name} on{" "}
-                      {new Date(contract.createdAt).toLocaleDateString()}.
+                <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                  <Typography variant="h6">Terms</Typography>
+                  <Chip label={`Version ${contract.termsVersion}`} size="small" />
+                </Box>
+                {(isInvestor() || isFreelancer()) &&
+                  ["draft", "pending", "active"].includes(contract.status) &&
+                  !pendingAmendment && (
+                    <Button
+                      size="small"
+                      startIcon={<EditIcon />}
+                      onClick={handleOpenAmendmentDialog}
+                    >
+                      Propose Change
+                    </Button>
+                  )}
+              </Box>
+              <Typography
+                variant="body2"
+                color={contract.terms ? "text.primary" : "text.secondary"}
+                sx={{ whiteSpace: "pre-wrap", mb: 2 }}
+              >
+                {contract.terms || "No terms have been specified."}
+              </Typography>
+
+              {pendingAmendment && (
+                <Alert severity="info" sx={{ mb: 2 }} icon={<EditIcon />}>
+                  <Typography variant="subtitle2">
+                    Version {pendingAmendment.version} proposed by{" "}
+                    {getPartyName(pendingAmendment.proposedBy)} on{" "}
+                    {new Date(pendingAmendment.createdAt).toLocaleDateString()}
+                  </Typography>
+                  {pendingAmendment.note && (
+                    <Typography variant="body2" sx={{ mb: 1 }}>
+                      {pendingAmendment.note}
                     </Typography>
-                    <Typography variant="body2" color="text.secondary">
-                      Waiting for {contract.freelancer.name} to accept the contract.
+                  )}
+                  {Number(pendingAmendment.value) !== Number(contract.value) && (
+                    <Typography variant="body2" sx={{ mb: 1 }}>
+                      Value: {formatCurrency(contract.value)} →{" "}
+                      {formatCurrency(pendingAmendment.value)}
                     </Typography>
-                  </StepContent>
-                </Step>
-                <Step>
-                  <StepLabel>Contract Active</StepLabel>
-                  <StepContent>
+                  )}
+                  {renderDiff(contract.terms, pendingAmendment.terms)}
+                  {pendingAmendment.proposedBy !== currentUser?.id &&
+                  (isInvestor() || isFreelancer()) ? (
+                    <Box sx={{ display: "flex", gap: 1, mt: 1 }}>
+                      <Button
+                        size="small"
+                        variant="contained"
+                        color="success"
+                        onClick={() => handleRespondToAmendment(true)}
+                        disabled={amendmentLoading}
+                      >
+                        Accept
+                      </Button>
+                      <Button
+                        size="small"
+                        color="error"
+                        onClick={() => handleRespondToAmendment(false)}
+                        disabled={amendmentLoading}
+                      >
+                        Reject
+                      </Button>
+                    </Box>
+                  ) : (
+                    <Typography variant="caption" sx={{ display: "block", mt: 1 }}>
+                      Waiting for the other party to respond.
+                    </Typography>
+                  )}
+                </Alert>
+              )}
+
+              {acceptedVersions.length > 1 && (
+                <Box sx={{ mb: 2 }}>
+                  <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+                    <HistoryIcon fontSize="small" color="action" />
+                    <Typography variant="subtitle2">Compare versions</Typography>
+                    <Select
+                      size="small"
+                      value={getComparedVersions().from?.version || ""}
+                      onChange={(e) =>
+                        setCompareVersions({
+                          ...compareVersions,
+                          from: e.target.value,
+                        })
+                      }
+                    >
+                      {acceptedVersions.map((v) => (
+                        <MenuItem key={v.id} value={v.version}>
+                          v{v.version}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                    <Typography variant="body2">→</Typography>
+                    <Select
+                      size="small"
+                      value={getComparedVersions().to?.version || ""}
+                      onChange={(e) =>
+                        setCompareVersions({
+                          ...compareVersions,
+                          to: e.target.value,
+                        })
+                      }
+                    >
+                      {acceptedVersions.map((v) => (
+                        <MenuItem key={v.id} value={v.version}>
+                          v{v.version}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </Box>
+                  {renderDiff(
+                    getComparedVersions().from?.terms,
+                    getComparedVersions().to?.terms
+                  )}
+                  <List dense>
+                    {[...versions].reverse().map((v) => (
+                      <ListItem key={v.id} disableGutters>
+                        <ListItemText
+                          primary={`v${v.version} · ${formatCurrency(v.value)}${
+                            v.note ? ` · ${v.note}` : ""
+                          }`}
+                          secondary={`${
+                            v.version === 1 ? "Original terms" : `Proposed by ${getPartyName(v.proposedBy)}`
+                          } on ${new Date(v.createdAt).toLocaleDateString()}${
+                            v.respondedAt
+                              ? ` · ${v.status} by ${getPartyName(v.respondedBy)} on ${new Date(
+                                  v.respondedAt
+                                ).toLocaleDateString()}`
+                              : ""
+                          }`}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                </Box>
+              )}
+
+              <Divider sx={{ my: 3 }} />
+
+              <Box
+                sx={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  mb: 2,
+                }}
+              >
+                <Typography variant="h6">Signatures</Typography>
+                {canSign() && (
+                  <Button
+                    size="small"
+                    startIcon={<SignIcon />}
+                    onClick={() => setSignDialogOpen(true)}
+                  >
+                    Sign Terms
+                  </Button>
+                )}
+              </Box>
+              {signatureStatus ? (
+                <>
+                  <Grid container spacing={2}>
+                    {["investor", "freelancer"].map((role) => {
+                      const party = contract[role];
+                      const signature = getSignature(role);
+
+                      return (
+                        <Grid item xs={12} sm={6} key={role}>
+                          <SignatureBox signed={signature ? 1 : 0}>
+                            <Typography variant="caption" color="text.secondary">
+                              {role === "investor" ? "Investor" : "Freelancer"}
+                            </Typography>
+                            <Typography variant="subtitle1">
+                              {party.name || party.email}
+                            </Typography>
+                            {signature ? (
+                              <>
+                                <Chip
+                                  icon={
+                                    signature.method === "wallet" ? (
+                                      <WalletIcon />
+                                    ) : (
+                                      <EmailIcon />
+                                    )
+                                  }
+                                  label={
+                                    signature.method === "wallet"
+                                      ? "Signed with wallet"
+                                      : "Confirmed by email"
+                                  }
+                                  color="success"
+                                  size="small"
+                                  sx={{ my: 1 }}
+                                />
+                                <Typography variant="body2" color="text.secondary">
+                                  {new Date(signature.signedAt).toLocaleString()}
+                                </Typography>
+                                <Typography
+                                  variant="body2"
+                                  sx={{ fontFamily: "monospace", wordBreak: "break-all" }}
+                                >
+                                  {signature.method === "wallet"
+                                    ? signature.signerAddress
+                                    : signature.email}
+                                </Typography>
+                              </>
+                            ) : (
+                              <Chip
+                                label="Awaiting signature"
+                                size="small"
+                                variant="outlined"
+                                sx={{ my: 1 }}
+                              />
+                            )}
+                          </SignatureBox>
+                        </Grid>
+                      );
+                    })}
+                  </Grid>
+                  <Typography
+                    variant="caption"
+                    color="text.secondary"
+                    sx={{ display: "block", mt: 1, fontFamily: "monospace", wordBreak: "break-all" }}
+                  >
+                    Terms v{signatureStatus.termsVersion} hash: {signatureStatus.termsHash}
+                  </Typography>
+                  {signatureStatus.signatures.some((s) => !s.valid) && (
+                    <Typography variant="caption" color="text.secondary">
+                      Earlier signatures cover previous terms and no longer apply.
+                    </Typography>
+                  )}
+                </>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  Signatures could not be loaded.
+                </Typography>
+              )}
+
+              <Divider sx={{ my: 3 }} />
+
+              <Typography variant="h6" gutterBottom>
+                Contract Lifecycle
+              </Typography>
+              <Stepper
+                activeStep={getActiveStep()}
+                orientation="vertical"
+                sx={{ mb: 3 }}
+              >
+                <Step>
+                  <StepLabel>Contract Created</StepLabel>
+                  <StepContent>
+                    <Typography variant="body2">
+                      Contract was created by {contract.investor.name} on{" "}
+                      {new Date(contract.createdAt).toLocaleDateString()}.
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      Waiting for {contract.freelancer.name} to accept the contract.
+                    </Typography>
+                  </StepContent>
+                </Step>
+                <Step>
+                  <StepLabel>Contract Active</StepLabel>
+                  <StepContent>
                     <Typography variant="body2">
                       {contract.status === "active"
                         ? `Work in progress. ${contract.freelancer.name} is currently working on deliverables.`
@@ -634,13 +1550,71 @@ const ContractDetails = () => {
 
               <Divider sx={{ my: 3 }} />
 
+              {contract.milestones.length > 0 && (
+                <>
+                  <Typography variant="h6" gutterBottom>
+                    Milestones
+                  </Typography>
+                  <List>
+                    {contract.milestones.map((milestone) => (
+                      <DeliverableItem
+                        key={milestone.id}
+                        status={milestone.status === "pending" ? "pending" : "approved"}
+                        secondaryAction={
+                          <Chip
+                            label={
+                              milestone.status === "released"
+                                ? "Released"
+                                : milestone.status === "settled"
+                                ? "Settled"
+                                : "In Escrow"
+                            }
+                            color={milestone.status === "pending" ? "warning" : "success"}
+                            size="small"
+                          />
+                        }
+                      >
+                        <ListItemAvatar>
+                          <Avatar>
+                            <MilestoneIcon />
+                          </Avatar>
+                        </ListItemAvatar>
+                        <ListItemText
+                          primary={`${milestone.title} · ${formatCurrency(milestone.amount)}`}
+                          secondary={
+                            <>
+                              <Typography variant="body2" component="span">
+                                {getMilestoneProgress(milestone)}
+                              </Typography>
+                              <Typography
+                                variant="caption"
+                                color="text.secondary"
+                                sx={{ display: "block", mt: 0.5 }}
+                              >
+                                {milestone.releasedAt
+                                  ? `Released on ${new Date(milestone.releasedAt).toLocaleDateString()}`
+                                  : milestone.dueDate
+                                  ? `Due ${new Date(milestone.dueDate).toLocaleDateString()}`
+                                  : "No due date"}
+                              </Typography>
+                            </>
+                          }
+                        />
+                      </DeliverableItem>
+                    ))}
+                  </List>
+
+                  <Divider sx={{ my: 3 }} />
+                </>
+              )}
+
               <Typography variant="h6" gutterBottom>
                 Deliverables
               </Typography>
               {contract.deliverables.length === 0 ? (
                 <Typography variant="body2" color="text.secondary">
                   No deliverables have been added yet.
-                  {contract.status === "active" && isFreelancer() && (
+                  {contract.status === "active" && canDeliver() && (
                     <Button
                       sx={{ ml: 2 }}
                       startIcon={<AddIcon />}
@@ -674,6 +1648,14 @@ const ContractDetails = () => {
                                 <CompletedIcon />
                               </IconButton>
                             </Tooltip>
+                            <Tooltip title="Request Changes">
+                              <IconButton
+                                color="info"
+                                onClick={() => setChangesDeliverable(deliverable)}
+                              >
+                                <RevisionIcon />
+                              </IconButton>
+                            </Tooltip>
                             <Tooltip title="Reject">
                               <IconButton
                                 color="error"
@@ -688,19 +1670,21 @@ const ContractDetails = () => {
                               </IconButton>
                             </Tooltip>
                           </Box>
+                        ) : deliverable.status === "changes_requested" &&
+                          contract.status === "active" &&
+                          deliverable.ownerId === currentUser?.id ? (
+                          <Button
+                            size="small"
+                            variant="outlined"
+                            startIcon={<ResubmitIcon />}
+                            onClick={() => openResubmitDialog(deliverable)}
+                          >
+                            Resubmit
+                          </Button>
                         ) : (
                           <Chip
-                            label={
-                              deliverable.status.charAt(0).toUpperCase() +
-                              deliverable.status.slice(1)
-                            }
-                            color={
-                              deliverable.status === "approved"
-                                ? "success"
-                                : deliverable.status === "rejected"
-                                ? "error"
-                                : "warning"
-                            }
+                            label={(DELIVERABLE_STATUSES[deliverable.status] || DELIVERABLE_STATUSES.pending).label}
+                            color={(DELIVERABLE_STATUSES[deliverable.status] || DELIVERABLE_STATUSES.pending).color}
                             size="small"
                           />
                         )
@@ -708,7 +1692,7 @@ const ContractDetails = () => {
                     >
                       <ListItemAvatar>
                         <Avatar>
-                          {deliverable.fileUrl ? <FileIcon /> : <DescriptionIcon />}
+                          {deliverable.hasFile ? <FileIcon /> : <DescriptionIcon />}
                         </Avatar>
                       </ListItemAvatar>
                       <ListItemText
@@ -725,25 +1709,293 @@ const ContractDetails = () => {
                             >
                               Added on{" "}
                               {new Date(deliverable.createdAt).toLocaleDateString()}
+                              {team.length > 1 &&
+                                getOwnerName(deliverable.ownerId) &&
+                                ` by ${getOwnerName(deliverable.ownerId)}`}
+                              {deliverable.dueDate &&
+                                ` · Due ${new Date(deliverable.dueDate).toLocaleDateString()}`}
+                              {deliverable.currentVersion > 1 &&
+                                ` · Version ${deliverable.currentVersion}`}
                             </Typography>
+                            <IntegrityBadge deliverable={deliverable} onError={setError} />
+                            {deliverable.overdue && (
+                              <Chip
+                                icon={<OverdueIcon />}
+                                label="Overdue"
+                                color="error"
+                                size="small"
+                                sx={{ mt: 0.5 }}
+                              />
+                            )}
                           </>
                         }
                       />
-                      {deliverable.fileUrl && (
-                        <Tooltip title="Download File">
+                      <Box
+                        sx={{
+                          display: "flex",
+                          // Room for the status chip or review buttons
+                          mr:
+                            deliverable.status === "changes_requested"
+                              ? 16
+                              : isInvestor() && deliverable.status === "pending"
+                              ? 12
+                              : 8,
+                        }}
+                      >
+                        <Tooltip title="Version History">
                           <IconButton
                             size="small"
-                            onClick={() => window.open(deliverable.fileUrl, "_blank")}
-                            sx={{ mr: 8 }}
+                            onClick={() => setHistoryDeliverable(deliverable)}
                           >
-                            <DownloadIcon />
+                            <HistoryIcon />
                           </IconButton>
                         </Tooltip>
-                      )}
+                        {deliverable.hasFile && (
+                          <Tooltip title="Download File">
+                            <IconButton
+                              size="small"
+                              onClick={() => handleDownloadDeliverable(deliverable)}
+                            >
+                              <DownloadIcon />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </Box>
                     </DeliverableItem>
                   ))}
                 </List>
               )}
+
+              {disputes.length > 0 && (
+                <>
+                  <Divider sx={{ my: 3 }} />
+
+                  <Typography variant="h6" gutterBottom>
+                    Disputes
+                  </Typography>
+                  {disputes.map((dispute) => (
+                    <Paper
+                      key={dispute.id}
+                      variant="outlined"
+                      sx={{ p: 2, mb: 2, borderRadius: theme.shape.borderRadius }}
+                    >
+                      <Box
+                        sx={{
+                          display: "flex",
+                          justifyContent: "space-between",
+                          alignItems: "center",
+                          mb: 1,
+                        }}
+                      >
+                        <Typography variant="subtitle2">
+                          Raised by {getPartyName(dispute.raisedBy)} on{" "}
+                          {new Date(dispute.createdAt).toLocaleDateString()}
+                        </Typography>
+                        <Chip
+                          label={dispute.status === "open" ? "Open" : "Resolved"}
+                          color={dispute.status === "open" ? "warning" : "success"}
+                          size="small"
+                        />
+                      </Box>
+                      <Typography variant="body2" sx={{ mb: 2 }}>
+                        {dispute.reason}
+                      </Typography>
+
+                      <Typography variant="subtitle2" color="text.secondary">
+                        Evidence
+                      </Typography>
+                      {dispute.evidence.length === 0 ? (
+                        <Typography variant="body2" color="text.secondary">
+                          No evidence has been submitted.
+                        </Typography>
+                      ) : (
+                        <List dense>
+                          {dispute.evidence.map((item) => (
+                            <ListItem
+                              key={item.id}
+                              disableGutters
+                              secondaryAction={
+                                item.fileUrl && (
+                                  <Tooltip title="Open File">
+                                    <IconButton
+                                      size="small"
+                                      onClick={() => window.open(item.fileUrl, "_blank")}
+                                    >
+                                      <DownloadIcon />
+                                    </IconButton>
+                                  </Tooltip>
+                                )
+                              }
+                            >
+                              <ListItemText
+                                primary={item.description || "Attached file"}
+                                secondary={`${getPartyName(item.submittedBy)} · ${new Date(
+                                  item.createdAt
+                                ).toLocaleDateString()}`}
+                              />
+                            </ListItem>
+                          ))}
+                        </List>
+                      )}
+
+                      {dispute.status === "open" &&
+                        (isInvestor() || isFreelancer() || isArbiter()) && (
+                          <Button
+                            size="small"
+                            startIcon={<FileIcon />}
+                            onClick={() => setEvidenceDialogOpen(true)}
+                            sx={{ mt: 1 }}
+                          >
+                            Add Evidence
+                          </Button>
+                        )}
+
+                      {dispute.status === "resolved" && (
+                        <Alert severity="success" sx={{ mt: 2 }}>
+                          {dispute.resolution}
+                          <Typography variant="body2" sx={{ mt: 1 }}>
+                            Freelancer received {formatCurrency(dispute.freelancerAmount)},
+                            investor refunded {formatCurrency(dispute.investorAmount)}.
+                          </Typography>
+                        </Alert>
+                      )}
+
+                      {dispute.status === "open" && isArbiter() && (
+                        <Box sx={{ mt: 2 }}>
+                          <Divider sx={{ mb: 2 }} />
+                          <Typography variant="subtitle2" gutterBottom>
+                            Resolve Dispute
+                          </Typography>
+                          <TextField
+                            margin="dense"
+                            label="Amount to Freelancer"
+                            type="number"
+                            fullWidth
+                            value={resolutionData.freelancerAmount}
+                            onChange={(e) =>
+                              setResolutionData({
+                                ...resolutionData,
+                                freelancerAmount: e.target.value,
+                              })
+                            }
+                            inputProps={{ min: 0, max: contract.balance.remaining }}
+                            helperText={`In escrow: ${formatCurrency(
+                              contract.balance.remaining
+                            )}. The investor is refunded the rest.`}
+                          />
+                          <TextField
+                            margin="dense"
+                            label="Resolution"
+                            fullWidth
+                            multiline
+                            rows={3}
+                            value={resolutionData.resolution}
+                            onChange={(e) =>
+                              setResolutionData({
+                                ...resolutionData,
+                                resolution: e.target.value,
+                              })
+                            }
+                          />
+                          <Button
+                            variant="contained"
+                            startIcon={<DisputeIcon />}
+                            onClick={handleResolveDispute}
+                            disabled={disputeLoading}
+                            sx={{ mt: 1 }}
+                          >
+                            {disputeLoading ? <CircularProgress size={24} /> : "Split Escrow"}
+                          </Button>
+                        </Box>
+                      )}
+                    </Paper>
+                  ))}
+                </>
+              )}
+
+              {ledger && ledger.entries.length > 0 && (
+                <>
+                  <Divider sx={{ my: 3 }} />
+
+                  <Typography variant="h6" gutterBottom>
+                    Payments
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    Funded {formatCurrency(ledger.summary.funded)} · Released{" "}
+                    {formatCurrency(ledger.summary.released)} · Refunded{" "}
+                    {formatCurrency(ledger.summary.refunded)} · Held{" "}
+                    {formatCurrency(ledger.summary.held)}
+                    {ledger.summary.fees > 0 &&
+                      ` · Fees ${formatCurrency(ledger.summary.fees)}`}
+                  </Typography>
+                  <List dense disablePadding>
+                    {ledger.entries.map((entry) => {
+                      const invoice = ledger.invoices.find(
+                        (i) => i.id === entry.invoiceId
+                      );
+
+                      return (
+                        <ListItem
+                          key={entry.id}
+                          disableGutters
+                          secondaryAction={
+                            <Typography
+                              variant="body2"
+                              sx={{
+                                fontWeight: "bold",
+                                color:
+                                  entry.type === "release"
+                                    ? theme.colors.success.main
+                                    : "inherit",
+                              }}
+                            >
+                              {["fee", "split"].includes(entry.type) && "−"}
+                              {formatCurrency(entry.amount)}
+                            </Typography>
+                          }
+                        >
+                          <ListItemText
+                            primary={
+                              entry.type === "fee"
+                                ? "Platform fee"
+                                : entry.type === "split"
+                                ? "Payout split"
+                                : invoice
+                                ? `${invoice.number} · ${invoice.description}`
+                                : entry.type === "funding"
+                                ? "Escrow funded"
+                                : `Refund to investor (${entry.source})`
+                            }
+                            secondary={
+                              <>
+                                {new Date(entry.createdAt).toLocaleString()}
+                                {entry.transactionHash && (
+                                  <Box
+                                    component="a"
+                                    href={`https://etherscan.io/tx/${entry.transactionHash}`}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    sx={{ ml: 1, color: theme.colors.secondary.main }}
+                                  >
+                                    {entry.transactionHash.slice(0, 10)}…
+                                  </Box>
+                                )}
+                              </>
+                            }
+                          />
+                        </ListItem>
+                      );
+                    })}
+                  </List>
+                </>
+              )}
+
+              <Divider sx={{ my: 3 }} />
+
+              <Typography variant="h6" gutterBottom>
+                History
+              </Typography>
+              <ContractTimeline events={history} />
             </Grid>
 
             <Grid item xs={12} md={4}>
@@ -755,7 +2007,7 @@ const ContractDetails = () => {
                 }}
               >
                 <Typography variant="h6" gutterBottom>
-                  Contract Value
+                  {contract.contractType === "hourly" ? "Budget" : "Contract Value"}
                 </Typography>
                 <Typography
                   variant="h4"
@@ -763,6 +2015,57 @@ const ContractDetails = () => {
                 >
                   {formatCurrency(contract.value)}
                 </Typography>
+                {formatConverted(contract.value, contract.currency) && (
+                  <Typography variant="body2" color="text.secondary">
+                    ≈ {formatConverted(contract.value, contract.currency)}
+                    {contract.balance.remaining > 0 &&
+                      contract.balance.remaining < contract.balance.total &&
+                      ` (${formatConverted(
+                        contract.balance.remaining,
+                        contract.currency
+                      )} still in escrow)`}
+                  </Typography>
+                )}
+                {contract.contractType === "hourly" && (
+                  <Typography variant="body2" color="text.secondary">
+                    {formatCurrency(contract.hourlyRate)} per hour
+                    {contract.weeklyHourCap &&
+                      `, up to ${contract.weeklyHourCap} h per week`}
+                  </Typography>
+                )}
+
+                {(contract.milestones.length > 0 ||
+                  contract.contractType === "hourly") && (
+                  <Box sx={{ mt: 2 }}>
+                    <LinearProgress
+                      variant="determinate"
+                      value={
+                        contract.balance.total > 0
+                          ? (contract.balance.released / contract.balance.total) * 100
+                          : 0
+                      }
+                      sx={{ height: 8, borderRadius: 4, mb: 1 }}
+                    />
+                    <Box sx={{ display: "flex", justifyContent: "space-between" }}>
+                      <Typography variant="caption" color="text.secondary">
+                        Released {formatCurrency(contract.balance.released)}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        In escrow {formatCurrency(contract.balance.remaining)}
+                      </Typography>
+                    </Box>
+                  </Box>
+                )}
+
+                <Divider sx={{ my: 2 }} />
+                <PayoutSplitsPanel
+                  contract={contract}
+                  canEdit={
+                    isFreelancer() && !contract.verified && contract.status !== "cancelled"
+                  }
+                  onSuccess={setSuccess}
+                  onError={setError}
+                />
 
                 <Divider sx={{ my: 2 }} />
 
@@ -818,6 +2121,31 @@ const ContractDetails = () => {
                   </Box>
                 </Box>
 
+                {(team.length > 1 || isFreelancer()) && (
+                  <>
+                    <Divider sx={{ my: 2 }} />
+                    <TeamRoster
+                      contract={contract}
+                      team={team}
+                      currentUserId={currentUser?.id}
+                      onChange={() => getContractTeam(id).then(setTeam).catch(console.error)}
+                      onSuccess={setSuccess}
+                      onError={setError}
+                    />
+                  </>
+                )}
+
+                {contract.verified && (
+                  <>
+                    <Divider sx={{ my: 2 }} />
+                    <ContractReviews
+                      contract={contract}
+                      onSuccess={setSuccess}
+                      onError={setError}
+                    />
+                  </>
+                )}
+
                 <Divider sx={{ my: 2 }} />
 
                 <Typography variant="h6" gutterBottom>
@@ -851,6 +2179,29 @@ const ContractDetails = () => {
                       {getStatusInfo(contract.status).label}
                     </Typography>
                   </Grid>
+                  <Grid item xs={6}>
+                    <Typography variant="caption" color="text.secondary">
+                      Start Date
+                    </Typography>
+                    <Typography variant="body2">
+                      {contract.startDate
+                        ? new Date(contract.startDate).toLocaleDateString()
+                        : "Not set"}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={6}>
+                    <Typography variant="caption" color="text.secondary">
+                      End Date
+                    </Typography>
+                    <Typography
+                      variant="body2"
+                      color={contract.overdue ? "error" : "text.primary"}
+                    >
+                      {contract.endDate
+                        ? new Date(contract.endDate).toLocaleDateString()
+                        : "Not set"}
+                    </Typography>
+                  </Grid>
                   <Grid item xs={6}>
                     <Typography variant="caption" color="text.secondary">
                       Completed
@@ -874,7 +2225,7 @@ const ContractDetails = () => {
                         gap: 1,
                       }}
                     >
-                      {isFreelancer() && (
+                      {canDeliver() && (
                         <Button
                           variant="outlined"
                           startIcon={<AddIcon />}
@@ -933,6 +2284,38 @@ const ContractDetails = () => {
             value={deliverableData.description}
             onChange={handleInputChange}
           />
+          <TextField
+            margin="dense"
+            name="dueDate"
+            label="Due Date"
+            type="date"
+            fullWidth
+            variant="outlined"
+            value={deliverableData.dueDate}
+            onChange={handleInputChange}
+            InputLabelProps={{ shrink: true }}
+          />
+          {contract.milestones.length > 0 && (
+            <TextField
+              select
+              margin="dense"
+              name="milestoneId"
+              label="Milestone"
+              fullWidth
+              variant="outlined"
+              value={deliverableData.milestoneId}
+              onChange={handleInputChange}
+            >
+              <MenuItem value="">None</MenuItem>
+              {contract.milestones
+                .filter((milestone) => milestone.status === "pending")
+                .map((milestone) => (
+                  <MenuItem key={milestone.id} value={milestone.id}>
+                    {milestone.title} ({formatCurrency(milestone.amount)})
+                  </MenuItem>
+                ))}
+            </TextField>
+          )}
           <Box sx={{ mt: 2 }}>
             <Typography variant="subtitle2" gutterBottom>
               Attach File (Optional)
@@ -956,6 +2339,330 @@ const ContractDetails = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Request Changes Dialog */}
+      <Dialog
+        open={Boolean(changesDeliverable)}
+        onClose={() => setChangesDeliverable(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Request Changes</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            {changesDeliverable?.title} goes back to the freelancer, who can
+            resubmit it as a new version. Your feedback is kept with this version.
+          </Typography>
+          <TextField
+            autoFocus
+            label="What needs to change?"
+            fullWidth
+            multiline
+            rows={4}
+            value={changesFeedback}
+            onChange={(e) => setChangesFeedback(e.target.value)}
+            inputProps={{ maxLength: 2000 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setChangesDeliverable(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            disabled={!changesFeedback.trim()}
+            onClick={() =>
+              handleDeliverableStatusUpdate(
+                changesDeliverable.id,
+                "changes_requested",
+                changesFeedback.trim()
+              )
+            }
+          >
+            Request Changes
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Resubmit Deliverable Dialog */}
+      <Dialog
+        open={Boolean(resubmitTarget)}
+        onClose={() => setResubmitTarget(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Resubmit {resubmitTarget?.title}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            This is submitted as version {(resubmitTarget?.currentVersion || 1) + 1}.
+            Earlier versions and their files stay in the version history.
+          </Typography>
+          <TextField
+            margin="dense"
+            label="Description"
+            fullWidth
+            multiline
+            rows={3}
+            variant="outlined"
+            value={resubmitDescription}
+            onChange={(e) => setResubmitDescription(e.target.value)}
+          />
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              New File (Optional, keeps the previous file otherwise)
+            </Typography>
+            <Button component="label" variant="outlined" startIcon={<FileIcon />}>
+              {file ? file.name : "Choose File"}
+              <VisuallyHiddenInput type="file" onChange={handleFileUpload} />
+            </Button>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setResubmitTarget(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleResubmitDeliverable}
+            disabled={resubmitLoading}
+          >
+            {resubmitLoading ? <CircularProgress size={24} /> : "Resubmit"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <DeliverableVersions
+        deliverable={historyDeliverable}
+        onClose={() => setHistoryDeliverable(null)}
+        onError={setError}
+      />
+
+      {/* Propose Amendment Dialog */}
+      <Dialog
+        open={amendmentDialogOpen}
+        onClose={() => setAmendmentDialogOpen(false)}
+        maxWidth="md"
+        fullWidth
+      >
+        <DialogTitle>Propose Change</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Terms"
+            fullWidth
+            multiline
+            rows={8}
+            variant="outlined"
+            value={amendmentData.terms}
+            onChange={(e) =>
+              setAmendmentData({ ...amendmentData, terms: e.target.value })
+            }
+          />
+          <TextField
+            margin="dense"
+            label={`Contract Value (${contract.currency})`}
+            type="number"
+            fullWidth
+            variant="outlined"
+            value={amendmentData.value}
+            onChange={(e) =>
+              setAmendmentData({ ...amendmentData, value: e.target.value })
+            }
+            disabled={
+              !!contract.blockchainContractId || contract.milestones.length > 0
+            }
+            helperText={
+              contract.blockchainContractId || contract.milestones.length > 0
+                ? "The escrowed value of this contract is fixed"
+                : ""
+            }
+          />
+          <TextField
+            margin="dense"
+            label="Reason for Change"
+            fullWidth
+            variant="outlined"
+            value={amendmentData.note}
+            onChange={(e) =>
+              setAmendmentData({ ...amendmentData, note: e.target.value })
+            }
+          />
+          <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>
+            Changes
+          </Typography>
+          {renderDiff(contract.terms, amendmentData.terms)}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAmendmentDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleProposeAmendment}
+            disabled={amendmentLoading}
+          >
+            {amendmentLoading ? <CircularProgress size={24} /> : "Send Proposal"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Sign Terms Dialog */}
+      <Dialog
+        open={signDialogOpen}
+        onClose={handleCloseSignDialog}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Sign Contract Terms</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" paragraph>
+            You are signing version {signatureStatus?.termsVersion} of the terms
+            for {formatCurrency(contract.value)}. Any later amendment must be
+            signed again.
+          </Typography>
+          <Button
+            fullWidth
+            variant="contained"
+            startIcon={<WalletIcon />}
+            onClick={handleSignWithWallet}
+            disabled={signLoading || !window.ethereum}
+            sx={{
+              bgcolor: theme.colors.secondary.main,
+              "&:hover": { bgcolor: theme.colors.secondary.dark },
+            }}
+          >
+            Sign with Wallet
+          </Button>
+          <Divider sx={{ my: 2 }}>or</Divider>
+          {codeSentTo ? (
+            <>
+              <Typography variant="body2" color="text.secondary">
+                Enter the code sent to {codeSentTo}.
+              </Typography>
+              <TextField
+                autoFocus
+                margin="dense"
+                label="Confirmation Code"
+                fullWidth
+                variant="outlined"
+                value={signatureCode}
+                onChange={(e) => setSignatureCode(e.target.value.trim())}
+              />
+              <Button
+                fullWidth
+                variant="outlined"
+                onClick={handleSignWithEmail}
+                disabled={signLoading}
+                sx={{ mt: 1 }}
+              >
+                {signLoading ? <CircularProgress size={24} /> : "Confirm & Sign"}
+              </Button>
+            </>
+          ) : (
+            <Button
+              fullWidth
+              variant="outlined"
+              startIcon={<EmailIcon />}
+              onClick={handleRequestSignatureCode}
+              disabled={signLoading}
+            >
+              Email Me a Code
+            </Button>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseSignDialog}>Cancel</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Raise Dispute Dialog */}
+      <Dialog
+        open={disputeDialogOpen}
+        onClose={() => setDisputeDialogOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Dispute Contract</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            The escrowed funds will be frozen until an arbiter reviews the
+            evidence and decides how to split them.
+          </Alert>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Reason"
+            fullWidth
+            multiline
+            rows={3}
+            variant="outlined"
+            value={disputeReason}
+            onChange={(e) => setDisputeReason(e.target.value)}
+            required
+          />
+          <TextField
+            margin="dense"
+            label="Evidence Description"
+            fullWidth
+            variant="outlined"
+            value={evidenceDescription}
+            onChange={(e) => setEvidenceDescription(e.target.value)}
+          />
+          <Box sx={{ mt: 2 }}>
+            <Button component="label" variant="outlined" startIcon={<FileIcon />}>
+              {evidenceFile ? evidenceFile.name : "Attach Evidence"}
+              <VisuallyHiddenInput
+                type="file"
+                onChange={(e) => setEvidenceFile(e.target.files[0] || null)}
+              />
+            </Button>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDisputeDialogOpen(false)}>Cancel</Button>
+          <Button
+            color="secondary"
+            variant="contained"
+            onClick={handleRaiseDispute}
+            disabled={disputeLoading}
+          >
+            {disputeLoading ? <CircularProgress size={24} /> : "Raise Dispute"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Add Evidence Dialog */}
+      <Dialog
+        open={evidenceDialogOpen}
+        onClose={() => setEvidenceDialogOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Add Evidence</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Description"
+            fullWidth
+            multiline
+            rows={3}
+            variant="outlined"
+            value={evidenceDescription}
+            onChange={(e) => setEvidenceDescription(e.target.value)}
+          />
+          <Box sx={{ mt: 2 }}>
+            <Button component="label" variant="outlined" startIcon={<FileIcon />}>
+              {evidenceFile ? evidenceFile.name : "Attach File"}
+              <VisuallyHiddenInput
+                type="file"
+                onChange={(e) => setEvidenceFile(e.target.files[0] || null)}
+              />
+            </Button>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEvidenceDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleAddEvidence} disabled={disputeLoading}>
+            {disputeLoading ? <CircularProgress size={24} /> : "Add"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Cancel Contract Dialog */}
       <Dialog
         open={openCancelDialog}
@@ -1042,10 +2749,61 @@ const ContractDetails = () => {
           {contract.smartContractAddress && (
             <Alert severity="info" sx={{ mt: 2 }}>
               This will execute the payment function on the blockchain contract and
-              transfer {formatCurrency(contract.value)} from the contract to the
+              transfer {formatCurrency(contract.balance.remaining)} from the contract to the
               freelancer's wallet.
             </Alert>
           )}
+          {contract.contractType === "hourly" ? (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+              Approved hours have already been paid. Any budget left in escrow is
+              refunded to you.
+            </Typography>
+          ) : (
+            payoutPreview &&
+            (payoutPreview.platformFee > 0 || payoutPreview.splits.length > 0) && (
+              <List dense disablePadding sx={{ mt: 2 }}>
+                <ListItem
+                  disableGutters
+                  secondaryAction={formatCurrency(payoutPreview.amount)}
+                >
+                  <ListItemText primary="Payment" />
+                </ListItem>
+                {payoutPreview.platformFee > 0 && (
+                  <ListItem
+                    disableGutters
+                    secondaryAction={`−${formatCurrency(payoutPreview.platformFee)}`}
+                  >
+                    <ListItemText
+                      primary={`Platform fee (${payoutPreview.feeBps / 100}%)`}
+                    />
+                  </ListItem>
+                )}
+                {payoutPreview.splits.map((split) => (
+                  <ListItem
+                    key={split.id}
+                    disableGutters
+                    secondaryAction={`−${formatCurrency(split.amount)}`}
+                  >
+                    <ListItemText
+                      primary={`${split.label || split.walletAddress || "Payout split"} (${
+                        split.shareBps / 100
+                      }%)`}
+                    />
+                  </ListItem>
+                ))}
+                <ListItem
+                  disableGutters
+                  secondaryAction={
+                    <Typography variant="body2" sx={{ fontWeight: "bold" }}>
+                      {formatCurrency(payoutPreview.freelancerAmount)}
+                    </Typography>
+                  }
+                >
+                  <ListItemText primary="Freelancer receives" />
+                </ListItem>
+              </List>
+            )
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setVerifyDialogOpen(false)}>Cancel</Button>
@@ -45,6 +45,7 @@ import {
   Download as DownloadIcon,
   Link as LinkIcon,
   GitHub as GitHubIcon,
+  RateReview as ReviewIcon,
 } from "@mui/icons-material";
 
 import Navigation from "../../components/Navigation";
@@ -53,6 +54,8 @@ import { useAuth } from "../../context/AuthContext";
 import { getUserById } from "../../services/userService";
 import { requestMatch, getMatchStatus } from "../../services/matchService";
 import { getUserContracts } from "../../services/contractService";
+import { getUserReviews, getUserReputation } from "../../services/reviewService";
+import { formatCurrency } from "../../utils/formatters";
 
 // Styled components
 const Container = styled(Box)(({ theme }) => ({
@@ -111,6 +114,8 @@ const ProfileView = () => {
   // State
   const [profile, setProfile] = useState(null);
   const [contracts, setContracts] = useState([]);
+  const [reviews, setReviews] = useState([]);
+  const [reputation, setReputation] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
@@ -145,6 +150,14 @@ const ProfileView = () => {
         const contractsData = await getUserContracts(id);
         setContracts(contractsData);
 
+        // Reviews come from the server; the profile still loads without them
+        Promise.all([getUserReviews(id), getUserReputation(id)])
+          .then(([reviewsData, reputationData]) => {
+            setReviews(reviewsData);
+            setReputation(reputationData);
+          })
+          .catch((err) => console.error("Error fetching reputation:", err));
+
         // Check match status if opposite types
         if (currentUser && currentUser.id !== id) {
           const status = await getMatchStatus(id);
@@ -643,6 +656,7 @@ const ProfileView = () => {
                           investor={contract.investor}
                           freelancer={contract.freelancer}
                           value={contract.value}
+                          currency={contract.currency}
                           onClick={() => navigate(`/contract/${contract.id}`)}
                         />
                       </Grid>
@@ -650,6 +664,60 @@ const ProfileView = () => {
                 </Grid>
               )}
             </StyledPaper>
+
+            {/* Reviews Section */}
+            <StyledPaper>
+              <Typography variant="h6" gutterBottom sx={{ display: "flex", alignItems: "center" }}>
+                <ReviewIcon sx={{ mr: 1 }} /> Reviews
+              </Typography>
+              {reviews.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No reviews yet.
+                </Typography>
+              ) : (
+                <List disablePadding>
+                  {reviews.map((review, index) => (
+                    <React.Fragment key={review.id}>
+                      {index > 0 && <Divider component="li" />}
+                      <ListItem alignItems="flex-start" disableGutters>
+                        <ListItemAvatar>
+                          <Avatar src={review.reviewer.profileImage}>
+                            {(review.reviewer.name || review.reviewer.email).charAt(0).toUpperCase()}
+                          </Avatar>
+                        </ListItemAvatar>
+                        <ListItemText
+                          primary={
+                            <Box sx={{ display: "flex", alignItems: "center", flexWrap: "wrap", gap: 1 }}>
+                              <Rating value={review.rating} readOnly size="small" />
+                              <Typography variant="body2" fontWeight="medium">
+                                {review.contractTitle}
+                              </Typography>
+                              {review.onChain && (
+                                <Tooltip title="The contract was verified on the blockchain">
+                                  <VerifiedIcon fontSize="small" color="success" />
+                                </Tooltip>
+                              )}
+                            </Box>
+                          }
+                          secondary={
+                            <>
+                              {review.comment && (
+                                <Typography component="span" variant="body2" display="block">
+                                  {review.comment}
+                                </Typography>
+                              )}
+                              {`${review.reviewer.name || review.reviewer.email} (${
+                                review.reviewerRole === "investor" ? "investor" : "freelancer"
+                              }) · ${new Date(review.createdAt).toLocaleDateString()}`}
+                            </>
+                          }
+                        />
+                      </ListItem>
+                    </React.Fragment>
+                  ))}
+                </List>
+              )}
+            </StyledPaper>
           </Grid>
 
           <Grid item xs={12} md={4}>
@@ -679,6 +747,34 @@ const ProfileView = () => {
                     </Box>
                   </InfoBox>
                 </Grid>
+                {reputation && (
+                  <Grid item xs={12}>
+                    <InfoBox>
+                      <Typography variant="body2" color="text.secondary">
+                        Verified Contracts
+                      </Typography>
+                      <Typography variant="h5">{reputation.verifiedContracts}</Typography>
+                      {reputation.onChain && (
+                        <Tooltip
+                          title={
+                            reputation.onChain.inSync
+                              ? "Matches the reputation recorded on the blockchain"
+                              : `The blockchain records ${reputation.onChain.reputation} verification(s) for this wallet, ${reputation.onChain.expected} expected`
+                          }
+                        >
+                          <Chip
+                            icon={<VerifiedIcon />}
+                            label={`On-chain reputation ${reputation.onChain.reputation}`}
+                            color={reputation.onChain.inSync ? "success" : "warning"}
+                            variant="outlined"
+                            size="small"
+                            sx={{ mt: 1 }}
+                          />
+                        </Tooltip>
+                      )}
+                    </InfoBox>
+                  </Grid>
+                )}
                 {isViewingFreelancer() ? (
                   <Grid item xs={12}>
                     <InfoBox>
@@ -803,7 +899,7 @@ const ProfileView = () => {
                                 Status: {contract.status.charAt(0).toUpperCase() + contract.status.slice(1)}
                               </Typography>
                               <Typography variant="caption" color="text.secondary" sx={{ display: "block" }}>
-                                Value: ${contract.value.toLocaleString()}
+                                Value: {formatCurrency(contract.value, contract.currency)}
                               </Typography>
                             </>
                           }
@@ -0,0 +1,42 @@
+import axios from "axios";
+import { supabase } from "./supabaseClient";
+
+// Base URL of the Express server
+const API_URL = process.env.REACT_APP_API_URL || "http://localhost:3001/api";
+
+/**
+ * Call an authenticated server endpoint with the current Supabase session
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to the API base URL
+ * @param {Object} data - Request body (optional)
+ * @param {Object} options - Extra axios options, e.g. responseType (optional)
+ * @returns {Promise<any>} Response body
+ */
+export const apiRequest = async (method, path, data = undefined, options = {}) => {
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+
+  if (!session) {
+    throw new Error("You must be signed in to do this.");
+  }
+
+  try {
+    const response = await axios({
+      method,
+      url: `${API_URL}${path}`,
+      data,
+      ...options,
+      headers: {
+        Authorization: `Bearer ${session.access_token}`,
+        ...options.headers,
+      },
+    });
+
+    return response.data;
+  } catch (error) {
+    // Surface the server's error message instead of the generic axios one
+    const body = error.response?.data;
+    throw new Error(body?.message || body?.error || error.message);
+  }
+};
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { supabase, TABLES } from "./supabaseClient";
+import { uploadFile } from "./uploadService";
 
 // Cache for user profiles to avoid repeated API calls
 const profileCache = new Map();
@@ -58,6 +59,8 @@ export const getCurrentUser = async () => {
       id: user.id,
       email: user.email,
       userType: user.user_metadata?.user_type || "freelancer",
+      // Granted by the platform in app_metadata, which users cannot edit
+      isArbiter: user.app_metadata?.role === "arbiter",
       createdAt: user.created_at,
       // Default empty values for profile data
       name: user.user_metadata?.name || "",
@@ -197,7 +200,7 @@ export const updateProfile = async (userId, profileData) => {
 };
 
 /**
- * Upload profile image - optimized with pre-signed URL
+ * Upload profile image through the server's upload pipeline
  * @param {string} userId - User ID
  * @param {File} file - Image file to upload
  * @returns {Promise<string>} URL of uploaded image
@@ -205,43 +208,24 @@ export const updateProfile = async (userId, profileData) => {
 export const uploadProfileImage = async (userId, file) => {
   try {
     perfTracker.start();
-    
-    const fileExt = file.name.split(".").pop();
-    const fileName = `${userId}-${Date.now()}.${fileExt}`;
-    const filePath = `profile-images/${fileName}`;
 
-    // Upload directly
-    const { error: uploadError } = await supabase.storage
-      .from("avatars")
-      .upload(filePath, file, {
-        cacheControl: '3600',
-        upsert: false
-      });
-    
-    perfTracker.logPerformance('Uploading profile image');
+    const { url } = await uploadFile("avatars", file);
 
-    if (uploadError) {
-      throw uploadError;
-    }
-
-    // Get the public URL
-    const { data: urlData } = supabase.storage
-      .from("avatars")
-      .getPublicUrl(filePath);
+    perfTracker.logPerformance('Uploading profile image');
 
     // Update profile with new image URL
-    await updateProfile(userId, { profile_image: urlData.publicUrl });
+    await updateProfile(userId, { profile_image: url });
 
     // Update cache with new image URL
     if (profileCache.has(userId)) {
       const cachedUser = profileCache.get(userId);
       profileCache.set(userId, { 
         ...cachedUser, 
-        profileImage: urlData.publicUrl 
+        profileImage: url 
       });
     }
 
-    return urlData.publicUrl;
+    return url;
   } catch (error) {
     console.error("Error uploading profile image:", error);
     throw error;
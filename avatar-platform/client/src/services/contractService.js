@@ -1,10 +1,143 @@
 import { supabase, TABLES } from "./supabaseClient";
 import { ethers } from "ethers";
 import AvatarContractABI from "../contracts/AvatarContract.json";
+import { apiRequest } from "./apiClient";
+import { uploadFile } from "./uploadService";
+import {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  canEscrowOnChain,
+  getCurrency,
+  getTokenAddress,
+  isTokenCurrency,
+} from "../utils/currencies";
 
 // Contract address (would come from deployment)
 const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS;
 
+// The parts of the ERC-20 interface needed to fund a token escrow
+const ERC20_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+/**
+ * Convert an amount to the on-chain units of the currency it is escrowed in
+ * @param {number|string} amount - Amount in whole units
+ * @param {string} currency - Currency code
+ * @returns {ethers.BigNumber} Amount in the currency's smallest unit
+ */
+const toChainUnits = (amount, currency = DEFAULT_CURRENCY) =>
+  ethers.utils.parseUnits(amount.toString(), getCurrency(currency)?.decimals ?? 18);
+
+/**
+ * Make sure the escrow contract can pull a token amount from the signer's
+ * wallet, asking the wallet for an approval when the allowance is too low
+ * @param {Object} signer - Ethers signer of the investor
+ * @param {string} currency - Token currency code
+ * @param {ethers.BigNumber} amount - Amount in the token's smallest unit
+ * @returns {Promise<string>} Token address
+ */
+const ensureTokenAllowance = async (signer, currency, amount) => {
+  const tokenAddress = getTokenAddress(currency);
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+  const owner = await signer.getAddress();
+
+  const balance = await token.balanceOf(owner);
+  if (balance.lt(amount)) {
+    throw new Error(`Insufficient ${currency} balance to fund the escrow.`);
+  }
+
+  const allowance = await token.allowance(owner, CONTRACT_ADDRESS);
+  if (allowance.lt(amount)) {
+    // Approve only what this escrow needs rather than an unlimited allowance
+    const approveTx = await token.approve(CONTRACT_ADDRESS, amount);
+    await approveTx.wait();
+  }
+
+  return tokenAddress;
+};
+
+/**
+ * Format milestone rows with their linked deliverables, in on-chain order
+ * @param {Array} milestones - Milestone rows
+ * @param {Array} deliverables - Deliverable rows
+ * @returns {Array} Formatted milestones
+ */
+const formatMilestones = (milestones = [], deliverables = []) => {
+  return [...milestones]
+    .sort((a, b) => a.position - b.position)
+    .map((m) => ({
+      id: m.id,
+      title: m.title,
+      amount: Number(m.amount),
+      dueDate: m.due_date,
+      position: m.position,
+      status: m.status,
+      releasedAt: m.released_at,
+      transactionHash: m.transaction_hash,
+      deliverableIds: deliverables
+        .filter((d) => d.milestone_id === m.id)
+        .map((d) => d.id),
+    }));
+};
+
+/**
+ * Check whether an open item has passed its due date
+ * @param {string} dueDate - Due date
+ * @returns {boolean} True if the date has passed
+ */
+const isPastDue = (dueDate) => Boolean(dueDate) && new Date(dueDate) < new Date();
+
+/**
+ * Summarize how much of the contract value has been released, through
+ * milestones or approved timesheets
+ * @param {number} value - Contract value
+ * @param {Array} milestones - Milestone rows
+ * @param {Array} timesheets - Timesheet rows
+ * @returns {Object} Total, released and remaining amounts
+ */
+const getEscrowBalance = (value, milestones = [], timesheets = []) => {
+  const total = Number(value) || 0;
+  const released =
+    milestones
+      .filter((m) => m.status === "released")
+      .reduce((sum, m) => sum + Number(m.amount), 0) +
+    timesheets
+      .filter((t) => t.status === "approved")
+      .reduce((sum, t) => sum + Number(t.amount), 0);
+  // Settled by a dispute split, so no longer held but not necessarily released
+  const settled = milestones
+    .filter((m) => m.status === "settled")
+    .reduce((sum, m) => sum + Number(m.amount), 0);
+
+  return {
+    total,
+    released,
+    remaining: Math.max(total - released - settled, 0),
+  };
+};
+
+/**
+ * Total the approved and awaiting-approval hours of an hourly contract
+ * @param {Array} timesheets - Timesheet rows
+ * @returns {Object} Approved and pending hours and amounts
+ */
+const getTimesheetSummary = (timesheets = []) => {
+  const total = (status, field) =>
+    timesheets
+      .filter((t) => t.status === status)
+      .reduce((sum, t) => sum + Number(t[field]), 0);
+
+  return {
+    approvedHours: total("approved", "total_hours"),
+    paidAmount: total("approved", "amount"),
+    pendingHours: total("submitted", "total_hours"),
+    pendingAmount: total("submitted", "amount"),
+  };
+};
+
 /**
  * Get Ethereum provider and contract instance
  * @returns {Promise<Object>} Provider and contract instance
@@ -37,33 +170,48 @@ export const getContractInstance = async () => {
 };
 
 /**
- * Create a new contract
+ * Create a new contract. The server validates and records it as a draft;
+ * for on-chain escrow the investor's wallet then creates and funds the
+ * contract, which the server links once the transaction is confirmed.
  * @param {Object} contractData - Contract data
  * @returns {Promise<Object>} Created contract
  */
 export const createContract = async (contractData) => {
   try {
-    // First create the contract in the database
-    const { data: dbContract, error: dbError } = await supabase
-      .from(TABLES.CONTRACTS)
-      .insert({
-        investor_id: contractData.investorId,
-        freelancer_id: contractData.freelancerId,
-        title: contractData.title,
-        description: contractData.description,
-        terms: contractData.terms,
-        value: contractData.value,
-        status: "draft",
-        created_at: new Date(),
-        updated_at: new Date(),
-      })
-      .select()
-      .single();
+    const milestones = contractData.milestones || [];
+    const hourly = contractData.contractType === "hourly";
+    const currency = contractData.currency || DEFAULT_CURRENCY;
+
+    if (!CURRENCIES.some((c) => c.code === currency)) {
+      throw new Error(`Unsupported currency: ${currency}.`);
+    }
 
-    if (dbError) {
-      throw dbError;
+    // The escrow contract holds ether and allowed ERC-20 tokens, so other
+    // currencies are tracked off-chain
+    if (contractData.createOnBlockchain && !canEscrowOnChain(currency)) {
+      throw new Error(`${currency} contracts cannot be escrowed on the blockchain.`);
     }
 
+    const dbContract = await apiRequest("post", "/contracts", {
+      investorId: contractData.investorId,
+      freelancerId: contractData.freelancerId,
+      title: contractData.title,
+      description: contractData.description,
+      terms: contractData.terms,
+      value: contractData.value,
+      currency,
+      contractType: hourly ? "hourly" : "fixed",
+      hourlyRate: hourly ? contractData.hourlyRate : undefined,
+      weeklyHourCap: hourly ? contractData.weeklyHourCap : undefined,
+      milestones: milestones.map((m) => ({
+        title: m.title,
+        amount: m.amount,
+        dueDate: m.dueDate || undefined,
+      })),
+      startDate: contractData.startDate || undefined,
+      endDate: contractData.endDate || undefined,
+    });
+
     // If the contract has a blockchain component, create it on the blockchain
     if (
       contractData.createOnBlockchain &&
@@ -71,61 +219,77 @@ export const createContract = async (contractData) => {
       contractData.freelancerWalletAddress
     ) {
       try {
-        const { contract } = await getContractInstance();
+        const { signer, contract } = await getContractInstance();
 
-        // Upload contract terms to IPFS (in a real app)
-        // For demo, we'll just use a simple string
+        // The server links the on-chain contract to this row by its terms URI
         const termsIpfsUri = `ipfs://terms-${dbContract.id}`;
 
-        // Create contract on blockchain
-        // Fix: Use utils.parseEther instead of direct parseEther for ethers v5
-        const tx = await contract.createContract(
-          contractData.freelancerWalletAddress,
-          termsIpfsUri,
-          { value: ethers.utils.parseEther(contractData.value.toString()) }
+        const value = toChainUnits(dbContract.value, currency);
+        const milestoneAmounts = milestones.map((m) => toChainUnits(m.amount, currency));
+        const milestoneDueDates = milestones.map((m) =>
+          m.dueDate ? Math.floor(new Date(m.dueDate).getTime() / 1000) : 0
         );
 
-        const receipt = await tx.wait();
-
-        // Get contract ID from event logs
-        const event = receipt.events.find((e) => e.event === "ContractCreated");
-        const [contractId, investor, freelancer] = event.args;
-
-        // Update database contract with blockchain details
-        const { data: updatedContract, error: updateError } = await supabase
-          .from(TABLES.CONTRACTS)
-          .update({
-            status: "pending",
-            smart_contract_address: CONTRACT_ADDRESS,
-            blockchain_contract_id: contractId.toString(),
-            transaction_hash: receipt.transactionHash,
-            updated_at: new Date(),
-          })
-          .eq("id", dbContract.id)
-          .select()
-          .single();
-
-        if (updateError) {
-          throw updateError;
+        let tx;
+        if (isTokenCurrency(currency)) {
+          // Token escrow is pulled from the investor's wallet with transferFrom
+          const tokenAddress = await ensureTokenAllowance(signer, currency, value);
+
+          tx =
+            milestones.length > 0
+              ? await contract.createTokenContractWithMilestones(
+                  contractData.freelancerWalletAddress,
+                  termsIpfsUri,
+                  tokenAddress,
+                  milestoneAmounts,
+                  milestoneDueDates
+                )
+              : hourly
+              ? await contract.createTokenHourlyContract(
+                  contractData.freelancerWalletAddress,
+                  termsIpfsUri,
+                  tokenAddress,
+                  value
+                )
+              : await contract.createTokenContract(
+                  contractData.freelancerWalletAddress,
+                  termsIpfsUri,
+                  tokenAddress,
+                  value
+                );
+        } else {
+          const overrides = { value };
+
+          tx =
+            milestones.length > 0
+              ? await contract.createContractWithMilestones(
+                  contractData.freelancerWalletAddress,
+                  termsIpfsUri,
+                  milestoneAmounts,
+                  milestoneDueDates,
+                  overrides
+                )
+              : hourly
+              ? await contract.createHourlyContract(
+                  contractData.freelancerWalletAddress,
+                  termsIpfsUri,
+                  overrides
+                )
+              : await contract.createContract(
+                  contractData.freelancerWalletAddress,
+                  termsIpfsUri,
+                  overrides
+                );
         }
 
-        return updatedContract;
+        const receipt = await tx.wait();
+
+        return { ...dbContract, transactionHash: receipt.transactionHash };
       } catch (blockchainError) {
         console.error(
           "Error creating contract on blockchain:",
           blockchainError
         );
-
-        // Update database contract with error
-        await supabase
-          .from(TABLES.CONTRACTS)
-          .update({
-            status: "error",
-            blockchain_error: blockchainError.message,
-            updated_at: new Date(),
-          })
-          .eq("id", dbContract.id);
-
         throw blockchainError;
       }
     }
@@ -165,7 +329,9 @@ export const getContractById = async (contractId) => {
             profile_image
           )
         ),
-        deliverables (*)
+        deliverables (*),
+        milestones (*),
+        timesheets (*)
       `
       )
       .eq("id", contractId)
@@ -181,7 +347,13 @@ export const getContractById = async (contractId) => {
       title: data.title,
       description: data.description,
       terms: data.terms,
+      termsVersion: data.terms_version || 1,
       value: data.value,
+      currency: data.currency || DEFAULT_CURRENCY,
+      contractType: data.contract_type || "fixed",
+      hourlyRate: data.hourly_rate !== null ? Number(data.hourly_rate) : null,
+      weeklyHourCap:
+        data.weekly_hour_cap !== null ? Number(data.weekly_hour_cap) : null,
       status: data.status,
       smartContractAddress: data.smart_contract_address,
       blockchainContractId: data.blockchain_contract_id,
@@ -203,10 +375,32 @@ export const getContractById = async (contractId) => {
         title: d.title,
         description: d.description,
         fileUrl: d.file_url,
+        hasFile: Boolean(d.file_path || d.file_url),
+        contentCid: d.content_cid,
+        integrityStatus: d.content_cid ? d.integrity_status : "unhashed",
+        integrityCheckedAt: d.integrity_checked_at,
         status: d.status,
+        currentVersion: d.current_version || 1,
+        milestoneId: d.milestone_id,
+        ownerId: d.owner_id || data.freelancer_id,
+        dueDate: d.due_date,
+        overdue:
+          ["pending", "changes_requested"].includes(d.status) &&
+          (d.overdue || isPastDue(d.due_date)),
         createdAt: d.created_at,
         updatedAt: d.updated_at,
       })),
+      milestones: formatMilestones(data.milestones, data.deliverables),
+      balance: getEscrowBalance(data.value, data.milestones, data.timesheets),
+      timesheets:
+        data.contract_type === "hourly"
+          ? getTimesheetSummary(data.timesheets)
+          : null,
+      verified: data.verified,
+      startDate: data.start_date,
+      endDate: data.end_date,
+      overdue: data.status === "active" && (data.overdue || isPastDue(data.end_date)),
+      expiredAt: data.expired_at,
       createdAt: data.created_at,
       updatedAt: data.updated_at,
       completedAt: data.completed_at,
@@ -225,6 +419,23 @@ export const getContractById = async (contractId) => {
  */
 export const getUserContracts = async (userId, status = null) => {
   try {
+    // Contracts the user works on as a team member are listed too
+    const { data: memberships, error: memberError } = await supabase
+      .from(TABLES.CONTRACT_MEMBERS)
+      .select("contract_id")
+      .eq("user_id", userId)
+      .in("status", ["invited", "accepted"]);
+
+    if (memberError) {
+      throw memberError;
+    }
+
+    const memberContractIds = memberships.map((m) => m.contract_id);
+    const parties = [`investor_id.eq.${userId}`, `freelancer_id.eq.${userId}`];
+    if (memberContractIds.length > 0) {
+      parties.push(`id.in.(${memberContractIds.join(",")})`);
+    }
+
     let query = supabase
       .from(TABLES.CONTRACTS)
       .select(
@@ -245,10 +456,15 @@ export const getUserContracts = async (userId, status = null) => {
             name,
             profile_image
           )
+        ),
+        timesheets (
+          status,
+          total_hours,
+          amount
         )
       `
       )
-      .or(`investor_id.eq.${userId},freelancer_id.eq.${userId}`)
+      .or(parties.join(","))
       .order("created_at", { ascending: false });
 
     // Apply status filter if provided
@@ -268,10 +484,24 @@ export const getUserContracts = async (userId, status = null) => {
       title: contract.title,
       description: contract.description,
       value: contract.value,
+      currency: contract.currency || DEFAULT_CURRENCY,
+      contractType: contract.contract_type || "fixed",
+      hourlyRate:
+        contract.hourly_rate !== null ? Number(contract.hourly_rate) : null,
+      timesheets:
+        contract.contract_type === "hourly"
+          ? getTimesheetSummary(contract.timesheets)
+          : null,
       status: contract.status,
       isInvestor: contract.investor_id === userId,
+      isTeamMember: memberContractIds.includes(contract.id),
       smartContractAddress: contract.smart_contract_address,
       blockchainContractId: contract.blockchain_contract_id,
+      startDate: contract.start_date,
+      endDate: contract.end_date,
+      overdue:
+        contract.status === "active" &&
+        (contract.overdue || isPastDue(contract.end_date)),
       investor: {
         id: contract.investor.id,
         email: contract.investor.email,
@@ -295,96 +525,65 @@ export const getUserContracts = async (userId, status = null) => {
 };
 
 /**
- * Update contract status
- * @param {string} contractId - Contract ID
- * @param {string} status - New status
- * @param {string} userId - User ID updating the status
- * @returns {Promise<Object>} Updated contract
+ * Search the current user's contracts on the server, one page at a time
+ * @param {Object} params - Search parameters
+ * @param {string} params.q - Full-text search over title, description and terms
+ * @param {string} params.status - Contract status, or "all"
+ * @param {string} params.counterpartyId - Only contracts with this user
+ * @param {number} params.minValue - Lowest contract value
+ * @param {number} params.maxValue - Highest contract value
+ * @param {string} params.dateField - "created", "start" or "end"
+ * @param {string} params.from - Earliest date
+ * @param {string} params.to - Latest date
+ * @param {boolean} params.verified - Only verified or unverified contracts
+ * @param {string} params.sort - "newest", "oldest", "value-high", "value-low" or "updated"
+ * @param {number} params.limit - Page size
+ * @param {string} params.cursor - nextCursor of the previous page
+ * @returns {Promise<Object>} { contracts, nextCursor, total }
  */
-export const updateContractStatus = async (contractId, status, userId) => {
+export const searchContracts = async (params = {}) => {
   try {
-    // Get contract details
-    const { data: contract, error: contractError } = await supabase
-      .from(TABLES.CONTRACTS)
-      .select("*")
-      .eq("id", contractId)
-      .single();
-
-    if (contractError) {
-      throw contractError;
-    }
-
-    // Validate user permission
-    if (contract.investor_id !== userId && contract.freelancer_id !== userId) {
-      throw new Error("You do not have permission to update this contract.");
-    }
-
-    // Validate status transition
-    const validTransitions = {
-      draft: ["pending", "cancelled"],
-      pending: ["active", "cancelled"],
-      active: ["completed", "cancelled"],
-      completed: [], // No transitions from completed
-      cancelled: [], // No transitions from cancelled
-    };
-
-    if (!validTransitions[contract.status].includes(status)) {
-      throw new Error(
-        `Invalid status transition from ${contract.status} to ${status}.`
-      );
-    }
-
-    // Update blockchain contract if it exists
-    if (contract.smart_contract_address && contract.blockchain_contract_id) {
-      try {
-        const { contract: contractInstance } = await getContractInstance();
-
-        // Map status to blockchain status
-        const blockchainStatus = {
-          pending: 0,
-          active: 1,
-          completed: 2,
-          cancelled: 3,
-        };
-
-        const tx = await contractInstance.updateContractStatus(
-          contract.blockchain_contract_id,
-          blockchainStatus[status]
-        );
-
-        await tx.wait();
-      } catch (blockchainError) {
-        console.error(
-          "Error updating contract on blockchain:",
-          blockchainError
-        );
-        throw blockchainError;
-      }
-    }
-
-    // Update database
-    const updateData = {
-      status,
-      updated_at: new Date(),
-    };
-
-    // Set completion date if status is completed
-    if (status === "completed") {
-      updateData.completed_at = new Date();
-    }
+    // Leave out unset filters so the server uses its defaults
+    const query = Object.fromEntries(
+      Object.entries(params).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+    );
 
-    const { data: updatedContract, error: updateError } = await supabase
-      .from(TABLES.CONTRACTS)
-      .update(updateData)
-      .eq("id", contractId)
-      .select()
-      .single();
+    return await apiRequest("get", "/contracts", undefined, { params: query });
+  } catch (error) {
+    console.error("Error searching contracts:", error);
+    throw error;
+  }
+};
 
-    if (updateError) {
-      throw updateError;
-    }
+/**
+ * Run an action on several contracts at once. The server reports the
+ * outcome for each contract, so some can fail while the rest succeed.
+ * @param {string} action - "cancel" (drafts), "approve-deliverables", "export" or "message"
+ * @param {Array<string>} contractIds - Selected contracts
+ * @param {string} message - Message to the freelancers [message]
+ * @returns {Promise<Object>} { action, results, succeeded, failed, csv [export] }
+ */
+export const bulkContractAction = async (action, contractIds, message = undefined) => {
+  try {
+    return await apiRequest("post", "/contracts/bulk", { action, contractIds, message });
+  } catch (error) {
+    console.error("Error running bulk contract action:", error);
+    throw error;
+  }
+};
 
-    return updatedContract;
+/**
+ * Update contract status. The server checks the transition and the caller's
+ * role, updates the on-chain contract and records any refund.
+ * @param {string} contractId - Contract ID
+ * @param {string} status - New status
+ * @returns {Promise<Object>} Updated contract
+ */
+export const updateContractStatus = async (contractId, status) => {
+  try {
+    return await apiRequest("put", `/contracts/${contractId}/status`, { status });
   } catch (error) {
     console.error("Error updating contract status:", error);
     throw error;
@@ -392,81 +591,23 @@ export const updateContractStatus = async (contractId, status, userId) => {
 };
 
 /**
- * Add deliverable to contract
+ * Add deliverable to contract. The server hashes the uploaded file (or the
+ * metadata without one) and records the content CID on-chain.
  * @param {string} contractId - Contract ID
- * @param {Object} deliverableData - Deliverable data
+ * @param {Object} deliverableData - Title, description, milestoneId, dueDate and
+ *   filePath from uploadDeliverableFile
  * @returns {Promise<Object>} Created deliverable
  */
 export const addDeliverable = async (contractId, deliverableData) => {
   try {
-    // Get contract details
-    const { data: contract, error: contractError } = await supabase
-      .from(TABLES.CONTRACTS)
-      .select("*")
-      .eq("id", contractId)
-      .single();
-
-    if (contractError) {
-      throw contractError;
-    }
-
-    // Validate contract is active
-    if (contract.status !== "active") {
-      throw new Error("Can only add deliverables to active contracts.");
-    }
-
-    // Create deliverable
-    const { data: deliverable, error: deliverableError } = await supabase
-      .from(TABLES.DELIVERABLES)
-      .insert({
-        contract_id: contractId,
-        title: deliverableData.title,
-        description: deliverableData.description,
-        file_url: deliverableData.fileUrl,
-        status: "pending",
-        created_at: new Date(),
-        updated_at: new Date(),
-      })
-      .select()
-      .single();
-
-    if (deliverableError) {
-      throw deliverableError;
-    }
-
-    // Add to blockchain if smart contract exists
-    if (contract.smart_contract_address && contract.blockchain_contract_id) {
-      try {
-        const { contract: contractInstance } = await getContractInstance();
-
-        // In a real app, we'd upload to IPFS first
-        const deliverableUri = `ipfs://deliverable-${deliverable.id}`;
-
-        const tx = await contractInstance.addDeliverable(
-          contract.blockchain_contract_id,
-          deliverableUri
-        );
-
-        await tx.wait();
-
-        // Update deliverable with blockchain info
-        await supabase
-          .from(TABLES.DELIVERABLES)
-          .update({
-            blockchain_uri: deliverableUri,
-            updated_at: new Date(),
-          })
-          .eq("id", deliverable.id);
-      } catch (blockchainError) {
-        console.error(
-          "Error adding deliverable to blockchain:",
-          blockchainError
-        );
-        // Continue without failing - the deliverable is still in the database
-      }
-    }
-
-    return deliverable;
+    return await apiRequest("post", `/contracts/${contractId}/deliverables`, {
+      title: deliverableData.title,
+      description: deliverableData.description,
+      milestoneId: deliverableData.milestoneId || undefined,
+      dueDate: deliverableData.dueDate || undefined,
+      filePath: deliverableData.filePath || undefined,
+      fileUrl: deliverableData.fileUrl || undefined,
+    });
   } catch (error) {
     console.error("Error adding deliverable:", error);
     throw error;
@@ -474,77 +615,127 @@ export const addDeliverable = async (contractId, deliverableData) => {
 };
 
 /**
- * Update deliverable status
+ * Review the current version of a pending deliverable. The server releases
+ * the milestone when its last deliverable is approved.
  * @param {string} deliverableId - Deliverable ID
- * @param {string} status - New status
- * @param {string} userId - User ID updating the status
+ * @param {string} status - "approved", "changes_requested" or "rejected"
+ * @param {string} comment - Feedback for the freelancer, required when requesting changes
  * @returns {Promise<Object>} Updated deliverable
  */
-export const updateDeliverableStatus = async (
-  deliverableId,
-  status,
-  userId
-) => {
-  try {
-    // Get deliverable and contract details
-    const { data: deliverable, error: deliverableError } = await supabase
-      .from(TABLES.DELIVERABLES)
-      .select("*, contract:contract_id (*)")
-      .eq("id", deliverableId)
-      .single();
-
-    if (deliverableError) {
-      throw deliverableError;
-    }
+export const updateDeliverableStatus = async (deliverableId, status, comment = undefined) => {
+  try {
+    return await apiRequest("put", `/contracts/deliverables/${deliverableId}/status`, {
+      status,
+      comment,
+    });
+  } catch (error) {
+    console.error("Error updating deliverable status:", error);
+    throw error;
+  }
+};
 
-    // Validate user permission (only investor can approve/reject)
-    if (deliverable.contract.investor_id !== userId) {
-      throw new Error("Only the investor can approve or reject deliverables.");
-    }
+/**
+ * Get every version of a deliverable with its comment threads
+ * @param {string} deliverableId - Deliverable ID
+ * @returns {Promise<Array>} Versions, oldest first
+ */
+export const getDeliverableVersions = async (deliverableId) => {
+  try {
+    return await apiRequest("get", `/contracts/deliverables/${deliverableId}/versions`);
+  } catch (error) {
+    console.error("Error fetching deliverable versions:", error);
+    throw error;
+  }
+};
 
-    // Validate contract is active
-    if (deliverable.contract.status !== "active") {
-      throw new Error("Can only update deliverables for active contracts.");
-    }
+/**
+ * Resubmit a deliverable the investor requested changes on. Without a new
+ * file the new version keeps the previous one's.
+ * @param {string} deliverableId - Deliverable ID
+ * @param {Object} submission - { description, filePath } with the file from uploadDeliverableFile
+ * @returns {Promise<Object>} New version
+ */
+export const resubmitDeliverable = async (deliverableId, submission) => {
+  try {
+    return await apiRequest(
+      "post",
+      `/contracts/deliverables/${deliverableId}/versions`,
+      submission
+    );
+  } catch (error) {
+    console.error("Error resubmitting deliverable:", error);
+    throw error;
+  }
+};
 
-    // Validate status
-    if (!["approved", "rejected"].includes(status)) {
-      throw new Error('Invalid status. Must be "approved" or "rejected".');
-    }
+/**
+ * Comment on a version of a deliverable
+ * @param {string} deliverableId - Deliverable ID
+ * @param {string} body - Comment text
+ * @param {string} versionId - Version to comment on, the current one if omitted
+ * @returns {Promise<Object>} Created comment
+ */
+export const addDeliverableComment = async (deliverableId, body, versionId = undefined) => {
+  try {
+    return await apiRequest("post", `/contracts/deliverables/${deliverableId}/comments`, {
+      body,
+      versionId,
+    });
+  } catch (error) {
+    console.error("Error adding deliverable comment:", error);
+    throw error;
+  }
+};
 
-    // Update deliverable
-    const { data: updatedDeliverable, error: updateError } = await supabase
-      .from(TABLES.DELIVERABLES)
-      .update({
-        status,
-        updated_at: new Date(),
-      })
-      .eq("id", deliverableId)
-      .select()
-      .single();
+/**
+ * Upload deliverable file through the server, which checks and virus scans
+ * it and stores it in the private deliverables bucket under its CID, so its
+ * path names its content. It has no public URL; participants download it
+ * with getDeliverableDownloadUrl.
+ * @param {string} contractId - Contract ID
+ * @param {File} file - File to upload
+ * @returns {Promise<Object>} { filePath, content: { cid, sha256, size } }
+ */
+export const uploadDeliverableFile = async (contractId, file) => {
+  try {
+    const { path, content } = await uploadFile("deliverables", file, { contractId });
 
-    if (updateError) {
-      throw updateError;
-    }
+    return { filePath: path, content };
+  } catch (error) {
+    console.error("Error uploading deliverable file:", error);
+    throw error;
+  }
+};
 
-    return updatedDeliverable;
+/**
+ * Get a short-lived download link for a deliverable's file. Until payment
+ * is released the investor gets a watermarked preview where the file type
+ * allows one. The server records every download in the contract history.
+ * @param {string} deliverableId - Deliverable ID
+ * @param {string} versionId - Version to download, the current one if omitted
+ * @returns {Promise<Object>} { url, expiresAt, watermarked }
+ */
+export const getDeliverableDownloadUrl = async (deliverableId, versionId = undefined) => {
+  try {
+    return await apiRequest("get", `/contracts/deliverables/${deliverableId}/download`, undefined, {
+      params: { versionId },
+    });
   } catch (error) {
-    console.error("Error updating deliverable status:", error);
+    console.error("Error fetching deliverable download link:", error);
     throw error;
   }
 };
 
 /**
- * Upload deliverable file
+ * Upload a file attached to dispute evidence to the contracts bucket
  * @param {string} contractId - Contract ID
  * @param {File} file - File to upload
- * @returns {Promise<string>} URL of uploaded file
+ * @returns {Promise<string>} Public URL of the file
  */
-export const uploadDeliverableFile = async (contractId, file) => {
+export const uploadEvidenceFile = async (contractId, file) => {
   try {
     const fileExt = file.name.split(".").pop();
-    const fileName = `${contractId}-${Date.now()}.${fileExt}`;
-    const filePath = `deliverables/${fileName}`;
+    const filePath = `evidence/${contractId}/${Date.now()}.${fileExt}`;
 
     const { error: uploadError } = await supabase.storage
       .from("contracts")
@@ -560,77 +751,424 @@ export const uploadDeliverableFile = async (contractId, file) => {
 
     return urlData.publicUrl;
   } catch (error) {
-    console.error("Error uploading deliverable file:", error);
+    console.error("Error uploading evidence file:", error);
     throw error;
   }
 };
 
 /**
- * Verify contract and release payment
+ * Re-hash a deliverable's stored file on the server and check it against
+ * the hash recorded on submission
+ * @param {string} deliverableId - Deliverable ID
+ * @returns {Promise<Object>} { status, expectedCid, actualCid, sha256, onChainUri, onChainMatches, checkedAt }
+ */
+export const verifyDeliverableIntegrity = async (deliverableId) => {
+  try {
+    return await apiRequest("post", `/contracts/deliverables/${deliverableId}/integrity`);
+  } catch (error) {
+    console.error("Error verifying deliverable integrity:", error);
+    throw error;
+  }
+};
+
+/**
+ * Verify contract and release payment. The server releases the escrow and
+ * records the payment; only the investor can verify.
  * @param {string} contractId - Contract ID
- * @param {string} userId - User ID (investor)
  * @returns {Promise<Object>} Updated contract
  */
-export const verifyAndReleasePayment = async (contractId, userId) => {
+export const verifyAndReleasePayment = async (contractId) => {
   try {
-    // Get contract details
-    const { data: contract, error: contractError } = await supabase
-      .from(TABLES.CONTRACTS)
-      .select("*")
-      .eq("id", contractId)
-      .single();
+    return await apiRequest("post", `/contracts/${contractId}/verify`);
+  } catch (error) {
+    console.error("Error verifying contract:", error);
+    throw error;
+  }
+};
 
-    if (contractError) {
-      throw contractError;
-    }
+/**
+ * Format a dispute row with its evidence
+ * @param {Object} dispute - Dispute row
+ * @returns {Object} Formatted dispute
+ */
+const formatDispute = (dispute) => ({
+  id: dispute.id,
+  contractId: dispute.contract_id,
+  raisedBy: dispute.raised_by,
+  reason: dispute.reason,
+  status: dispute.status,
+  previousStatus: dispute.previous_status,
+  resolution: dispute.resolution,
+  freelancerAmount: dispute.freelancer_amount,
+  investorAmount: dispute.investor_amount,
+  resolvedBy: dispute.resolved_by,
+  resolvedAt: dispute.resolved_at,
+  transactionHash: dispute.transaction_hash,
+  evidence: (dispute.dispute_evidence || [])
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map((e) => ({
+      id: e.id,
+      submittedBy: e.submitted_by,
+      description: e.description,
+      fileUrl: e.file_url,
+      createdAt: e.created_at,
+    })),
+  createdAt: dispute.created_at,
+  updatedAt: dispute.updated_at,
+});
 
-    // Validate user is the investor
-    if (contract.investor_id !== userId) {
-      throw new Error("Only the investor can verify and release payment.");
-    }
+/**
+ * Get disputes for a contract, newest first
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Array>} Disputes with evidence
+ */
+export const getContractDisputes = async (contractId) => {
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.DISPUTES)
+      .select("*, dispute_evidence (*)")
+      .eq("contract_id", contractId)
+      .order("created_at", { ascending: false });
 
-    // Validate contract is completed
-    if (contract.status !== "completed") {
-      throw new Error("Can only verify completed contracts.");
+    if (error) {
+      throw error;
     }
 
-    // Release payment on blockchain if smart contract exists
-    if (contract.smart_contract_address && contract.blockchain_contract_id) {
-      try {
-        const { contract: contractInstance } = await getContractInstance();
+    return data.map(formatDispute);
+  } catch (error) {
+    console.error("Error fetching disputes:", error);
+    throw error;
+  }
+};
 
-        const tx = await contractInstance.verifyAndReleasePayment(
-          contract.blockchain_contract_id
-        );
+/**
+ * Raise a dispute, freezing the contract's escrow until an arbiter resolves it.
+ * The server checks the caller is a party and freezes the escrow on-chain.
+ * @param {string} contractId - Contract ID
+ * @param {Object} disputeData - Reason and evidence ([{ description, fileUrl }])
+ * @returns {Promise<Object>} Created dispute
+ */
+export const raiseDispute = async (contractId, disputeData) => {
+  try {
+    return await apiRequest("post", `/contracts/${contractId}/disputes`, {
+      reason: disputeData.reason,
+      evidence: disputeData.evidence || [],
+    });
+  } catch (error) {
+    console.error("Error raising dispute:", error);
+    throw error;
+  }
+};
 
-        await tx.wait();
-      } catch (blockchainError) {
-        console.error(
-          "Error verifying contract on blockchain:",
-          blockchainError
-        );
-        throw blockchainError;
+/**
+ * Attach evidence to an open dispute. Files are uploaded first with
+ * uploadEvidenceFile.
+ * @param {string} contractId - Contract ID
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} evidence - Description and file URL
+ * @returns {Promise<Object>} Dispute with its evidence
+ */
+export const addDisputeEvidence = async (contractId, disputeId, evidence) => {
+  try {
+    return await apiRequest(
+      "post",
+      `/contracts/${contractId}/disputes/${disputeId}/evidence`,
+      { description: evidence.description, fileUrl: evidence.fileUrl }
+    );
+  } catch (error) {
+    console.error("Error adding dispute evidence:", error);
+    throw error;
+  }
+};
+
+/**
+ * Resolve a dispute by splitting the remaining escrow between the parties.
+ * Only arbiters can resolve disputes; the server checks the role and settles
+ * the escrow on-chain.
+ * @param {string} contractId - Contract ID
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} resolutionData - Freelancer amount and resolution note
+ * @returns {Promise<Object>} Resolved dispute
+ */
+export const resolveDispute = async (contractId, disputeId, resolutionData) => {
+  try {
+    return await apiRequest(
+      "post",
+      `/contracts/${contractId}/disputes/${disputeId}/resolve`,
+      {
+        freelancerAmount: resolutionData.freelancerAmount,
+        resolution: resolutionData.resolution,
       }
-    }
+    );
+  } catch (error) {
+    console.error("Error resolving dispute:", error);
+    throw error;
+  }
+};
 
-    // Update database
-    const { data: updatedContract, error: updateError } = await supabase
-      .from(TABLES.CONTRACTS)
-      .update({
-        verified: true,
-        updated_at: new Date(),
-      })
-      .eq("id", contractId)
-      .select()
-      .single();
+/**
+ * Get every version of a contract's terms, oldest first. Contracts created
+ * before terms were versioned get their current terms recorded as version 1.
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Array>} Contract versions
+ */
+export const getContractVersions = async (contractId) => {
+  try {
+    return await apiRequest("get", `/contracts/${contractId}/versions`);
+  } catch (error) {
+    console.error("Error fetching contract versions:", error);
+    throw error;
+  }
+};
 
-    if (updateError) {
-      throw updateError;
-    }
+/**
+ * Propose new terms or value for a contract. The other party must accept
+ * the proposal before it takes effect.
+ * @param {string} contractId - Contract ID
+ * @param {Object} amendment - New terms, value and an optional note
+ * @returns {Promise<Object>} Proposed version
+ */
+export const proposeAmendment = async (contractId, amendment) => {
+  try {
+    return await apiRequest("post", `/contracts/${contractId}/amendments`, {
+      terms: amendment.terms,
+      value: amendment.value,
+      note: amendment.note,
+    });
+  } catch (error) {
+    console.error("Error proposing amendment:", error);
+    throw error;
+  }
+};
 
-    return updatedContract;
+/**
+ * Accept or reject a proposed amendment. Accepting applies the new terms
+ * and the server records the new terms URI on-chain.
+ * @param {string} contractId - Contract ID
+ * @param {string} versionId - Proposed version ID
+ * @param {boolean} accept - True to accept, false to reject
+ * @returns {Promise<Object>} Updated version
+ */
+export const respondToAmendment = async (contractId, versionId, accept) => {
+  try {
+    return await apiRequest(
+      "post",
+      `/contracts/${contractId}/amendments/${versionId}/respond`,
+      { accept }
+    );
   } catch (error) {
-    console.error("Error verifying contract:", error);
+    console.error("Error responding to amendment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the signatures on a contract, verified by the server against the
+ * current terms, along with the typed data the current user would sign
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Object>} Terms hash, signatures and whether both parties signed
+ */
+export const getContractSignatures = async (contractId) => {
+  try {
+    return await apiRequest("get", `/contracts/${contractId}/signatures`);
+  } catch (error) {
+    console.error("Error fetching contract signatures:", error);
+    throw error;
+  }
+};
+
+/**
+ * Sign the current contract terms with the connected wallet (EIP-712)
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Object>} Updated signature status
+ */
+export const signContractWithWallet = async (contractId) => {
+  try {
+    const { typedData } = await getContractSignatures(contractId);
+    const { signer } = await getContractInstance();
+
+    // ethers v5 still exposes typed data signing under its experimental name
+    const signature = await signer._signTypedData(
+      typedData.domain,
+      typedData.types,
+      typedData.message
+    );
+
+    return await apiRequest("post", `/contracts/${contractId}/signatures`, {
+      method: "wallet",
+      signature,
+    });
+  } catch (error) {
+    console.error("Error signing contract with wallet:", error);
+    throw error;
+  }
+};
+
+/**
+ * Email the current user a one-time code for signing without a wallet
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Object>} Email the code was sent to
+ */
+export const requestSignatureCode = async (contractId) => {
+  try {
+    return await apiRequest(
+      "post",
+      `/contracts/${contractId}/signatures/email-code`
+    );
+  } catch (error) {
+    console.error("Error requesting signature code:", error);
+    throw error;
+  }
+};
+
+/**
+ * Sign the current contract terms with an emailed confirmation code
+ * @param {string} contractId - Contract ID
+ * @param {string} code - Code from the email
+ * @returns {Promise<Object>} Updated signature status
+ */
+export const signContractWithEmail = async (contractId, code) => {
+  try {
+    return await apiRequest("post", `/contracts/${contractId}/signatures`, {
+      method: "email",
+      code,
+    });
+  } catch (error) {
+    console.error("Error signing contract with email:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get an hourly contract's time entries grouped into weekly timesheets,
+ * with approved, paid and pending totals computed by the server
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Object>} Rate, weekly cap, weeks and totals
+ */
+export const getContractTimesheets = async (contractId) => {
+  try {
+    return await apiRequest("get", `/contracts/${contractId}/timesheets`);
+  } catch (error) {
+    console.error("Error fetching timesheets:", error);
+    throw error;
+  }
+};
+
+/**
+ * Log time against an active hourly contract
+ * @param {string} contractId - Contract ID
+ * @param {Object} entry - Work date, hours and description
+ * @returns {Promise<Object>} Created time entry
+ */
+export const logTimeEntry = async (contractId, entry) => {
+  try {
+    return await apiRequest("post", `/contracts/${contractId}/time-entries`, entry);
+  } catch (error) {
+    console.error("Error logging time:", error);
+    throw error;
+  }
+};
+
+/**
+ * Change a time entry in a week that has not been submitted
+ * @param {string} contractId - Contract ID
+ * @param {string} entryId - Time entry ID
+ * @param {Object} entry - Fields to change
+ * @returns {Promise<Object>} Updated time entry
+ */
+export const updateTimeEntry = async (contractId, entryId, entry) => {
+  try {
+    return await apiRequest(
+      "put",
+      `/contracts/${contractId}/time-entries/${entryId}`,
+      entry
+    );
+  } catch (error) {
+    console.error("Error updating time entry:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a time entry in a week that has not been submitted
+ * @param {string} contractId - Contract ID
+ * @param {string} entryId - Time entry ID
+ */
+export const deleteTimeEntry = async (contractId, entryId) => {
+  try {
+    await apiRequest("delete", `/contracts/${contractId}/time-entries/${entryId}`);
+  } catch (error) {
+    console.error("Error deleting time entry:", error);
+    throw error;
+  }
+};
+
+/**
+ * Submit a week's time for the investor's approval
+ * @param {string} contractId - Contract ID
+ * @param {string} weekStart - Any date in the week, usually its Monday
+ * @returns {Promise<Object>} Submitted timesheet
+ */
+export const submitTimesheet = async (contractId, weekStart) => {
+  try {
+    return await apiRequest("post", `/contracts/${contractId}/timesheets`, {
+      weekStart,
+    });
+  } catch (error) {
+    console.error("Error submitting timesheet:", error);
+    throw error;
+  }
+};
+
+/**
+ * Approve or reject a submitted timesheet. Approving pays the week's amount
+ * out of the escrowed budget.
+ * @param {string} contractId - Contract ID
+ * @param {string} timesheetId - Timesheet ID
+ * @param {boolean} approve - True to approve, false to reject
+ * @param {string} note - Review note, required when rejecting
+ * @returns {Promise<Object>} Reviewed timesheet
+ */
+export const reviewTimesheet = async (contractId, timesheetId, approve, note) => {
+  try {
+    return await apiRequest(
+      "post",
+      `/contracts/${contractId}/timesheets/${timesheetId}/review`,
+      { approve, note }
+    );
+  } catch (error) {
+    console.error("Error reviewing timesheet:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a contract's audit log, oldest first. Each entry has a readable
+ * description and the name of the user who made the change.
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Array>} Contract events
+ */
+export const getContractHistory = async (contractId) => {
+  try {
+    return await apiRequest("get", `/contracts/${contractId}/history`);
+  } catch (error) {
+    console.error("Error fetching contract history:", error);
+    throw error;
+  }
+};
+
+/**
+ * Download a printable PDF of a contract, generated by the server
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Blob>} PDF file
+ */
+export const exportContractPdf = async (contractId) => {
+  try {
+    return await apiRequest("get", `/contracts/${contractId}/export.pdf`, undefined, {
+      responseType: "blob",
+    });
+  } catch (error) {
+    console.error("Error exporting contract:", error);
     throw error;
   }
 };
\ No newline at end of file
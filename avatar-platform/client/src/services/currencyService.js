@@ -0,0 +1,32 @@
+import { apiRequest } from "./apiClient";
+
+/**
+ * Get the supported currencies and the server's current exchange rates
+ * @returns {Promise<Object>} Currencies, base currency, rates and update time
+ */
+export const getCurrencies = async () => {
+  try {
+    return await apiRequest("get", "/currencies");
+  } catch (error) {
+    console.error("Error fetching currencies:", error);
+    throw error;
+  }
+};
+
+/**
+ * Convert an amount between two supported currencies on the server
+ * @param {number} amount - Amount to convert
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Target currency (optional, defaults to the server's base currency)
+ * @returns {Promise<Object>} Amount, currencies, converted amount and rate time
+ */
+export const convertCurrency = async (amount, from, to = undefined) => {
+  try {
+    return await apiRequest("get", "/currencies/convert", undefined, {
+      params: { amount, from, to },
+    });
+  } catch (error) {
+    console.error("Error converting currency:", error);
+    throw error;
+  }
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+import { apiRequest } from "./apiClient";
+
+/**
+ * Get the invoices the user issued (freelancer) or received (investor)
+ * @param {string} role - "issued", "received" or omitted for both (optional)
+ * @returns {Promise<Array>} Invoices, newest first
+ */
+export const getInvoices = async (role = null) => {
+  try {
+    return await apiRequest("get", role ? `/invoices?role=${role}` : "/invoices");
+  } catch (error) {
+    console.error("Error fetching invoices:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's funding, payment and refund totals across all contracts
+ * @returns {Promise<Object>} Funded, paid, earned, refunded and in-escrow amounts
+ */
+export const getFinancialSummary = async () => {
+  try {
+    return await apiRequest("get", "/invoices/summary");
+  } catch (error) {
+    console.error("Error fetching financial summary:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a contract's payment ledger and invoices
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Object>} Entries, invoices and balance summary
+ */
+export const getContractLedger = async (contractId) => {
+  try {
+    return await apiRequest("get", `/contracts/${contractId}/ledger`);
+  } catch (error) {
+    console.error("Error fetching contract ledger:", error);
+    throw error;
+  }
+};
+
+/**
+ * Preview how a payment on a contract is divided between the platform fee,
+ * split recipients and the freelancer
+ * @param {string} contractId - Contract ID
+ * @param {number} amount - Amount released, defaults to the escrow still held (optional)
+ * @returns {Promise<Object>} Amount, fee, splits and the freelancer's remainder
+ */
+export const getPayoutPreview = async (contractId, amount = null) => {
+  try {
+    return await apiRequest(
+      "get",
+      amount === null
+        ? `/contracts/${contractId}/payout-preview`
+        : `/contracts/${contractId}/payout-preview?amount=${amount}`
+    );
+  } catch (error) {
+    console.error("Error previewing payout:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the wallets sharing the freelancer's payments on a contract
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Array>} Splits in payout order
+ */
+export const getPayoutSplits = async (contractId) => {
+  try {
+    return await apiRequest("get", `/contracts/${contractId}/payout-splits`);
+  } catch (error) {
+    console.error("Error fetching payout splits:", error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the wallets sharing the freelancer's payments on a contract. On
+ * blockchain contracts the splits are also set on the escrow contract.
+ * @param {string} contractId - Contract ID
+ * @param {Array} splits - Splits ({ walletAddress, recipientId, shareBps, label })
+ * @returns {Promise<Array>} Saved splits
+ */
+export const updatePayoutSplits = async (contractId, splits) => {
+  try {
+    return await apiRequest("put", `/contracts/${contractId}/payout-splits`, { splits });
+  } catch (error) {
+    console.error("Error updating payout splits:", error);
+    throw error;
+  }
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { apiRequest } from "./apiClient";
+
+/**
+ * Get the reviews left on a contract and whether the user can add one
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Object>} { reviews, canReview }
+ */
+export const getContractReviews = async (contractId) => {
+  try {
+    return await apiRequest("get", `/contracts/${contractId}/reviews`);
+  } catch (error) {
+    console.error("Error fetching contract reviews:", error);
+    throw error;
+  }
+};
+
+/**
+ * Review the other party of a verified contract
+ * @param {string} contractId - Contract ID
+ * @param {number} rating - Stars from 1 to 5
+ * @param {string} comment - Review text
+ * @returns {Promise<Object>} Saved review
+ */
+export const submitReview = async (contractId, rating, comment) => {
+  try {
+    return await apiRequest("post", `/contracts/${contractId}/reviews`, { rating, comment });
+  } catch (error) {
+    console.error("Error submitting review:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the reviews a user has received, newest first
+ * @param {string} userId - User ID
+ * @param {number} limit - Maximum number of reviews
+ * @returns {Promise<Array>} Reviews
+ */
+export const getUserReviews = async (userId, limit = 20) => {
+  try {
+    return await apiRequest("get", `/users/${userId}/reviews?limit=${limit}`);
+  } catch (error) {
+    console.error("Error fetching user reviews:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's reputation: their ratings overall and per role, and their
+ * on-chain reputation compared with their verified contracts
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Reputation summary
+ */
+export const getUserReputation = async (userId) => {
+  try {
+    return await apiRequest("get", `/users/${userId}/reputation`);
+  } catch (error) {
+    console.error("Error fetching user reputation:", error);
+    throw error;
+  }
+};
\ No newline at end of file
@@ -20,7 +20,23 @@ export const TABLES = {
   USERS: "users",
   PROFILES: "profiles",
   CONTRACTS: "contracts",
+  CONTRACT_MEMBERS: "contract_members",
   DELIVERABLES: "deliverables",
+  DELIVERABLE_VERSIONS: "deliverable_versions",
+  DELIVERABLE_COMMENTS: "deliverable_comments",
+  MILESTONES: "milestones",
+  DISPUTES: "disputes",
+  DISPUTE_EVIDENCE: "dispute_evidence",
+  CONTRACT_VERSIONS: "contract_versions",
+  CONTRACT_SIGNATURES: "contract_signatures",
+  CONTRACT_TEMPLATES: "contract_templates",
+  CONTRACT_EVENTS: "contract_events",
+  TIME_ENTRIES: "time_entries",
+  TIMESHEETS: "timesheets",
+  LEDGER_ENTRIES: "ledger_entries",
+  INVOICES: "invoices",
+  PAYOUT_SPLITS: "payout_splits",
+  REVIEWS: "reviews",
   MATCHES: "matches",
   CHAT_MESSAGES: "chat_messages",
   PRESENTATIONS: "presentations",
@@ -28,11 +44,22 @@ export const TABLES = {
 
 // Table schemas for reference
 /*
+Tables marked "written by the server only" have row-level security that lets
+the parties read their contracts' rows while only the service role writes, e.g.
+  alter table contract_events enable row level security;
+  create policy "Parties read contract events" on contract_events for select
+    using (exists (select 1 from contracts c where c.id = contract_id
+      and auth.uid() in (c.investor_id, c.freelancer_id)));
+with no insert, update or delete policy, so the anon and authenticated roles
+cannot write. ledger_entries, invoices and contract_signatures follow the same
+pattern.
+
 USERS (managed by Supabase Auth)
 - id (UUID)
 - email (string)
 - created_at (timestamp)
-- user_type (string) 'investor' or 'freelancer'
+- user_type (string) 'investor' or 'freelancer', in user_metadata
+- role (string) 'arbiter' for platform arbiters, in app_metadata (set by the service role only)
 
 PROFILES
 - id (UUID, references users.id)
@@ -45,34 +72,292 @@ PROFILES
 - experience (json)
 - education (json)
 - portfolio (json)
+- rating (numeric) average of the reviews received, updated by the server
+- ratings_count (integer) number of reviews received
+- on_chain_reputation (integer) reputation of wallet_address on AvatarContract, last read by the server
+- reputation_checked_at (timestamp) when on_chain_reputation was read
 - created_at (timestamp)
 - updated_at (timestamp)
 
 CONTRACTS
 - id (UUID)
 - investor_id (UUID, references users.id)
-- freelancer_id (UUID, references users.id)
+- freelancer_id (UUID, references users.id) lead freelancer, the freelancer on-chain
 - title (string)
 - description (text)
 - terms (text)
-- value (numeric)
-- status (string) 'draft', 'pending', 'active', 'completed', 'cancelled'
+- terms_version (integer) accepted version in contract_versions
+- value (numeric) fixed price, or the escrowed budget of an hourly contract
+- currency (string) 'USD', 'EUR', 'GBP', 'ETH', 'USDC', 'DAI', default 'ETH'; fiat is tracked off-chain
+- platform_fee_bps (integer) fee taken from payments to the freelancer, fixed at creation
+- contract_type (string) 'fixed', 'hourly'
+- hourly_rate (numeric) [hourly]
+- weekly_hour_cap (numeric, nullable) most hours that can be logged per week [hourly]
+- status (string) 'draft', 'pending', 'active', 'completed', 'cancelled', 'disputed', 'expiring' (being expired by the deadline scheduler), 'expired', 'error' (on-chain creation failed, can only be cancelled)
+- start_date (date)
+- end_date (date)
+- overdue (boolean) set by the server deadline scheduler
+- expired_at (timestamp) when a never-accepted contract expired
 - smart_contract_address (string)
 - transaction_hash (string)
+- deposit_transaction_hash (string, unique, nullable) investor's transfer to the operator wallet that funds escrow the server creates
+- last_transaction_hash (string) latest on-chain status update
+- payment_transaction_hash (string) on-chain payment release
 - created_at (timestamp)
 - updated_at (timestamp)
 - completed_at (timestamp)
+- search_vector (tsvector, generated from title, description and terms, GIN index) full-text search
+  by the server, e.g. to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '') || ' ' || coalesce(terms, ''))
 
 DELIVERABLES
 - id (UUID)
 - contract_id (UUID, references contracts.id)
+- milestone_id (UUID, references milestones.id, nullable)
 - title (string)
 - description (text)
-- file_url (string)
-- status (string) 'pending', 'approved', 'rejected'
+- file_url (string) public URL of files uploaded before private storage, null for newer files
+- file_path (string) deliverables/<contract_id>/<content_cid>.<ext> in the private deliverables
+  bucket, downloaded through short-lived signed URLs from the server; watermarked investor
+  previews are kept at previews/<contract_id>/<content_cid>.pdf in the same bucket
+- file_size (integer) bytes
+- content_cid (string) CIDv1 (raw, sha2-256, base32) of the file, or of
+  {"contractId","title","description"} JSON without a file; the on-chain URI is ipfs://<content_cid>
+- content_sha256 (string) hex digest
+- integrity_status (string) 'verified', 'mismatch', 'missing', null until checked
+- integrity_checked_at (timestamp) last time the server re-hashed the content
+- blockchain_uri (string) deliverable URI written on-chain
+- owner_id (UUID, references users.id) lead freelancer or team member who submitted it, null before teams
+- status (string) 'pending', 'approved', 'changes_requested', 'rejected'
+- current_version (integer, default 1) version the description, file and status mirror
+- due_date (date)
+- overdue (boolean) set by the server deadline scheduler
+- created_at (timestamp)
+- updated_at (timestamp)
+
+DELIVERABLE_VERSIONS (one row per submission, written by the server)
+- id (UUID)
+- deliverable_id (UUID, references deliverables.id)
+- contract_id (UUID, references contracts.id)
+- version (integer, unique with deliverable_id)
+- description (text)
+- file_url (string) public URL of files uploaded before private storage
+- file_path (string) in the deliverables bucket, kept when later versions are submitted
+- content_cid (string) same as DELIVERABLES.content_cid for this version
+- content_sha256 (string)
+- submitted_by (UUID, references users.id)
+- status (string) 'pending', 'approved', 'changes_requested', 'rejected'
+- submitted_at (timestamp)
+- reviewed_by (UUID, references users.id)
+- reviewed_at (timestamp)
+
+DELIVERABLE_COMMENTS (feedback thread of a version)
+- id (UUID)
+- deliverable_id (UUID, references deliverables.id)
+- version_id (UUID, references deliverable_versions.id)
+- author_id (UUID, references users.id)
+- body (text)
+- created_at (timestamp)
+
+CONTRACT_MEMBERS (freelancers working on a contract alongside its lead freelancer)
+- id (UUID)
+- contract_id (UUID, references contracts.id)
+- user_id (UUID, references users.id, unique with contract_id while invited or accepted)
+- share_bps (integer) share of each payment after the platform fee, paid as a payout split once accepted
+- status (string) 'invited', 'accepted', 'declined', 'removed'
+- invited_by (UUID, references users.id)
+- responded_at (timestamp)
+- created_at (timestamp)
+- updated_at (timestamp)
+
+MILESTONES
+- id (UUID)
+- contract_id (UUID, references contracts.id)
+- title (string)
+- amount (numeric) share of the contract value
+- due_date (timestamp)
+- position (integer) index of the milestone on-chain
+- status (string) 'pending', 'released', 'settled' (closed by a dispute split, which may have refunded it)
+- released_at (timestamp)
+- transaction_hash (string)
+- created_at (timestamp)
+- updated_at (timestamp)
+
+TIME_ENTRIES (hours logged on hourly contracts)
+- id (UUID)
+- contract_id (UUID, references contracts.id)
+- freelancer_id (UUID, references users.id)
+- work_date (date)
+- hours (numeric)
+- description (text)
+- created_at (timestamp)
+- updated_at (timestamp)
+
+TIMESHEETS (weekly totals submitted for approval)
+- id (UUID)
+- contract_id (UUID, references contracts.id, unique with week_start)
+- week_start (date) Monday of the week, UTC
+- total_hours (numeric) sum of the week's time entries when submitted
+- hourly_rate (numeric) rate at submission
+- amount (numeric) total_hours * hourly_rate, paid from escrow on approval
+- status (string) 'submitted', 'approved', 'rejected'
+- review_note (text) investor's note, required when rejecting
+- submitted_by (UUID, references users.id)
+- submitted_at (timestamp)
+- reviewed_by (UUID, references users.id)
+- reviewed_at (timestamp)
+- transaction_hash (string) on-chain payment
+- created_at (timestamp)
+- updated_at (timestamp)
+
+CONTRACT_VERSIONS (terms history and change orders)
+- id (UUID)
+- contract_id (UUID, references contracts.id, unique while status is 'proposed')
+- version (integer) 1 is the original terms
+- terms (text)
+- value (numeric)
+- note (text) reason for the change
+- status (string) 'proposed', 'accepted', 'rejected'
+- proposed_by (UUID, references users.id)
+- responded_by (UUID, references users.id)
+- responded_at (timestamp)
+- terms_uri (string) termsURI recorded on-chain
+- transaction_hash (string)
+- created_at (timestamp)
+- updated_at (timestamp)
+
+CONTRACT_SIGNATURES (acceptance signatures, written by the server only)
+- id (UUID)
+- contract_id (UUID, references contracts.id)
+- user_id (UUID, references users.id, unique with contract_id and terms_hash)
+- role (string) 'investor', 'freelancer'
+- method (string) 'wallet' (EIP-712 typed data), 'email' (one-time code)
+- terms_hash (string) keccak256 of the canonical terms that were signed
+- terms_version (integer)
+- signature (string) EIP-712 signature [wallet]
+- signer_address (string) recovered wallet address [wallet]
+- email (string) address the code was sent to [email]
+- confirmed_at (timestamp) [email]
+- signed_at (timestamp)
+- created_at (timestamp)
+
+SIGNATURE_CODES (each user's latest email signing code request, written by the server only)
+- user_id (UUID, references users.id, primary key)
+- contract_id (UUID, references contracts.id) contract the code was requested for
+- terms_hash (string) terms the code can sign
+- expires_at (timestamp) an hour after the request, when the emailed code expires
+- created_at (timestamp)
+
+CONTRACT_TEMPLATES (user templates, built-ins ship with the server)
+- id (UUID)
+- owner_id (UUID, references users.id)
+- name (string)
+- category (string) 'nda', 'fixed_price', 'hourly_retainer', 'equity_for_work', 'custom'
+- description (text) what the template is for
+- title (string) contract title with {{variable}} placeholders
+- body (text) contract description with placeholders
+- terms (text) contract terms with placeholders
+- variables (json) [{ key, label, required, defaultValue }]
+- is_private (boolean) visible only to the owner when true
+- created_at (timestamp)
+- updated_at (timestamp)
+
+CONTRACT_EVENTS (append-only audit log written by the server only, rows are never updated or deleted)
+- id (UUID)
+- contract_id (UUID, references contracts.id)
+- event_type (string) 'contract_created', 'status_changed', 'contract_signed',
+  'deliverable_added', 'deliverable_approved', 'deliverable_rejected',
+  'deliverable_changes_requested', 'deliverable_resubmitted',
+  'payment_verified', 'amendment_proposed', 'amendment_accepted',
+  'amendment_rejected', 'dispute_raised', 'dispute_resolved',
+  'timesheet_submitted', 'timesheet_approved', 'timesheet_rejected', 'contract_expired',
+  'payout_splits_updated', 'team_member_invited', 'team_member_joined',
+  'team_member_declined', 'team_member_updated', 'team_member_removed',
+  'review_submitted'
+- actor_id (UUID, references users.id, null for system changes)
+- from_status (string) contract status before the change
+- to_status (string) contract status after the change
+- details (json) event specific data, e.g. { deliverableId, title }
+- transaction_hash (string) related blockchain transaction
+- created_at (timestamp)
+
+LEDGER_ENTRIES (append-only record of escrow funding, payments and refunds, written by the server only)
+- id (UUID)
+- contract_id (UUID, references contracts.id)
+- entry_type (string) 'funding', 'release', 'refund', 'fee' (platform fee out of a release),
+  'split' (split recipient's share of a release)
+- amount (numeric)
+- currency (string) the contract's currency
+- from_user_id (UUID, references users.id, null when paid out of escrow)
+- to_user_id (UUID, references users.id, null when paid into escrow, to the platform or to an outside wallet)
+- source (string) 'contract', 'milestone', 'timesheet', 'verification', 'dispute', 'cancellation', 'expiry'
+- source_id (UUID) milestone, timesheet, dispute or contract that moved the money
+- invoice_id (UUID, references invoices.id) [release, fee, split]
+- transaction_hash (string) on-chain transaction, null for off-chain contracts
+- created_at (timestamp)
+
+INVOICES (one per payment to the freelancer, written by the server only)
+- id (UUID)
+- contract_id (UUID, references contracts.id)
+- invoice_number (string, unique) e.g. 'INV-1A2B3C4D-001', numbered per contract
+- issuer_id (UUID, references users.id) the freelancer
+- recipient_id (UUID, references users.id) the investor
+- source_type (string) 'milestone', 'timesheet', 'verification', 'dispute'
+- source_id (UUID)
+- description (text)
+- line_items (json) [{ description, quantity, unitPrice, amount }]
+- amount (numeric)
+- currency (string) the contract's currency
+- status (string) 'paid'
+- paid_at (timestamp)
+- transaction_hash (string)
+- created_at (timestamp)
+
+PAYOUT_SPLITS (wallets sharing the freelancer's payments, e.g. an agency or subcontractor)
+- id (UUID)
+- contract_id (UUID, references contracts.id)
+- recipient_id (UUID, references users.id, nullable)
+- wallet_address (string) required on blockchain contracts
+- share_bps (integer) share of the payment left after the platform fee, in basis points
+- label (string)
+- team_member_id (UUID, references contract_members.id, nullable) set for team members' shares
+- position (integer) payout order
+- created_at (timestamp)
+
+REVIEWS (left by the investor and the lead freelancer for each other once a contract is verified)
+- id (UUID)
+- contract_id (UUID, references contracts.id)
+- reviewer_id (UUID, references users.id, unique with contract_id)
+- reviewee_id (UUID, references users.id) the other party
+- reviewer_role (string) 'investor', 'freelancer'
+- rating (integer) 1 to 5
+- comment (text)
+- created_at (timestamp)
+- updated_at (timestamp)
+
+DISPUTES
+- id (UUID)
+- contract_id (UUID, references contracts.id, unique while status is 'open')
+- raised_by (UUID, references users.id)
+- reason (text)
+- status (string) 'open', 'resolved'
+- previous_status (string) contract status before the dispute
+- resolution (text) arbiter's decision
+- freelancer_amount (numeric) escrow paid to the freelancer
+- investor_amount (numeric) escrow refunded to the investor
+- resolved_by (UUID, references users.id)
+- resolved_at (timestamp)
+- transaction_hash (string)
 - created_at (timestamp)
 - updated_at (timestamp)
 
+DISPUTE_EVIDENCE
+- id (UUID)
+- dispute_id (UUID, references disputes.id)
+- submitted_by (UUID, references users.id)
+- description (text)
+- file_url (string) evidence/<contract_id>/<timestamp>.<ext> in the public contracts bucket
+- created_at (timestamp)
+
 MATCHES
 - id (UUID)
 - investor_id (UUID, references users.id)
@@ -99,4 +384,27 @@ PRESENTATIONS
 - file_url (string, URL)
 - created_at (timestamp)
 - updated_at (timestamp)
+
+BLOCKCHAIN_JOBS (server-side transaction queue)
+- id (UUID)
+- contract_id (UUID, references contracts.id)
+- job_type (string) 'create_contract'
+- idempotency_key (string, unique) '<job_type>:<contract_id>'
+- payload (json)
+- status (string) 'pending', 'processing', 'confirmed', 'failed'
+- attempts (integer)
+- max_attempts (integer)
+- next_attempt_at (timestamp)
+- locked_at (timestamp)
+- transaction_hash (string)
+- last_error (text)
+- created_at (timestamp)
+- updated_at (timestamp)
+
+CHAIN_CURSORS (server-side event indexer progress)
+- id (UUID)
+- name (string, unique) 'avatar_contract'
+- contract_address (string)
+- last_block (integer) last block whose events were applied
+- updated_at (timestamp)
 */
@@ -0,0 +1,81 @@
+import { apiRequest } from "./apiClient";
+
+/**
+ * Get a contract's team: the lead freelancer followed by invited and
+ * accepted members, with their shares and deliverable counts
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<Array>} Roster
+ */
+export const getContractTeam = async (contractId) => {
+  try {
+    return await apiRequest("get", `/contracts/${contractId}/team`);
+  } catch (error) {
+    console.error("Error fetching contract team:", error);
+    throw error;
+  }
+};
+
+/**
+ * Invite a freelancer to a contract's team
+ * @param {string} contractId - Contract ID
+ * @param {string} email - Email of the freelancer to invite
+ * @param {number} shareBps - Share of each payment, in basis points
+ * @returns {Promise<Object>} Invited member
+ */
+export const inviteTeamMember = async (contractId, email, shareBps) => {
+  try {
+    return await apiRequest("post", `/contracts/${contractId}/team`, { email, shareBps });
+  } catch (error) {
+    console.error("Error inviting team member:", error);
+    throw error;
+  }
+};
+
+/**
+ * Accept or decline an invitation to a contract's team
+ * @param {string} contractId - Contract ID
+ * @param {string} memberId - Member ID of the invitation
+ * @param {boolean} accept - Whether to join the team
+ * @returns {Promise<Object>} Updated member
+ */
+export const respondToTeamInvite = async (contractId, memberId, accept) => {
+  try {
+    return await apiRequest("post", `/contracts/${contractId}/team/${memberId}/respond`, {
+      accept,
+    });
+  } catch (error) {
+    console.error("Error responding to team invitation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Change a team member's share of the payments
+ * @param {string} contractId - Contract ID
+ * @param {string} memberId - Member ID
+ * @param {number} shareBps - New share, in basis points
+ * @returns {Promise<Object>} Updated member
+ */
+export const updateTeamMember = async (contractId, memberId, shareBps) => {
+  try {
+    return await apiRequest("put", `/contracts/${contractId}/team/${memberId}`, { shareBps });
+  } catch (error) {
+    console.error("Error updating team member:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a member from a contract's team, or leave it
+ * @param {string} contractId - Contract ID
+ * @param {string} memberId - Member ID
+ * @returns {Promise<Object>} Removed member
+ */
+export const removeTeamMember = async (contractId, memberId) => {
+  try {
+    return await apiRequest("delete", `/contracts/${contractId}/team/${memberId}`);
+  } catch (error) {
+    console.error("Error removing team member:", error);
+    throw error;
+  }
+};
\ No newline at end of file
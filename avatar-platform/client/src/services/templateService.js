@@ -0,0 +1,87 @@
+import { apiRequest } from "./apiClient";
+
+/**
+ * Get the built-in, shared and private contract templates available to the user
+ * @returns {Promise<Array>} Templates
+ */
+export const getContractTemplates = async () => {
+  try {
+    return await apiRequest("get", "/contract-templates");
+  } catch (error) {
+    console.error("Error fetching contract templates:", error);
+    throw error;
+  }
+};
+
+/**
+ * Save a contract template. Any {{variable}} placeholders in the title,
+ * body or terms become template variables.
+ * @param {Object} templateData - Name, category, title, body, terms, variables and isPrivate
+ * @returns {Promise<Object>} Created template
+ */
+export const createContractTemplate = async (templateData) => {
+  try {
+    return await apiRequest("post", "/contract-templates", templateData);
+  } catch (error) {
+    console.error("Error creating contract template:", error);
+    throw error;
+  }
+};
+
+/**
+ * Update one of the user's contract templates
+ * @param {string} templateId - Template ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} Updated template
+ */
+export const updateContractTemplate = async (templateId, updates) => {
+  try {
+    return await apiRequest("put", `/contract-templates/${templateId}`, updates);
+  } catch (error) {
+    console.error("Error updating contract template:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete one of the user's contract templates
+ * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
+ */
+export const deleteContractTemplate = async (templateId) => {
+  try {
+    await apiRequest("delete", `/contract-templates/${templateId}`);
+  } catch (error) {
+    console.error("Error deleting contract template:", error);
+    throw error;
+  }
+};
+
+/**
+ * Fill a template's variables. The server rejects missing required variables.
+ * @param {string} templateId - Template ID
+ * @param {Object} variables - Values keyed by variable key
+ * @returns {Promise<Object>} Rendered title, description and terms
+ */
+export const renderContractTemplate = async (templateId, variables) => {
+  try {
+    return await apiRequest("post", `/contract-templates/${templateId}/render`, {
+      variables,
+    });
+  } catch (error) {
+    console.error("Error rendering contract template:", error);
+    throw error;
+  }
+};
+
+/**
+ * List required variables that have neither a value nor a default
+ * @param {Object} template - Template with variables
+ * @param {Object} values - Values keyed by variable key
+ * @returns {Array<string>} Keys of the missing variables
+ */
+export const getMissingVariables = (template, values) => {
+  return (template?.variables || [])
+    .filter((v) => v.required && !String(values[v.key] ?? "").trim() && !v.defaultValue)
+    .map((v) => v.key);
+};
\ No newline at end of file
@@ -0,0 +1,25 @@
+import { apiRequest } from "./apiClient";
+
+/**
+ * Upload a file through the server, which checks its size and type against
+ * the bucket's limits, removes image metadata and virus scans it before
+ * storing it
+ * @param {string} bucket - "avatars" or "deliverables"
+ * @param {File} file - File to upload
+ * @param {Object} fields - Other form fields, e.g. { contractId } for deliverables
+ * @returns {Promise<Object>} { bucket, path, mimeType, size } with the public url
+ *   for avatars and the content hash for deliverables
+ */
+export const uploadFile = async (bucket, file, fields = {}) => {
+  try {
+    const form = new FormData();
+
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    form.append("file", file);
+
+    return await apiRequest("post", `/uploads/${bucket}`, form);
+  } catch (error) {
+    console.error(`Error uploading file to ${bucket}:`, error);
+    throw error;
+  }
+};
\ No newline at end of file
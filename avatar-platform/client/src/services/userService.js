@@ -1,4 +1,5 @@
 import { supabase, TABLES } from "./supabaseClient";
+import { apiRequest } from "./apiClient";
 
 /**
  * Get all freelancers
@@ -24,7 +25,9 @@ export const getFreelancers = async (limit = 100, offset = 0) => {
           skills,
           experience,
           education,
-          portfolio
+          portfolio,
+          rating,
+          ratings_count
         )
       `
       )
@@ -50,26 +53,6 @@ export const getFreelancers = async (limit = 100, offset = 0) => {
           console.error("Error fetching contracts count:", contractsError);
         }
 
-        // Calculate average rating from contracts
-        const { data: contractsData, error: ratingsError } = await supabase
-          .from(TABLES.CONTRACTS)
-          .select("rating")
-          .eq("freelancer_id", freelancer.id)
-          .not("rating", "is", null);
-
-        if (ratingsError) {
-          console.error("Error fetching ratings:", ratingsError);
-        }
-
-        let averageRating = 0;
-        if (contractsData && contractsData.length > 0) {
-          const sum = contractsData.reduce(
-            (acc, contract) => acc + (contract.rating || 0),
-            0
-          );
-          averageRating = sum / contractsData.length;
-        }
-
         return {
           id: freelancer.id,
           email: freelancer.email,
@@ -82,7 +65,9 @@ export const getFreelancers = async (limit = 100, offset = 0) => {
           education: freelancer.profiles?.education || [],
           portfolio: freelancer.profiles?.portfolio || [],
           completedContracts: contractsCount || 0,
-          rating: averageRating || 0,
+          // Average of the reviews, kept up to date by the server
+          rating: Number(freelancer.profiles?.rating) || 0,
+          ratingsCount: freelancer.profiles?.ratings_count || 0,
           createdAt: freelancer.created_at,
         };
       })
@@ -225,22 +210,11 @@ export const getUserById = async (userId) => {
 
     // Calculate statistics
     let completedContracts = 0;
-    let rating = 0;
-    let ratingsCount = 0;
 
     if (contractsData) {
       completedContracts = contractsData.filter(
         (c) => c.status === "completed"
       ).length;
-
-      const ratings = contractsData
-        .filter((c) => c.rating && c.status === "completed")
-        .map((c) => c.rating);
-
-      if (ratings.length > 0) {
-        rating = ratings.reduce((sum, r) => sum + r, 0) / ratings.length;
-        ratingsCount = ratings.length;
-      }
     }
 
     return {
@@ -258,8 +232,10 @@ export const getUserById = async (userId) => {
       portfolio: profileData?.portfolio || [],
       contracts: contractsData || [],
       completedContracts,
-      rating,
-      ratingsCount,
+      // Average of the reviews, kept up to date by the server
+      rating: Number(profileData?.rating) || 0,
+      ratingsCount: profileData?.ratings_count || 0,
+      onChainReputation: profileData?.on_chain_reputation || 0,
       createdAt: userData.created_at,
     };
   } catch (error) {
@@ -345,100 +321,21 @@ export const searchUsers = async (query, userType = null, filters = {}) => {
 };
 
 /**
- * Get recommended users based on matching criteria
- * @param {string} userId - Current user ID
- * @param {number} limit - Maximum number of records to return
- * @returns {Promise<Array>} Array of recommended users
+ * Get the current user's recommended matches, ranked by the server: freelancers
+ * for an investor and investors for a freelancer. Each match has a matchScore
+ * from 0 to 100 and a breakdown of the features behind it.
+ * @param {Object} options - Paging options
+ * @param {number} options.limit - Maximum number of records to return
+ * @param {number} options.offset - Number of records to skip
+ * @returns {Promise<Object>} { total, baseCurrency, results }
  */
-export const getRecommendedUsers = async (userId, limit = 10) => {
+export const getRecommendations = async ({ limit = 20, offset = 0 } = {}) => {
   try {
-    // Get current user data
-    const { data: currentUser, error: userError } = await getUserById(userId);
-
-    if (userError) {
-      throw userError;
-    }
-
-    // Determine if current user is investor or freelancer
-    const isInvestor = currentUser.userType === "investor";
-
-    // Get potential matches
-    const { data, error } = await supabase
-      .from("users")
-      .select(
-        `
-        id,
-        email,
-        user_type,
-        created_at,
-        profiles (
-          name,
-          bio,
-          profile_image,
-          wallet_address,
-          skills,
-          industries
-        )
-      `
-      )
-      .eq("user_type", isInvestor ? "freelancer" : "investor")
-      .limit(limit);
-
-    if (error) {
-      throw error;
-    }
-
-    // Apply recommendation algorithm (simplified for demo)
-    const recommendedUsers = data.map((user) => {
-      let matchScore = 0;
-
-      if (isInvestor) {
-        // For investors, match based on freelancer skills vs investor industries
-        const skills = user.profiles?.skills || [];
-        const industries = currentUser.industries || [];
-
-        // Count matching skills/industries
-        const matches = skills.filter((skill) =>
-          industries.some((industry) =>
-            skill.toLowerCase().includes(industry.toLowerCase())
-          )
-        ).length;
-
-        matchScore = (matches / Math.max(skills.length, 1)) * 100;
-      } else {
-        // For freelancers, match based on freelancer skills vs investor industries
-        const skills = currentUser.skills || [];
-        const industries = user.profiles?.industries || [];
-
-        // Count matching skills/industries
-        const matches = skills.filter((skill) =>
-          industries.some((industry) =>
-            skill.toLowerCase().includes(industry.toLowerCase())
-          )
-        ).length;
-
-        matchScore = (matches / Math.max(skills.length, 1)) * 100;
-      }
-
-      return {
-        id: user.id,
-        email: user.email,
-        userType: user.user_type,
-        name: user.profiles?.name || "",
-        bio: user.profiles?.bio || "",
-        profileImage: user.profiles?.profile_image || "",
-        walletAddress: user.profiles?.wallet_address || "",
-        skills: user.profiles?.skills || [],
-        industries: user.profiles?.industries || [],
-        matchScore: Math.min(Math.round(matchScore), 100),
-        createdAt: user.created_at,
-      };
+    return await apiRequest("get", "/users/recommendations", undefined, {
+      params: { limit, offset },
     });
-
-    // Sort by match score
-    return recommendedUsers.sort((a, b) => b.matchScore - a.matchScore);
   } catch (error) {
-    console.error("Error getting recommended users:", error);
+    console.error("Error getting recommendations:", error);
     throw error;
   }
 };
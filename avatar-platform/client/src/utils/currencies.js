@@ -0,0 +1,85 @@
+/**
+ * Currencies a contract value can be denominated in
+ */
+
+// Mirrors the server's config/currencies.js
+export const CURRENCIES = [
+  { code: "USD", name: "US Dollar", type: "fiat", decimals: 2 },
+  { code: "EUR", name: "Euro", type: "fiat", decimals: 2 },
+  { code: "GBP", name: "British Pound", type: "fiat", decimals: 2 },
+  { code: "ETH", name: "Ether", type: "native", decimals: 18 },
+  { code: "USDC", name: "USD Coin", type: "token", decimals: 6 },
+  { code: "DAI", name: "Dai", type: "token", decimals: 18 },
+];
+
+// Contracts created before currencies were tracked were escrowed in ether
+export const DEFAULT_CURRENCY = "ETH";
+
+// Currency converted values are shown in
+export const DISPLAY_CURRENCY = "USD";
+
+// ERC-20 contracts of the escrow tokens on the configured network
+const TOKEN_ADDRESSES = {
+  USDC: process.env.REACT_APP_USDC_ADDRESS,
+  DAI: process.env.REACT_APP_DAI_ADDRESS,
+};
+
+/**
+ * Look up a supported currency
+ * @param {string} code - Currency code
+ * @returns {Object|undefined} Currency definition
+ */
+export const getCurrency = (code) => CURRENCIES.find((c) => c.code === code);
+
+/**
+ * Check whether a currency is a fiat (ISO 4217) currency
+ * @param {string} code - Currency code
+ * @returns {boolean} True for fiat and unknown ISO codes
+ */
+export const isFiatCurrency = (code) => {
+  const currency = getCurrency(code);
+  return currency ? currency.type === "fiat" : /^[A-Z]{3}$/.test(code);
+};
+
+/**
+ * Check whether a currency is an ERC-20 token
+ * @param {string} code - Currency code
+ * @returns {boolean} True for token currencies
+ */
+export const isTokenCurrency = (code) => getCurrency(code)?.type === "token";
+
+/**
+ * Get the ERC-20 contract address of a token currency
+ * @param {string} code - Currency code
+ * @returns {string|null} Token address, or null if none is configured
+ */
+export const getTokenAddress = (code) =>
+  (isTokenCurrency(code) && TOKEN_ADDRESSES[code]) || null;
+
+/**
+ * Check whether contract values in a currency can be held in on-chain escrow
+ * @param {string} code - Currency code
+ * @returns {boolean} True for ether and tokens with a configured address
+ */
+export const canEscrowOnChain = (code) =>
+  getCurrency(code)?.type === "native" || Boolean(getTokenAddress(code));
+
+/**
+ * Convert an amount using a rate table relative to a base currency
+ * @param {Object} rates - Units of each currency per unit of the base currency
+ * @param {number} amount - Amount to convert
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Target currency
+ * @returns {number|null} Converted amount, or null without a rate
+ */
+export const convertAmount = (rates, amount, from, to) => {
+  if (from === to) {
+    return Number(amount);
+  }
+
+  if (!(rates?.[from] > 0) || !(rates?.[to] > 0)) {
+    return null;
+  }
+
+  return (Number(amount) / rates[from]) * rates[to];
+};
\ No newline at end of file
@@ -1,15 +1,24 @@
 /**
  * Utility functions for formatting various data types.
  */
+import { isFiatCurrency } from './currencies';
 
 /**
  * Format currency value
  * @param {number} value - Value to format
- * @param {string} currency - Currency code (default: 'USD')
+ * @param {string} currency - Currency code, fiat or crypto (default: 'USD')
  * @param {string} locale - Locale for formatting (default: 'en-US')
  * @returns {string} Formatted currency string
  */
 export const formatCurrency = (value, currency = 'USD', locale = 'en-US') => {
+    // Intl only formats ISO 4217 codes, so ether and tokens get a suffix
+    if (!isFiatCurrency(currency)) {
+      const amount = new Intl.NumberFormat(locale, {
+        maximumFractionDigits: 6,
+      }).format(value);
+      return `${amount} ${currency}`;
+    }
+
     return new Intl.NumberFormat(locale, {
       style: 'currency',
       currency,
@@ -0,0 +1,56 @@
+/**
+ * Utility functions for comparing text
+ */
+
+/**
+ * Compute a line-by-line diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<Object>} Lines as { type: 'unchanged' | 'added' | 'removed', text }
+ */
+export const diffLines = (oldText = "", newText = "") => {
+  const oldLines = oldText ? oldText.split("\n") : [];
+  const newLines = newText ? newText.split("\n") : [];
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: oldLines.length + 1 }, () =>
+    new Array(newLines.length + 1).fill(0)
+  );
+
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        oldLines[i] === newLines[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: "unchanged", text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: "removed", text: oldLines[i] });
+      i++;
+    } else {
+      result.push({ type: "added", text: newLines[j] });
+      j++;
+    }
+  }
+
+  while (i < oldLines.length) {
+    result.push({ type: "removed", text: oldLines[i++] });
+  }
+
+  while (j < newLines.length) {
+    result.push({ type: "added", text: newLines[j++] });
+  }
+
+  return result;
+};
\ No newline at end of file
@@ -14,6 +14,72 @@ const config = {
   blockchain: {
     contractAddress: process.env.CONTRACT_ADDRESS,
     chainId: process.env.CHAIN_ID,
+    rpcUrl: process.env.BLOCKCHAIN_RPC_URL || 'http://127.0.0.1:8545',
+    privateKey: process.env.BLOCKCHAIN_PRIVATE_KEY,
+    confirmations: parseInt(process.env.BLOCKCHAIN_CONFIRMATIONS || '1', 10),
+    queue: {
+      pollInterval: parseInt(process.env.BLOCKCHAIN_QUEUE_POLL_MS || '5000', 10),
+      maxAttempts: parseInt(process.env.BLOCKCHAIN_JOB_MAX_ATTEMPTS || '5', 10),
+      retryDelay: parseInt(process.env.BLOCKCHAIN_JOB_RETRY_MS || '10000', 10),
+      lockTimeout: parseInt(process.env.BLOCKCHAIN_JOB_LOCK_MS || '300000', 10),
+    },
+    indexer: {
+      startBlock: parseInt(process.env.INDEXER_START_BLOCK || '0', 10),
+      confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '6', 10),
+      pollInterval: parseInt(process.env.INDEXER_POLL_MS || '15000', 10),
+      blockRange: parseInt(process.env.INDEXER_BLOCK_RANGE || '1000', 10),
+    },
+  },
+  deadlines: {
+    checkInterval: parseInt(process.env.DEADLINE_CHECK_MS || '3600000', 10),
+    acceptanceWindowDays: parseInt(process.env.CONTRACT_ACCEPTANCE_DAYS || '14', 10),
+  },
+  platformFee: {
+    // Basis points taken from every payment to a freelancer. Keep this in
+    // line with setPlatformFee on the escrow contract.
+    bps: parseInt(process.env.PLATFORM_FEE_BPS || '0', 10),
+  },
+  exchangeRates: {
+    // 'static' uses EXCHANGE_RATES (JSON) or the built-in defaults and works
+    // offline; 'http' fetches EXCHANGE_RATE_URL and falls back to static rates
+    provider: process.env.EXCHANGE_RATE_PROVIDER || 'static',
+    baseCurrency: process.env.EXCHANGE_RATE_BASE || 'USD',
+    url: process.env.EXCHANGE_RATE_URL,
+    rates: process.env.EXCHANGE_RATES ? JSON.parse(process.env.EXCHANGE_RATES) : undefined,
+    cacheTtl: parseInt(process.env.EXCHANGE_RATE_CACHE_MS || '600000', 10),
+  },
+  contentStore: {
+    // 'supabase' reads deliverable files from the private storage bucket;
+    // 'local' is an IPFS-compatible stand-in that keeps files by CID in a
+    // directory and serves signed downloads from /api/files/local
+    provider: process.env.CONTENT_STORE_PROVIDER || 'supabase',
+    bucket: process.env.CONTENT_STORE_BUCKET || 'deliverables',
+    directory: process.env.CONTENT_STORE_DIR || './data/ipfs',
+    baseUrl: process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3001}/api`,
+    // Signs local downloads; required by the 'local' provider and kept
+    // apart from the JWT secret
+    signingSecret: process.env.CONTENT_STORE_SECRET,
+    signedUrlTtl: parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS || '300', 10),
+    // Investors get watermarked previews of deliverables until payment is released
+    watermarkPreviews: process.env.WATERMARK_PREVIEWS !== 'false',
+  },
+  uploads: {
+    // 'stub' only flags the EICAR test file, for local development; 'http'
+    // posts each file to UPLOAD_SCANNER_URL and rejects it unless it is clean
+    scanner: process.env.UPLOAD_SCANNER || 'stub',
+    scannerUrl: process.env.UPLOAD_SCANNER_URL,
+    scanTimeout: parseInt(process.env.UPLOAD_SCAN_TIMEOUT_MS || '30000', 10),
+    // Size limits in bytes per bucket, the service defaults when unset
+    maxSizes: {
+      avatars: parseInt(process.env.AVATAR_MAX_BYTES || '0', 10),
+      deliverables: parseInt(process.env.DELIVERABLE_MAX_BYTES || '0', 10),
+    },
+  },
+  matching: {
+    // Feature weights as JSON, e.g. {"skills":0.4,"recency":0}; unset
+    // features keep the service defaults
+    weights: process.env.MATCH_WEIGHTS ? JSON.parse(process.env.MATCH_WEIGHTS) : undefined,
+    recencyHalfLifeDays: parseInt(process.env.MATCH_RECENCY_HALF_LIFE_DAYS || '30', 10),
   },
   gemini: {
     apiKey: process.env.GEMINI_API_KEY,
@@ -0,0 +1,90 @@
+// Built-in contract templates available to every investor. Placeholders use
+// {{variable}} syntax and are listed in each template's variables.
+const contractTemplates = [
+  {
+    id: 'builtin-nda',
+    name: 'Non-Disclosure Agreement',
+    category: 'nda',
+    description: 'Mutual confidentiality for early conversations and shared material.',
+    title: 'NDA: {{project_name}}',
+    body: 'Confidentiality agreement covering information shared about {{project_name}}.',
+    terms: [
+      '1. Confidential information includes all material shared about {{project_name}}, in any form.',
+      '2. The freelancer will not disclose confidential information to third parties or use it outside this engagement.',
+      '3. These obligations last for {{duration_months}} months after the contract ends.',
+      '4. On request, the freelancer will return or destroy all confidential material.',
+      '5. This agreement is governed by the laws of {{jurisdiction}}.',
+    ].join('\n'),
+    variables: [
+      { key: 'project_name', label: 'Project name', required: true },
+      { key: 'duration_months', label: 'Confidentiality period (months)', required: true, defaultValue: '24' },
+      { key: 'jurisdiction', label: 'Governing law', required: true },
+    ],
+  },
+  {
+    id: 'builtin-fixed-price',
+    name: 'Fixed-Price Project',
+    category: 'fixed_price',
+    description: 'A defined scope delivered for a single agreed price.',
+    title: '{{project_name}}',
+    body: 'Fixed-price engagement to deliver {{deliverables}}.',
+    terms: [
+      '1. Scope: the freelancer will deliver {{deliverables}}.',
+      '2. Price: the total price is fixed and held in escrow until the deliverables are approved.',
+      '3. Revisions: up to {{revision_rounds}} rounds of revisions are included.',
+      '4. Acceptance: the investor will review each deliverable within {{review_days}} days of submission.',
+      '5. Intellectual property transfers to the investor once payment is released.',
+    ].join('\n'),
+    variables: [
+      { key: 'project_name', label: 'Project name', required: true },
+      { key: 'deliverables', label: 'Deliverables', required: true },
+      { key: 'revision_rounds', label: 'Revision rounds', required: true, defaultValue: '2' },
+      { key: 'review_days', label: 'Review period (days)', required: true, defaultValue: '5' },
+    ],
+  },
+  {
+    id: 'builtin-hourly-retainer',
+    name: 'Hourly Retainer',
+    category: 'hourly_retainer',
+    description: 'Ongoing work billed by the hour against a monthly retainer.',
+    title: '{{role}} retainer',
+    body: 'Hourly retainer for {{role}} work, up to {{monthly_hours}} hours per month.',
+    terms: [
+      '1. The freelancer will provide {{role}} services on request.',
+      '2. Work is billed at {{hourly_rate}} per hour, up to {{monthly_hours}} hours per month.',
+      '3. Hours beyond the monthly cap require written approval from the investor.',
+      '4. Time is reported weekly and approved by the investor before payment.',
+      '5. Either party may end the retainer with {{notice_days}} days notice.',
+    ].join('\n'),
+    variables: [
+      { key: 'role', label: 'Role', required: true },
+      { key: 'hourly_rate', label: 'Hourly rate', required: true },
+      { key: 'monthly_hours', label: 'Monthly hour cap', required: true, defaultValue: '40' },
+      { key: 'notice_days', label: 'Notice period (days)', required: true, defaultValue: '14' },
+    ],
+  },
+  {
+    id: 'builtin-equity-for-work',
+    name: 'Equity for Work',
+    category: 'equity_for_work',
+    description: 'Work compensated partly or fully with equity in the company.',
+    title: 'Equity for work: {{company_name}}',
+    body: 'The freelancer contributes {{services}} in exchange for equity in {{company_name}}.',
+    terms: [
+      '1. The freelancer will provide {{services}} to {{company_name}}.',
+      '2. In exchange, the freelancer receives {{equity_percent}}% of the company\'s fully diluted equity.',
+      '3. Equity vests over {{vesting_months}} months with a {{cliff_months}} month cliff.',
+      '4. Unvested equity is forfeited if the engagement ends early.',
+      '5. Any cash compensation is held in escrow and released on approved deliverables.',
+    ].join('\n'),
+    variables: [
+      { key: 'company_name', label: 'Company name', required: true },
+      { key: 'services', label: 'Services', required: true },
+      { key: 'equity_percent', label: 'Equity (%)', required: true },
+      { key: 'vesting_months', label: 'Vesting period (months)', required: true, defaultValue: '48' },
+      { key: 'cliff_months', label: 'Cliff (months)', required: false, defaultValue: '12' },
+    ],
+  },
+];
+
+module.exports = contractTemplates;
\ No newline at end of file
@@ -0,0 +1,42 @@
+// Currencies a contract value can be denominated in. Ether and allowed
+// ERC-20 tokens can be held in on-chain escrow; fiat contracts are tracked
+// off-chain.
+const currencies = [
+  { code: 'USD', name: 'US Dollar', type: 'fiat', decimals: 2 },
+  { code: 'EUR', name: 'Euro', type: 'fiat', decimals: 2 },
+  { code: 'GBP', name: 'British Pound', type: 'fiat', decimals: 2 },
+  { code: 'ETH', name: 'Ether', type: 'native', decimals: 18 },
+  { code: 'USDC', name: 'USD Coin', type: 'token', decimals: 6 },
+  { code: 'DAI', name: 'Dai', type: 'token', decimals: 18 },
+];
+
+// Contracts created before currencies were tracked were escrowed in ether
+const DEFAULT_CURRENCY = 'ETH';
+
+// Fallback rates, in units of each currency per US dollar, used when no
+// rate provider is configured or the configured one is unreachable
+const defaultRates = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  ETH: 0.0003,
+  USDC: 1,
+  DAI: 1,
+};
+
+/**
+ * Number of decimals on-chain amounts of a currency use
+ * @param {string} code - Currency code
+ * @returns {number} Decimals, 18 for ether and unknown currencies
+ */
+const getDecimals = (code) => {
+  const currency = currencies.find(c => c.code === code);
+  return currency && currency.type !== 'fiat' ? currency.decimals : 18;
+};
+
+module.exports = {
+  currencies,
+  DEFAULT_CURRENCY,
+  defaultRates,
+  getDecimals,
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+// Skill taxonomy used to match freelancers with investors. Each skill has a
+// canonical ID, the terms people write for it, the group of closely related
+// skills it belongs to and the industry category it serves. Profile skills,
+// industries and free text are mapped onto these IDs before comparing.
+const categories = [
+  { id: 'tech', label: 'Technology' },
+  { id: 'design', label: 'Design' },
+  { id: 'finance', label: 'Finance' },
+  { id: 'marketing', label: 'Marketing' },
+  { id: 'healthcare', label: 'Healthcare' },
+  { id: 'education', label: 'Education' },
+  { id: 'real-estate', label: 'Real Estate' },
+];
+
+const skills = [
+  // Technology
+  { id: 'javascript', label: 'JavaScript', group: 'web', category: 'tech', terms: ['javascript', 'js', 'ecmascript'] },
+  { id: 'typescript', label: 'TypeScript', group: 'web', category: 'tech', terms: ['typescript', 'ts'] },
+  { id: 'react', label: 'React', group: 'frontend', category: 'tech', terms: ['react', 'reactjs', 'react.js', 'next.js', 'nextjs'] },
+  { id: 'vue', label: 'Vue', group: 'frontend', category: 'tech', terms: ['vue', 'vuejs', 'vue.js', 'nuxt'] },
+  { id: 'angular', label: 'Angular', group: 'frontend', category: 'tech', terms: ['angular', 'angularjs'] },
+  { id: 'html-css', label: 'HTML & CSS', group: 'frontend', category: 'tech', terms: ['html', 'css', 'sass', 'tailwind', 'frontend', 'front-end'] },
+  { id: 'node', label: 'Node.js', group: 'backend', category: 'tech', terms: ['node', 'nodejs', 'node.js', 'express', 'nestjs'] },
+  { id: 'python', label: 'Python', group: 'backend', category: 'tech', terms: ['python', 'django', 'flask', 'fastapi'] },
+  { id: 'java', label: 'Java', group: 'backend', category: 'tech', terms: ['java', 'spring', 'kotlin'] },
+  { id: 'go', label: 'Go', group: 'backend', category: 'tech', terms: ['go', 'golang'] },
+  { id: 'rust', label: 'Rust', group: 'backend', category: 'tech', terms: ['rust'] },
+  { id: 'php', label: 'PHP', group: 'backend', category: 'tech', terms: ['php', 'laravel', 'wordpress'] },
+  { id: 'databases', label: 'Databases', group: 'backend', category: 'tech', terms: ['sql', 'postgres', 'postgresql', 'mysql', 'mongodb', 'database', 'supabase', 'backend', 'back-end'] },
+  { id: 'ios', label: 'iOS', group: 'mobile', category: 'tech', terms: ['ios', 'swift', 'swiftui'] },
+  { id: 'android', label: 'Android', group: 'mobile', category: 'tech', terms: ['android'] },
+  { id: 'cross-platform', label: 'Cross-platform Apps', group: 'mobile', category: 'tech', terms: ['react native', 'flutter', 'mobile', 'mobile apps', 'mobile development'] },
+  { id: 'solidity', label: 'Solidity', group: 'blockchain', category: 'tech', terms: ['solidity', 'smart contracts', 'smart contract', 'evm'] },
+  { id: 'web3', label: 'Web3', group: 'blockchain', category: 'tech', terms: ['web3', 'blockchain', 'ethereum', 'crypto', 'defi', 'nft', 'ethers.js', 'web3.js'] },
+  { id: 'machine-learning', label: 'Machine Learning', group: 'data', category: 'tech', terms: ['machine learning', 'ml', 'ai', 'artificial intelligence', 'deep learning', 'pytorch', 'tensorflow', 'llm', 'nlp'] },
+  { id: 'data-analysis', label: 'Data Analysis', group: 'data', category: 'tech', terms: ['data analysis', 'data science', 'analytics', 'pandas', 'data engineering', 'etl', 'bi', 'tableau', 'power bi'] },
+  { id: 'devops', label: 'DevOps', group: 'infrastructure', category: 'tech', terms: ['devops', 'docker', 'kubernetes', 'ci/cd', 'terraform', 'infrastructure'] },
+  { id: 'cloud', label: 'Cloud', group: 'infrastructure', category: 'tech', terms: ['cloud', 'aws', 'azure', 'gcp', 'google cloud', 'serverless'] },
+  { id: 'security', label: 'Security', group: 'infrastructure', category: 'tech', terms: ['security', 'cybersecurity', 'penetration testing', 'pentesting', 'smart contract audit', 'audit'] },
+  { id: 'qa', label: 'QA & Testing', group: 'infrastructure', category: 'tech', terms: ['qa', 'testing', 'test automation', 'cypress', 'selenium', 'jest'] },
+
+  // Design
+  { id: 'ui-design', label: 'UI Design', group: 'product-design', category: 'design', terms: ['ui', 'ui design', 'interface design', 'figma', 'sketch', 'web design'] },
+  { id: 'ux-design', label: 'UX Design', group: 'product-design', category: 'design', terms: ['ux', 'ux design', 'user experience', 'user research', 'prototyping', 'wireframing'] },
+  { id: 'graphic-design', label: 'Graphic Design', group: 'visual-design', category: 'design', terms: ['graphic design', 'photoshop', 'illustrator', 'illustration', 'design'] },
+  { id: 'branding', label: 'Branding', group: 'visual-design', category: 'design', terms: ['branding', 'brand identity', 'logo design', 'logo'] },
+  { id: 'motion', label: 'Motion & Video', group: 'visual-design', category: 'design', terms: ['motion graphics', 'animation', 'video editing', 'after effects', 'video'] },
+  { id: '3d', label: '3D Modeling', group: 'visual-design', category: 'design', terms: ['3d', '3d modeling', 'blender', 'cad'] },
+
+  // Finance
+  { id: 'accounting', label: 'Accounting', group: 'accounting', category: 'finance', terms: ['accounting', 'bookkeeping', 'quickbooks', 'tax', 'audit preparation'] },
+  { id: 'financial-modeling', label: 'Financial Modeling', group: 'analysis', category: 'finance', terms: ['financial modeling', 'financial analysis', 'valuation', 'excel', 'forecasting', 'fp&a'] },
+  { id: 'fundraising', label: 'Fundraising', group: 'analysis', category: 'finance', terms: ['fundraising', 'pitch deck', 'venture capital', 'investor relations'] },
+  { id: 'tokenomics', label: 'Tokenomics', group: 'analysis', category: 'finance', terms: ['tokenomics', 'token design', 'token economics'] },
+
+  // Marketing
+  { id: 'seo', label: 'SEO', group: 'digital-marketing', category: 'marketing', terms: ['seo', 'search engine optimization', 'sem'] },
+  { id: 'social-media', label: 'Social Media', group: 'digital-marketing', category: 'marketing', terms: ['social media', 'social media marketing', 'community management', 'community'] },
+  { id: 'paid-ads', label: 'Paid Advertising', group: 'digital-marketing', category: 'marketing', terms: ['ppc', 'google ads', 'facebook ads', 'paid ads', 'advertising', 'performance marketing'] },
+  { id: 'content', label: 'Content Writing', group: 'content', category: 'marketing', terms: ['content writing', 'copywriting', 'content marketing', 'blogging', 'writing', 'technical writing'] },
+  { id: 'email-marketing', label: 'Email Marketing', group: 'content', category: 'marketing', terms: ['email marketing', 'newsletter', 'mailchimp'] },
+  { id: 'growth', label: 'Growth Strategy', group: 'strategy', category: 'marketing', terms: ['growth', 'growth hacking', 'marketing strategy', 'go-to-market', 'marketing'] },
+
+  // Healthcare
+  { id: 'health-it', label: 'Health IT', group: 'health-tech', category: 'healthcare', terms: ['health it', 'ehr', 'emr', 'hl7', 'fhir', 'hipaa', 'telemedicine'] },
+  { id: 'medical-writing', label: 'Medical Writing', group: 'clinical', category: 'healthcare', terms: ['medical writing', 'clinical research', 'clinical trials', 'regulatory affairs'] },
+
+  // Education
+  { id: 'instructional-design', label: 'Instructional Design', group: 'learning', category: 'education', terms: ['instructional design', 'curriculum', 'curriculum design', 'e-learning', 'elearning', 'lms'] },
+  { id: 'tutoring', label: 'Tutoring', group: 'learning', category: 'education', terms: ['tutoring', 'teaching', 'training', 'coaching'] },
+
+  // Real estate
+  { id: 'property-analysis', label: 'Property Analysis', group: 'property', category: 'real-estate', terms: ['property analysis', 'real estate analysis', 'appraisal', 'property valuation'] },
+  { id: 'proptech', label: 'PropTech', group: 'property', category: 'real-estate', terms: ['proptech', 'property management', 'real estate tech'] },
+];
+
+// Industries investors list on their profile, mapped to categories. An
+// industry can span more than one category.
+const industries = {
+  tech: ['tech'],
+  technology: ['tech'],
+  software: ['tech'],
+  saas: ['tech'],
+  it: ['tech'],
+  ai: ['tech'],
+  blockchain: ['tech'],
+  crypto: ['tech', 'finance'],
+  web3: ['tech'],
+  ecommerce: ['tech', 'marketing'],
+  'e-commerce': ['tech', 'marketing'],
+  gaming: ['tech', 'design'],
+  design: ['design'],
+  media: ['design', 'marketing'],
+  fashion: ['design', 'marketing'],
+  finance: ['finance'],
+  fintech: ['finance', 'tech'],
+  banking: ['finance'],
+  insurance: ['finance'],
+  marketing: ['marketing'],
+  advertising: ['marketing'],
+  retail: ['marketing'],
+  healthcare: ['healthcare'],
+  health: ['healthcare'],
+  healthtech: ['healthcare', 'tech'],
+  biotech: ['healthcare'],
+  education: ['education'],
+  edtech: ['education', 'tech'],
+  'real-estate': ['real-estate'],
+  'real estate': ['real-estate'],
+  proptech: ['real-estate', 'tech'],
+};
+
+module.exports = {
+  categories,
+  skills,
+  industries,
+};
\ No newline at end of file
@@ -0,0 +1,341 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const BlockchainService = require('../services/blockchainService');
+const ContractEventLog = require('../services/contractEventLog');
+
+// Create Supabase client
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Initialize blockchain service
+const blockchainService = BlockchainService.shared(config.blockchain);
+
+// Initialize contract audit log
+const contractEventLog = new ContractEventLog({ supabase });
+
+// Table names
+const TABLES = {
+  CONTRACTS: 'contracts',
+  MILESTONES: 'milestones',
+  CONTRACT_VERSIONS: 'contract_versions',
+};
+
+// Contracts whose terms can still be amended
+const AMENDABLE_STATUSES = ['draft', 'pending', 'active'];
+
+/**
+ * Format a contract version row
+ */
+const formatVersion = (version) => ({
+  id: version.id,
+  contractId: version.contract_id,
+  version: version.version,
+  terms: version.terms,
+  value: version.value,
+  note: version.note,
+  status: version.status,
+  proposedBy: version.proposed_by,
+  respondedBy: version.responded_by,
+  respondedAt: version.responded_at,
+  termsUri: version.terms_uri,
+  transactionHash: version.transaction_hash,
+  createdAt: version.created_at,
+});
+
+/**
+ * Get a contract and verify the user is one of its parties
+ */
+const getContractForUser = async (contractId, userId, res) => {
+  const { data: contract, error } = await supabase
+    .from(TABLES.CONTRACTS)
+    .select('*, milestones (*)')
+    .eq('id', contractId)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  if (contract.investor_id !== userId && contract.freelancer_id !== userId) {
+    res.status(403).json({ error: 'Access denied to this contract' });
+    return null;
+  }
+
+  return contract;
+};
+
+/**
+ * Get all versions of a contract's terms
+ */
+const getVersions = async (contractId) => {
+  const { data, error } = await supabase
+    .from(TABLES.CONTRACT_VERSIONS)
+    .select('*')
+    .eq('contract_id', contractId)
+    .order('version', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Record the contract's current terms as version 1 for contracts created
+ * before terms were versioned
+ */
+const ensureBaseVersion = async (contract) => {
+  const versions = await getVersions(contract.id);
+  if (versions.length > 0) {
+    return versions;
+  }
+
+  const { data, error } = await supabase
+    .from(TABLES.CONTRACT_VERSIONS)
+    .insert({
+      contract_id: contract.id,
+      version: 1,
+      terms: contract.terms || '',
+      value: contract.value,
+      status: 'accepted',
+      proposed_by: contract.investor_id,
+      terms_uri: `ipfs://terms-${contract.id}`,
+      created_at: contract.created_at,
+      updated_at: new Date(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return [data];
+};
+
+/**
+ * Get the version history of a contract's terms
+ */
+const getContractVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const contract = await getContractForUser(id, req.user.id, res);
+
+    if (!contract) {
+      return;
+    }
+
+    const versions = await ensureBaseVersion(contract);
+
+    res.status(200).json(versions.map(formatVersion));
+  } catch (error) {
+    console.error('Error fetching contract versions:', error);
+    res.status(500).json({ error: 'Failed to fetch contract versions' });
+  }
+};
+
+/**
+ * Propose new terms or value for a contract
+ */
+const proposeAmendment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { terms, value, note } = req.body;
+    const userId = req.user.id;
+
+    const contract = await getContractForUser(id, userId, res);
+
+    if (!contract) {
+      return;
+    }
+
+    if (!AMENDABLE_STATUSES.includes(contract.status)) {
+      return res.status(400).json({
+        error: 'Only draft, pending or active contracts can be amended'
+      });
+    }
+
+    const newTerms = terms !== undefined ? terms : contract.terms;
+    const newValue = value !== undefined ? Number(value) : Number(contract.value);
+
+    if (Number.isNaN(newValue) || newValue < 0) {
+      return res.status(400).json({ error: 'Value must be a positive number' });
+    }
+
+    if (newTerms === contract.terms && newValue === Number(contract.value)) {
+      return res.status(400).json({ error: 'Amendment does not change the terms or value' });
+    }
+
+    // Escrowed funds are fixed once deposited or split into milestones
+    if (newValue !== Number(contract.value)) {
+      if (contract.blockchain_contract_id) {
+        return res.status(400).json({
+          error: 'The value of an on-chain contract cannot be changed'
+        });
+      }
+
+      if ((contract.milestones || []).length > 0) {
+        return res.status(400).json({
+          error: 'The value of a milestone contract cannot be changed'
+        });
+      }
+    }
+
+    const versions = await ensureBaseVersion(contract);
+    const nextVersion = versions[versions.length - 1].version + 1;
+
+    const { data: version, error } = await supabase
+      .from(TABLES.CONTRACT_VERSIONS)
+      .insert({
+        contract_id: id,
+        version: nextVersion,
+        terms: newTerms,
+        value: newValue,
+        note,
+        status: 'proposed',
+        proposed_by: userId,
+        terms_uri: `ipfs://terms-${id}-v${nextVersion}`,
+        created_at: new Date(),
+        updated_at: new Date(),
+      })
+      .select()
+      .single();
+
+    // Unique violation: another proposal is awaiting a response
+    if (error && error.code === '23505') {
+      return res.status(409).json({ error: 'Contract already has a pending amendment' });
+    }
+
+    if (error) {
+      throw error;
+    }
+
+    await contractEventLog.record(id, ContractEventLog.EVENT_TYPES.AMENDMENT_PROPOSED, {
+      actorId: userId,
+      details: { versionId: version.id, version: nextVersion, note: note || null },
+    });
+
+    res.status(201).json(formatVersion(version));
+  } catch (error) {
+    console.error('Error proposing amendment:', error);
+    res.status(500).json({ error: 'Failed to propose amendment' });
+  }
+};
+
+/**
+ * Accept or reject a proposed amendment. Only the other party can respond.
+ */
+const respondToAmendment = async (req, res) => {
+  try {
+    const { id, versionId } = req.params;
+    const { accept } = req.body;
+    const userId = req.user.id;
+
+    if (typeof accept !== 'boolean') {
+      return res.status(400).json({ error: 'Accept must be true or false' });
+    }
+
+    const contract = await getContractForUser(id, userId, res);
+
+    if (!contract) {
+      return;
+    }
+
+    const { data: version, error: versionError } = await supabase
+      .from(TABLES.CONTRACT_VERSIONS)
+      .select('*')
+      .eq('id', versionId)
+      .eq('contract_id', id)
+      .maybeSingle();
+
+    if (versionError) {
+      throw versionError;
+    }
+
+    if (!version || version.status !== 'proposed') {
+      return res.status(404).json({ error: 'No pending amendment found' });
+    }
+
+    if (version.proposed_by === userId) {
+      return res.status(403).json({ error: 'You cannot respond to your own amendment' });
+    }
+
+    const versionUpdate = {
+      status: accept ? 'accepted' : 'rejected',
+      responded_by: userId,
+      responded_at: new Date(),
+      updated_at: new Date(),
+    };
+
+    if (accept) {
+      if (!AMENDABLE_STATUSES.includes(contract.status)) {
+        return res.status(400).json({ error: 'Contract can no longer be amended' });
+      }
+
+      // Record the new terms URI on-chain before applying them
+      if (contract.smart_contract_address && contract.blockchain_contract_id) {
+        try {
+          const { transactionHash } = await blockchainService.amendTerms(
+            contract.blockchain_contract_id,
+            version.terms_uri
+          );
+          versionUpdate.transaction_hash = transactionHash;
+        } catch (blockchainError) {
+          console.error('Error amending contract on blockchain:', blockchainError);
+          return res.status(502).json({
+            error: 'Blockchain transaction failed',
+            message: BlockchainService.formatError(blockchainError),
+          });
+        }
+      }
+
+      const { error: contractError } = await supabase
+        .from(TABLES.CONTRACTS)
+        .update({
+          terms: version.terms,
+          value: version.value,
+          terms_version: version.version,
+          updated_at: new Date(),
+        })
+        .eq('id', id);
+
+      if (contractError) {
+        throw contractError;
+      }
+    }
+
+    const { data: updatedVersion, error: updateError } = await supabase
+      .from(TABLES.CONTRACT_VERSIONS)
+      .update(versionUpdate)
+      .eq('id', versionId)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    await contractEventLog.record(
+      id,
+      accept
+        ? ContractEventLog.EVENT_TYPES.AMENDMENT_ACCEPTED
+        : ContractEventLog.EVENT_TYPES.AMENDMENT_REJECTED,
+      {
+        actorId: userId,
+        details: { versionId, version: version.version },
+        transactionHash: versionUpdate.transaction_hash,
+      }
+    );
+
+    res.status(200).json(formatVersion(updatedVersion));
+  } catch (error) {
+    console.error('Error responding to amendment:', error);
+    res.status(500).json({ error: 'Failed to respond to amendment' });
+  }
+};
+
+module.exports = {
+  getContractVersions,
+  proposeAmendment,
+  respondToAmendment,
+};
\ No newline at end of file
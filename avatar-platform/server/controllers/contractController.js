@@ -1,16 +1,291 @@
+const path = require('path');
+const { ethers } = require('ethers');
 const { createClient } = require('@supabase/supabase-js');
-const ethers = require('ethers');
 const config = require('../config/config');
-const AvatarContractABI = require('../contracts/AvatarContract.json');
+const { currencies, DEFAULT_CURRENCY } = require('../config/currencies');
+const BlockchainService = require('../services/blockchainService');
+const BlockchainQueue = require('../services/blockchainQueue');
+const SignatureService = require('../services/signatureService');
+const ContractPdfService = require('../services/contractPdfService');
+const ContractEventLog = require('../services/contractEventLog');
+const LedgerService = require('../services/ledgerService');
+const PayoutService = require('../services/payoutService');
+const TeamService = require('../services/teamService');
+const ContractSearchService = require('../services/contractSearchService');
+const DeliverableService = require('../services/deliverableService');
+const ContentStore = require('../services/contentStore');
+const PreviewService = require('../services/previewService');
 
 // Create Supabase client
 const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
 
+// Initialize blockchain service and job queue (the worker runs from index.js)
+const blockchainService = BlockchainService.shared(config.blockchain);
+const blockchainQueue = new BlockchainQueue({
+  supabase,
+  blockchainService,
+  ...config.blockchain.queue,
+});
+
+// Initialize signature service for contract acceptance
+const signatureService = new SignatureService({
+  supabase,
+  supabaseUrl: config.supabase.url,
+  supabaseAnonKey: config.supabase.anonKey,
+  chainId: config.blockchain.chainId,
+  contractAddress: config.blockchain.contractAddress,
+});
+
+// Renders contract exports
+const contractPdfService = new ContractPdfService();
+
+// Audit log written by every contract mutation
+const contractEventLog = new ContractEventLog({ supabase });
+const { EVENT_TYPES } = ContractEventLog;
+
+// Platform fee and payout splits taken from payments to the freelancer
+const payoutService = new PayoutService({ supabase, platformFee: config.platformFee });
+
+// Freelancers working on a contract alongside its lead freelancer
+const teamService = new TeamService({ supabase });
+const { ROLES, MEMBER_STATUSES } = TeamService;
+
+// Search and pagination for contract lists
+const contractSearchService = new ContractSearchService({ supabase });
+
+// Deliverable versions and their review threads
+const deliverableService = new DeliverableService({ supabase });
+const { STATUSES: DELIVERABLE_STATUSES } = DeliverableService;
+
+// Content-addressed deliverable files
+const contentStore = ContentStore.fromConfig(config.contentStore, supabase);
+const { INTEGRITY_STATUSES } = ContentStore;
+
+// Watermarked previews of deliverables for investors who have not paid yet
+const previewService = new PreviewService();
+
+// Payment ledger and invoices for every escrow movement
+const ledgerService = new LedgerService({ supabase, payoutService });
+const { SOURCES: LEDGER_SOURCES } = LedgerService;
+
 // Table names
 const TABLES = {
   CONTRACTS: 'contracts',
   DELIVERABLES: 'deliverables',
+  MILESTONES: 'milestones',
+  CONTRACT_VERSIONS: 'contract_versions',
+  CONTRACT_SIGNATURES: 'contract_signatures',
+  DISPUTES: 'disputes',
+  TIMESHEETS: 'timesheets',
   PROFILES: 'profiles',
+  USERS: 'users',
+  CHAT_MESSAGES: 'chat_messages',
+};
+
+const CONTRACT_TYPES = ['fixed', 'hourly'];
+
+const CURRENCY_CODES = currencies.map(c => c.code);
+
+// The operator creates ether escrow from a deposit the investor sent to the
+// operator wallet. Token escrow is funded from the investor's own wallet
+// after an ERC-20 approval.
+const ON_CHAIN_CURRENCIES = currencies.filter(c => c.type === 'native').map(c => c.code);
+
+// Contracts whose terms can be signed
+const SIGNABLE_STATUSES = ['draft', 'pending', 'active'];
+
+// The party that may move a contract to each status. The operator relays
+// every change and passes AvatarContract's participant checks, so these
+// stand in for the freelancer-only requires on Active and Completed.
+const STATUS_CHANGE_ROLES = {
+  pending: [ROLES.INVESTOR, ROLES.LEAD],
+  active: [ROLES.LEAD],
+  completed: [ROLES.LEAD],
+  cancelled: [ROLES.INVESTOR],
+};
+
+// Actions an investor can run on many contracts at once
+const BULK_ACTIONS = {
+  CANCEL: 'cancel',
+  APPROVE_DELIVERABLES: 'approve-deliverables',
+  EXPORT: 'export',
+  MESSAGE: 'message',
+};
+const MAX_BULK_CONTRACTS = 50;
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+  ['ID', c => c.id],
+  ['Title', c => c.title],
+  ['Status', c => c.status],
+  ['Type', c => c.contract_type || 'fixed'],
+  ['Value', c => c.value],
+  ['Currency', c => c.currency || DEFAULT_CURRENCY],
+  ['Investor', c => c.investor?.profiles?.name || c.investor?.email],
+  ['Freelancer', c => c.freelancer?.profiles?.name || c.freelancer?.email],
+  ['Freelancer Email', c => c.freelancer?.email],
+  ['Start Date', c => c.start_date],
+  ['End Date', c => c.end_date],
+  ['Verified', c => (c.verified ? 'yes' : 'no')],
+  ['Smart Contract', c => c.smart_contract_address],
+  ['Created', c => c.created_at],
+];
+
+/**
+ * Format milestone rows with their linked deliverables, in on-chain order
+ */
+const formatMilestones = (milestones = [], deliverables = []) => {
+  return [...milestones]
+    .sort((a, b) => a.position - b.position)
+    .map(m => ({
+      id: m.id,
+      title: m.title,
+      amount: Number(m.amount),
+      dueDate: m.due_date,
+      position: m.position,
+      status: m.status,
+      releasedAt: m.released_at,
+      transactionHash: m.transaction_hash,
+      deliverableIds: deliverables
+        .filter(d => d.milestone_id === m.id)
+        .map(d => d.id),
+    }));
+};
+
+/**
+ * Summarize how much of the contract value has been released, through
+ * milestones or approved timesheets. Milestones settled by a dispute split
+ * are no longer held but were not necessarily released.
+ */
+const getEscrowBalance = (value, milestones = [], timesheets = []) => {
+  const total = Number(value) || 0;
+  const released = milestones
+    .filter(m => m.status === 'released')
+    .reduce((sum, m) => sum + Number(m.amount), 0) +
+    timesheets
+      .filter(t => t.status === 'approved')
+      .reduce((sum, t) => sum + Number(t.amount), 0);
+  const settled = milestones
+    .filter(m => m.status === 'settled')
+    .reduce((sum, m) => sum + Number(m.amount), 0);
+  
+  return {
+    total,
+    released,
+    remaining: Math.max(total - released - settled, 0),
+  };
+};
+
+/**
+ * Total the approved and awaiting-approval hours of an hourly contract
+ */
+const getTimesheetSummary = (timesheets = []) => {
+  const total = (status, field) => timesheets
+    .filter(t => t.status === status)
+    .reduce((sum, t) => sum + Number(t[field]), 0);
+
+  return {
+    approvedHours: total('approved', 'total_hours'),
+    paidAmount: total('approved', 'amount'),
+    pendingHours: total('submitted', 'total_hours'),
+    pendingAmount: total('submitted', 'amount'),
+  };
+};
+
+/**
+ * Check whether a date falls before the start of today
+ */
+const isPastDate = (date) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return new Date(date) < today;
+};
+
+/**
+ * Check whether an open item has passed its due date
+ */
+const isPastDue = (dueDate) => Boolean(dueDate) && new Date(dueDate) < new Date();
+
+/**
+ * Convert a decimal amount to wei so amounts add up exactly, as they do
+ * on-chain. Returns null for amounts that cannot be represented.
+ */
+const toWei = (amount) => {
+  try {
+    return ethers.parseEther(String(amount));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the role a user plays in a contract as one of its signing parties.
+ * Team members are not parties; see teamService.getAccess.
+ */
+const getPartyRole = (contract, userId) => {
+  if (contract.investor_id === userId) {
+    return ROLES.INVESTOR;
+  }
+  if (contract.freelancer_id === userId) {
+    return ROLES.LEAD;
+  }
+  return null;
+};
+
+/**
+ * Check the stored signatures against the contract's current terms
+ */
+const getSignatureStatus = async (contract) => {
+  const { data, error } = await supabase
+    .from(TABLES.CONTRACT_SIGNATURES)
+    .select('*')
+    .eq('contract_id', contract.id)
+    .order('signed_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  const termsHash = signatureService.getTermsHash(contract);
+  const signatures = data.map(s => ({
+    id: s.id,
+    userId: s.user_id,
+    role: s.role,
+    method: s.method,
+    signerAddress: s.signer_address,
+    email: s.email,
+    signature: s.signature,
+    termsHash: s.terms_hash,
+    termsVersion: s.terms_version,
+    signedAt: s.signed_at,
+    valid: signatureService.isValidSignature(s, termsHash),
+  }));
+
+  const hasSigned = (role) => signatures.some(s => s.role === role && s.valid);
+
+  return {
+    termsHash,
+    termsVersion: contract.terms_version || 1,
+    signatures,
+    complete: hasSigned('investor') && hasSigned('freelancer'),
+  };
+};
+
+/**
+ * Get a contract with its milestones for signing
+ */
+const getContractForSigning = async (contractId) => {
+  const { data, error } = await supabase
+    .from(TABLES.CONTRACTS)
+    .select('*, milestones (*)')
+    .eq('id', contractId)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
 };
 
 /**
@@ -27,7 +302,14 @@ const createContract = async (req, res) => {
       terms,
       value,
       createOnBlockchain,
-      freelancerWalletAddress,
+      depositTransactionHash,
+      milestones = [],
+      startDate,
+      endDate,
+      contractType = 'fixed',
+      hourlyRate,
+      weeklyHourCap,
+      currency = DEFAULT_CURRENCY,
     } = req.body;
     
     // Validate input
@@ -37,6 +319,74 @@ const createContract = async (req, res) => {
       });
     }
     
+    if (!CONTRACT_TYPES.includes(contractType)) {
+      return res.status(400).json({ error: `Contract type must be one of ${CONTRACT_TYPES.join(', ')}` });
+    }
+    
+    if (!CURRENCY_CODES.includes(currency)) {
+      return res.status(400).json({ error: `Currency must be one of ${CURRENCY_CODES.join(', ')}` });
+    }
+    
+    if (createOnBlockchain && !ON_CHAIN_CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        error: `Only ${ON_CHAIN_CURRENCIES.join(', ')} contracts can be escrowed on the blockchain`
+      });
+    }
+    
+    // Hourly contracts escrow a budget that approved timesheets are paid from
+    const hourly = contractType === 'hourly';
+    if (hourly) {
+      if (!(Number(hourlyRate) > 0)) {
+        return res.status(400).json({ error: 'Hourly contracts require a positive hourly rate' });
+      }
+      
+      if (!(Number(value) > 0)) {
+        return res.status(400).json({ error: 'Hourly contracts require a budget to hold in escrow' });
+      }
+      
+      if (weeklyHourCap !== undefined && weeklyHourCap !== null && weeklyHourCap !== '' &&
+          !(Number(weeklyHourCap) > 0 && Number(weeklyHourCap) <= 168)) {
+        return res.status(400).json({ error: 'Weekly hour cap must be between 0 and 168' });
+      }
+      
+      if (milestones.length > 0) {
+        return res.status(400).json({ error: 'Hourly contracts cannot have milestones' });
+      }
+    }
+    
+    // Validate contract dates
+    if ((startDate && isPastDate(startDate)) || (endDate && isPastDate(endDate))) {
+      return res.status(400).json({ error: 'Contract dates cannot be in the past' });
+    }
+    
+    if (startDate && endDate && new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({ error: 'End date cannot be before start date' });
+    }
+    
+    // Validate milestones, which must split the full contract value
+    if (milestones.some(m => !m.title || !(Number(m.amount) > 0))) {
+      return res.status(400).json({
+        error: 'Each milestone requires a title and a positive amount'
+      });
+    }
+    
+    const milestoneAmounts = milestones.map(m => toWei(m.amount));
+    if (milestoneAmounts.includes(null)) {
+      return res.status(400).json({
+        error: 'Milestone amounts must be decimal numbers with at most 18 decimal places'
+      });
+    }
+    
+    // Summed in wei so 0.1 + 0.2 is stored as 0.3
+    const milestoneTotal = milestoneAmounts.reduce((sum, amount) => sum + amount, 0n);
+    const contractValue = milestones.length > 0 ? ethers.formatEther(milestoneTotal) : value;
+    
+    if (milestones.length > 0 && value !== undefined && toWei(value) !== milestoneTotal) {
+      return res.status(400).json({
+        error: 'Milestone amounts must add up to the contract value'
+      });
+    }
+    
     // Verify user is involved in the contract
     if (userId !== investorId && userId !== freelancerId) {
       return res.status(403).json({ 
@@ -44,6 +394,82 @@ const createContract = async (req, res) => {
       });
     }
     
+    // Each party must hold the account type they are named for
+    const { data: parties, error: partiesError } = await supabase
+      .from(TABLES.USERS)
+      .select('id, user_type, profiles (wallet_address)')
+      .in('id', [investorId, freelancerId]);
+    
+    if (partiesError) {
+      throw partiesError;
+    }
+    
+    const investor = parties.find(p => p.id === investorId);
+    const freelancer = parties.find(p => p.id === freelancerId);
+    
+    if (!investor || investor.user_type !== 'investor') {
+      return res.status(400).json({ error: 'Investor ID must belong to an investor account' });
+    }
+    
+    if (!freelancer || freelancer.user_type !== 'freelancer') {
+      return res.status(400).json({ error: 'Freelancer ID must belong to a freelancer account' });
+    }
+    
+    // The operator only escrows ether the investor has already sent it, and
+    // only ever pays the wallet on the freelancer's profile
+    const freelancerAddress = freelancer.profiles?.wallet_address;
+    
+    if (createOnBlockchain) {
+      const investorAddress = investor.profiles?.wallet_address;
+      
+      if (!investorAddress || !freelancerAddress) {
+        return res.status(400).json({
+          error: 'Both parties must connect a wallet before the contract can be escrowed on the blockchain'
+        });
+      }
+      
+      const escrowWei = toWei(contractValue);
+      if (!escrowWei || escrowWei <= 0n) {
+        return res.status(400).json({ error: 'Contracts escrowed on the blockchain require a positive value' });
+      }
+      
+      if (!ethers.isHexString(depositTransactionHash, 32)) {
+        return res.status(400).json({
+          error: 'A deposit transaction hash is required to escrow the contract on the blockchain'
+        });
+      }
+      
+      let deposit;
+      try {
+        deposit = await blockchainService.getDeposit(depositTransactionHash);
+      } catch (blockchainError) {
+        return res.status(502).json({
+          error: 'Blockchain transaction failed',
+          message: BlockchainService.formatError(blockchainError)
+        });
+      }
+      
+      if (!deposit || deposit.from.toLowerCase() !== investorAddress.toLowerCase() || deposit.value < escrowWei) {
+        return res.status(400).json({
+          error: 'The deposit must be a confirmed transfer of the contract value from the investor\'s wallet to the platform wallet'
+        });
+      }
+      
+      const { data: funded, error: fundedError } = await supabase
+        .from(TABLES.CONTRACTS)
+        .select('id')
+        .eq('deposit_transaction_hash', depositTransactionHash)
+        .maybeSingle();
+      
+      if (fundedError) {
+        throw fundedError;
+      }
+      
+      if (funded) {
+        return res.status(409).json({ error: 'This deposit already funds another contract' });
+      }
+    }
+    
     // Create contract in database
     const { data: dbContract, error: dbError } = await supabase
       .from(TABLES.CONTRACTS)
@@ -53,7 +479,16 @@ const createContract = async (req, res) => {
         title,
         description,
         terms,
-        value,
+        value: contractValue,
+        currency,
+        contract_type: contractType,
+        hourly_rate: hourly ? Number(hourlyRate) : null,
+        weekly_hour_cap: hourly && weeklyHourCap ? Number(weeklyHourCap) : null,
+        start_date: startDate || null,
+        end_date: endDate || null,
+        terms_version: 1,
+        platform_fee_bps: config.platformFee.bps,
+        deposit_transaction_hash: createOnBlockchain ? depositTransactionHash : null,
         status: 'draft',
         created_at: new Date(),
         updated_at: new Date(),
@@ -61,34 +496,81 @@ const createContract = async (req, res) => {
       .select()
       .single();
     
+    // Two requests raced to spend the same deposit
+    if (dbError && dbError.code === '23505') {
+      return res.status(409).json({ error: 'This deposit already funds another contract' });
+    }
+    
     if (dbError) {
       throw dbError;
     }
     
-    // If blockchain integration is requested
-    if (createOnBlockchain && freelancerWalletAddress) {
-      // In a production environment, this would be handled in a separate service
-      // or worker to avoid blocking the request
+    // The original terms are the first version in the amendment history
+    const { error: versionError } = await supabase
+      .from(TABLES.CONTRACT_VERSIONS)
+      .insert({
+        contract_id: dbContract.id,
+        version: 1,
+        terms: terms || '',
+        value: contractValue,
+        status: 'accepted',
+        proposed_by: userId,
+        terms_uri: `ipfs://terms-${dbContract.id}`,
+        created_at: new Date(),
+        updated_at: new Date(),
+      });
+    
+    if (versionError) {
+      throw versionError;
+    }
+    
+    // Create milestones in the order they will be stored on-chain
+    if (milestones.length > 0) {
+      const { error: milestoneError } = await supabase
+        .from(TABLES.MILESTONES)
+        .insert(milestones.map((m, index) => ({
+          contract_id: dbContract.id,
+          title: m.title,
+          amount: m.amount,
+          due_date: m.dueDate || null,
+          position: index,
+          status: 'pending',
+          created_at: new Date(),
+          updated_at: new Date(),
+        })));
+      
+      if (milestoneError) {
+        throw milestoneError;
+      }
+    }
+    
+    await contractEventLog.record(dbContract.id, EVENT_TYPES.CONTRACT_CREATED, {
+      actorId: userId,
+      toStatus: dbContract.status,
+      details: { title, value: contractValue, currency, contractType, milestones: milestones.length },
+    });
+    
+    // If blockchain integration is requested, queue the transaction so it
+    // survives restarts and is retried by the worker
+    if (createOnBlockchain) {
+      const job = await blockchainQueue.enqueue(
+        BlockchainQueue.JOB_TYPES.CREATE_CONTRACT,
+        dbContract.id,
+        {
+          freelancerAddress,
+          value: contractValue,
+          termsUri: `ipfs://terms-${dbContract.id}`,
+          milestones: milestones.map(m => ({ amount: m.amount, dueDate: m.dueDate })),
+          hourly,
+        }
+      );
+      
       res.status(201).json({
         ...dbContract,
-        blockchainStatus: 'pending',
-        message: 'Contract created, blockchain transaction initiated',
+        blockchainStatus: job.status,
+        blockchainJobId: job.id,
+        message: 'Contract created, blockchain transaction queued',
       });
-      
-      // Process blockchain transaction asynchronously
-      processBlockchainContract(dbContract.id, freelancerWalletAddress, value, terms)
-        .catch(error => {
-          console.error('Blockchain contract creation failed:', error);
-          // Update contract status to reflect error
-          supabase
-            .from(TABLES.CONTRACTS)
-            .update({
-              status: 'error',
-              blockchain_error: error.message,
-              updated_at: new Date(),
-            })
-            .eq('id', dbContract.id);
-        });
     } else {
       res.status(201).json(dbContract);
     }
@@ -98,42 +580,93 @@ const createContract = async (req, res) => {
   }
 };
 
+// Contract columns with the related rows shown on the details page
+const CONTRACT_DETAILS_SELECT = `
+  *,
+  investor:investor_id (
+    id,
+    email,
+    profiles (
+      name,
+      profile_image
+    )
+  ),
+  freelancer:freelancer_id (
+    id,
+    email,
+    profiles (
+      name,
+      profile_image
+    )
+  ),
+  deliverables (*),
+  milestones (*),
+  timesheets (*)
+`;
+
 /**
- * Helper to process blockchain contract creation
+ * Format a contract row with its parties, team, deliverables and milestones
  */
-const processBlockchainContract = async (contractId, freelancerAddress, value, terms) => {
-  try {
-    // This would connect to an actual blockchain in production
-    // For demo, we're simulating success with a delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Generate mock transaction data
-    const txHash = '0x' + Array(64).fill().map(() => 
-      Math.floor(Math.random() * 16).toString(16)).join('');
-    const blockchainContractId = Math.floor(Math.random() * 1000000);
-    
-    // Update contract with blockchain details
-    const { error } = await supabase
-      .from(TABLES.CONTRACTS)
-      .update({
-        status: 'pending',
-        smart_contract_address: config.blockchain.contractAddress,
-        blockchain_contract_id: blockchainContractId.toString(),
-        transaction_hash: txHash,
-        updated_at: new Date(),
-      })
-      .eq('id', contractId);
-    
-    if (error) {
-      throw error;
-    }
-    
-    return { txHash, blockchainContractId };
-  } catch (error) {
-    console.error('Error in blockchain processing:', error);
-    throw error;
-  }
-};
+const formatContract = (data, members = []) => ({
+  id: data.id,
+  title: data.title,
+  description: data.description,
+  terms: data.terms,
+  termsVersion: data.terms_version || 1,
+  value: data.value,
+  currency: data.currency || DEFAULT_CURRENCY,
+  contractType: data.contract_type || 'fixed',
+  hourlyRate: data.hourly_rate !== null ? Number(data.hourly_rate) : null,
+  weeklyHourCap: data.weekly_hour_cap !== null ? Number(data.weekly_hour_cap) : null,
+  status: data.status,
+  smartContractAddress: data.smart_contract_address,
+  blockchainContractId: data.blockchain_contract_id,
+  transactionHash: data.transaction_hash,
+  lastTransactionHash: data.last_transaction_hash,
+  paymentTransactionHash: data.payment_transaction_hash,
+  investor: {
+    id: data.investor.id,
+    email: data.investor.email,
+    name: data.investor.profiles?.name || '',
+    profileImage: data.investor.profiles?.profile_image || '',
+  },
+  freelancer: {
+    id: data.freelancer.id,
+    email: data.freelancer.email,
+    name: data.freelancer.profiles?.name || '',
+    profileImage: data.freelancer.profiles?.profile_image || '',
+  },
+  deliverables: data.deliverables.map(d => ({
+    id: d.id,
+    title: d.title,
+    description: d.description,
+    fileUrl: d.file_url,
+    hasFile: Boolean(d.file_path || d.file_url),
+    contentCid: d.content_cid,
+    integrityStatus: d.content_cid ? d.integrity_status : INTEGRITY_STATUSES.UNHASHED,
+    integrityCheckedAt: d.integrity_checked_at,
+    status: d.status,
+    currentVersion: d.current_version || 1,
+    milestoneId: d.milestone_id,
+    ownerId: d.owner_id || data.freelancer_id,
+    dueDate: d.due_date,
+    overdue: DeliverableService.OPEN_STATUSES.includes(d.status) && (d.overdue || isPastDue(d.due_date)),
+    createdAt: d.created_at,
+    updatedAt: d.updated_at,
+  })),
+  team: TeamService.formatTeam(data, members, data.deliverables),
+  milestones: formatMilestones(data.milestones, data.deliverables),
+  balance: getEscrowBalance(data.value, data.milestones, data.timesheets),
+  timesheets: data.contract_type === 'hourly' ? getTimesheetSummary(data.timesheets) : null,
+  verified: data.verified,
+  startDate: data.start_date,
+  endDate: data.end_date,
+  overdue: data.status === 'active' && (data.overdue || isPastDue(data.end_date)),
+  expiredAt: data.expired_at,
+  createdAt: data.created_at,
+  updatedAt: data.updated_at,
+  completedAt: data.completed_at,
+});
 
 /**
  * Get a contract by ID
@@ -146,26 +679,7 @@ const getContractById = async (req, res) => {
     // Get contract with related data
     const { data, error } = await supabase
       .from(TABLES.CONTRACTS)
-      .select(`
-        *,
-        investor:investor_id (
-          id,
-          email,
-          profiles (
-            name,
-            profile_image
-          )
-        ),
-        freelancer:freelancer_id (
-          id,
-          email,
-          profiles (
-            name,
-            profile_image
-          )
-        ),
-        deliverables (*)
-      `)
+      .select(CONTRACT_DETAILS_SELECT)
       .eq('id', id)
       .single();
     
@@ -173,49 +687,16 @@ const getContractById = async (req, res) => {
       throw error;
     }
     
-    // Verify user is involved in the contract
-    if (data.investor_id !== userId && data.freelancer_id !== userId) {
+    // Verify user is a party or on the team
+    const access = await teamService.getAccess(data, userId);
+    if (!access) {
       return res.status(403).json({ error: 'Access denied to this contract' });
     }
     
     // Format response
-    const formattedContract = {
-      id: data.id,
-      title: data.title,
-      description: data.description,
-      terms: data.terms,
-      value: data.value,
-      status: data.status,
-      smartContractAddress: data.smart_contract_address,
-      blockchainContractId: data.blockchain_contract_id,
-      transactionHash: data.transaction_hash,
-      investor: {
-        id: data.investor.id,
-        email: data.investor.email,
-        name: data.investor.profiles?.name || '',
-        profileImage: data.investor.profiles?.profile_image || '',
-      },
-      freelancer: {
-        id: data.freelancer.id,
-        email: data.freelancer.email,
-        name: data.freelancer.profiles?.name || '',
-        profileImage: data.freelancer.profiles?.profile_image || '',
-      },
-      deliverables: data.deliverables.map(d => ({
-        id: d.id,
-        title: d.title,
-        description: d.description,
-        fileUrl: d.file_url,
-        status: d.status,
-        createdAt: d.created_at,
-        updatedAt: d.updated_at,
-      })),
-      createdAt: data.created_at,
-      updatedAt: data.updated_at,
-      completedAt: data.completed_at,
-    };
+    const formattedContract = formatContract(data, await teamService.getMembers(id));
     
-    res.status(200).json(formattedContract);
+    res.status(200).json({ ...formattedContract, role: access.role });
   } catch (error) {
     console.error('Error fetching contract:', error);
     res.status(500).json({ error: 'Failed to fetch contract' });
@@ -223,59 +704,95 @@ const getContractById = async (req, res) => {
 };
 
 /**
- * Get contracts for a user
+ * Get the blockchain transaction status of a contract
  */
-const getUserContracts = async (req, res) => {
+const getBlockchainStatus = async (req, res) => {
   try {
+    const { id } = req.params;
     const userId = req.user.id;
-    const { status } = req.query;
     
-    // Build query
-    let query = supabase
+    const { data: contract, error: contractError } = await supabase
       .from(TABLES.CONTRACTS)
-      .select(`
-        *,
-        investor:investor_id (
-          id,
-          email,
-          profiles (
-            name,
-            profile_image
-          )
-        ),
-        freelancer:freelancer_id (
-          id,
-          email,
-          profiles (
-            name,
-            profile_image
-          )
-        )
-      `)
-      .or(`investor_id.eq.${userId},freelancer_id.eq.${userId}`)
-      .order('created_at', { ascending: false });
+      .select('*')
+      .eq('id', id)
+      .single();
     
-    // Apply status filter if provided
-    if (status) {
-      query = query.eq('status', status);
+    if (contractError) {
+      throw contractError;
     }
     
-    const { data, error } = await query;
+    // Verify user is a party or on the team
+    if (!(await teamService.getAccess(contract, userId))) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
     
-    if (error) {
-      throw error;
+    const jobs = await blockchainQueue.getJobsForContract(id);
+    
+    res.status(200).json({
+      contractId: contract.id,
+      status: jobs.length > 0 ? jobs[0].status : 'none',
+      blockchainContractId: contract.blockchain_contract_id,
+      transactionHash: contract.transaction_hash,
+      error: contract.blockchain_error,
+      jobs: jobs.map(job => ({
+        id: job.id,
+        type: job.job_type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        transactionHash: job.transaction_hash,
+        lastError: job.last_error,
+        nextAttemptAt: job.next_attempt_at,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching blockchain status:', error);
+    res.status(500).json({ error: 'Failed to fetch blockchain status' });
+  }
+};
+
+/**
+ * Search a user's contracts, one page at a time
+ */
+const getUserContracts = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    const { params, error: paramsError } = ContractSearchService.parseParams(req.query);
+    if (paramsError) {
+      return res.status(400).json({ error: paramsError });
     }
     
+    // Contracts the user works on as a team member are listed too
+    const memberContractIds = await teamService.getMemberContractIds(userId);
+    
+    const { rows, nextCursor, total } = await contractSearchService.search(
+      userId,
+      memberContractIds,
+      params
+    );
+    
     // Format response
-    const formattedContracts = data.map(contract => ({
+    const formattedContracts = rows.map(contract => ({
       id: contract.id,
       title: contract.title,
       description: contract.description,
       value: contract.value,
+      currency: contract.currency || DEFAULT_CURRENCY,
+      contractType: contract.contract_type || 'fixed',
+      hourlyRate: contract.hourly_rate !== null ? Number(contract.hourly_rate) : null,
+      timesheets: contract.contract_type === 'hourly' ? getTimesheetSummary(contract.timesheets) : null,
       status: contract.status,
+      verified: Boolean(contract.verified),
       isInvestor: contract.investor_id === userId,
+      isTeamMember: memberContractIds.includes(contract.id),
       smartContractAddress: contract.smart_contract_address,
       blockchainContractId: contract.blockchain_contract_id,
+      startDate: contract.start_date,
+      endDate: contract.end_date,
+      overdue: contract.status === 'active' && (contract.overdue || isPastDue(contract.end_date)),
       investor: {
         id: contract.investor.id,
         email: contract.investor.email,
@@ -293,13 +810,128 @@ const getUserContracts = async (req, res) => {
       completedAt: contract.completed_at,
     }));
     
-    res.status(200).json(formattedContracts);
+    res.status(200).json({ contracts: formattedContracts, nextCursor, total });
   } catch (error) {
     console.error('Error fetching user contracts:', error);
     res.status(500).json({ error: 'Failed to fetch contracts' });
   }
 };
 
+/**
+ * Move a contract to a new status, on-chain first when it has an on-chain
+ * contract. The caller checks that the user is a party.
+ * @returns {Promise<Object>} { contract } with the updated row, or
+ *   { statusCode, error, message } when the change cannot be made
+ */
+const changeContractStatus = async (contract, status, userId) => {
+  // Validate status transition
+  const validTransitions = {
+    draft: ['pending', 'cancelled'],
+    pending: ['active', 'cancelled'],
+    active: ['completed', 'cancelled'],
+    completed: [], // No transitions from completed
+    cancelled: [], // No transitions from cancelled
+    disputed: [], // Settled by an arbiter through the disputes routes
+    expired: [], // Pending contracts expire when never accepted
+    error: ['cancelled'], // On-chain creation ran out of retries
+  };
+  
+  if (!(validTransitions[contract.status] || []).includes(status)) {
+    return {
+      statusCode: 400,
+      error: `Invalid status transition from ${contract.status} to ${status}`,
+    };
+  }
+  
+  const allowedRoles = STATUS_CHANGE_ROLES[status] || [];
+  if (!allowedRoles.includes(getPartyRole(contract, userId))) {
+    return {
+      statusCode: 403,
+      error: `Only the ${allowedRoles.join(' or ')} can move a contract to ${status}`,
+    };
+  }
+  
+  // Both parties must have signed the current terms before work starts
+  if (contract.status === 'pending' && status === 'active') {
+    const { complete } = await getSignatureStatus(await getContractForSigning(contract.id));
+    
+    if (!complete) {
+      return {
+        statusCode: 400,
+        error: 'Both parties must sign the contract before it can be activated',
+      };
+    }
+  }
+  
+  // Update database
+  const updateData = {
+    status,
+    updated_at: new Date(),
+  };
+  
+  // Update blockchain contract if applicable. The on-chain contract is
+  // already pending once it exists, so only later transitions are sent.
+  if (
+    contract.smart_contract_address &&
+    contract.blockchain_contract_id &&
+    status !== 'pending'
+  ) {
+    try {
+      const { transactionHash } = await blockchainService.updateContractStatus(
+        contract.blockchain_contract_id,
+        status
+      );
+      updateData.last_transaction_hash = transactionHash;
+    } catch (blockchainError) {
+      console.error('Error updating contract on blockchain:', blockchainError);
+      return {
+        statusCode: 502,
+        error: 'Blockchain transaction failed',
+        message: BlockchainService.formatError(blockchainError),
+      };
+    }
+  }
+  
+  // Set completion date if status is completed
+  if (status === 'completed') {
+    updateData.completed_at = new Date();
+  }
+  
+  const { data: updatedContract, error: updateError } = await supabase
+    .from(TABLES.CONTRACTS)
+    .update(updateData)
+    .eq('id', contract.id)
+    .select()
+    .single();
+  
+  if (updateError) {
+    throw updateError;
+  }
+  
+  await contractEventLog.record(contract.id, EVENT_TYPES.STATUS_CHANGED, {
+    actorId: userId,
+    fromStatus: contract.status,
+    toStatus: status,
+    transactionHash: updateData.last_transaction_hash,
+  });
+  
+  // Cancelling returns whatever is still in on-chain escrow to the investor
+  if (status === 'cancelled' && contract.blockchain_contract_id) {
+    const { remaining } = getEscrowBalance(contract.value, contract.milestones, contract.timesheets);
+    
+    if (remaining > 0) {
+      await ledgerService.recordRefund(contract, {
+        amount: remaining,
+        source: LEDGER_SOURCES.CANCELLATION,
+        sourceId: contract.id,
+        transactionHash: updateData.last_transaction_hash,
+      });
+    }
+  }
+  
+  return { contract: updatedContract };
+};
+
 /**
  * Update contract status
  */
@@ -317,7 +949,7 @@ const updateContractStatus = async (req, res) => {
     // Get current contract
     const { data: contract, error: contractError } = await supabase
       .from(TABLES.CONTRACTS)
-      .select('*')
+      .select('*, milestones (*), timesheets (*)')
       .eq('id', id)
       .single();
     
@@ -325,69 +957,53 @@ const updateContractStatus = async (req, res) => {
       throw contractError;
     }
     
-    // Verify user is involved in the contract
-    if (contract.investor_id !== userId && contract.freelancer_id !== userId) {
-      return res.status(403).json({ error: 'Access denied to this contract' });
-    }
-    
-    // Validate status transition
-    const validTransitions = {
-      draft: ['pending', 'cancelled'],
-      pending: ['active', 'cancelled'],
-      active: ['completed', 'cancelled'],
-      completed: [], // No transitions from completed
-      cancelled: [], // No transitions from cancelled
-    };
-    
-    if (!validTransitions[contract.status].includes(status)) {
-      return res.status(400).json({
-        error: `Invalid status transition from ${contract.status} to ${status}`
+    // Only the parties move the contract through its lifecycle
+    if (!getPartyRole(contract, userId)) {
+      return res.status(403).json({
+        error: 'Only the investor or lead freelancer can change the contract status'
       });
     }
     
-    // Update blockchain contract if applicable
-    if (contract.smart_contract_address && contract.blockchain_contract_id) {
-      // This would interact with the blockchain in production
-      // Here we're simulating success
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    const result = await changeContractStatus(contract, status, userId);
+    
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error, message: result.message });
     }
     
-    // Update database
-    const updateData = {
-      status,
-      updated_at: new Date(),
-    };
-    
-    // Set completion date if status is completed
-    if (status === 'completed') {
-      updateData.completed_at = new Date();
-    }
-    
-    const { data: updatedContract, error: updateError } = await supabase
-      .from(TABLES.CONTRACTS)
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
-    
-    if (updateError) {
-      throw updateError;
-    }
-    
-    res.status(200).json(updatedContract);
+    res.status(200).json(result.contract);
   } catch (error) {
     console.error('Error updating contract status:', error);
     res.status(500).json({ error: 'Failed to update contract status' });
   }
 };
 
+/**
+ * Record a deliverable's content on the contract's on-chain record. The
+ * operator is a participant of every contract, so team members' deliverables
+ * are recorded as well as the lead freelancer's.
+ * @returns {Promise<Object>} { deliverableUri, transactionHash }, empty for off-chain contracts
+ */
+const recordDeliverableOnChain = async (contract, cid) => {
+  if (!contract.smart_contract_address || !contract.blockchain_contract_id) {
+    return {};
+  }
+  
+  const deliverableUri = ContentStore.toUri(cid);
+  const { transactionHash } = await blockchainService.addDeliverable(
+    contract.blockchain_contract_id,
+    deliverableUri
+  );
+  
+  return { deliverableUri, transactionHash };
+};
+
 /**
  * Add deliverable to a contract
  */
 const addDeliverable = async (req, res) => {
   try {
     const { contractId } = req.params;
-    const { title, description, fileUrl } = req.body;
+    const { title, description, fileUrl, filePath, milestoneId, dueDate } = req.body;
     const userId = req.user.id;
     
     // Validate input
@@ -395,6 +1011,10 @@ const addDeliverable = async (req, res) => {
       return res.status(400).json({ error: 'Title is required' });
     }
     
+    if (dueDate && isPastDate(dueDate)) {
+      return res.status(400).json({ error: 'Due date cannot be in the past' });
+    }
+    
     // Get contract details
     const { data: contract, error: contractError } = await supabase
       .from(TABLES.CONTRACTS)
@@ -406,10 +1026,16 @@ const addDeliverable = async (req, res) => {
       throw contractError;
     }
     
-    // Verify user is the freelancer for this contract
-    if (contract.freelancer_id !== userId) {
+    // The lead freelancer and team members who joined submit their own deliverables
+    const access = await teamService.getAccess(contract, userId);
+    const canDeliver = access && (
+      access.role === ROLES.LEAD ||
+      (access.role === ROLES.MEMBER && access.member.status === MEMBER_STATUSES.ACCEPTED)
+    );
+    
+    if (!canDeliver) {
       return res.status(403).json({ 
-        error: 'Only the freelancer can add deliverables' 
+        error: 'Only the freelancer or team members can add deliverables' 
       });
     }
     
@@ -420,15 +1046,65 @@ const addDeliverable = async (req, res) => {
       });
     }
     
+    // Validate the milestone belongs to this contract and is still open
+    if (milestoneId) {
+      const { data: milestone } = await supabase
+        .from(TABLES.MILESTONES)
+        .select('*')
+        .eq('id', milestoneId)
+        .eq('contract_id', contractId)
+        .maybeSingle();
+      
+      if (!milestone) {
+        return res.status(400).json({ error: 'Milestone not found for this contract' });
+      }
+      
+      if (milestone.status !== 'pending') {
+        return res.status(400).json({
+          error: 'Cannot add deliverables to a released or settled milestone'
+        });
+      }
+    }
+    
+    // Hash the uploaded file, or the metadata when there is none
+    const content = await contentStore.describe({ contractId, title, description, filePath });
+    if (content.error) {
+      return res.status(400).json({ error: content.error });
+    }
+    
+    // The deliverable is only stored once its content is recorded on-chain
+    let onChain;
+    try {
+      onChain = await recordDeliverableOnChain(contract, content.cid);
+    } catch (blockchainError) {
+      console.error('Error adding deliverable on blockchain:', blockchainError);
+      return res.status(502).json({
+        error: 'Blockchain transaction failed',
+        message: BlockchainService.formatError(blockchainError),
+      });
+    }
+    
     // Create deliverable
     const { data: deliverable, error: deliverableError } = await supabase
       .from(TABLES.DELIVERABLES)
       .insert({
         contract_id: contractId,
+        milestone_id: milestoneId || null,
         title,
         description,
-        file_url: fileUrl,
-        status: 'pending',
+        // Uploaded files are private and only reachable through signed URLs
+        file_url: content.filePath ? null : fileUrl || null,
+        file_path: content.filePath,
+        file_size: content.size,
+        content_cid: content.cid,
+        content_sha256: content.sha256,
+        integrity_status: INTEGRITY_STATUSES.VERIFIED,
+        integrity_checked_at: new Date(),
+        blockchain_uri: onChain.deliverableUri || null,
+        due_date: dueDate || null,
+        owner_id: userId,
+        status: DELIVERABLE_STATUSES.PENDING,
+        current_version: 1,
         created_at: new Date(),
         updated_at: new Date(),
       })
@@ -439,20 +1115,13 @@ const addDeliverable = async (req, res) => {
       throw deliverableError;
     }
     
-    // Add to blockchain if applicable
-    if (contract.smart_contract_address && contract.blockchain_contract_id) {
-      // In a real implementation, this would interact with the blockchain
-      // Update deliverable with blockchain URI
-      const deliverableUri = `ipfs://deliverable-${deliverable.id}`;
-      
-      await supabase
-        .from(TABLES.DELIVERABLES)
-        .update({
-          blockchain_uri: deliverableUri,
-          updated_at: new Date(),
-        })
-        .eq('id', deliverable.id);
-    }
+    await deliverableService.recordFirstVersion(deliverable);
+    
+    await contractEventLog.record(contractId, EVENT_TYPES.DELIVERABLE_ADDED, {
+      actorId: userId,
+      details: { deliverableId: deliverable.id, title, milestoneId: milestoneId || null },
+      transactionHash: onChain.transactionHash,
+    });
     
     res.status(201).json(deliverable);
   } catch (error) {
@@ -461,22 +1130,178 @@ const addDeliverable = async (req, res) => {
   }
 };
 
+// Audit log event for each review outcome
+const DELIVERABLE_REVIEW_EVENTS = {
+  [DELIVERABLE_STATUSES.APPROVED]: EVENT_TYPES.DELIVERABLE_APPROVED,
+  [DELIVERABLE_STATUSES.CHANGES_REQUESTED]: EVENT_TYPES.DELIVERABLE_CHANGES_REQUESTED,
+  [DELIVERABLE_STATUSES.REJECTED]: EVENT_TYPES.DELIVERABLE_REJECTED,
+};
+
+/**
+ * Approve, reject or request changes on the current version of a pending
+ * deliverable. Approving the last open deliverable of a milestone releases
+ * its tranche. The caller checks that the user is the investor.
+ * @param {Object} deliverable - Deliverable row with its contract
+ * @param {string} status - One of DeliverableService.REVIEW_STATUSES
+ * @param {string} userId - Investor's user ID
+ * @param {string} feedback - Comment added to the version's thread
+ * @returns {Promise<Object>} { deliverable, releasedMilestoneId, invoiceId }, or
+ *   { statusCode, error, message } when the deliverable cannot be reviewed
+ */
+const reviewDeliverable = async (deliverable, status, userId, feedback = null) => {
+  // Validate contract is active
+  if (deliverable.contract.status !== 'active') {
+    return {
+      statusCode: 400,
+      error: 'Can only update deliverables for active contracts',
+    };
+  }
+  
+  // Only a submitted version can be reviewed
+  if (deliverable.status !== DELIVERABLE_STATUSES.PENDING) {
+    return {
+      statusCode: 400,
+      error: 'Only deliverables awaiting review can be reviewed',
+    };
+  }
+  
+  // Approving the last open deliverable of a milestone releases its tranche
+  let milestoneUpdate = null;
+  let releasedMilestone = null;
+  if (status === 'approved' && deliverable.milestone_id) {
+    const { data: milestone, error: milestoneError } = await supabase
+      .from(TABLES.MILESTONES)
+      .select('*, deliverables (*)')
+      .eq('id', deliverable.milestone_id)
+      .single();
+    
+    if (milestoneError) {
+      throw milestoneError;
+    }
+    
+    const otherDeliverablesApproved = milestone.deliverables
+      .filter(d => d.id !== deliverable.id)
+      .every(d => d.status === 'approved');
+    
+    if (milestone.status === 'pending' && otherDeliverablesApproved) {
+      releasedMilestone = milestone;
+      milestoneUpdate = {
+        id: milestone.id,
+        status: 'released',
+        released_at: new Date(),
+        updated_at: new Date(),
+      };
+      
+      const { contract } = deliverable;
+      if (contract.smart_contract_address && contract.blockchain_contract_id) {
+        try {
+          const { transactionHash } = await blockchainService.releaseMilestone(
+            contract.blockchain_contract_id,
+            milestone.position
+          );
+          milestoneUpdate.transaction_hash = transactionHash;
+        } catch (blockchainError) {
+          console.error('Error releasing milestone on blockchain:', blockchainError);
+          return {
+            statusCode: 502,
+            error: 'Blockchain transaction failed',
+            message: BlockchainService.formatError(blockchainError),
+          };
+        }
+      }
+    }
+  }
+  
+  // Update deliverable
+  const { data: updatedDeliverable, error: updateError } = await supabase
+    .from(TABLES.DELIVERABLES)
+    .update({
+      status,
+      updated_at: new Date(),
+    })
+    .eq('id', deliverable.id)
+    .select()
+    .single();
+  
+  if (updateError) {
+    throw updateError;
+  }
+  
+  const version = await deliverableService.reviewVersion(deliverable, status, userId, feedback);
+  
+  if (milestoneUpdate) {
+    const { id: milestoneId, ...milestoneData } = milestoneUpdate;
+    const { error: milestoneUpdateError } = await supabase
+      .from(TABLES.MILESTONES)
+      .update(milestoneData)
+      .eq('id', milestoneId);
+    
+    if (milestoneUpdateError) {
+      throw milestoneUpdateError;
+    }
+  }
+  
+  await contractEventLog.record(
+    deliverable.contract_id,
+    DELIVERABLE_REVIEW_EVENTS[status],
+    {
+      actorId: userId,
+      details: {
+        deliverableId: deliverable.id,
+        title: deliverable.title,
+        version: version.version,
+        releasedMilestoneId: milestoneUpdate ? milestoneUpdate.id : null,
+      },
+      transactionHash: milestoneUpdate ? milestoneUpdate.transaction_hash : null,
+    }
+  );
+  
+  let invoice = null;
+  if (releasedMilestone) {
+    invoice = await ledgerService.recordRelease(deliverable.contract, {
+      amount: Number(releasedMilestone.amount),
+      source: LEDGER_SOURCES.MILESTONE,
+      sourceId: releasedMilestone.id,
+      description: `Milestone: ${releasedMilestone.title}`,
+      transactionHash: milestoneUpdate.transaction_hash || null,
+    });
+  }
+  
+  return {
+    deliverable: updatedDeliverable,
+    releasedMilestoneId: milestoneUpdate ? milestoneUpdate.id : null,
+    invoiceId: invoice ? invoice.id : null,
+  };
+};
+
 /**
  * Update deliverable status
  */
 const updateDeliverableStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, comment } = req.body;
     const userId = req.user.id;
     
     // Validate input
-    if (!status || !['approved', 'rejected'].includes(status)) {
+    if (!status || !DeliverableService.REVIEW_STATUSES.includes(status)) {
       return res.status(400).json({ 
-        error: 'Status must be "approved" or "rejected"' 
+        error: 'Status must be "approved", "changes_requested" or "rejected"' 
       });
     }
     
+    // Requested changes must say what to change
+    if (status === DELIVERABLE_STATUSES.CHANGES_REQUESTED && !comment) {
+      return res.status(400).json({ error: 'Describe the changes you need' });
+    }
+    
+    if (comment) {
+      const commentError = DeliverableService.validateComment(comment);
+      if (commentError) {
+        return res.status(400).json({ error: commentError });
+      }
+    }
+    
     // Get deliverable with contract details
     const { data: deliverable, error: deliverableError } = await supabase
       .from(TABLES.DELIVERABLES)
@@ -489,38 +1314,368 @@ const updateDeliverableStatus = async (req, res) => {
     }
     
     // Verify user is the investor for this contract
-    if (deliverable.contract.investor_id !== userId) {
+    if (getPartyRole(deliverable.contract, userId) !== ROLES.INVESTOR) {
       return res.status(403).json({ 
-        error: 'Only the investor can approve or reject deliverables' 
+        error: 'Only the investor can review deliverables' 
+      });
+    }
+    
+    const result = await reviewDeliverable(deliverable, status, userId, comment || null);
+    
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error, message: result.message });
+    }
+    
+    res.status(200).json({
+      ...result.deliverable,
+      releasedMilestoneId: result.releasedMilestoneId,
+      invoiceId: result.invoiceId,
+    });
+  } catch (error) {
+    console.error('Error updating deliverable status:', error);
+    res.status(500).json({ error: 'Failed to update deliverable status' });
+  }
+};
+
+/**
+ * Load a deliverable with its contract and the user's access to it
+ * @returns {Promise<Object>} { deliverable, access }, access is null without access
+ */
+const getDeliverableAccess = async (deliverableId, userId) => {
+  const { data: deliverable, error } = await supabase
+    .from(TABLES.DELIVERABLES)
+    .select('*, contract:contract_id (*)')
+    .eq('id', deliverableId)
+    .single();
+  
+  if (error) {
+    throw error;
+  }
+  
+  return { deliverable, access: await teamService.getAccess(deliverable.contract, userId) };
+};
+
+/**
+ * Get a deliverable's versions with their comment threads
+ */
+const getDeliverableVersions = async (req, res) => {
+  try {
+    const { deliverable, access } = await getDeliverableAccess(req.params.id, req.user.id);
+    
+    if (!access) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    const versions = await deliverableService.getVersions(deliverable);
+    
+    res.status(200).json(versions);
+  } catch (error) {
+    console.error('Error fetching deliverable versions:', error);
+    res.status(500).json({ error: 'Failed to fetch deliverable versions' });
+  }
+};
+
+/**
+ * Resubmit a deliverable the investor requested changes on as a new version
+ */
+const resubmitDeliverable = async (req, res) => {
+  try {
+    const { description, fileUrl, filePath } = req.body;
+    const userId = req.user.id;
+    
+    const { deliverable, access } = await getDeliverableAccess(req.params.id, userId);
+    
+    if (!access) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    // Deliverables from before teams belong to the lead freelancer
+    const ownerId = deliverable.owner_id || deliverable.contract.freelancer_id;
+    if (ownerId !== userId) {
+      return res.status(403).json({
+        error: 'Only the freelancer who submitted this deliverable can resubmit it'
       });
     }
     
-    // Validate contract is active
     if (deliverable.contract.status !== 'active') {
       return res.status(400).json({
-        error: 'Can only update deliverables for active contracts'
+        error: 'Can only resubmit deliverables for active contracts'
       });
     }
     
-    // Update deliverable
-    const { data: updatedDeliverable, error: updateError } = await supabase
-      .from(TABLES.DELIVERABLES)
-      .update({
-        status,
-        updated_at: new Date(),
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    if (deliverable.status !== DELIVERABLE_STATUSES.CHANGES_REQUESTED) {
+      return res.status(400).json({
+        error: 'Only deliverables with requested changes can be resubmitted'
+      });
+    }
     
-    if (updateError) {
-      throw updateError;
+    const newDescription = description ? String(description).trim() : deliverable.description;
+    
+    // Without a new file the version keeps the previous file and its hash
+    let content;
+    if (filePath || !deliverable.file_path) {
+      content = await contentStore.describe({
+        contractId: deliverable.contract_id,
+        title: deliverable.title,
+        description: newDescription,
+        filePath,
+      });
+      if (content.error) {
+        return res.status(400).json({ error: content.error });
+      }
+    } else {
+      content = DeliverableService.contentOf(deliverable);
     }
     
-    res.status(200).json(updatedDeliverable);
+    // New content is recorded on-chain like the first version
+    let onChain = {};
+    if (content.cid !== deliverable.content_cid) {
+      try {
+        onChain = await recordDeliverableOnChain(deliverable.contract, content.cid);
+      } catch (blockchainError) {
+        console.error('Error adding deliverable version on blockchain:', blockchainError);
+        return res.status(502).json({
+          error: 'Blockchain transaction failed',
+          message: BlockchainService.formatError(blockchainError),
+        });
+      }
+    }
+    
+    const result = await deliverableService.resubmit(deliverable, {
+      submittedBy: userId,
+      description: newDescription,
+      fileUrl: filePath ? null : deliverable.file_url,
+      content,
+      blockchainUri: onChain.deliverableUri,
+    });
+    
+    await contractEventLog.record(deliverable.contract_id, EVENT_TYPES.DELIVERABLE_RESUBMITTED, {
+      actorId: userId,
+      details: {
+        deliverableId: deliverable.id,
+        title: deliverable.title,
+        version: result.version.version,
+      },
+      transactionHash: onChain.transactionHash,
+    });
+    
+    res.status(201).json(DeliverableService.formatVersion(result.version));
   } catch (error) {
-    console.error('Error updating deliverable status:', error);
-    res.status(500).json({ error: 'Failed to update deliverable status' });
+    console.error('Error resubmitting deliverable:', error);
+    res.status(500).json({ error: 'Failed to resubmit deliverable' });
+  }
+};
+
+/**
+ * Comment on a version of a deliverable, the current one by default
+ */
+const addDeliverableComment = async (req, res) => {
+  try {
+    const { body, versionId } = req.body;
+    const userId = req.user.id;
+    
+    const commentError = DeliverableService.validateComment(body);
+    if (commentError) {
+      return res.status(400).json({ error: commentError });
+    }
+    
+    const { deliverable, access } = await getDeliverableAccess(req.params.id, userId);
+    
+    if (!access) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    const version = versionId
+      ? await deliverableService.getVersion(deliverable.id, versionId)
+      : await deliverableService.getCurrentVersion(deliverable);
+    
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found for this deliverable' });
+    }
+    
+    const comment = await deliverableService.addComment(version, userId, body);
+    
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Error adding deliverable comment:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+};
+
+/**
+ * Re-hash a deliverable's stored content and check it against the CID
+ * recorded on submission and the URIs on the on-chain contract
+ */
+const verifyDeliverableIntegrity = async (req, res) => {
+  try {
+    const { deliverable, access } = await getDeliverableAccess(req.params.id, req.user.id);
+    
+    if (!access) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    const result = await contentStore.verify(deliverable);
+    const checkedAt = new Date();
+    
+    // Deliverables from before hashing have nothing to check against
+    if (result.status !== INTEGRITY_STATUSES.UNHASHED) {
+      const { error } = await supabase
+        .from(TABLES.DELIVERABLES)
+        .update({
+          integrity_status: result.status,
+          integrity_checked_at: checkedAt,
+        })
+        .eq('id', deliverable.id);
+      
+      if (error) {
+        throw error;
+      }
+    }
+    
+    // Check the stored content against the contract's on-chain record, not
+    // the URI copied into the database
+    const { contract } = deliverable;
+    let onChainUris = null;
+    if (contract.smart_contract_address && contract.blockchain_contract_id) {
+      try {
+        onChainUris = await blockchainService.getDeliverables(contract.blockchain_contract_id);
+      } catch (blockchainError) {
+        console.error('Error reading deliverables from blockchain:', blockchainError);
+        return res.status(502).json({
+          error: 'Failed to read deliverables from the blockchain',
+          message: BlockchainService.formatError(blockchainError),
+        });
+      }
+    }
+    
+    const actualUri = result.actualCid ? ContentStore.toUri(result.actualCid) : null;
+    const onChainMatches = onChainUris && actualUri ? onChainUris.includes(actualUri) : null;
+    
+    res.status(200).json({
+      ...result,
+      onChainUri: onChainMatches ? actualUri : null,
+      onChainMatches,
+      checkedAt,
+    });
+  } catch (error) {
+    console.error('Error verifying deliverable integrity:', error);
+    res.status(500).json({ error: 'Failed to verify deliverable integrity' });
+  }
+};
+
+/**
+ * Whether the investor has paid for a deliverable: the contract is verified
+ * or the deliverable's milestone has been released
+ */
+const isPaymentReleased = async (deliverable) => {
+  if (deliverable.contract.verified) {
+    return true;
+  }
+  
+  if (!deliverable.milestone_id) {
+    return false;
+  }
+  
+  const { data: milestone, error } = await supabase
+    .from(TABLES.MILESTONES)
+    .select('status')
+    .eq('id', deliverable.milestone_id)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  
+  return milestone?.status === 'released';
+};
+
+/**
+ * Get a watermarked preview of a stored file, rendering it on first use
+ * @returns {Promise<string|null>} Preview path, or null if the file cannot be previewed
+ */
+const getPreviewPath = async (deliverable, file) => {
+  const previewPath = ContentStore.previewPath(deliverable.contract_id, file.content_cid);
+  
+  if (await contentStore.read(previewPath)) {
+    return previewPath;
+  }
+  
+  const bytes = await contentStore.read(file.file_path);
+  if (!bytes) {
+    return null;
+  }
+  
+  const preview = await previewService.render(bytes, {
+    title: deliverable.title,
+    extension: path.extname(file.file_path).slice(1),
+  });
+  
+  return preview ? contentStore.addPreview(deliverable.contract_id, file.content_cid, preview) : null;
+};
+
+/**
+ * Issue a short-lived download URL for a deliverable's file, the current
+ * version by default. Until payment is released the investor gets a
+ * watermarked preview where the file type allows one. Every download is
+ * recorded in the contract's audit log.
+ */
+const getDeliverableDownload = async (req, res) => {
+  try {
+    const { versionId } = req.query;
+    const userId = req.user.id;
+    
+    const { deliverable, access } = await getDeliverableAccess(req.params.id, userId);
+    
+    if (!access) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    const file = versionId
+      ? await deliverableService.getVersion(deliverable.id, versionId)
+      : await deliverableService.getCurrentVersion(deliverable);
+    
+    if (!file) {
+      return res.status(404).json({ error: 'Version not found for this deliverable' });
+    }
+    
+    let download;
+    let watermarked = false;
+    
+    if (file.file_path) {
+      const fileName = `${deliverable.title}${path.extname(file.file_path)}`;
+      
+      const needsPreview = access.role === ROLES.INVESTOR &&
+        config.contentStore.watermarkPreviews &&
+        !(await isPaymentReleased(deliverable));
+      const previewPath = needsPreview && file.content_cid
+        ? await getPreviewPath(deliverable, file)
+        : null;
+      
+      watermarked = Boolean(previewPath);
+      download = previewPath
+        ? await contentStore.createSignedUrl(previewPath, `${deliverable.title} (preview).pdf`)
+        : await contentStore.createSignedUrl(file.file_path, fileName);
+    } else if (file.file_url) {
+      // Files uploaded before private storage are still public
+      download = { url: file.file_url, expiresAt: null };
+    } else {
+      return res.status(404).json({ error: 'This deliverable has no file' });
+    }
+    
+    await contractEventLog.record(deliverable.contract_id, EVENT_TYPES.DELIVERABLE_DOWNLOADED, {
+      actorId: userId,
+      details: {
+        deliverableId: deliverable.id,
+        title: deliverable.title,
+        version: file.version,
+        preview: watermarked,
+      },
+    });
+    
+    res.status(200).json({ ...download, watermarked });
+  } catch (error) {
+    console.error('Error creating deliverable download:', error);
+    res.status(500).json({ error: 'Failed to create download link' });
   }
 };
 
@@ -535,7 +1690,7 @@ const verifyAndReleasePayment = async (req, res) => {
     // Get contract details
     const { data: contract, error: contractError } = await supabase
       .from(TABLES.CONTRACTS)
-      .select('*')
+      .select('*, milestones (*), timesheets (*)')
       .eq('id', id)
       .single();
     
@@ -544,7 +1699,7 @@ const verifyAndReleasePayment = async (req, res) => {
     }
     
     // Verify user is the investor
-    if (contract.investor_id !== userId) {
+    if (getPartyRole(contract, userId) !== ROLES.INVESTOR) {
       return res.status(403).json({ 
         error: 'Only the investor can verify and release payment' 
       });
@@ -557,19 +1712,51 @@ const verifyAndReleasePayment = async (req, res) => {
       });
     }
     
+    // Verifying an hourly contract refunds the unused budget, so every
+    // submitted timesheet must be reviewed first
+    if (contract.contract_type === 'hourly') {
+      const { count, error: timesheetError } = await supabase
+        .from(TABLES.TIMESHEETS)
+        .select('id', { count: 'exact', head: true })
+        .eq('contract_id', id)
+        .eq('status', 'submitted');
+      
+      if (timesheetError) {
+        throw timesheetError;
+      }
+      
+      if (count > 0) {
+        return res.status(400).json({
+          error: 'Review all submitted timesheets before verifying the contract'
+        });
+      }
+    }
+    
+    const updateData = {
+      verified: true,
+      updated_at: new Date(),
+    };
+    
     // Release payment on blockchain if applicable
     if (contract.smart_contract_address && contract.blockchain_contract_id) {
-      // In a real implementation, this would interact with the blockchain
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      try {
+        const { transactionHash } = await blockchainService.verifyAndReleasePayment(
+          contract.blockchain_contract_id
+        );
+        updateData.payment_transaction_hash = transactionHash;
+      } catch (blockchainError) {
+        console.error('Error verifying contract on blockchain:', blockchainError);
+        return res.status(502).json({
+          error: 'Blockchain transaction failed',
+          message: BlockchainService.formatError(blockchainError),
+        });
+      }
     }
     
     // Update database
     const { data: updatedContract, error: updateError } = await supabase
       .from(TABLES.CONTRACTS)
-      .update({
-        verified: true,
-        updated_at: new Date(),
-      })
+      .update(updateData)
       .eq('id', id)
       .select()
       .single();
@@ -578,6 +1765,50 @@ const verifyAndReleasePayment = async (req, res) => {
       throw updateError;
     }
     
+    // Milestones still held were paid out with the remaining escrow
+    const { error: milestoneError } = await supabase
+      .from(TABLES.MILESTONES)
+      .update({
+        status: 'released',
+        released_at: new Date(),
+        transaction_hash: updateData.payment_transaction_hash || null,
+        updated_at: new Date(),
+      })
+      .eq('contract_id', id)
+      .neq('status', 'released');
+    
+    if (milestoneError) {
+      throw milestoneError;
+    }
+    
+    await contractEventLog.record(id, EVENT_TYPES.PAYMENT_VERIFIED, {
+      actorId: userId,
+      transactionHash: updateData.payment_transaction_hash,
+    });
+    
+    // The escrow left after milestone and timesheet payments is paid to the
+    // freelancer, or for hourly contracts returned to the investor
+    const { remaining } = getEscrowBalance(contract.value, contract.milestones, contract.timesheets);
+    
+    if (remaining > 0 && contract.contract_type !== 'hourly') {
+      await ledgerService.recordRelease(contract, {
+        amount: remaining,
+        source: LEDGER_SOURCES.VERIFICATION,
+        sourceId: contract.id,
+        description: contract.milestones.length > 0
+          ? `Remaining milestones: ${contract.title}`
+          : `Contract payment: ${contract.title}`,
+        transactionHash: updateData.payment_transaction_hash || null,
+      });
+    } else if (remaining > 0 && contract.blockchain_contract_id) {
+      await ledgerService.recordRefund(contract, {
+        amount: remaining,
+        source: LEDGER_SOURCES.VERIFICATION,
+        sourceId: contract.id,
+        transactionHash: updateData.payment_transaction_hash || null,
+      });
+    }
+    
     res.status(200).json(updatedContract);
   } catch (error) {
     console.error('Error verifying contract:', error);
@@ -585,12 +1816,689 @@ const verifyAndReleasePayment = async (req, res) => {
   }
 };
 
+/**
+ * Get the signatures on a contract and, for a party, the typed data to sign
+ */
+const getContractSignatures = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const contract = await getContractForSigning(id);
+    const role = getPartyRole(contract, req.user.id);
+    
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    const status = await getSignatureStatus(contract);
+    
+    res.status(200).json({
+      ...status,
+      role,
+      typedData: signatureService.getTypedData(
+        contract.id,
+        status.termsHash,
+        status.termsVersion,
+        role
+      ),
+    });
+  } catch (error) {
+    console.error('Error fetching contract signatures:', error);
+    res.status(500).json({ error: 'Failed to fetch contract signatures' });
+  }
+};
+
+/**
+ * Email a one-time code the user enters to sign without a wallet
+ */
+const requestSignatureCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const contract = await getContractForSigning(id);
+    
+    if (!getPartyRole(contract, req.user.id)) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    if (!SIGNABLE_STATUSES.includes(contract.status)) {
+      return res.status(400).json({ error: 'This contract can no longer be signed' });
+    }
+    
+    // The code can only sign the terms it was requested for
+    await signatureService.recordCodeRequest(req.user.id, id, signatureService.getTermsHash(contract));
+    await signatureService.sendEmailCode(req.user.email);
+    
+    res.status(202).json({ email: req.user.email });
+  } catch (error) {
+    console.error('Error sending signature code:', error);
+    res.status(500).json({ error: 'Failed to send signature code' });
+  }
+};
+
+/**
+ * Sign the contract's current terms with a wallet signature or an email code
+ */
+const signContract = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { method, signature, code } = req.body;
+    const userId = req.user.id;
+    
+    if (!['wallet', 'email'].includes(method)) {
+      return res.status(400).json({ error: 'Method must be wallet or email' });
+    }
+    
+    const contract = await getContractForSigning(id);
+    const role = getPartyRole(contract, userId);
+    
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    if (!SIGNABLE_STATUSES.includes(contract.status)) {
+      return res.status(400).json({ error: 'This contract can no longer be signed' });
+    }
+    
+    const termsHash = signatureService.getTermsHash(contract);
+    const termsVersion = contract.terms_version || 1;
+    
+    const row = {
+      contract_id: id,
+      user_id: userId,
+      role,
+      method,
+      terms_hash: termsHash,
+      terms_version: termsVersion,
+      signed_at: new Date(),
+      created_at: new Date(),
+    };
+    
+    if (method === 'wallet') {
+      if (!signature) {
+        return res.status(400).json({ error: 'Signature is required' });
+      }
+      
+      const { data: profile, error: profileError } = await supabase
+        .from(TABLES.PROFILES)
+        .select('wallet_address')
+        .eq('id', userId)
+        .single();
+      
+      if (profileError) {
+        throw profileError;
+      }
+      
+      if (!profile.wallet_address) {
+        return res.status(400).json({ error: 'Connect a wallet to your profile to sign with it' });
+      }
+      
+      const signer = signatureService.recoverSigner(
+        signatureService.getTypedData(id, termsHash, termsVersion, role),
+        signature
+      );
+      
+      if (!signer || signer.toLowerCase() !== profile.wallet_address.toLowerCase()) {
+        return res.status(400).json({
+          error: 'Signature does not match the current terms or your wallet'
+        });
+      }
+      
+      row.signature = signature;
+      row.signer_address = signer;
+    } else {
+      if (!code) {
+        return res.status(400).json({ error: 'Confirmation code is required' });
+      }
+      
+      const confirmed = await signatureService.verifyEmailCode(req.user.email, code);
+      
+      if (!confirmed) {
+        return res.status(400).json({ error: 'Invalid or expired confirmation code' });
+      }
+      
+      if (!(await signatureService.consumeCodeRequest(userId, id, termsHash))) {
+        return res.status(400).json({
+          error: 'This code was sent for other terms. Request a new code to sign the current terms'
+        });
+      }
+      
+      row.email = req.user.email;
+      row.confirmed_at = new Date();
+    }
+    
+    const { error } = await supabase
+      .from(TABLES.CONTRACT_SIGNATURES)
+      .insert(row);
+    
+    // Unique violation: the user already signed these exact terms
+    if (error && error.code === '23505') {
+      return res.status(409).json({ error: 'You have already signed these terms' });
+    }
+    
+    if (error) {
+      throw error;
+    }
+    
+    await contractEventLog.record(id, EVENT_TYPES.CONTRACT_SIGNED, {
+      actorId: userId,
+      details: { role, method, termsVersion, termsHash },
+    });
+    
+    res.status(201).json(await getSignatureStatus(contract));
+  } catch (error) {
+    console.error('Error signing contract:', error);
+    res.status(500).json({ error: 'Failed to sign contract' });
+  }
+};
+
+/**
+ * Collect the on-chain addresses and transaction hashes of a contract
+ */
+const buildBlockchainReferences = (contract, { versions, disputes }) => {
+  const references = [
+    { label: 'Contract address', value: contract.smartContractAddress },
+    { label: 'On-chain ID', value: contract.blockchainContractId },
+    { label: 'Creation tx', value: contract.transactionHash },
+    { label: 'Last status tx', value: contract.lastTransactionHash },
+    { label: 'Payment tx', value: contract.paymentTransactionHash },
+  ];
+
+  contract.milestones.forEach((m, index) => {
+    references.push({ label: `Milestone ${index + 1} tx`, value: m.transactionHash });
+  });
+
+  versions.forEach(v => {
+    references.push({ label: `Terms v${v.version} tx`, value: v.transaction_hash });
+  });
+
+  disputes.forEach(d => {
+    references.push({ label: 'Dispute settlement tx', value: d.transaction_hash });
+  });
+
+  return references.filter(r => r.value);
+};
+
+/**
+ * Export a contract as a printable PDF
+ */
+const exportContractPdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data, error } = await supabase
+      .from(TABLES.CONTRACTS)
+      .select(CONTRACT_DETAILS_SELECT)
+      .eq('id', id)
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    if (!(await teamService.getAccess(data, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    const [versionsResult, disputesResult, signatureStatus] = await Promise.all([
+      supabase
+        .from(TABLES.CONTRACT_VERSIONS)
+        .select('*')
+        .eq('contract_id', id)
+        .order('version', { ascending: true }),
+      supabase
+        .from(TABLES.DISPUTES)
+        .select('*')
+        .eq('contract_id', id)
+        .order('created_at', { ascending: true }),
+      getSignatureStatus(data),
+    ]);
+    
+    if (versionsResult.error) {
+      throw versionsResult.error;
+    }
+    
+    if (disputesResult.error) {
+      throw disputesResult.error;
+    }
+    
+    const contract = formatContract(data, await teamService.getMembers(id));
+    const history = await contractEventLog.getHistory(id);
+    
+    // Parties without a profile name are shown by email
+    const actorName = (actor) => {
+      if (!actor) {
+        return 'System';
+      }
+      const party = [contract.investor, contract.freelancer].find(p => p.id === actor.id);
+      return actor.name || (party ? party.email : 'Arbiter');
+    };
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="contract-${id}.pdf"`);
+    
+    contractPdfService.render(contract, {
+      history: history.map(e => ({
+        date: e.createdAt,
+        event: e.description,
+        actor: actorName(e.actor),
+      })),
+      signatures: signatureStatus.signatures,
+      references: buildBlockchainReferences(contract, {
+        versions: versionsResult.data,
+        disputes: disputesResult.data,
+      }),
+    }, res);
+  } catch (error) {
+    console.error('Error exporting contract:', error);
+    res.status(500).json({ error: 'Failed to export contract' });
+  }
+};
+
+/**
+ * Get the audit log of a contract
+ */
+const getContractHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: contract, error } = await supabase
+      .from(TABLES.CONTRACTS)
+      .select('id, investor_id, freelancer_id')
+      .eq('id', id)
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    if (!(await teamService.getAccess(contract, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    res.status(200).json(await contractEventLog.getHistory(id));
+  } catch (error) {
+    console.error('Error fetching contract history:', error);
+    res.status(500).json({ error: 'Failed to fetch contract history' });
+  }
+};
+
+/**
+ * Get the payment ledger and invoices of a contract
+ */
+const getContractLedger = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: contract, error } = await supabase
+      .from(TABLES.CONTRACTS)
+      .select('id, investor_id, freelancer_id')
+      .eq('id', id)
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    if (!(await teamService.getAccess(contract, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    res.status(200).json(await ledgerService.getLedger(id));
+  } catch (error) {
+    console.error('Error fetching contract ledger:', error);
+    res.status(500).json({ error: 'Failed to fetch contract ledger' });
+  }
+};
+
+/**
+ * Get the wallets sharing the freelancer's payments on a contract
+ */
+const getPayoutSplits = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: contract, error } = await supabase
+      .from(TABLES.CONTRACTS)
+      .select('id, investor_id, freelancer_id')
+      .eq('id', id)
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    if (!(await teamService.getAccess(contract, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    const splits = await payoutService.getSplits(id);
+    res.status(200).json(splits.map(PayoutService.formatSplit));
+  } catch (error) {
+    console.error('Error fetching payout splits:', error);
+    res.status(500).json({ error: 'Failed to fetch payout splits' });
+  }
+};
+
+/**
+ * Replace the wallets sharing the freelancer's payments on a contract
+ */
+const updatePayoutSplits = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { splits = [] } = req.body;
+    
+    const { data: contract, error: contractError } = await supabase
+      .from(TABLES.CONTRACTS)
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (contractError) {
+      throw contractError;
+    }
+    
+    if (getPartyRole(contract, userId) !== ROLES.LEAD) {
+      return res.status(403).json({ error: 'Only the freelancer can set payout splits' });
+    }
+    
+    if (contract.verified || ['cancelled', 'expired'].includes(contract.status)) {
+      return res.status(400).json({ error: 'Payout splits cannot be changed on a settled contract' });
+    }
+    
+    const onChain = Boolean(contract.smart_contract_address && contract.blockchain_contract_id);
+    
+    // Team members' shares are managed from the roster and kept as they are.
+    // Recipients on the platform default to the wallet on their profile.
+    const existing = await payoutService.getSplits(id);
+    const normalized = await payoutService.resolveWallets([
+      ...existing.filter(s => s.team_member_id).map(PayoutService.formatSplit),
+      ...splits.filter(s => !s.teamMemberId),
+    ]);
+    
+    const validationError = PayoutService.validateSplits(normalized, onChain);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    let transactionHash = null;
+    if (onChain) {
+      try {
+        ({ transactionHash } = await blockchainService.setPayoutSplits(contract.blockchain_contract_id, normalized));
+      } catch (blockchainError) {
+        console.error('Error setting payout splits on blockchain:', blockchainError);
+        return res.status(502).json({
+          error: 'Blockchain transaction failed',
+          message: BlockchainService.formatError(blockchainError),
+        });
+      }
+    }
+    
+    const saved = await payoutService.replaceSplits(contract, normalized);
+    
+    await contractEventLog.record(contract.id, EVENT_TYPES.PAYOUT_SPLITS_UPDATED, {
+      actorId: userId,
+      details: {
+        splits: normalized.map(s => ({ walletAddress: s.walletAddress, shareBps: s.shareBps, label: s.label })),
+      },
+      transactionHash,
+    });
+    
+    res.status(200).json(saved.map(PayoutService.formatSplit));
+  } catch (error) {
+    console.error('Error updating payout splits:', error);
+    res.status(500).json({ error: 'Failed to update payout splits' });
+  }
+};
+
+/**
+ * Preview how a payment would be divided between the platform fee, split
+ * recipients and the freelancer. Defaults to the escrow still held.
+ */
+const getPayoutPreview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: contract, error } = await supabase
+      .from(TABLES.CONTRACTS)
+      .select('*, milestones (*), timesheets (*)')
+      .eq('id', id)
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    if (!(await teamService.getAccess(contract, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+    
+    const amount = req.query.amount !== undefined
+      ? Number(req.query.amount)
+      : getEscrowBalance(contract.value, contract.milestones, contract.timesheets).remaining;
+    
+    if (Number.isNaN(amount) || amount < 0) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+    
+    res.status(200).json(await payoutService.getBreakdown(contract, amount));
+  } catch (error) {
+    console.error('Error previewing payout:', error);
+    res.status(500).json({ error: 'Failed to preview payout' });
+  }
+};
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break.
+ * Text that a spreadsheet would run as a formula is prefixed with a quote.
+ */
+const toCsvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Run a bulk action on one contract
+ * @returns {Promise<Object>} { success: true, ... } or { success: false, error, message }
+ */
+const runBulkAction = async (action, contract, userId, { message }) => {
+  const role = getPartyRole(contract, userId);
+  
+  if (action === BULK_ACTIONS.EXPORT) {
+    if (!(await teamService.getAccess(contract, userId))) {
+      return { success: false, error: 'Access denied to this contract' };
+    }
+    return { success: true };
+  }
+  
+  if (role !== ROLES.INVESTOR) {
+    return { success: false, error: 'Only the investor can do this' };
+  }
+  
+  if (action === BULK_ACTIONS.CANCEL) {
+    // Contracts already under way are cancelled one at a time
+    if (contract.status !== 'draft') {
+      return { success: false, error: 'Only draft contracts can be cancelled in bulk' };
+    }
+    
+    const result = await changeContractStatus(contract, 'cancelled', userId);
+    return result.error
+      ? { success: false, error: result.error, message: result.message }
+      : { success: true, status: result.contract.status };
+  }
+  
+  if (action === BULK_ACTIONS.APPROVE_DELIVERABLES) {
+    const { data: deliverables, error } = await supabase
+      .from(TABLES.DELIVERABLES)
+      .select('*, contract:contract_id (*)')
+      .eq('contract_id', contract.id)
+      .eq('status', DELIVERABLE_STATUSES.PENDING)
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      throw error;
+    }
+    
+    let approved = 0;
+    for (const deliverable of deliverables) {
+      const result = await reviewDeliverable(deliverable, 'approved', userId);
+      
+      if (result.error) {
+        return { success: false, error: result.error, message: result.message, approved };
+      }
+      approved++;
+    }
+    
+    return { success: true, approved };
+  }
+  
+  // Message the lead freelancer, who is the investor's contact on the contract
+  const { error } = await supabase
+    .from(TABLES.CHAT_MESSAGES)
+    .insert({
+      sender_id: userId,
+      receiver_id: contract.freelancer_id,
+      message: `Re: ${contract.title}\n\n${message.trim()}`,
+      read: false,
+      created_at: new Date(),
+    });
+  
+  if (error) {
+    throw error;
+  }
+  
+  return { success: true };
+};
+
+/**
+ * Run an action on many contracts and report the outcome for each one.
+ * Contracts are processed one after another so their blockchain
+ * transactions are sent in order, and one failure does not stop the rest.
+ */
+const bulkContractAction = async (req, res) => {
+  try {
+    const { action, contractIds, message } = req.body;
+    const userId = req.user.id;
+    
+    if (!Object.values(BULK_ACTIONS).includes(action)) {
+      return res.status(400).json({
+        error: `Action must be one of ${Object.values(BULK_ACTIONS).join(', ')}`
+      });
+    }
+    
+    if (!Array.isArray(contractIds) || contractIds.length === 0) {
+      return res.status(400).json({ error: 'Select at least one contract' });
+    }
+    
+    const ids = [...new Set(contractIds)];
+    
+    if (ids.length > MAX_BULK_CONTRACTS) {
+      return res.status(400).json({
+        error: `Bulk actions are limited to ${MAX_BULK_CONTRACTS} contracts at a time`
+      });
+    }
+    
+    if (action === BULK_ACTIONS.MESSAGE && !(message && message.trim())) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    
+    const { data: contracts, error } = await supabase
+      .from(TABLES.CONTRACTS)
+      .select(`
+        *,
+        milestones (*),
+        timesheets (*),
+        investor:investor_id (
+          id,
+          email,
+          profiles (
+            name
+          )
+        ),
+        freelancer:freelancer_id (
+          id,
+          email,
+          profiles (
+            name
+          )
+        )
+      `)
+      .in('id', ids);
+    
+    if (error) {
+      throw error;
+    }
+    
+    const results = [];
+    for (const contractId of ids) {
+      const contract = contracts.find(c => c.id === contractId);
+      
+      if (!contract) {
+        results.push({ contractId, success: false, error: 'Contract not found' });
+        continue;
+      }
+      
+      try {
+        const outcome = await runBulkAction(action, contract, userId, { message });
+        results.push({ contractId, title: contract.title, ...outcome });
+      } catch (itemError) {
+        console.error(`Error running ${action} on contract ${contractId}:`, itemError);
+        results.push({ contractId, title: contract.title, success: false, error: 'Unexpected error' });
+      }
+    }
+    
+    const response = {
+      action,
+      results,
+      succeeded: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+    };
+    
+    if (action === BULK_ACTIONS.EXPORT) {
+      const exported = results
+        .filter(r => r.success)
+        .map(r => contracts.find(c => c.id === r.contractId));
+      
+      response.csv = [
+        CSV_COLUMNS.map(([header]) => header),
+        ...exported.map(contract => CSV_COLUMNS.map(([, value]) => value(contract))),
+      ]
+        .map(row => row.map(toCsvField).join(','))
+        .join('\r\n');
+    }
+    
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error running bulk contract action:', error);
+    res.status(500).json({ error: 'Failed to run bulk action' });
+  }
+};
+
 module.exports = {
   createContract,
   getContractById,
+  getBlockchainStatus,
   getUserContracts,
   updateContractStatus,
   addDeliverable,
   updateDeliverableStatus,
+  getDeliverableVersions,
+  resubmitDeliverable,
+  addDeliverableComment,
+  verifyDeliverableIntegrity,
+  getDeliverableDownload,
   verifyAndReleasePayment,
+  getContractSignatures,
+  requestSignatureCode,
+  signContract,
+  exportContractPdf,
+  getContractHistory,
+  getContractLedger,
+  getPayoutSplits,
+  updatePayoutSplits,
+  getPayoutPreview,
+  bulkContractAction,
+  getEscrowBalance,
 };
\ No newline at end of file
@@ -0,0 +1,334 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const builtInTemplates = require('../config/contractTemplates');
+
+// Create Supabase client
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Table names
+const TABLES = {
+  CONTRACT_TEMPLATES: 'contract_templates',
+};
+
+const CATEGORIES = ['nda', 'fixed_price', 'hourly_retainer', 'equity_for_work', 'custom'];
+
+// Matches {{variable}} placeholders
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]\w*)\s*\}\}/g;
+const VARIABLE_KEY_PATTERN = /^[a-zA-Z]\w*$/;
+
+/**
+ * List the placeholder names used in a piece of template text
+ */
+const extractPlaceholders = (text = '') => {
+  return [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+};
+
+/**
+ * Merge declared variables with any placeholders that were not declared.
+ * Undeclared placeholders become required variables.
+ */
+const normalizeVariables = (variables = [], texts = []) => {
+  const normalized = variables.map(v => ({
+    key: v.key,
+    label: v.label || v.key,
+    required: v.required !== false,
+    defaultValue: v.defaultValue || '',
+  }));
+
+  texts.flatMap(extractPlaceholders).forEach(key => {
+    if (!normalized.some(v => v.key === key)) {
+      normalized.push({ key, label: key, required: true, defaultValue: '' });
+    }
+  });
+
+  return normalized;
+};
+
+/**
+ * Replace placeholders with values, falling back to the variable defaults
+ */
+const fillPlaceholders = (text, values) => {
+  return (text || '').replace(PLACEHOLDER_PATTERN, (match, key) => values[key] ?? '');
+};
+
+/**
+ * Format a template row
+ */
+const formatTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  category: template.category,
+  description: template.description,
+  title: template.title,
+  body: template.body,
+  terms: template.terms,
+  variables: template.variables || [],
+  ownerId: template.owner_id || null,
+  isPrivate: Boolean(template.is_private),
+  builtIn: !template.owner_id,
+  createdAt: template.created_at || null,
+  updatedAt: template.updated_at || null,
+});
+
+/**
+ * Get a built-in template or a stored template the user can see
+ */
+const findTemplate = async (templateId, userId) => {
+  const builtIn = builtInTemplates.find(t => t.id === templateId);
+  if (builtIn) {
+    return builtIn;
+  }
+
+  const { data, error } = await supabase
+    .from(TABLES.CONTRACT_TEMPLATES)
+    .select('*')
+    .eq('id', templateId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data || (data.is_private && data.owner_id !== userId)) {
+    return null;
+  }
+
+  return data;
+};
+
+/**
+ * Validate a template payload and build the columns to store
+ */
+const buildTemplateRow = (body) => {
+  const { name, category = 'custom', description, title, terms, variables = [] } = body;
+  const contractDescription = body.body;
+
+  if (!name || !title) {
+    return { error: 'Name and title are required' };
+  }
+
+  if (!CATEGORIES.includes(category)) {
+    return { error: `Category must be one of ${CATEGORIES.join(', ')}` };
+  }
+
+  if (!Array.isArray(variables) || variables.some(v => !VARIABLE_KEY_PATTERN.test(v.key || ''))) {
+    return { error: 'Variable keys must start with a letter and contain only letters, numbers and underscores' };
+  }
+
+  return {
+    row: {
+      name,
+      category,
+      description: description || '',
+      title,
+      body: contractDescription || '',
+      terms: terms || '',
+      variables: normalizeVariables(variables, [title, contractDescription, terms]),
+    },
+  };
+};
+
+/**
+ * Get built-in, shared and the user's private templates
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data, error } = await supabase
+      .from(TABLES.CONTRACT_TEMPLATES)
+      .select('*')
+      .or(`is_private.eq.false,owner_id.eq.${userId}`)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(200).json([...builtInTemplates, ...data].map(formatTemplate));
+  } catch (error) {
+    console.error('Error fetching contract templates:', error);
+    res.status(500).json({ error: 'Failed to fetch contract templates' });
+  }
+};
+
+/**
+ * Get a template by ID
+ */
+const getTemplateById = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.status(200).json(formatTemplate(template));
+  } catch (error) {
+    console.error('Error fetching contract template:', error);
+    res.status(500).json({ error: 'Failed to fetch contract template' });
+  }
+};
+
+/**
+ * Create a template owned by the user
+ */
+const createTemplate = async (req, res) => {
+  try {
+    const { row, error: validationError } = buildTemplateRow(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.CONTRACT_TEMPLATES)
+      .insert({
+        ...row,
+        owner_id: req.user.id,
+        is_private: req.body.isPrivate !== false,
+        created_at: new Date(),
+        updated_at: new Date(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(201).json(formatTemplate(data));
+  } catch (error) {
+    console.error('Error creating contract template:', error);
+    res.status(500).json({ error: 'Failed to create contract template' });
+  }
+};
+
+/**
+ * Update one of the user's templates
+ */
+const updateTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const template = await findTemplate(id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (template.owner_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the owner can edit this template' });
+    }
+
+    const { row, error: validationError } = buildTemplateRow({
+      ...template,
+      ...req.body,
+    });
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.CONTRACT_TEMPLATES)
+      .update({
+        ...row,
+        is_private: req.body.isPrivate !== undefined ? Boolean(req.body.isPrivate) : template.is_private,
+        updated_at: new Date(),
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(200).json(formatTemplate(data));
+  } catch (error) {
+    console.error('Error updating contract template:', error);
+    res.status(500).json({ error: 'Failed to update contract template' });
+  }
+};
+
+/**
+ * Delete one of the user's templates
+ */
+const deleteTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const template = await findTemplate(id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (template.owner_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the owner can delete this template' });
+    }
+
+    const { error } = await supabase
+      .from(TABLES.CONTRACT_TEMPLATES)
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting contract template:', error);
+    res.status(500).json({ error: 'Failed to delete contract template' });
+  }
+};
+
+/**
+ * Fill a template's placeholders, rejecting missing required variables
+ */
+const renderTemplate = async (req, res) => {
+  try {
+    const { variables = {} } = req.body;
+    const template = await findTemplate(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const declared = normalizeVariables(template.variables, [template.title, template.body, template.terms]);
+    const values = {};
+
+    declared.forEach(v => {
+      const value = variables[v.key] !== undefined ? String(variables[v.key]).trim() : '';
+      values[v.key] = value || v.defaultValue;
+    });
+
+    const missing = declared.filter(v => v.required && !values[v.key]).map(v => v.key);
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: `Missing required variables: ${missing.join(', ')}`,
+        missing,
+      });
+    }
+
+    res.status(200).json({
+      templateId: template.id,
+      title: fillPlaceholders(template.title, values),
+      description: fillPlaceholders(template.body, values),
+      terms: fillPlaceholders(template.terms, values),
+    });
+  } catch (error) {
+    console.error('Error rendering contract template:', error);
+    res.status(500).json({ error: 'Failed to render contract template' });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  renderTemplate,
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+const config = require('../config/config');
+const { currencies } = require('../config/currencies');
+const ExchangeRateService = require('../services/exchangeRateService');
+
+// Exchange rates from the configured provider
+const exchangeRateService = ExchangeRateService.fromConfig(config.exchangeRates);
+
+const CURRENCY_CODES = currencies.map(c => c.code);
+
+/**
+ * Get the supported currencies with the current exchange rates
+ */
+const getCurrencies = async (req, res) => {
+  try {
+    const rates = await exchangeRateService.getRates();
+    
+    res.status(200).json({ currencies, ...rates });
+  } catch (error) {
+    console.error('Error fetching currencies:', error);
+    res.status(500).json({ error: 'Failed to fetch currencies' });
+  }
+};
+
+/**
+ * Convert an amount between two supported currencies
+ */
+const convertAmount = async (req, res) => {
+  try {
+    const { from, to = exchangeRateService.baseCurrency } = req.query;
+    const amount = Number(req.query.amount);
+    
+    if (Number.isNaN(amount)) {
+      return res.status(400).json({ error: 'Amount must be a number' });
+    }
+    
+    if (!CURRENCY_CODES.includes(from) || !CURRENCY_CODES.includes(to)) {
+      return res.status(400).json({
+        error: `Currencies must be one of: ${CURRENCY_CODES.join(', ')}`
+      });
+    }
+    
+    const { rates, updatedAt, stale } = await exchangeRateService.getRates();
+    const converted = ExchangeRateService.convertWith(rates, amount, from, to);
+    
+    if (converted === null) {
+      return res.status(503).json({ error: `No exchange rate available for ${from} to ${to}` });
+    }
+    
+    res.status(200).json({ amount, from, to, converted, updatedAt, stale: Boolean(stale) });
+  } catch (error) {
+    console.error('Error converting amount:', error);
+    res.status(500).json({ error: 'Failed to convert amount' });
+  }
+};
+
+module.exports = {
+  getCurrencies,
+  convertAmount,
+};
\ No newline at end of file
@@ -0,0 +1,485 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const BlockchainService = require('../services/blockchainService');
+const ContractEventLog = require('../services/contractEventLog');
+const LedgerService = require('../services/ledgerService');
+const PayoutService = require('../services/payoutService');
+const { getDecimals } = require('../config/currencies');
+const { getEscrowBalance } = require('./contractController');
+
+// Create Supabase client
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Initialize blockchain service
+const blockchainService = BlockchainService.shared(config.blockchain);
+
+// Initialize contract audit log
+const contractEventLog = new ContractEventLog({ supabase });
+
+// Records the settlement in the payment ledger
+const ledgerService = new LedgerService({
+  supabase,
+  payoutService: new PayoutService({ supabase, platformFee: config.platformFee }),
+});
+
+// Table names
+const TABLES = {
+  CONTRACTS: 'contracts',
+  MILESTONES: 'milestones',
+  DISPUTES: 'disputes',
+  DISPUTE_EVIDENCE: 'dispute_evidence',
+};
+
+/**
+ * Check whether the authenticated user is a platform arbiter. The role is
+ * read from app_metadata, which users cannot edit, never from user_metadata.
+ */
+const isArbiter = (user) => user.app_metadata?.role === 'arbiter';
+
+/**
+ * Check whether the authenticated user may view a contract's disputes
+ */
+const canAccessContract = (contract, user) => {
+  return (
+    contract.investor_id === user.id ||
+    contract.freelancer_id === user.id ||
+    isArbiter(user)
+  );
+};
+
+/**
+ * Format a dispute row with its evidence
+ */
+const formatDispute = (dispute) => ({
+  id: dispute.id,
+  contractId: dispute.contract_id,
+  raisedBy: dispute.raised_by,
+  reason: dispute.reason,
+  status: dispute.status,
+  previousStatus: dispute.previous_status,
+  resolution: dispute.resolution,
+  freelancerAmount: dispute.freelancer_amount,
+  investorAmount: dispute.investor_amount,
+  resolvedBy: dispute.resolved_by,
+  resolvedAt: dispute.resolved_at,
+  transactionHash: dispute.transaction_hash,
+  evidence: (dispute.dispute_evidence || [])
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map(e => ({
+      id: e.id,
+      submittedBy: e.submitted_by,
+      description: e.description,
+      fileUrl: e.file_url,
+      createdAt: e.created_at,
+    })),
+  createdAt: dispute.created_at,
+  updatedAt: dispute.updated_at,
+});
+
+/**
+ * Get a contract by ID
+ */
+const getContract = async (contractId) => {
+  const { data, error } = await supabase
+    .from(TABLES.CONTRACTS)
+    .select('*, milestones (*), timesheets (*)')
+    .eq('id', contractId)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Get a dispute with its evidence, scoped to a contract
+ */
+const getDispute = async (contractId, disputeId) => {
+  const { data, error } = await supabase
+    .from(TABLES.DISPUTES)
+    .select('*, dispute_evidence (*)')
+    .eq('id', disputeId)
+    .eq('contract_id', contractId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Insert evidence rows for a dispute
+ */
+const insertEvidence = async (disputeId, userId, evidence) => {
+  const rows = evidence
+    .filter(e => e.description || e.fileUrl)
+    .map(e => ({
+      dispute_id: disputeId,
+      submitted_by: userId,
+      description: e.description || '',
+      file_url: e.fileUrl || null,
+      created_at: new Date(),
+    }));
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from(TABLES.DISPUTE_EVIDENCE)
+    .insert(rows);
+
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * Raise a dispute on an active or completed but unverified contract
+ */
+const raiseDispute = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, evidence = [] } = req.body;
+    const userId = req.user.id;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'Reason is required' });
+    }
+
+    const contract = await getContract(id);
+
+    // Only the parties can dispute a contract
+    if (contract.investor_id !== userId && contract.freelancer_id !== userId) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+
+    const canDispute =
+      contract.status === 'active' ||
+      (contract.status === 'completed' && !contract.verified);
+
+    if (!canDispute) {
+      return res.status(400).json({
+        error: 'Only active or unverified completed contracts can be disputed'
+      });
+    }
+
+    const contractUpdate = {
+      status: 'disputed',
+      updated_at: new Date(),
+    };
+
+    // Freeze the escrow on-chain before recording the dispute
+    if (contract.smart_contract_address && contract.blockchain_contract_id) {
+      try {
+        const { transactionHash } = await blockchainService.updateContractStatus(
+          contract.blockchain_contract_id,
+          'disputed'
+        );
+        contractUpdate.last_transaction_hash = transactionHash;
+      } catch (blockchainError) {
+        console.error('Error disputing contract on blockchain:', blockchainError);
+        return res.status(502).json({
+          error: 'Blockchain transaction failed',
+          message: BlockchainService.formatError(blockchainError),
+        });
+      }
+    }
+
+    const { data: dispute, error: disputeError } = await supabase
+      .from(TABLES.DISPUTES)
+      .insert({
+        contract_id: id,
+        raised_by: userId,
+        reason,
+        status: 'open',
+        previous_status: contract.status,
+        created_at: new Date(),
+        updated_at: new Date(),
+      })
+      .select()
+      .single();
+
+    // Unique violation: the contract already has an open dispute
+    if (disputeError && disputeError.code === '23505') {
+      return res.status(409).json({ error: 'Contract already has an open dispute' });
+    }
+
+    if (disputeError) {
+      throw disputeError;
+    }
+
+    await insertEvidence(dispute.id, userId, evidence);
+
+    const { error: updateError } = await supabase
+      .from(TABLES.CONTRACTS)
+      .update(contractUpdate)
+      .eq('id', id);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    await contractEventLog.record(id, ContractEventLog.EVENT_TYPES.DISPUTE_RAISED, {
+      actorId: userId,
+      fromStatus: contract.status,
+      toStatus: 'disputed',
+      details: { disputeId: dispute.id, reason },
+      transactionHash: contractUpdate.last_transaction_hash,
+    });
+
+    res.status(201).json(formatDispute(await getDispute(id, dispute.id)));
+  } catch (error) {
+    console.error('Error raising dispute:', error);
+    res.status(500).json({ error: 'Failed to raise dispute' });
+  }
+};
+
+/**
+ * Get all disputes for a contract
+ */
+const getContractDisputes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const contract = await getContract(id);
+
+    if (!canAccessContract(contract, req.user)) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.DISPUTES)
+      .select('*, dispute_evidence (*)')
+      .eq('contract_id', id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(200).json(data.map(formatDispute));
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(500).json({ error: 'Failed to fetch disputes' });
+  }
+};
+
+/**
+ * Get open disputes awaiting an arbiter
+ */
+const getOpenDisputes = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.DISPUTES)
+      .select('*, dispute_evidence (*), contract:contract_id (id, title, value)')
+      .eq('status', 'open')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(200).json(data.map(dispute => ({
+      ...formatDispute(dispute),
+      contract: {
+        id: dispute.contract.id,
+        title: dispute.contract.title,
+        value: dispute.contract.value,
+      },
+    })));
+  } catch (error) {
+    console.error('Error fetching open disputes:', error);
+    res.status(500).json({ error: 'Failed to fetch disputes' });
+  }
+};
+
+/**
+ * Attach evidence to an open dispute
+ */
+const addEvidence = async (req, res) => {
+  try {
+    const { id, disputeId } = req.params;
+    const { description, fileUrl } = req.body;
+    const userId = req.user.id;
+
+    if (!description && !fileUrl) {
+      return res.status(400).json({ error: 'Description or file is required' });
+    }
+
+    const contract = await getContract(id);
+
+    if (!canAccessContract(contract, req.user)) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+
+    const dispute = await getDispute(id, disputeId);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (dispute.status !== 'open') {
+      return res.status(400).json({ error: 'Evidence can only be added to open disputes' });
+    }
+
+    await insertEvidence(dispute.id, userId, [{ description, fileUrl }]);
+
+    res.status(201).json(formatDispute(await getDispute(id, disputeId)));
+  } catch (error) {
+    console.error('Error adding dispute evidence:', error);
+    res.status(500).json({ error: 'Failed to add evidence' });
+  }
+};
+
+/**
+ * Resolve a dispute by splitting the remaining escrow between the parties
+ */
+const resolveDispute = async (req, res) => {
+  try {
+    const { id, disputeId } = req.params;
+    const { freelancerAmount, resolution } = req.body;
+    const userId = req.user.id;
+
+    if (!resolution) {
+      return res.status(400).json({ error: 'Resolution is required' });
+    }
+
+    const contract = await getContract(id);
+    const dispute = await getDispute(id, disputeId);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (dispute.status !== 'open' || contract.status !== 'disputed') {
+      return res.status(400).json({ error: 'Dispute is not open' });
+    }
+
+    // Released milestones and approved timesheets have already left escrow
+    const { remaining } = getEscrowBalance(contract.value, contract.milestones, contract.timesheets);
+    const toFreelancer = Number(freelancerAmount);
+
+    if (Number.isNaN(toFreelancer) || toFreelancer < 0 || toFreelancer > remaining) {
+      return res.status(400).json({
+        error: `Freelancer amount must be between 0 and ${remaining}`
+      });
+    }
+
+    const toInvestor = remaining - toFreelancer;
+    let transactionHash = null;
+
+    if (contract.smart_contract_address && contract.blockchain_contract_id) {
+      try {
+        ({ transactionHash } = await blockchainService.resolveDispute(
+          contract.blockchain_contract_id,
+          toFreelancer,
+          getDecimals(contract.currency)
+        ));
+      } catch (blockchainError) {
+        console.error('Error resolving dispute on blockchain:', blockchainError);
+        return res.status(502).json({
+          error: 'Blockchain transaction failed',
+          message: BlockchainService.formatError(blockchainError),
+        });
+      }
+    }
+
+    const { error: disputeError } = await supabase
+      .from(TABLES.DISPUTES)
+      .update({
+        status: 'resolved',
+        resolution,
+        freelancer_amount: toFreelancer,
+        investor_amount: toInvestor,
+        resolved_by: userId,
+        resolved_at: new Date(),
+        transaction_hash: transactionHash,
+        updated_at: new Date(),
+      })
+      .eq('id', disputeId);
+
+    if (disputeError) {
+      throw disputeError;
+    }
+
+    // The split settles the contract. Milestones still in escrow are marked
+    // settled, since the split may have refunded them to the investor.
+    const { error: contractError } = await supabase
+      .from(TABLES.CONTRACTS)
+      .update({
+        status: 'completed',
+        verified: true,
+        completed_at: contract.completed_at || new Date(),
+        payment_transaction_hash: transactionHash,
+        updated_at: new Date(),
+      })
+      .eq('id', id);
+
+    if (contractError) {
+      throw contractError;
+    }
+
+    const { error: milestoneError } = await supabase
+      .from(TABLES.MILESTONES)
+      .update({
+        status: 'settled',
+        transaction_hash: transactionHash,
+        updated_at: new Date(),
+      })
+      .eq('contract_id', id)
+      .eq('status', 'pending');
+
+    if (milestoneError) {
+      throw milestoneError;
+    }
+
+    await contractEventLog.record(id, ContractEventLog.EVENT_TYPES.DISPUTE_RESOLVED, {
+      actorId: userId,
+      fromStatus: 'disputed',
+      toStatus: 'completed',
+      details: {
+        disputeId,
+        resolution,
+        freelancerAmount: toFreelancer,
+        investorAmount: toInvestor,
+      },
+      transactionHash,
+    });
+
+    if (toFreelancer > 0) {
+      await ledgerService.recordRelease(contract, {
+        amount: toFreelancer,
+        source: LedgerService.SOURCES.DISPUTE,
+        sourceId: disputeId,
+        description: `Dispute settlement: ${contract.title}`,
+        transactionHash,
+      });
+    }
+
+    if (toInvestor > 0) {
+      await ledgerService.recordRefund(contract, {
+        amount: toInvestor,
+        source: LedgerService.SOURCES.DISPUTE,
+        sourceId: disputeId,
+        transactionHash,
+      });
+    }
+
+    res.status(200).json(formatDispute(await getDispute(id, disputeId)));
+  } catch (error) {
+    console.error('Error resolving dispute:', error);
+    res.status(500).json({ error: 'Failed to resolve dispute' });
+  }
+};
+
+module.exports = {
+  raiseDispute,
+  getContractDisputes,
+  getOpenDisputes,
+  addEvidence,
+  resolveDispute,
+};
\ No newline at end of file
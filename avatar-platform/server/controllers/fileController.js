@@ -0,0 +1,44 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const ContentStore = require('../services/contentStore');
+
+// Initialize Supabase client
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Deliverable file storage
+const contentStore = ContentStore.fromConfig(config.contentStore, supabase);
+
+/**
+ * Serve a file from the local content store through a URL signed by
+ * createSignedUrl. The signature takes the place of authentication, the
+ * same as a Supabase signed URL, so the link works in a new browser tab.
+ */
+const downloadLocalFile = async (req, res) => {
+  try {
+    const { backend } = contentStore;
+    
+    if (backend.name !== 'local') {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    
+    if (!backend.verifySignedUrl(req.query)) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+    
+    const bytes = await backend.read({ path: req.query.key });
+    
+    if (!bytes) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    res.attachment(req.query.name || req.query.key);
+    res.send(bytes);
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+};
+
+module.exports = {
+  downloadLocalFile,
+};
\ No newline at end of file
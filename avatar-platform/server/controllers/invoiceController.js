@@ -0,0 +1,52 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const LedgerService = require('../services/ledgerService');
+const ExchangeRateService = require('../services/exchangeRateService');
+
+// Create Supabase client
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Payment ledger and invoices, with totals in the configured base currency
+const ledgerService = new LedgerService({
+  supabase,
+  exchangeRateService: ExchangeRateService.fromConfig(config.exchangeRates),
+});
+
+const INVOICE_ROLES = ['issued', 'received'];
+
+/**
+ * Get the invoices the user issued as a freelancer or received as an investor
+ */
+const getInvoices = async (req, res) => {
+  try {
+    const { role } = req.query;
+    
+    if (role && !INVOICE_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Role must be one of: ${INVOICE_ROLES.join(', ')}`
+      });
+    }
+    
+    res.status(200).json(await ledgerService.getInvoices(req.user.id, role));
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+};
+
+/**
+ * Get the totals of the user's funding, payments and refunds
+ */
+const getFinancialSummary = async (req, res) => {
+  try {
+    res.status(200).json(await ledgerService.getFinancialSummary(req.user.id));
+  } catch (error) {
+    console.error('Error fetching financial summary:', error);
+    res.status(500).json({ error: 'Failed to fetch financial summary' });
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getFinancialSummary,
+};
\ No newline at end of file
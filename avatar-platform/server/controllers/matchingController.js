@@ -0,0 +1,56 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const ExchangeRateService = require('../services/exchangeRateService');
+const MatchingService = require('../services/matchingService');
+
+// Create Supabase client
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Contract values are compared in the base currency
+const exchangeRateService = ExchangeRateService.fromConfig(config.exchangeRates);
+
+const matchingService = new MatchingService({ supabase, ...config.matching });
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Rank every freelancer for an investor, or every investor for a freelancer,
+ * with a breakdown of each match score
+ */
+const getRecommendations = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || DEFAULT_LIMIT, 10);
+    const offset = parseInt(req.query.offset || 0, 10);
+    
+    if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ error: `Limit must be between 1 and ${MAX_LIMIT}` });
+    }
+    
+    if (Number.isNaN(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Offset must be zero or more' });
+    }
+    
+    const { baseCurrency, rates } = await exchangeRateService.getRates();
+    
+    const recommendations = await matchingService.recommend(req.user.id, {
+      limit,
+      offset,
+      rates,
+      baseCurrency,
+    });
+    
+    if (!recommendations) {
+      return res.status(400).json({ error: 'Recommendations are only available to investors and freelancers' });
+    }
+    
+    res.status(200).json(recommendations);
+  } catch (error) {
+    console.error('Error fetching recommendations:', error);
+    res.status(500).json({ error: 'Failed to fetch recommendations' });
+  }
+};
+
+module.exports = {
+  getRecommendations,
+};
\ No newline at end of file
@@ -0,0 +1,174 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const BlockchainService = require('../services/blockchainService');
+const ContractEventLog = require('../services/contractEventLog');
+const ReputationService = require('../services/reputationService');
+const TeamService = require('../services/teamService');
+
+// Create Supabase client
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Initialize blockchain service, read only here
+const blockchainService = BlockchainService.shared(config.blockchain);
+
+// Initialize contract audit log
+const contractEventLog = new ContractEventLog({ supabase });
+const { EVENT_TYPES } = ContractEventLog;
+
+const reputationService = new ReputationService({ supabase, blockchainService });
+const teamService = new TeamService({ supabase });
+const { ROLES } = TeamService;
+
+// Table names
+const TABLES = {
+  CONTRACTS: 'contracts',
+};
+
+/**
+ * Check whether a user can still review a contract
+ */
+const canReview = (contract, role, reviews, userId) =>
+  contract.verified &&
+  [ROLES.INVESTOR, ROLES.LEAD].includes(role) &&
+  !reviews.some(r => r.reviewerId === userId);
+
+/**
+ * Get the reviews left on a contract
+ */
+const getContractReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { data: contract, error } = await supabase
+      .from(TABLES.CONTRACTS)
+      .select('id, investor_id, freelancer_id, verified')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const access = await teamService.getAccess(contract, userId);
+
+    if (!access) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+
+    const reviews = await reputationService.getContractReviews(id);
+
+    res.status(200).json({
+      reviews,
+      canReview: canReview(contract, access.role, reviews, userId),
+    });
+  } catch (error) {
+    console.error('Error fetching contract reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch contract reviews' });
+  }
+};
+
+/**
+ * Review the other party of a verified contract. The investor reviews the
+ * lead freelancer and the lead freelancer reviews the investor, once each.
+ */
+const submitReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rating, comment } = req.body;
+    const userId = req.user.id;
+
+    const { data: contract, error } = await supabase
+      .from(TABLES.CONTRACTS)
+      .select('id, investor_id, freelancer_id, verified')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const access = await teamService.getAccess(contract, userId);
+
+    if (!access) {
+      return res.status(403).json({ error: 'Access denied to this contract' });
+    }
+
+    if (![ROLES.INVESTOR, ROLES.LEAD].includes(access.role)) {
+      return res.status(403).json({ error: 'Only the investor and the lead freelancer can leave reviews' });
+    }
+
+    if (!contract.verified) {
+      return res.status(400).json({ error: 'Reviews can only be left once the contract is verified' });
+    }
+
+    const stars = Number(rating);
+    const validationError = ReputationService.validateReview(stars, comment);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const reviews = await reputationService.getContractReviews(id);
+    if (reviews.some(r => r.reviewerId === userId)) {
+      return res.status(409).json({ error: 'You have already reviewed this contract' });
+    }
+
+    const review = await reputationService.createReview(contract, {
+      reviewerId: userId,
+      reviewerRole: access.role,
+      rating: stars,
+      comment: comment ? String(comment).trim() : null,
+    });
+
+    await contractEventLog.record(id, EVENT_TYPES.REVIEW_SUBMITTED, {
+      actorId: userId,
+      details: { reviewId: review.id, reviewerRole: access.role, rating: stars },
+    });
+
+    res.status(201).json(review);
+  } catch (error) {
+    console.error('Error submitting review:', error);
+    res.status(500).json({ error: 'Failed to submit review' });
+  }
+};
+
+/**
+ * Get the reviews a user has received
+ */
+const getUserReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+    const reviews = await reputationService.getUserReviews(id, limit);
+
+    res.status(200).json(reviews);
+  } catch (error) {
+    console.error('Error fetching user reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch user reviews' });
+  }
+};
+
+/**
+ * Get a user's reputation: ratings from reviews and the on-chain
+ * reputation of their wallet checked against their verified contracts
+ */
+const getUserReputation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const summary = await reputationService.getSummary(id);
+
+    res.status(200).json(summary);
+  } catch (error) {
+    console.error('Error fetching user reputation:', error);
+    res.status(500).json({ error: 'Failed to fetch user reputation' });
+  }
+};
+
+module.exports = {
+  getContractReviews,
+  submitReview,
+  getUserReviews,
+  getUserReputation,
+};
\ No newline at end of file
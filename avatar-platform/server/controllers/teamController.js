@@ -0,0 +1,446 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const BlockchainService = require('../services/blockchainService');
+const ContractEventLog = require('../services/contractEventLog');
+const PayoutService = require('../services/payoutService');
+const TeamService = require('../services/teamService');
+
+// Create Supabase client
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Initialize blockchain service
+const blockchainService = BlockchainService.shared(config.blockchain);
+
+// Initialize contract audit log
+const contractEventLog = new ContractEventLog({ supabase });
+const { EVENT_TYPES } = ContractEventLog;
+
+// Team members are paid through the contract's payout splits
+const payoutService = new PayoutService({ supabase, platformFee: config.platformFee });
+const teamService = new TeamService({ supabase });
+const { MEMBER_STATUSES, ROLES } = TeamService;
+
+// Table names
+const TABLES = {
+  CONTRACTS: 'contracts',
+  DELIVERABLES: 'deliverables',
+};
+
+// Contracts whose team can still grow
+const OPEN_STATUSES = ['draft', 'pending', 'active'];
+
+/**
+ * Get a contract with its lead freelancer and verify the user can see it
+ */
+const getContractForUser = async (contractId, userId, res) => {
+  const { data: contract, error } = await supabase
+    .from(TABLES.CONTRACTS)
+    .select(`
+      *,
+      freelancer:freelancer_id (
+        id,
+        email,
+        profiles (
+          name,
+          profile_image
+        )
+      )
+    `)
+    .eq('id', contractId)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const access = await teamService.getAccess(contract, userId);
+
+  if (!access) {
+    res.status(403).json({ error: 'Access denied to this contract' });
+    return null;
+  }
+
+  return { contract, access };
+};
+
+/**
+ * Check whether a contract's payouts can still change
+ */
+const isSettled = (contract) => contract.verified || ['cancelled', 'expired'].includes(contract.status);
+
+const isOnChain = (contract) => Boolean(contract.smart_contract_address && contract.blockchain_contract_id);
+
+/**
+ * Get a member of a contract's team
+ */
+const getMember = async (contractId, memberId) => {
+  const members = await teamService.getMembers(contractId);
+  return {
+    members,
+    member: members.find(m => m.id === memberId) || null,
+  };
+};
+
+/**
+ * Payout splits for a team: the accepted members' shares followed by the
+ * lead freelancer's own splits, which are kept as they are
+ */
+const getTeamSplits = async (contract, members) => {
+  const existing = await payoutService.getSplits(contract.id);
+  const ownSplits = existing
+    .filter(s => !s.team_member_id)
+    .map(PayoutService.formatSplit);
+
+  return payoutService.resolveWallets([...TeamService.toSplits(members), ...ownSplits]);
+};
+
+/**
+ * Check that a team's splits can be paid out
+ */
+const validateTeamSplits = (contract, splits) => {
+  if (isOnChain(contract) && splits.some(s => s.teamMemberId && !s.walletAddress)) {
+    return 'Team members on blockchain contracts need a wallet address on their profile';
+  }
+
+  return PayoutService.validateSplits(splits, isOnChain(contract));
+};
+
+/**
+ * Get a contract's team roster
+ */
+const getContractTeam = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await getContractForUser(id, req.user.id, res);
+
+    if (!result) {
+      return;
+    }
+
+    const [members, deliverablesResult] = await Promise.all([
+      teamService.getMembers(id),
+      supabase
+        .from(TABLES.DELIVERABLES)
+        .select('id, owner_id, status')
+        .eq('contract_id', id),
+    ]);
+
+    if (deliverablesResult.error) {
+      throw deliverablesResult.error;
+    }
+
+    res.status(200).json(TeamService.formatTeam(result.contract, members, deliverablesResult.data));
+  } catch (error) {
+    console.error('Error fetching contract team:', error);
+    res.status(500).json({ error: 'Failed to fetch contract team' });
+  }
+};
+
+/**
+ * Invite a freelancer to the team with a share of the payments
+ */
+const inviteTeamMember = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { email, shareBps } = req.body;
+    const userId = req.user.id;
+
+    const result = await getContractForUser(id, userId, res);
+
+    if (!result) {
+      return;
+    }
+
+    const { contract, access } = result;
+
+    if (access.role !== ROLES.LEAD) {
+      return res.status(403).json({ error: 'Only the lead freelancer can invite team members' });
+    }
+
+    if (!OPEN_STATUSES.includes(contract.status) || contract.verified) {
+      return res.status(400).json({ error: 'Team members can only join draft, pending or active contracts' });
+    }
+
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const share = Number(shareBps);
+    if (!Number.isInteger(share) || share <= 0) {
+      return res.status(400).json({ error: 'Share must be a positive number of basis points' });
+    }
+
+    const user = await teamService.findUserByEmail(email);
+
+    if (!user || user.user_type !== 'freelancer') {
+      return res.status(404).json({ error: 'No freelancer found with that email' });
+    }
+
+    if (user.id === contract.freelancer_id || user.id === contract.investor_id) {
+      return res.status(400).json({ error: 'This user is already a party to the contract' });
+    }
+
+    if (await teamService.getMembership(id, user.id)) {
+      return res.status(409).json({ error: 'This freelancer is already on the team' });
+    }
+
+    // Pending invitations count towards the limits so they can all be accepted
+    const members = await teamService.getMembers(id);
+    const splits = await getTeamSplits(contract, [
+      ...members.map(m => ({ ...m, status: MEMBER_STATUSES.ACCEPTED })),
+      { id: null, user_id: user.id, share_bps: share, status: MEMBER_STATUSES.ACCEPTED },
+    ]);
+
+    const validationError = PayoutService.validateSplits(splits);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const member = await teamService.invite(id, { userId: user.id, shareBps: share, invitedBy: userId });
+
+    await contractEventLog.record(id, EVENT_TYPES.TEAM_MEMBER_INVITED, {
+      actorId: userId,
+      details: { memberId: member.id, userId: user.id, email: user.email, shareBps: share },
+    });
+
+    res.status(201).json(TeamService.formatMember(member));
+  } catch (error) {
+    console.error('Error inviting team member:', error);
+    res.status(500).json({ error: 'Failed to invite team member' });
+  }
+};
+
+/**
+ * Accept or decline an invitation to a contract's team
+ */
+const respondToInvite = async (req, res) => {
+  try {
+    const { id, memberId } = req.params;
+    const { accept } = req.body;
+    const userId = req.user.id;
+
+    const result = await getContractForUser(id, userId, res);
+
+    if (!result) {
+      return;
+    }
+
+    const { contract } = result;
+    const { members, member } = await getMember(id, memberId);
+
+    if (!member || member.user_id !== userId) {
+      return res.status(403).json({ error: 'Only the invited freelancer can respond' });
+    }
+
+    if (member.status !== MEMBER_STATUSES.INVITED) {
+      return res.status(400).json({ error: 'This invitation has already been answered' });
+    }
+
+    if (!accept) {
+      const declined = await teamService.update(memberId, {
+        status: MEMBER_STATUSES.DECLINED,
+        responded_at: new Date(),
+      });
+
+      await contractEventLog.record(id, EVENT_TYPES.TEAM_MEMBER_DECLINED, {
+        actorId: userId,
+        details: { memberId, userId },
+      });
+
+      return res.status(200).json(TeamService.formatMember(declined));
+    }
+
+    if (isSettled(contract)) {
+      return res.status(400).json({ error: 'This contract has already been settled' });
+    }
+
+    // Joining adds the member's share to the payout splits
+    const splits = await getTeamSplits(
+      contract,
+      members.map(m => (m.id === memberId ? { ...m, status: MEMBER_STATUSES.ACCEPTED } : m))
+    );
+
+    const validationError = validateTeamSplits(contract, splits);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let transactionHash = null;
+    if (isOnChain(contract)) {
+      try {
+        ({ transactionHash } = await blockchainService.setPayoutSplits(contract.blockchain_contract_id, splits));
+      } catch (blockchainError) {
+        console.error('Error setting team payout splits on blockchain:', blockchainError);
+        return res.status(502).json({
+          error: 'Blockchain transaction failed',
+          message: BlockchainService.formatError(blockchainError),
+        });
+      }
+    }
+
+    const accepted = await teamService.update(memberId, {
+      status: MEMBER_STATUSES.ACCEPTED,
+      responded_at: new Date(),
+    });
+    await payoutService.replaceSplits(contract, splits);
+
+    await contractEventLog.record(id, EVENT_TYPES.TEAM_MEMBER_JOINED, {
+      actorId: userId,
+      details: { memberId, userId, shareBps: Number(member.share_bps) },
+      transactionHash,
+    });
+
+    res.status(200).json(TeamService.formatMember(accepted));
+  } catch (error) {
+    console.error('Error responding to team invitation:', error);
+    res.status(500).json({ error: 'Failed to respond to team invitation' });
+  }
+};
+
+/**
+ * Change a team member's share of the payments
+ */
+const updateTeamMember = async (req, res) => {
+  try {
+    const { id, memberId } = req.params;
+    const share = Number(req.body.shareBps);
+    const userId = req.user.id;
+
+    const result = await getContractForUser(id, userId, res);
+
+    if (!result) {
+      return;
+    }
+
+    const { contract, access } = result;
+
+    if (access.role !== ROLES.LEAD) {
+      return res.status(403).json({ error: 'Only the lead freelancer can change team shares' });
+    }
+
+    if (isSettled(contract)) {
+      return res.status(400).json({ error: 'This contract has already been settled' });
+    }
+
+    if (!Number.isInteger(share) || share <= 0) {
+      return res.status(400).json({ error: 'Share must be a positive number of basis points' });
+    }
+
+    const { members, member } = await getMember(id, memberId);
+
+    if (!member) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+
+    const updatedMembers = members.map(m => (m.id === memberId ? { ...m, share_bps: share } : m));
+    const splits = await getTeamSplits(contract, updatedMembers);
+
+    const validationError = validateTeamSplits(contract, splits);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Only accepted members are paid, so invitations just record the new share
+    let transactionHash = null;
+    if (member.status === MEMBER_STATUSES.ACCEPTED && isOnChain(contract)) {
+      try {
+        ({ transactionHash } = await blockchainService.setPayoutSplits(contract.blockchain_contract_id, splits));
+      } catch (blockchainError) {
+        console.error('Error setting team payout splits on blockchain:', blockchainError);
+        return res.status(502).json({
+          error: 'Blockchain transaction failed',
+          message: BlockchainService.formatError(blockchainError),
+        });
+      }
+    }
+
+    const updated = await teamService.update(memberId, { share_bps: share });
+
+    if (member.status === MEMBER_STATUSES.ACCEPTED) {
+      await payoutService.replaceSplits(contract, splits);
+    }
+
+    await contractEventLog.record(id, EVENT_TYPES.TEAM_MEMBER_UPDATED, {
+      actorId: userId,
+      details: { memberId, userId: member.user_id, fromShareBps: Number(member.share_bps), shareBps: share },
+      transactionHash,
+    });
+
+    res.status(200).json(TeamService.formatMember(updated));
+  } catch (error) {
+    console.error('Error updating team member:', error);
+    res.status(500).json({ error: 'Failed to update team member' });
+  }
+};
+
+/**
+ * Remove a member from the team. Members can also leave on their own.
+ */
+const removeTeamMember = async (req, res) => {
+  try {
+    const { id, memberId } = req.params;
+    const userId = req.user.id;
+
+    const result = await getContractForUser(id, userId, res);
+
+    if (!result) {
+      return;
+    }
+
+    const { contract, access } = result;
+    const { members, member } = await getMember(id, memberId);
+
+    if (!member) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+
+    if (access.role !== ROLES.LEAD && member.user_id !== userId) {
+      return res.status(403).json({ error: 'Only the lead freelancer can remove team members' });
+    }
+
+    if (isSettled(contract)) {
+      return res.status(400).json({ error: 'This contract has already been settled' });
+    }
+
+    // A removed member's share goes back to the lead
+    let transactionHash = null;
+    const splits = await getTeamSplits(contract, members.filter(m => m.id !== memberId));
+
+    if (member.status === MEMBER_STATUSES.ACCEPTED && isOnChain(contract)) {
+      try {
+        ({ transactionHash } = await blockchainService.setPayoutSplits(contract.blockchain_contract_id, splits));
+      } catch (blockchainError) {
+        console.error('Error setting team payout splits on blockchain:', blockchainError);
+        return res.status(502).json({
+          error: 'Blockchain transaction failed',
+          message: BlockchainService.formatError(blockchainError),
+        });
+      }
+    }
+
+    const removed = await teamService.update(memberId, { status: MEMBER_STATUSES.REMOVED });
+
+    if (member.status === MEMBER_STATUSES.ACCEPTED) {
+      await payoutService.replaceSplits(contract, splits);
+    }
+
+    await contractEventLog.record(id, EVENT_TYPES.TEAM_MEMBER_REMOVED, {
+      actorId: userId,
+      details: { memberId, userId: member.user_id, left: member.user_id === userId },
+      transactionHash,
+    });
+
+    res.status(200).json(TeamService.formatMember(removed));
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    res.status(500).json({ error: 'Failed to remove team member' });
+  }
+};
+
+module.exports = {
+  getContractTeam,
+  inviteTeamMember,
+  respondToInvite,
+  updateTeamMember,
+  removeTeamMember,
+};
\ No newline at end of file
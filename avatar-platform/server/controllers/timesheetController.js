@@ -0,0 +1,773 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const BlockchainService = require('../services/blockchainService');
+const ContractEventLog = require('../services/contractEventLog');
+const LedgerService = require('../services/ledgerService');
+const PayoutService = require('../services/payoutService');
+const { getDecimals } = require('../config/currencies');
+
+// Create Supabase client
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Initialize blockchain service
+const blockchainService = BlockchainService.shared(config.blockchain);
+
+// Initialize contract audit log
+const contractEventLog = new ContractEventLog({ supabase });
+
+// Approved timesheets are invoiced through the payment ledger
+const ledgerService = new LedgerService({
+  supabase,
+  payoutService: new PayoutService({ supabase, platformFee: config.platformFee }),
+});
+
+// Table names
+const TABLES = {
+  CONTRACTS: 'contracts',
+  TIME_ENTRIES: 'time_entries',
+  TIMESHEETS: 'timesheets',
+};
+
+// Timesheets in these states can no longer be edited by the freelancer
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+const MAX_HOURS_PER_ENTRY = 24;
+
+/**
+ * Format a date as YYYY-MM-DD in UTC
+ */
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Get the Monday (UTC) of the week a date falls in
+ */
+const getWeekStart = (date) => {
+  const day = new Date(`${toDateString(date)}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return toDateString(day);
+};
+
+/**
+ * Get the Sunday that ends a week
+ */
+const getWeekEnd = (weekStart) => {
+  const day = new Date(`${weekStart}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 6);
+  return toDateString(day);
+};
+
+/**
+ * Round hours and amounts so float noise never reaches the chain
+ */
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+const roundAmount = (amount) => Math.round(amount * 1e8) / 1e8;
+
+const sumHours = (rows) => roundHours(rows.reduce((sum, r) => sum + Number(r.hours), 0));
+
+/**
+ * Format a time entry row
+ */
+const formatEntry = (entry) => ({
+  id: entry.id,
+  contractId: entry.contract_id,
+  workDate: entry.work_date,
+  hours: Number(entry.hours),
+  description: entry.description,
+  createdAt: entry.created_at,
+  updatedAt: entry.updated_at,
+});
+
+/**
+ * Format a timesheet row
+ */
+const formatTimesheet = (timesheet) => ({
+  id: timesheet.id,
+  contractId: timesheet.contract_id,
+  weekStart: timesheet.week_start,
+  totalHours: Number(timesheet.total_hours),
+  hourlyRate: Number(timesheet.hourly_rate),
+  amount: Number(timesheet.amount),
+  status: timesheet.status,
+  reviewNote: timesheet.review_note,
+  submittedAt: timesheet.submitted_at,
+  reviewedBy: timesheet.reviewed_by,
+  reviewedAt: timesheet.reviewed_at,
+  transactionHash: timesheet.transaction_hash,
+});
+
+/**
+ * Total approved, paid and pending hours of a contract's timesheets
+ */
+const summarizeTimesheets = (contract, timesheets, entries) => {
+  const approved = timesheets.filter(t => t.status === 'approved');
+  const submitted = timesheets.filter(t => t.status === 'submitted');
+  const paidAmount = roundAmount(approved.reduce((sum, t) => sum + Number(t.amount), 0));
+
+  return {
+    loggedHours: sumHours(entries),
+    approvedHours: sumHours(approved.map(t => ({ hours: t.total_hours }))),
+    paidAmount,
+    pendingHours: sumHours(submitted.map(t => ({ hours: t.total_hours }))),
+    pendingAmount: roundAmount(submitted.reduce((sum, t) => sum + Number(t.amount), 0)),
+    budget: Number(contract.value) || 0,
+    remainingBudget: roundAmount(Math.max((Number(contract.value) || 0) - paidAmount, 0)),
+  };
+};
+
+/**
+ * Group time entries into weeks, newest first, with each week's timesheet
+ */
+const buildWeeks = (contract, entries, timesheets) => {
+  const rate = Number(contract.hourly_rate) || 0;
+  const weeks = new Map();
+
+  const getWeek = (weekStart) => {
+    if (!weeks.has(weekStart)) {
+      weeks.set(weekStart, { weekStart, weekEnd: getWeekEnd(weekStart), entries: [], timesheet: null });
+    }
+    return weeks.get(weekStart);
+  };
+
+  entries.forEach(e => getWeek(getWeekStart(e.work_date)).entries.push(e));
+  timesheets.forEach(t => {
+    getWeek(t.week_start).timesheet = t;
+  });
+
+  return [...weeks.values()]
+    .sort((a, b) => b.weekStart.localeCompare(a.weekStart))
+    .map(week => {
+      const totalHours = sumHours(week.entries);
+
+      return {
+        weekStart: week.weekStart,
+        weekEnd: week.weekEnd,
+        entries: week.entries
+          .sort((a, b) => a.work_date.localeCompare(b.work_date))
+          .map(formatEntry),
+        totalHours,
+        amount: roundAmount(totalHours * rate),
+        status: week.timesheet ? week.timesheet.status : 'open',
+        locked: Boolean(week.timesheet && LOCKED_STATUSES.includes(week.timesheet.status)),
+        timesheet: week.timesheet ? formatTimesheet(week.timesheet) : null,
+      };
+    });
+};
+
+/**
+ * Get a contract and verify the user is one of its parties
+ */
+const getContractForUser = async (contractId, userId, res) => {
+  const { data: contract, error } = await supabase
+    .from(TABLES.CONTRACTS)
+    .select('*')
+    .eq('id', contractId)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  if (contract.investor_id !== userId && contract.freelancer_id !== userId) {
+    res.status(403).json({ error: 'Access denied to this contract' });
+    return null;
+  }
+
+  if (contract.contract_type !== 'hourly') {
+    res.status(400).json({ error: 'Timesheets are only available on hourly contracts' });
+    return null;
+  }
+
+  return contract;
+};
+
+const getEntries = async (contractId) => {
+  const { data, error } = await supabase
+    .from(TABLES.TIME_ENTRIES)
+    .select('*')
+    .eq('contract_id', contractId)
+    .order('work_date', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+const getTimesheets = async (contractId) => {
+  const { data, error } = await supabase
+    .from(TABLES.TIMESHEETS)
+    .select('*')
+    .eq('contract_id', contractId)
+    .order('week_start', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Check that the freelancer can still log time for a week, returning an
+ * error message if not
+ */
+const checkWeekOpen = (timesheets, weekStart) => {
+  const timesheet = timesheets.find(t => t.week_start === weekStart);
+
+  if (timesheet && LOCKED_STATUSES.includes(timesheet.status)) {
+    return `The timesheet for the week of ${weekStart} has already been ${timesheet.status}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate a time entry payload and build the columns to store
+ */
+const buildEntryRow = ({ workDate, hours, description }) => {
+  if (!workDate || Number.isNaN(new Date(workDate).getTime())) {
+    return { error: 'A valid work date is required' };
+  }
+
+  if (toDateString(workDate) > toDateString(new Date())) {
+    return { error: 'Time cannot be logged for future dates' };
+  }
+
+  const roundedHours = roundHours(Number(hours));
+
+  if (!(roundedHours > 0) || roundedHours > MAX_HOURS_PER_ENTRY) {
+    return { error: `Hours must be greater than 0 and at most ${MAX_HOURS_PER_ENTRY}` };
+  }
+
+  return {
+    row: {
+      work_date: toDateString(workDate),
+      hours: roundedHours,
+      description: description || '',
+    },
+  };
+};
+
+/**
+ * Check an entry against the contract's weekly cap, ignoring the entry
+ * being replaced
+ */
+const checkWeeklyCap = (contract, entries, row, replacedEntryId = null) => {
+  const cap = Number(contract.weekly_hour_cap);
+
+  if (!cap) {
+    return null;
+  }
+
+  const weekStart = getWeekStart(row.work_date);
+  const weekHours = sumHours(
+    entries.filter(e => e.id !== replacedEntryId && getWeekStart(e.work_date) === weekStart)
+  );
+
+  if (weekHours + row.hours > cap) {
+    return `This would bring the week of ${weekStart} to ${roundHours(weekHours + row.hours)} hours, over the weekly cap of ${cap}`;
+  }
+
+  return null;
+};
+
+/**
+ * Get a contract's time entries grouped into weekly timesheets, with totals
+ */
+const getContractTimesheets = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const contract = await getContractForUser(id, req.user.id, res);
+
+    if (!contract) {
+      return;
+    }
+
+    const [entries, timesheets] = await Promise.all([getEntries(id), getTimesheets(id)]);
+
+    res.status(200).json({
+      contractId: id,
+      hourlyRate: Number(contract.hourly_rate),
+      weeklyHourCap: contract.weekly_hour_cap !== null ? Number(contract.weekly_hour_cap) : null,
+      weeks: buildWeeks(contract, entries, timesheets),
+      totals: summarizeTimesheets(contract, timesheets, entries),
+    });
+  } catch (error) {
+    console.error('Error fetching timesheets:', error);
+    res.status(500).json({ error: 'Failed to fetch timesheets' });
+  }
+};
+
+/**
+ * Log time against an active hourly contract
+ */
+const addTimeEntry = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const contract = await getContractForUser(id, userId, res);
+
+    if (!contract) {
+      return;
+    }
+
+    if (contract.freelancer_id !== userId) {
+      return res.status(403).json({ error: 'Only the freelancer can log time' });
+    }
+
+    if (contract.status !== 'active') {
+      return res.status(400).json({ error: 'Time can only be logged on active contracts' });
+    }
+
+    const { row, error: validationError } = buildEntryRow(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const [entries, timesheets] = await Promise.all([getEntries(id), getTimesheets(id)]);
+    const lockedError = checkWeekOpen(timesheets, getWeekStart(row.work_date));
+
+    if (lockedError) {
+      return res.status(409).json({ error: lockedError });
+    }
+
+    const capError = checkWeeklyCap(contract, entries, row);
+
+    if (capError) {
+      return res.status(400).json({ error: capError });
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.TIME_ENTRIES)
+      .insert({
+        ...row,
+        contract_id: id,
+        freelancer_id: userId,
+        created_at: new Date(),
+        updated_at: new Date(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(201).json(formatEntry(data));
+  } catch (error) {
+    console.error('Error logging time:', error);
+    res.status(500).json({ error: 'Failed to log time' });
+  }
+};
+
+/**
+ * Get a time entry the freelancer can still change
+ */
+const getEditableEntry = async (contract, entryId, userId, res) => {
+  if (contract.freelancer_id !== userId) {
+    res.status(403).json({ error: 'Only the freelancer can edit time entries' });
+    return null;
+  }
+
+  const { data: entry, error } = await supabase
+    .from(TABLES.TIME_ENTRIES)
+    .select('*')
+    .eq('id', entryId)
+    .eq('contract_id', contract.id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!entry) {
+    res.status(404).json({ error: 'Time entry not found' });
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Change a time entry in a week that has not been submitted
+ */
+const updateTimeEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const userId = req.user.id;
+    const contract = await getContractForUser(id, userId, res);
+
+    if (!contract) {
+      return;
+    }
+
+    const entry = await getEditableEntry(contract, entryId, userId, res);
+
+    if (!entry) {
+      return;
+    }
+
+    const { row, error: validationError } = buildEntryRow({
+      workDate: entry.work_date,
+      hours: entry.hours,
+      description: entry.description,
+      ...req.body,
+    });
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const [entries, timesheets] = await Promise.all([getEntries(id), getTimesheets(id)]);
+
+    // Both the old and the new week must still be open
+    const lockedError =
+      checkWeekOpen(timesheets, getWeekStart(entry.work_date)) ||
+      checkWeekOpen(timesheets, getWeekStart(row.work_date));
+
+    if (lockedError) {
+      return res.status(409).json({ error: lockedError });
+    }
+
+    const capError = checkWeeklyCap(contract, entries, row, entry.id);
+
+    if (capError) {
+      return res.status(400).json({ error: capError });
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.TIME_ENTRIES)
+      .update({
+        ...row,
+        updated_at: new Date(),
+      })
+      .eq('id', entryId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(200).json(formatEntry(data));
+  } catch (error) {
+    console.error('Error updating time entry:', error);
+    res.status(500).json({ error: 'Failed to update time entry' });
+  }
+};
+
+/**
+ * Delete a time entry in a week that has not been submitted
+ */
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const userId = req.user.id;
+    const contract = await getContractForUser(id, userId, res);
+
+    if (!contract) {
+      return;
+    }
+
+    const entry = await getEditableEntry(contract, entryId, userId, res);
+
+    if (!entry) {
+      return;
+    }
+
+    const lockedError = checkWeekOpen(await getTimesheets(id), getWeekStart(entry.work_date));
+
+    if (lockedError) {
+      return res.status(409).json({ error: lockedError });
+    }
+
+    const { error } = await supabase
+      .from(TABLES.TIME_ENTRIES)
+      .delete()
+      .eq('id', entryId);
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting time entry:', error);
+    res.status(500).json({ error: 'Failed to delete time entry' });
+  }
+};
+
+/**
+ * Submit a week's time for investor approval. A rejected week can be
+ * corrected and submitted again.
+ */
+const submitTimesheet = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const contract = await getContractForUser(id, userId, res);
+
+    if (!contract) {
+      return;
+    }
+
+    if (contract.freelancer_id !== userId) {
+      return res.status(403).json({ error: 'Only the freelancer can submit timesheets' });
+    }
+
+    if (!['active', 'completed'].includes(contract.status)) {
+      return res.status(400).json({ error: 'Timesheets can only be submitted on active or completed contracts' });
+    }
+
+    if (!req.body.weekStart || Number.isNaN(new Date(req.body.weekStart).getTime())) {
+      return res.status(400).json({ error: 'A valid week start date is required' });
+    }
+
+    const weekStart = getWeekStart(req.body.weekStart);
+    const [entries, timesheets] = await Promise.all([getEntries(id), getTimesheets(id)]);
+    const weekEntries = entries.filter(e => getWeekStart(e.work_date) === weekStart);
+
+    if (weekEntries.length === 0) {
+      return res.status(400).json({ error: `No time has been logged for the week of ${weekStart}` });
+    }
+
+    const lockedError = checkWeekOpen(timesheets, weekStart);
+
+    if (lockedError) {
+      return res.status(409).json({ error: lockedError });
+    }
+
+    const totalHours = sumHours(weekEntries);
+    const hourlyRate = Number(contract.hourly_rate);
+    const existing = timesheets.find(t => t.week_start === weekStart);
+
+    const timesheetData = {
+      total_hours: totalHours,
+      hourly_rate: hourlyRate,
+      amount: roundAmount(totalHours * hourlyRate),
+      status: 'submitted',
+      review_note: null,
+      reviewed_by: null,
+      reviewed_at: null,
+      submitted_at: new Date(),
+      updated_at: new Date(),
+    };
+
+    const query = existing
+      ? supabase
+        .from(TABLES.TIMESHEETS)
+        .update(timesheetData)
+        .eq('id', existing.id)
+        .eq('status', 'rejected')
+      : supabase
+        .from(TABLES.TIMESHEETS)
+        .insert({
+          ...timesheetData,
+          contract_id: id,
+          week_start: weekStart,
+          submitted_by: userId,
+          created_at: new Date(),
+        });
+
+    const { data: timesheet, error } = await query.select().single();
+
+    if (error) {
+      // Another request submitted the same week first
+      if (error.code === '23505' || error.code === 'PGRST116') {
+        return res.status(409).json({ error: `The timesheet for the week of ${weekStart} has already been submitted` });
+      }
+      throw error;
+    }
+
+    await contractEventLog.record(id, ContractEventLog.EVENT_TYPES.TIMESHEET_SUBMITTED, {
+      actorId: userId,
+      details: { timesheetId: timesheet.id, weekStart, hours: totalHours, amount: timesheet.amount },
+    });
+
+    res.status(existing ? 200 : 201).json(formatTimesheet(timesheet));
+  } catch (error) {
+    console.error('Error submitting timesheet:', error);
+    res.status(500).json({ error: 'Failed to submit timesheet' });
+  }
+};
+
+/**
+ * Approve or reject a submitted timesheet. Approving pays the week's amount
+ * out of the contract's escrowed budget.
+ */
+const reviewTimesheet = async (req, res) => {
+  try {
+    const { id, timesheetId } = req.params;
+    const { approve, note } = req.body;
+    const userId = req.user.id;
+
+    if (typeof approve !== 'boolean') {
+      return res.status(400).json({ error: 'Approve must be true or false' });
+    }
+
+    const contract = await getContractForUser(id, userId, res);
+
+    if (!contract) {
+      return;
+    }
+
+    if (contract.investor_id !== userId) {
+      return res.status(403).json({ error: 'Only the investor can review timesheets' });
+    }
+
+    if (!approve && !note) {
+      return res.status(400).json({ error: 'A note is required when rejecting a timesheet' });
+    }
+
+    const timesheets = await getTimesheets(id);
+    const timesheet = timesheets.find(t => t.id === timesheetId);
+
+    if (!timesheet || timesheet.status !== 'submitted') {
+      return res.status(404).json({ error: 'No submitted timesheet found' });
+    }
+
+    const timesheetUpdate = {
+      status: approve ? 'approved' : 'rejected',
+      review_note: note || null,
+      reviewed_by: userId,
+      reviewed_at: new Date(),
+      updated_at: new Date(),
+    };
+
+    if (approve) {
+      if (!['active', 'completed'].includes(contract.status)) {
+        return res.status(400).json({ error: 'Timesheets can only be paid on active or completed contracts' });
+      }
+
+      const { remainingBudget } = summarizeTimesheets(contract, timesheets, []);
+
+      if (Number(timesheet.amount) > remainingBudget) {
+        return res.status(400).json({
+          error: `Timesheet amount ${timesheet.amount} exceeds the remaining budget of ${remainingBudget}`,
+        });
+      }
+    }
+
+    // Claim the timesheet before paying it, so a second review of the same
+    // week finds it already approved instead of releasing the payment again
+    const { data: claimed, error } = await supabase
+      .from(TABLES.TIMESHEETS)
+      .update(timesheetUpdate)
+      .eq('id', timesheetId)
+      .eq('status', 'submitted')
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    if (claimed.length === 0) {
+      return res.status(409).json({ error: 'This timesheet has already been reviewed' });
+    }
+
+    let updatedTimesheet = claimed[0];
+
+    // Pay the approved hours out of escrow, returning the timesheet for
+    // review if the payment cannot be made
+    if (approve && contract.smart_contract_address && contract.blockchain_contract_id && Number(timesheet.amount) > 0) {
+      let transactionHash;
+      try {
+        ({ transactionHash } = await blockchainService.releasePayment(
+          contract.blockchain_contract_id,
+          timesheet.amount,
+          getDecimals(contract.currency)
+        ));
+      } catch (blockchainError) {
+        console.error('Error releasing timesheet payment on blockchain:', blockchainError);
+
+        const { error: rollbackError } = await supabase
+          .from(TABLES.TIMESHEETS)
+          .update({
+            status: 'submitted',
+            review_note: null,
+            reviewed_by: null,
+            reviewed_at: null,
+            updated_at: new Date(),
+          })
+          .eq('id', timesheetId)
+          .eq('status', 'approved');
+
+        if (rollbackError) {
+          console.error('Error returning timesheet for review:', rollbackError);
+        }
+
+        return res.status(502).json({
+          error: 'Blockchain transaction failed',
+          message: BlockchainService.formatError(blockchainError),
+        });
+      }
+
+      timesheetUpdate.transaction_hash = transactionHash;
+
+      const { data: paidTimesheet, error: paidError } = await supabase
+        .from(TABLES.TIMESHEETS)
+        .update({ transaction_hash: transactionHash, updated_at: new Date() })
+        .eq('id', timesheetId)
+        .select()
+        .single();
+
+      if (paidError) {
+        throw paidError;
+      }
+
+      updatedTimesheet = paidTimesheet;
+    }
+
+    await contractEventLog.record(
+      id,
+      approve
+        ? ContractEventLog.EVENT_TYPES.TIMESHEET_APPROVED
+        : ContractEventLog.EVENT_TYPES.TIMESHEET_REJECTED,
+      {
+        actorId: userId,
+        details: {
+          timesheetId,
+          weekStart: timesheet.week_start,
+          hours: Number(timesheet.total_hours),
+          amount: Number(timesheet.amount),
+          note: note || null,
+        },
+        transactionHash: timesheetUpdate.transaction_hash,
+      }
+    );
+
+    if (approve && Number(timesheet.amount) > 0) {
+      const description = `Hours for the week of ${timesheet.week_start}`;
+
+      await ledgerService.recordRelease(contract, {
+        amount: Number(timesheet.amount),
+        source: LedgerService.SOURCES.TIMESHEET,
+        sourceId: timesheetId,
+        description,
+        lineItems: [{
+          description,
+          quantity: Number(timesheet.total_hours),
+          unitPrice: Number(contract.hourly_rate),
+          amount: Number(timesheet.amount),
+        }],
+        transactionHash: timesheetUpdate.transaction_hash || null,
+      });
+    }
+
+    res.status(200).json(formatTimesheet(updatedTimesheet));
+  } catch (error) {
+    console.error('Error reviewing timesheet:', error);
+    res.status(500).json({ error: 'Failed to review timesheet' });
+  }
+};
+
+module.exports = {
+  getContractTimesheets,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  submitTimesheet,
+  reviewTimesheet,
+};
\ No newline at end of file
@@ -0,0 +1,186 @@
+const multer = require('multer');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const UploadService = require('../services/uploadService');
+const ContentStore = require('../services/contentStore');
+const TeamService = require('../services/teamService');
+
+// Create Supabase client
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Upload checks, with the configured virus scanner
+const uploadService = UploadService.fromConfig(config.uploads);
+const { REJECTIONS } = UploadService;
+
+// Deliverable file storage
+const contentStore = ContentStore.fromConfig(config.contentStore, supabase);
+
+const teamService = new TeamService({ supabase });
+const { ROLES, MEMBER_STATUSES } = TeamService;
+
+// Table names
+const TABLES = {
+  CONTRACTS: 'contracts',
+};
+
+// Response status for each reason a file is turned away
+const REJECTION_STATUS = {
+  [REJECTIONS.EMPTY]: 400,
+  [REJECTIONS.TOO_LARGE]: 413,
+  [REJECTIONS.TYPE_NOT_ALLOWED]: 415,
+  [REJECTIONS.INFECTED]: 422,
+};
+
+/**
+ * Parse the multipart body into memory, stopping at the bucket's size limit
+ * @returns {Promise<Object|undefined>} The "file" field, as parsed by multer
+ */
+const receiveFile = (req, res, policy) => new Promise((resolve, reject) => {
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: policy.maxSize, files: 1 },
+  }).single('file');
+  
+  parse(req, res, (error) => (error ? reject(error) : resolve(req.file)));
+});
+
+/**
+ * Store a profile image in the public avatars bucket
+ * @returns {Promise<Object>} { path, url }
+ */
+const storeAvatar = async (userId, file) => {
+  const filePath = `profile-images/${userId}-${Date.now()}.${file.extension}`;
+  
+  const { error } = await supabase.storage
+    .from('avatars')
+    .upload(filePath, file.bytes, {
+      contentType: file.mime,
+      cacheControl: '3600',
+      upsert: false,
+    });
+  
+  if (error) {
+    throw error;
+  }
+  
+  const { data } = supabase.storage.from('avatars').getPublicUrl(filePath);
+  
+  return { path: filePath, url: data.publicUrl };
+};
+
+/**
+ * Store a deliverable file in the private content store, after checking
+ * the user can deliver on the contract
+ * @returns {Promise<Object>} { path, content } or { status, error }
+ */
+const storeDeliverable = async (userId, contractId, file) => {
+  if (!contractId) {
+    return { status: 400, error: 'Contract is required' };
+  }
+  
+  const { data: contract, error } = await supabase
+    .from(TABLES.CONTRACTS)
+    .select('*')
+    .eq('id', contractId)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  
+  if (!contract) {
+    return { status: 404, error: 'Contract not found' };
+  }
+  
+  // Same rule as adding a deliverable: the lead freelancer or a team member who joined
+  const access = await teamService.getAccess(contract, userId);
+  const canDeliver = access && (
+    access.role === ROLES.LEAD ||
+    (access.role === ROLES.MEMBER && access.member.status === MEMBER_STATUSES.ACCEPTED)
+  );
+  
+  if (!canDeliver) {
+    return { status: 403, error: 'Only the freelancer or team members can upload deliverables' };
+  }
+  
+  if (contract.status !== 'active') {
+    return { status: 400, error: 'Can only upload deliverables to active contracts' };
+  }
+  
+  const { cid, sha256, size, filePath } = await contentStore.add(file.bytes, {
+    contractId,
+    fileName: `file.${file.extension}`,
+    contentType: file.mime,
+  });
+  
+  return { path: filePath, content: { cid, sha256, size } };
+};
+
+// Where each bucket's files are stored once they pass the checks
+const STORES = {
+  avatars: (req, file) => storeAvatar(req.user.id, file),
+  deliverables: (req, file) => storeDeliverable(req.user.id, req.body.contractId, file),
+};
+
+/**
+ * Upload a file to a bucket. The file is checked against the bucket's
+ * size and type limits, has image metadata removed and is virus scanned
+ * before it is stored.
+ */
+const uploadFile = async (req, res) => {
+  try {
+    const { bucket } = req.params;
+    const policy = uploadService.getPolicy(bucket);
+    
+    if (!policy || !STORES[bucket]) {
+      return res.status(404).json({ error: 'Unknown upload bucket' });
+    }
+    
+    let received;
+    try {
+      received = await receiveFile(req, res, policy);
+    } catch (error) {
+      if (error instanceof multer.MulterError) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          error: error.code === 'LIMIT_FILE_SIZE'
+            ? `File cannot be larger than ${Math.round(policy.maxSize / (1024 * 1024))} MB`
+            : error.message,
+        });
+      }
+      throw error;
+    }
+    
+    if (!received) {
+      return res.status(400).json({ error: 'File is required' });
+    }
+    
+    const file = await uploadService.process(bucket, received);
+    
+    if (file.error) {
+      if (file.reason === REJECTIONS.INFECTED) {
+        console.warn(`Upload to ${bucket} by ${req.user.id} rejected: ${file.threat}`);
+      }
+      return res.status(REJECTION_STATUS[file.reason] || 400).json({ error: file.error });
+    }
+    
+    const stored = await STORES[bucket](req, file);
+    
+    if (stored.error) {
+      return res.status(stored.status).json({ error: stored.error });
+    }
+    
+    res.status(201).json({
+      bucket,
+      ...stored,
+      mimeType: file.mime,
+      size: file.size,
+    });
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    res.status(500).json({ error: 'Failed to upload file' });
+  }
+};
+
+module.exports = {
+  uploadFile,
+};
\ No newline at end of file
@@ -4,11 +4,22 @@ const morgan = require('morgan');
 const config = require('./config/config');
 const { createClient } = require('@supabase/supabase-js');
 const StreamChat = require('stream-chat').StreamChat;
+const BlockchainService = require('./services/blockchainService');
+const BlockchainQueue = require('./services/blockchainQueue');
+const ChainIndexer = require('./services/chainIndexer');
+const DeadlineScheduler = require('./services/deadlineScheduler');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const contractRoutes = require('./routes/contractRoutes');
+const disputeRoutes = require('./routes/disputeRoutes');
+const contractTemplateRoutes = require('./routes/contractTemplateRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const currencyRoutes = require('./routes/currencyRoutes');
+const userRoutes = require('./routes/userRoutes');
 const aiRoutes = require('./routes/aiRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
 
 // Initialize Express app
 const app = express();
@@ -26,6 +37,24 @@ const streamClient = new StreamChat(
   config.streamChat.apiSecret
 );
 
+// Initialize blockchain job worker, event indexer and deadline scheduler
+const blockchainService = BlockchainService.shared(config.blockchain);
+const blockchainQueue = new BlockchainQueue({
+  supabase,
+  blockchainService,
+  ...config.blockchain.queue,
+});
+const chainIndexer = new ChainIndexer({
+  supabase,
+  blockchainService,
+  ...config.blockchain.indexer,
+});
+const deadlineScheduler = new DeadlineScheduler({
+  supabase,
+  blockchainService,
+  ...config.deadlines,
+});
+
 // Middleware
 app.use(cors(config.cors));
 app.use(express.json());
@@ -42,7 +71,14 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/contracts', contractRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/contract-templates', contractTemplateRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/uploads', uploadRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -66,6 +102,19 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Avatar Platform server running on port ${PORT}`);
+  
+  if (blockchainService.isConfigured()) {
+    blockchainQueue.start();
+    console.log('Blockchain job worker started');
+  }
+  
+  if (config.blockchain.contractAddress) {
+    chainIndexer.start();
+    console.log('Chain event indexer started');
+  }
+  
+  deadlineScheduler.start();
+  console.log('Deadline scheduler started');
 });
 
 module.exports = app;
\ No newline at end of file
@@ -46,9 +46,12 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+// Roles granted by the platform rather than chosen at sign-up
+const PLATFORM_ROLES = ['arbiter'];
+
 /**
  * Role-based authorization middleware
- * @param {string} role - Required role ('investor' or 'freelancer')
+ * @param {string} role - Required role ('investor', 'freelancer' or 'arbiter')
  */
 const authorizeRole = (role) => {
   return (req, res, next) => {
@@ -56,7 +59,11 @@ const authorizeRole = (role) => {
       return res.status(401).json({ error: 'Unauthorized - No user found' });
     }
     
-    const userRole = req.user.user_metadata?.user_type;
+    // Users can edit their own user_metadata, so platform roles are only
+    // trusted from app_metadata, which only the service role can set
+    const userRole = PLATFORM_ROLES.includes(role)
+      ? req.user.app_metadata?.role
+      : req.user.user_metadata?.user_type;
     
     if (role && userRole !== role) {
       return res.status(403).json({ error: 'Forbidden - Insufficient permissions' });
@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const contractController = require('../controllers/contractController');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const disputeController = require('../controllers/disputeController');
+const amendmentController = require('../controllers/amendmentController');
+const timesheetController = require('../controllers/timesheetController');
+const teamController = require('../controllers/teamController');
+const reviewController = require('../controllers/reviewController');
+const { authMiddleware, authorizeRole } = require('../middleware/authMiddleware');
 
 // All routes are protected
 router.use(authMiddleware);
@@ -9,12 +14,60 @@ router.use(authMiddleware);
 // Contract routes
 router.post('/', contractController.createContract);
 router.get('/', contractController.getUserContracts);
+router.post('/bulk', contractController.bulkContractAction);
 router.get('/:id', contractController.getContractById);
+router.get('/:id/export.pdf', contractController.exportContractPdf);
+router.get('/:id/history', contractController.getContractHistory);
+router.get('/:id/ledger', contractController.getContractLedger);
+router.get('/:id/payout-splits', contractController.getPayoutSplits);
+router.put('/:id/payout-splits', contractController.updatePayoutSplits);
+router.get('/:id/payout-preview', contractController.getPayoutPreview);
+router.get('/:id/blockchain-status', contractController.getBlockchainStatus);
 router.put('/:id/status', contractController.updateContractStatus);
 router.post('/:id/verify', contractController.verifyAndReleasePayment);
 
+// Signature routes
+router.get('/:id/signatures', contractController.getContractSignatures);
+router.post('/:id/signatures', contractController.signContract);
+router.post('/:id/signatures/email-code', contractController.requestSignatureCode);
+
 // Deliverable routes
 router.post('/:contractId/deliverables', contractController.addDeliverable);
 router.put('/deliverables/:id/status', contractController.updateDeliverableStatus);
+router.get('/deliverables/:id/versions', contractController.getDeliverableVersions);
+router.post('/deliverables/:id/versions', contractController.resubmitDeliverable);
+router.post('/deliverables/:id/comments', contractController.addDeliverableComment);
+router.post('/deliverables/:id/integrity', contractController.verifyDeliverableIntegrity);
+router.get('/deliverables/:id/download', contractController.getDeliverableDownload);
+
+// Amendment routes
+router.get('/:id/versions', amendmentController.getContractVersions);
+router.post('/:id/amendments', amendmentController.proposeAmendment);
+router.post('/:id/amendments/:versionId/respond', amendmentController.respondToAmendment);
+
+// Team routes
+router.get('/:id/team', teamController.getContractTeam);
+router.post('/:id/team', teamController.inviteTeamMember);
+router.post('/:id/team/:memberId/respond', teamController.respondToInvite);
+router.put('/:id/team/:memberId', teamController.updateTeamMember);
+router.delete('/:id/team/:memberId', teamController.removeTeamMember);
+
+// Review routes
+router.get('/:id/reviews', reviewController.getContractReviews);
+router.post('/:id/reviews', reviewController.submitReview);
+
+// Timesheet routes (hourly contracts)
+router.get('/:id/timesheets', timesheetController.getContractTimesheets);
+router.post('/:id/timesheets', timesheetController.submitTimesheet);
+router.post('/:id/timesheets/:timesheetId/review', timesheetController.reviewTimesheet);
+router.post('/:id/time-entries', timesheetController.addTimeEntry);
+router.put('/:id/time-entries/:entryId', timesheetController.updateTimeEntry);
+router.delete('/:id/time-entries/:entryId', timesheetController.deleteTimeEntry);
+
+// Dispute routes
+router.post('/:id/disputes', disputeController.raiseDispute);
+router.get('/:id/disputes', disputeController.getContractDisputes);
+router.post('/:id/disputes/:disputeId/evidence', disputeController.addEvidence);
+router.post('/:id/disputes/:disputeId/resolve', authorizeRole('arbiter'), disputeController.resolveDispute);
 
 module.exports = router;
\ No newline at end of file
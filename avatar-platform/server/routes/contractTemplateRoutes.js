@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const contractTemplateController = require('../controllers/contractTemplateController');
+const { authMiddleware, authorizeRole } = require('../middleware/authMiddleware');
+
+// All routes are protected
+router.use(authMiddleware);
+
+// Template routes
+router.get('/', contractTemplateController.getTemplates);
+router.get('/:id', contractTemplateController.getTemplateById);
+router.post('/', authorizeRole('investor'), contractTemplateController.createTemplate);
+router.put('/:id', authorizeRole('investor'), contractTemplateController.updateTemplate);
+router.delete('/:id', authorizeRole('investor'), contractTemplateController.deleteTemplate);
+router.post('/:id/render', contractTemplateController.renderTemplate);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const currencyController = require('../controllers/currencyController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+// All routes are protected
+router.use(authMiddleware);
+
+// Currency routes
+router.get('/', currencyController.getCurrencies);
+router.get('/convert', currencyController.convertAmount);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const disputeController = require('../controllers/disputeController');
+const { authMiddleware, authorizeRole } = require('../middleware/authMiddleware');
+
+// All routes are protected and limited to arbiters
+router.use(authMiddleware);
+router.use(authorizeRole('arbiter'));
+
+// Dispute routes
+router.get('/', disputeController.getOpenDisputes);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const fileController = require('../controllers/fileController');
+
+// Signed download URLs carry their own authorization
+router.get('/local', fileController.downloadLocalFile);
+
+module.exports = router;
\ No newline at end of file
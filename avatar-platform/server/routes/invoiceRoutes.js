@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+// All routes are protected
+router.use(authMiddleware);
+
+// Invoice routes
+router.get('/', invoiceController.getInvoices);
+router.get('/summary', invoiceController.getFinancialSummary);
+
+module.exports = router;
\ No newline at end of file
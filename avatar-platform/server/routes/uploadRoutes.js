@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const uploadController = require('../controllers/uploadController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+// All routes are protected
+router.use(authMiddleware);
+
+// Upload routes
+router.post('/:bucket', uploadController.uploadFile);
+
+module.exports = router;
\ No newline at end of file
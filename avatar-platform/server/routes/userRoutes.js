@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const matchingController = require('../controllers/matchingController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+// All routes are protected
+router.use(authMiddleware);
+
+// Matching routes, before /:id so it is not read as a user ID
+router.get('/recommendations', matchingController.getRecommendations);
+
+// Reputation routes
+router.get('/:id/reviews', reviewController.getUserReviews);
+router.get('/:id/reputation', reviewController.getUserReputation);
+
+module.exports = router;
\ No newline at end of file
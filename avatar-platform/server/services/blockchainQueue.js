@@ -0,0 +1,433 @@
+const BlockchainService = require('./blockchainService');
+const LedgerService = require('./ledgerService');
+
+// Table names
+const TABLES = {
+  CONTRACTS: 'contracts',
+  BLOCKCHAIN_JOBS: 'blockchain_jobs',
+};
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+const JOB_TYPES = {
+  CREATE_CONTRACT: 'create_contract',
+};
+
+/**
+ * Durable queue for blockchain transactions.
+ * Jobs are persisted in Supabase so work survives a server restart, retried
+ * with exponential backoff, and keyed per contract so they run at most once.
+ *
+ * Only contract creation is queued, because the creator gets a response
+ * before the escrow is funded. Status changes, verification and payment
+ * releases are sent while the user waits: the database only changes once the
+ * transaction is confirmed, and a failure is returned (502) for the user to
+ * retry rather than retried in the background.
+ */
+class BlockchainQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Object} options.supabase - Supabase client
+   * @param {BlockchainService} options.blockchainService - Service used to submit transactions
+   * @param {number} options.pollInterval - Delay between worker polls in ms
+   * @param {number} options.maxAttempts - Attempts before a job is marked failed
+   * @param {number} options.retryDelay - Base retry delay in ms, doubled on each attempt
+   * @param {number} options.lockTimeout - Time after which a processing job is considered abandoned
+   * @param {number} options.batchSize - Jobs claimed per poll
+   */
+  constructor({
+    supabase,
+    blockchainService,
+    pollInterval = 5000,
+    maxAttempts = 5,
+    retryDelay = 10000,
+    lockTimeout = 300000,
+    batchSize = 5,
+  }) {
+    this.supabase = supabase;
+    this.blockchainService = blockchainService;
+    this.ledgerService = new LedgerService({ supabase });
+    this.pollInterval = pollInterval;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.lockTimeout = lockTimeout;
+    this.batchSize = batchSize;
+    this.running = false;
+    this.timer = null;
+
+    this.handlers = {
+      [JOB_TYPES.CREATE_CONTRACT]: (job) => this.processCreateContract(job),
+    };
+  }
+
+  /**
+   * Add a job to the queue. Enqueuing the same job type twice for a
+   * contract returns the existing job instead of creating a duplicate.
+   * @param {string} jobType - One of JOB_TYPES
+   * @param {string} contractId - Database contract ID
+   * @param {Object} payload - Job parameters
+   * @returns {Promise<Object>} Job row
+   */
+  async enqueue(jobType, contractId, payload = {}) {
+    const idempotencyKey = `${jobType}:${contractId}`;
+
+    const existing = await this.getJobByKey(idempotencyKey);
+    if (existing) {
+      return existing;
+    }
+
+    const { data, error } = await this.supabase
+      .from(TABLES.BLOCKCHAIN_JOBS)
+      .insert({
+        contract_id: contractId,
+        job_type: jobType,
+        idempotency_key: idempotencyKey,
+        payload,
+        status: JOB_STATUS.PENDING,
+        attempts: 0,
+        max_attempts: this.maxAttempts,
+        next_attempt_at: new Date(),
+        created_at: new Date(),
+        updated_at: new Date(),
+      })
+      .select()
+      .single();
+
+    // Unique violation: another request enqueued the job first
+    if (error && error.code === '23505') {
+      return this.getJobByKey(idempotencyKey);
+    }
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a job by its idempotency key
+   * @param {string} idempotencyKey - Idempotency key
+   * @returns {Promise<Object|null>} Job row or null
+   */
+  async getJobByKey(idempotencyKey) {
+    const { data, error } = await this.supabase
+      .from(TABLES.BLOCKCHAIN_JOBS)
+      .select('*')
+      .eq('idempotency_key', idempotencyKey)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get all jobs for a contract, newest first
+   * @param {string} contractId - Database contract ID
+   * @returns {Promise<Array>} Job rows
+   */
+  async getJobsForContract(contractId) {
+    const { data, error } = await this.supabase
+      .from(TABLES.BLOCKCHAIN_JOBS)
+      .select('*')
+      .eq('contract_id', contractId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Start the worker loop
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.scheduleNext(0);
+  }
+
+  /**
+   * Stop the worker loop. A job already in flight finishes on its own.
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleNext(delay) {
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    try {
+      await this.processDueJobs();
+    } catch (error) {
+      console.error('Blockchain queue error:', error);
+    } finally {
+      if (this.running) {
+        this.scheduleNext(this.pollInterval);
+      }
+    }
+  }
+
+  /**
+   * Claim and run jobs that are due, including jobs abandoned by a crashed worker
+   */
+  async processDueJobs() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.lockTimeout);
+
+    const { data: dueJobs, error: dueError } = await this.supabase
+      .from(TABLES.BLOCKCHAIN_JOBS)
+      .select('*')
+      .eq('status', JOB_STATUS.PENDING)
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(this.batchSize);
+
+    if (dueError) {
+      throw dueError;
+    }
+
+    const { data: staleJobs, error: staleError } = await this.supabase
+      .from(TABLES.BLOCKCHAIN_JOBS)
+      .select('*')
+      .eq('status', JOB_STATUS.PROCESSING)
+      .lt('locked_at', staleBefore.toISOString())
+      .limit(this.batchSize);
+
+    if (staleError) {
+      throw staleError;
+    }
+
+    for (const job of [...dueJobs, ...staleJobs]) {
+      const claimedJob = await this.claim(job);
+      if (claimedJob) {
+        await this.runJob(claimedJob);
+      }
+    }
+  }
+
+  /**
+   * Claim a job with an optimistic lock on its status and attempt count
+   * @param {Object} job - Job row as read by the worker
+   * @returns {Promise<Object|null>} Claimed job, or null if another worker won
+   */
+  async claim(job) {
+    const { data, error } = await this.supabase
+      .from(TABLES.BLOCKCHAIN_JOBS)
+      .update({
+        status: JOB_STATUS.PROCESSING,
+        attempts: job.attempts + 1,
+        locked_at: new Date(),
+        updated_at: new Date(),
+      })
+      .eq('id', job.id)
+      .eq('status', job.status)
+      .eq('attempts', job.attempts)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  async runJob(job) {
+    const handler = this.handlers[job.job_type];
+
+    try {
+      if (!handler) {
+        throw new Error(`Unknown blockchain job type: ${job.job_type}`);
+      }
+
+      const result = await handler(job);
+
+      await this.updateJob(job.id, {
+        status: JOB_STATUS.CONFIRMED,
+        transaction_hash: result.transactionHash,
+        last_error: null,
+        locked_at: null,
+      });
+    } catch (error) {
+      console.error(`Blockchain job ${job.id} failed (attempt ${job.attempts}):`, error);
+      await this.handleFailure(job, error);
+    }
+  }
+
+  /**
+   * Reschedule a failed job with backoff, or mark it and its contract failed
+   * once the attempts are exhausted
+   */
+  async handleFailure(job, error) {
+    const message = BlockchainService.formatError(error);
+
+    if (job.attempts >= job.max_attempts) {
+      await this.updateJob(job.id, {
+        status: JOB_STATUS.FAILED,
+        last_error: message,
+        locked_at: null,
+      });
+
+      const { error: contractError } = await this.supabase
+        .from(TABLES.CONTRACTS)
+        .update({
+          status: 'error',
+          blockchain_error: message,
+          updated_at: new Date(),
+        })
+        .eq('id', job.contract_id);
+
+      if (contractError) {
+        console.error('Error flagging contract after failed job:', contractError);
+      }
+      return;
+    }
+
+    const delay = this.retryDelay * 2 ** (job.attempts - 1);
+
+    await this.updateJob(job.id, {
+      status: JOB_STATUS.PENDING,
+      last_error: message,
+      locked_at: null,
+      next_attempt_at: new Date(Date.now() + delay),
+    });
+  }
+
+  async updateJob(jobId, updates) {
+    const { error } = await this.supabase
+      .from(TABLES.BLOCKCHAIN_JOBS)
+      .update({ ...updates, updated_at: new Date() })
+      .eq('id', jobId);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create the on-chain contract for a database contract
+   * @param {Object} job - Claimed job
+   * @returns {Promise<Object>} Transaction hash and on-chain contract ID
+   */
+  async processCreateContract(job) {
+    const { freelancerAddress, value, termsUri, milestones = [], hourly = false } = job.payload;
+
+    const { data: contract, error: contractError } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .select('*')
+      .eq('id', job.contract_id)
+      .single();
+
+    if (contractError) {
+      throw contractError;
+    }
+
+    // An earlier attempt already recorded the on-chain contract
+    if (contract.blockchain_contract_id) {
+      await this.recordFunding(contract, value, contract.transaction_hash);
+      return {
+        transactionHash: contract.transaction_hash,
+        blockchainContractId: contract.blockchain_contract_id,
+      };
+    }
+
+    // Resume a transaction broadcast by an earlier attempt instead of sending a duplicate
+    let result = null;
+    if (job.transaction_hash) {
+      const receipt = await this.blockchainService.waitForTransaction(job.transaction_hash);
+      if (receipt) {
+        result = this.blockchainService.parseCreatedContract(receipt);
+      }
+    }
+
+    if (!result) {
+      result = await this.blockchainService.createContract(freelancerAddress, termsUri, value, {
+        milestones,
+        hourly,
+        onSubmitted: (transactionHash) =>
+          this.updateJob(job.id, { transaction_hash: transactionHash }),
+      });
+    }
+
+    // The escrow fixes its fee at creation, so the ledger follows the chain
+    const platformFeeBps = await this.blockchainService.getContractFeeBps(result.blockchainContractId);
+
+    const link = {
+      smart_contract_address: this.blockchainService.contractAddress,
+      blockchain_contract_id: result.blockchainContractId,
+      transaction_hash: result.transactionHash,
+      platform_fee_bps: platformFeeBps,
+      blockchain_error: null,
+      updated_at: new Date(),
+    };
+
+    // Only a draft becomes pending; a contract cancelled while the transaction
+    // was mined keeps its status and is only linked to its escrow
+    const { data: advanced, error } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .update({ ...link, status: 'pending' })
+      .eq('id', job.contract_id)
+      .eq('status', 'draft')
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (advanced.length === 0) {
+      console.warn(`Blockchain queue: contract ${job.contract_id} left draft before on-chain contract ${result.blockchainContractId} was created`);
+
+      const { error: linkError } = await this.supabase
+        .from(TABLES.CONTRACTS)
+        .update(link)
+        .eq('id', job.contract_id);
+
+      if (linkError) {
+        throw linkError;
+      }
+    }
+
+    await this.recordFunding(contract, value, result.transactionHash);
+
+    return result;
+  }
+
+  /**
+   * Record the escrow deposited with a new on-chain contract
+   * @param {Object} contract - Contract row
+   * @param {string|number} value - Deposited value
+   * @param {string} transactionHash - Creation transaction
+   * @returns {Promise<void>}
+   */
+  async recordFunding(contract, value, transactionHash) {
+    if (Number(value) > 0) {
+      await this.ledgerService.recordFunding(contract, {
+        amount: Number(value),
+        transactionHash,
+      });
+    }
+  }
+}
+
+BlockchainQueue.JOB_STATUS = JOB_STATUS;
+BlockchainQueue.JOB_TYPES = JOB_TYPES;
+
+module.exports = BlockchainQueue;
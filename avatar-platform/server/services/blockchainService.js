@@ -0,0 +1,467 @@
+const ethers = require('ethers');
+const AvatarContractABI = require('../contracts/AvatarContract.json');
+
+// Mirrors the ContractStatus enum in AvatarContract.sol
+const CONTRACT_STATUS = {
+  pending: 0,
+  active: 1,
+  completed: 2,
+  cancelled: 3,
+  disputed: 4,
+};
+
+let sharedInstance = null;
+
+/**
+ * Service for submitting AvatarContract transactions from the server.
+ * All transactions are signed by the platform operator wallet.
+ */
+class BlockchainService {
+  /**
+   * @param {Object} options - Blockchain configuration
+   * @param {string} options.rpcUrl - JSON-RPC endpoint
+   * @param {string} options.privateKey - Operator wallet private key
+   * @param {string} options.contractAddress - Deployed AvatarContract address
+   * @param {string|number} options.chainId - Expected chain ID (optional)
+   * @param {number} options.confirmations - Confirmations to wait for each transaction
+   */
+  constructor({ rpcUrl, privateKey, contractAddress, chainId, confirmations = 1 } = {}) {
+    this.rpcUrl = rpcUrl;
+    this.privateKey = privateKey;
+    this.contractAddress = contractAddress;
+    this.chainId = chainId ? Number(chainId) : undefined;
+    this.confirmations = confirmations;
+    this.provider = null;
+    this.contract = null;
+    this.readOnlyContract = null;
+  }
+
+  /**
+   * The instance shared by the whole process. Every instance wraps the
+   * operator wallet in its own NonceManager, so two instances signing with
+   * the same key would give concurrent transactions the same nonce.
+   * @param {Object} options - Blockchain configuration, used by the first call
+   * @returns {BlockchainService} Shared service
+   */
+  static shared(options) {
+    if (!sharedInstance) {
+      sharedInstance = new BlockchainService(options);
+    }
+
+    return sharedInstance;
+  }
+
+  /**
+   * Whether a signer and contract address have been configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.rpcUrl && this.privateKey && this.contractAddress);
+  }
+
+  /**
+   * Lazily create the JSON-RPC provider
+   * @returns {ethers.JsonRpcProvider} Provider
+   */
+  getProvider() {
+    if (!this.rpcUrl) {
+      throw new Error('Blockchain RPC URL is not configured');
+    }
+
+    if (!this.provider) {
+      this.provider = new ethers.JsonRpcProvider(this.rpcUrl, this.chainId);
+    }
+
+    return this.provider;
+  }
+
+  /**
+   * Contract instance for reading state and events, no signer required
+   * @returns {ethers.Contract} Contract connected to the provider
+   */
+  getReadOnlyContract() {
+    if (!this.contractAddress) {
+      throw new Error('Contract address is not configured');
+    }
+
+    if (!this.readOnlyContract) {
+      this.readOnlyContract = new ethers.Contract(
+        this.contractAddress,
+        AvatarContractABI.abi,
+        this.getProvider()
+      );
+    }
+
+    return this.readOnlyContract;
+  }
+
+  /**
+   * Lazily create the signer and contract instance
+   * @returns {ethers.Contract} Contract connected to the operator wallet
+   */
+  getContract() {
+    if (!this.isConfigured()) {
+      throw new Error('Blockchain signer is not configured');
+    }
+
+    if (!this.contract) {
+      const provider = this.getProvider();
+      // NonceManager keeps sequential transactions from reusing a stale nonce
+      const signer = new ethers.NonceManager(new ethers.Wallet(this.privateKey, provider));
+      this.contract = new ethers.Contract(this.contractAddress, AvatarContractABI.abi, signer);
+    }
+
+    return this.contract;
+  }
+
+  /**
+   * Register the operator as an investor on-chain if it is not already
+   */
+  async ensureOperatorProfile() {
+    const contract = this.getContract();
+    const operatorAddress = await contract.runner.getAddress();
+    const profile = await contract.profiles(operatorAddress);
+
+    if (!profile.exists) {
+      await this.sendTransaction('createProfile', ['', true]);
+    }
+  }
+
+  /**
+   * Send a contract transaction and wait for the configured confirmations
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @param {Object} overrides - Transaction overrides (value, gasLimit, etc.)
+   * @param {Function} onSubmitted - Called with the hash once the transaction is broadcast
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async sendTransaction(method, args = [], overrides = {}, onSubmitted = null) {
+    const contract = this.getContract();
+
+    let tx;
+    try {
+      tx = await contract[method](...args, overrides);
+    } catch (error) {
+      // The transaction was never broadcast, so resync the nonce
+      contract.runner.reset();
+      throw error;
+    }
+
+    if (onSubmitted) {
+      await onSubmitted(tx.hash);
+    }
+
+    const receipt = await tx.wait(this.confirmations);
+
+    if (!receipt || receipt.status !== 1) {
+      throw new Error(`Transaction ${tx.hash} for ${method} failed`);
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Wait for a previously broadcast transaction to be confirmed
+   * @param {string} transactionHash - Transaction hash
+   * @returns {Promise<Object|null>} Receipt, or null if the node does not know the transaction
+   */
+  async waitForTransaction(transactionHash) {
+    const provider = this.getProvider();
+    const tx = await provider.getTransaction(transactionHash);
+
+    if (!tx) {
+      return null;
+    }
+
+    const receipt = await provider.waitForTransaction(transactionHash, this.confirmations);
+
+    if (!receipt || receipt.status !== 1) {
+      throw new Error(`Transaction ${transactionHash} failed`);
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Look up ether an investor sent to the operator wallet, which funds the
+   * escrow the operator then creates on their behalf
+   * @param {string} transactionHash - Deposit transaction hash
+   * @returns {Promise<Object|null>} Sender and value in wei, or null if the transaction
+   * is unknown, failed, not yet confirmed or not a transfer to the operator
+   */
+  async getDeposit(transactionHash) {
+    const provider = this.getProvider();
+    const [tx, receipt] = await Promise.all([
+      provider.getTransaction(transactionHash),
+      provider.getTransactionReceipt(transactionHash),
+    ]);
+
+    if (!tx || !receipt || receipt.status !== 1) {
+      return null;
+    }
+
+    if ((await receipt.confirmations()) < this.confirmations) {
+      return null;
+    }
+
+    const operatorAddress = await this.getContract().runner.getAddress();
+    if (!tx.to || tx.to.toLowerCase() !== operatorAddress.toLowerCase()) {
+      return null;
+    }
+
+    return { from: tx.from, value: tx.value };
+  }
+
+  /**
+   * Create an escrowed contract on-chain
+   * @param {string} freelancerAddress - Freelancer wallet address
+   * @param {string} termsURI - URI of the contract terms
+   * @param {string|number} value - Escrow value in ether
+   * @param {Object} options - Optional settings
+   * @param {Array} options.milestones - Milestones ({ amount, dueDate }) splitting the escrow
+   * @param {boolean} options.hourly - Hold the value as a budget paid out per approved timesheet
+   * @param {Function} options.onSubmitted - Called with the hash once the transaction is broadcast
+   * @returns {Promise<Object>} Transaction hash and on-chain contract ID
+   */
+  async createContract(freelancerAddress, termsURI, value, { milestones = [], hourly = false, onSubmitted = null } = {}) {
+    await this.ensureOperatorProfile();
+
+    const overrides = { value: ethers.parseEther(String(value || 0)) };
+    let receipt;
+
+    if (milestones.length > 0) {
+      receipt = await this.sendTransaction(
+        'createContractWithMilestones',
+        [
+          freelancerAddress,
+          termsURI,
+          milestones.map(m => ethers.parseEther(String(m.amount))),
+          milestones.map(m => (m.dueDate ? Math.floor(new Date(m.dueDate).getTime() / 1000) : 0)),
+        ],
+        overrides,
+        onSubmitted
+      );
+    } else if (hourly) {
+      receipt = await this.sendTransaction(
+        'createHourlyContract',
+        [freelancerAddress, termsURI],
+        overrides,
+        onSubmitted
+      );
+    } else {
+      receipt = await this.sendTransaction(
+        'createContract',
+        [freelancerAddress, termsURI],
+        overrides,
+        onSubmitted
+      );
+    }
+
+    return this.parseCreatedContract(receipt);
+  }
+
+  /**
+   * Read the on-chain contract ID from a createContract receipt
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Object} Transaction hash and on-chain contract ID
+   */
+  parseCreatedContract(receipt) {
+    const event = this.findEvent(receipt, 'ContractCreated');
+    if (!event) {
+      throw new Error(`ContractCreated event missing from ${receipt.hash}`);
+    }
+
+    return {
+      transactionHash: receipt.hash,
+      blockchainContractId: event.args.contractId.toString(),
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * Update the status of an on-chain contract
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @param {string} status - Database status name
+   * @returns {Promise<Object>} Transaction hash
+   */
+  async updateContractStatus(blockchainContractId, status) {
+    if (!(status in CONTRACT_STATUS)) {
+      throw new Error(`Status ${status} has no on-chain equivalent`);
+    }
+
+    const receipt = await this.sendTransaction('updateContractStatus', [
+      blockchainContractId,
+      CONTRACT_STATUS[status],
+    ]);
+
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Point an on-chain contract at amended terms
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @param {string} termsURI - URI of the amended terms
+   * @returns {Promise<Object>} Transaction hash
+   */
+  async amendTerms(blockchainContractId, termsURI) {
+    const receipt = await this.sendTransaction('amendTerms', [blockchainContractId, termsURI]);
+
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Record a deliverable's content URI on an on-chain contract
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @param {string} deliverableURI - ipfs://<cid> of the deliverable's content
+   * @returns {Promise<Object>} Transaction hash
+   */
+  async addDeliverable(blockchainContractId, deliverableURI) {
+    const receipt = await this.sendTransaction('addDeliverable', [blockchainContractId, deliverableURI]);
+
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Release the escrowed tranche of one milestone to the freelancer
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @param {number} milestoneIndex - Milestone position on-chain
+   * @returns {Promise<Object>} Transaction hash
+   */
+  async releaseMilestone(blockchainContractId, milestoneIndex) {
+    const receipt = await this.sendTransaction('releaseMilestone', [
+      blockchainContractId,
+      milestoneIndex,
+    ]);
+
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Pay the freelancer part of an hourly contract's budget
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @param {string|number} amount - Amount in the contract's currency
+   * @param {number} decimals - Decimals of the escrowed currency, 18 for ether
+   * @returns {Promise<Object>} Transaction hash
+   */
+  async releasePayment(blockchainContractId, amount, decimals = 18) {
+    const receipt = await this.sendTransaction('releasePayment', [
+      blockchainContractId,
+      ethers.parseUnits(String(amount), decimals),
+    ]);
+
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Verify an on-chain contract and release the escrow to the freelancer
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @returns {Promise<Object>} Transaction hash
+   */
+  async verifyAndReleasePayment(blockchainContractId) {
+    const receipt = await this.sendTransaction('verifyAndReleasePayment', [
+      blockchainContractId,
+    ]);
+
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Replace the wallets sharing the freelancer's payments on a contract
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @param {Array} splits - Splits ({ walletAddress, shareBps })
+   * @returns {Promise<Object>} Transaction hash
+   */
+  async setPayoutSplits(blockchainContractId, splits) {
+    const receipt = await this.sendTransaction('setPayoutSplits', [
+      blockchainContractId,
+      splits.map(s => s.walletAddress),
+      splits.map(s => s.shareBps),
+    ]);
+
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Read the platform fee fixed for an on-chain contract when it was created
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @returns {Promise<number>} Fee in basis points
+   */
+  async getContractFeeBps(blockchainContractId) {
+    const feeBps = await this.getContract().contractFeeBps(blockchainContractId);
+    return Number(feeBps);
+  }
+
+  /**
+   * Read the reputation AvatarContract has counted for a wallet, one point
+   * per contract verified with it as the freelancer
+   * @param {string} walletAddress - Profile wallet
+   * @returns {Promise<number>} Reputation, 0 for wallets without a profile
+   */
+  async getReputation(walletAddress) {
+    const profile = await this.getReadOnlyContract().profiles(walletAddress);
+    return Number(profile.reputation);
+  }
+
+  /**
+   * Read the deliverable URIs recorded on an on-chain contract
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @returns {Promise<Array<string>>} URIs in the order they were added
+   */
+  async getDeliverables(blockchainContractId) {
+    const uris = await this.getReadOnlyContract().getDeliverables(blockchainContractId);
+    return [...uris];
+  }
+
+  /**
+   * Settle a disputed contract by splitting its remaining escrow
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @param {string|number} freelancerAmount - Amount paid to the freelancer, the rest is refunded
+   * @param {number} decimals - Decimals of the escrowed currency, 18 for ether
+   * @returns {Promise<Object>} Transaction hash
+   */
+  async resolveDispute(blockchainContractId, freelancerAmount, decimals = 18) {
+    const receipt = await this.sendTransaction('resolveDispute', [
+      blockchainContractId,
+      ethers.parseUnits(String(freelancerAmount || 0), decimals),
+    ]);
+
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Find a parsed AvatarContract event in a transaction receipt
+   * @param {Object} receipt - Transaction receipt
+   * @param {string} eventName - Event name
+   * @returns {Object|null} Parsed log or null if not found
+   */
+  findEvent(receipt, eventName) {
+    const contract = this.getContract();
+
+    for (const log of receipt.logs) {
+      try {
+        const parsedLog = contract.interface.parseLog(log);
+        if (parsedLog && parsedLog.name === eventName) {
+          return parsedLog;
+        }
+      } catch (e) {
+        // Skip logs emitted by other contracts
+        continue;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract a readable message from an ethers error
+   * @param {Error} error - Error thrown by a contract call
+   * @returns {string} Revert reason or error message
+   */
+  static formatError(error) {
+    return error.reason || error.shortMessage || error.message;
+  }
+}
+
+BlockchainService.CONTRACT_STATUS = CONTRACT_STATUS;
+
+module.exports = BlockchainService;
@@ -0,0 +1,558 @@
+const ethers = require('ethers');
+const BlockchainService = require('./blockchainService');
+const ContentStore = require('./contentStore');
+const LedgerService = require('./ledgerService');
+const { getDecimals } = require('../config/currencies');
+
+// Table names
+const TABLES = {
+  CONTRACTS: 'contracts',
+  DELIVERABLES: 'deliverables',
+  MILESTONES: 'milestones',
+  DISPUTES: 'disputes',
+  CONTRACT_VERSIONS: 'contract_versions',
+  TIMESHEETS: 'timesheets',
+  CHAIN_CURSORS: 'chain_cursors',
+};
+
+const CURSOR_NAME = 'avatar_contract';
+
+// On-chain status enum value -> database status
+const STATUS_BY_VALUE = Object.fromEntries(
+  Object.entries(BlockchainService.CONTRACT_STATUS).map(([name, value]) => [value, name])
+);
+
+// Status changes AvatarContract can report for each database status. Events
+// are indexed several confirmations late, so any other change is a stale
+// event the database has already moved past. Disputes are settled through
+// DisputeResolved instead.
+const FORWARD_TRANSITIONS = {
+  pending: ['active', 'cancelled'],
+  active: ['completed', 'cancelled', 'disputed'],
+  completed: ['disputed'],
+  error: ['cancelled'],
+};
+
+/**
+ * Tails AvatarContract events and reconciles them into the contracts,
+ * deliverables, milestones, disputes, contract_versions and timesheets tables, so changes made directly through a wallet are reflected
+ * in the database. Only blocks with enough confirmations are processed, which
+ * keeps shallow reorgs from ever reaching the database.
+ */
+class ChainIndexer {
+  /**
+   * @param {Object} options - Indexer options
+   * @param {Object} options.supabase - Supabase client
+   * @param {BlockchainService} options.blockchainService - Service providing the contract
+   * @param {number} options.startBlock - First block to index when no cursor is stored
+   * @param {number} options.confirmations - Blocks to wait before indexing a block
+   * @param {number} options.pollInterval - Delay between polls in ms
+   * @param {number} options.blockRange - Maximum blocks queried per poll
+   */
+  constructor({
+    supabase,
+    blockchainService,
+    startBlock = 0,
+    confirmations = 6,
+    pollInterval = 15000,
+    blockRange = 1000,
+  }) {
+    this.supabase = supabase;
+    this.blockchainService = blockchainService;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.pollInterval = pollInterval;
+    this.blockRange = blockRange;
+    this.ledgerService = new LedgerService({ supabase });
+    this.running = false;
+    this.timer = null;
+
+    this.handlers = {
+      ContractCreated: (event) => this.handleContractCreated(event),
+      ContractStatusUpdated: (event) => this.handleStatusUpdated(event),
+      DeliverableAdded: (event) => this.handleDeliverableAdded(event),
+      MilestoneReleased: (event) => this.handleMilestoneReleased(event),
+      PaymentReleased: (event) => this.handlePaymentReleased(event),
+      ContractVerified: (event) => this.handleContractVerified(event),
+      DisputeResolved: (event) => this.handleDisputeResolved(event),
+      ContractAmended: (event) => this.handleContractAmended(event),
+    };
+  }
+
+  /**
+   * Start polling for new events
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.scheduleNext(0);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleNext(delay) {
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    let caughtUp = true;
+
+    try {
+      caughtUp = await this.indexNextRange();
+    } catch (error) {
+      console.error('Chain indexer error:', error);
+    } finally {
+      // Keep going immediately while catching up on a backlog of blocks
+      if (this.running) {
+        this.scheduleNext(caughtUp ? this.pollInterval : 0);
+      }
+    }
+  }
+
+  /**
+   * Get the last indexed block number
+   * @returns {Promise<number>} Block number, or startBlock - 1 if nothing is indexed yet
+   */
+  async getCursor() {
+    const { data, error } = await this.supabase
+      .from(TABLES.CHAIN_CURSORS)
+      .select('*')
+      .eq('name', CURSOR_NAME)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data ? Number(data.last_block) : this.startBlock - 1;
+  }
+
+  async saveCursor(blockNumber) {
+    const { error } = await this.supabase
+      .from(TABLES.CHAIN_CURSORS)
+      .upsert(
+        {
+          name: CURSOR_NAME,
+          contract_address: this.blockchainService.contractAddress,
+          last_block: blockNumber,
+          updated_at: new Date(),
+        },
+        { onConflict: 'name' }
+      );
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Index the next range of confirmed blocks
+   * @returns {Promise<boolean>} True once the indexer has reached the confirmed head
+   */
+  async indexNextRange() {
+    const contract = this.blockchainService.getReadOnlyContract();
+    const head = await this.blockchainService.getProvider().getBlockNumber();
+    const confirmedHead = head - this.confirmations;
+
+    const fromBlock = (await this.getCursor()) + 1;
+    if (fromBlock > confirmedHead) {
+      return true;
+    }
+
+    const toBlock = Math.min(fromBlock + this.blockRange - 1, confirmedHead);
+    const events = await contract.queryFilter('*', fromBlock, toBlock);
+
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    for (const event of events) {
+      const handler = this.handlers[event.eventName];
+      if (handler) {
+        await handler(event);
+      }
+    }
+
+    await this.saveCursor(toBlock);
+
+    return toBlock === confirmedHead;
+  }
+
+  /**
+   * Find the database contract for an on-chain contract ID
+   * @param {string} blockchainContractId - On-chain contract ID
+   * @returns {Promise<Object|null>} Contract row or null
+   */
+  async findContract(blockchainContractId) {
+    const { data, error } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .select('*')
+      .eq('smart_contract_address', this.blockchainService.contractAddress)
+      .eq('blockchain_contract_id', blockchainContractId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  async updateContract(contractId, updates) {
+    const { error } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .update({ ...updates, updated_at: new Date() })
+      .eq('id', contractId);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Link contracts created from the investor's wallet, which leaves writing
+   * the on-chain ID and the funding entry to the server. Terms URIs are
+   * written as ipfs://terms-<database id>, but anyone can create an on-chain
+   * contract with any URI, so a row is only linked when it has no on-chain
+   * contract yet and the event's parties are the row's wallets. The operator
+   * stands in for the investor on contracts the server created.
+   */
+  async handleContractCreated(event) {
+    const blockchainContractId = event.args.contractId.toString();
+
+    if (await this.findContract(blockchainContractId)) {
+      return;
+    }
+
+    const readOnlyContract = this.blockchainService.getReadOnlyContract();
+    const onChain = await readOnlyContract.contracts(blockchainContractId);
+    const match = /^ipfs:\/\/terms-(.+)$/.exec(onChain.termsURI);
+
+    if (!match) {
+      console.warn(`Chain indexer: no database contract for on-chain contract ${blockchainContractId}`);
+      return;
+    }
+
+    const { data: contract, error } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .select(`
+        id,
+        status,
+        blockchain_contract_id,
+        investor:investor_id (profiles (wallet_address)),
+        freelancer:freelancer_id (profiles (wallet_address))
+      `)
+      .eq('id', match[1])
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!contract || contract.blockchain_contract_id) {
+      console.warn(`Chain indexer: on-chain contract ${blockchainContractId} names no unlinked database contract`);
+      return;
+    }
+
+    if (contract.status !== 'draft') {
+      console.warn(`Chain indexer: contract ${contract.id} is ${contract.status}, not linking on-chain contract ${blockchainContractId}`);
+      return;
+    }
+
+    const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+    const investor = event.args.investor;
+    const investorMatches =
+      sameAddress(investor, contract.investor?.profiles?.wallet_address) ||
+      sameAddress(investor, await readOnlyContract.operator());
+
+    if (!investorMatches || !sameAddress(event.args.freelancer, contract.freelancer?.profiles?.wallet_address)) {
+      console.warn(`Chain indexer: parties of on-chain contract ${blockchainContractId} do not match contract ${contract.id}`);
+      return;
+    }
+
+    // The escrow fixes its fee at creation, so the ledger follows the chain
+    const platformFeeBps = await this.blockchainService.getContractFeeBps(blockchainContractId);
+
+    // Conditional on the link still being empty, in case the queue wrote it
+    // meanwhile, and on the row still being a draft the escrow can advance
+    const { data: linked, error: updateError } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .update({
+        status: 'pending',
+        smart_contract_address: this.blockchainService.contractAddress,
+        blockchain_contract_id: blockchainContractId,
+        transaction_hash: event.transactionHash,
+        platform_fee_bps: platformFeeBps,
+        blockchain_error: null,
+        updated_at: new Date(),
+      })
+      .eq('id', contract.id)
+      .eq('status', 'draft')
+      .is('blockchain_contract_id', null)
+      .select();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    // A wallet-created contract is funded by the creating transaction itself
+    if (linked.length > 0 && onChain.value > 0n) {
+      await this.ledgerService.recordFunding(linked[0], {
+        amount: Number(ethers.formatUnits(onChain.value, getDecimals(linked[0].currency))),
+        transactionHash: event.transactionHash,
+      });
+    }
+  }
+
+  async handleStatusUpdated(event) {
+    const contract = await this.findContract(event.args.contractId.toString());
+    const status = STATUS_BY_VALUE[Number(event.args.status)];
+
+    if (!contract || !status || contract.status === status) {
+      return;
+    }
+
+    // Only forward changes are applied. Expired contracts are also cancelled
+    // on-chain to refund the escrow, which the deadline scheduler records.
+    if (!(FORWARD_TRANSITIONS[contract.status] || []).includes(status)) {
+      return;
+    }
+
+    const updates = {
+      status,
+      last_transaction_hash: event.transactionHash,
+    };
+
+    if (status === 'completed' && !contract.completed_at) {
+      const block = await event.getBlock();
+      updates.completed_at = new Date(block.timestamp * 1000);
+    }
+
+    // Conditional on the status read above, so a change the server makes
+    // meanwhile is not overwritten
+    const { error } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .update({ ...updates, updated_at: new Date() })
+      .eq('id', contract.id)
+      .eq('status', contract.status);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Attach the on-chain URI to its deliverable. URIs are the content CID,
+   * ipfs://<cid>, or ipfs://deliverable-<database id> before hashing.
+   */
+  async handleDeliverableAdded(event) {
+    const contract = await this.findContract(event.args.contractId.toString());
+    const deliverableUri = event.args.deliverableURI;
+
+    if (!contract) {
+      return;
+    }
+
+    const { data: existing, error } = await this.supabase
+      .from(TABLES.DELIVERABLES)
+      .select('id')
+      .eq('contract_id', contract.id)
+      .eq('blockchain_uri', deliverableUri)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (existing) {
+      return;
+    }
+
+    const cid = ContentStore.parseUri(deliverableUri);
+    const match = /^ipfs:\/\/deliverable-(.+)$/.exec(deliverableUri);
+    if (!cid && !match) {
+      return;
+    }
+
+    let query = this.supabase
+      .from(TABLES.DELIVERABLES)
+      .update({
+        blockchain_uri: deliverableUri,
+        updated_at: new Date(),
+      })
+      .eq('contract_id', contract.id);
+
+    query = cid
+      ? query.eq('content_cid', cid).is('blockchain_uri', null)
+      : query.eq('id', match[1]);
+
+    const { error: updateError } = await query;
+
+    if (updateError) {
+      throw updateError;
+    }
+  }
+
+  async handleMilestoneReleased(event) {
+    const contract = await this.findContract(event.args.contractId.toString());
+
+    if (!contract) {
+      return;
+    }
+
+    const { error } = await this.supabase
+      .from(TABLES.MILESTONES)
+      .update({
+        status: 'released',
+        released_at: new Date(),
+        transaction_hash: event.transactionHash,
+        updated_at: new Date(),
+      })
+      .eq('contract_id', contract.id)
+      .eq('position', Number(event.args.milestoneIndex))
+      .neq('status', 'released');
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Attach a timesheet payment to the oldest approved timesheet of that amount
+   * still missing its transaction
+   */
+  async handlePaymentReleased(event) {
+    const contract = await this.findContract(event.args.contractId.toString());
+
+    if (!contract) {
+      return;
+    }
+
+    const { data: timesheets, error: timesheetError } = await this.supabase
+      .from(TABLES.TIMESHEETS)
+      .select('id')
+      .eq('contract_id', contract.id)
+      .eq('status', 'approved')
+      .eq('amount', ethers.formatUnits(event.args.amount, getDecimals(contract.currency)))
+      .is('transaction_hash', null)
+      .order('reviewed_at', { ascending: true })
+      .limit(1);
+
+    if (timesheetError) {
+      throw timesheetError;
+    }
+
+    if (timesheets.length === 0) {
+      return;
+    }
+
+    const { error } = await this.supabase
+      .from(TABLES.TIMESHEETS)
+      .update({
+        transaction_hash: event.transactionHash,
+        updated_at: new Date(),
+      })
+      .eq('id', timesheets[0].id);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  async handleContractVerified(event) {
+    const contract = await this.findContract(event.args.contractId.toString());
+
+    if (!contract || contract.verified) {
+      return;
+    }
+
+    await this.updateContract(contract.id, {
+      verified: true,
+      payment_transaction_hash: event.transactionHash,
+    });
+  }
+
+  /**
+   * Record a settlement made directly by the arbiter wallet
+   */
+  async handleDisputeResolved(event) {
+    const contract = await this.findContract(event.args.contractId.toString());
+
+    if (!contract) {
+      return;
+    }
+
+    if (!contract.verified) {
+      await this.updateContract(contract.id, {
+        verified: true,
+        payment_transaction_hash: event.transactionHash,
+      });
+    }
+
+    const { error } = await this.supabase
+      .from(TABLES.DISPUTES)
+      .update({
+        status: 'resolved',
+        freelancer_amount: ethers.formatUnits(event.args.freelancerAmount, getDecimals(contract.currency)),
+        investor_amount: ethers.formatUnits(event.args.investorAmount, getDecimals(contract.currency)),
+        transaction_hash: event.transactionHash,
+        resolved_at: new Date(),
+        updated_at: new Date(),
+      })
+      .eq('contract_id', contract.id)
+      .eq('status', 'open');
+
+    if (error) {
+      throw error;
+    }
+
+    const { error: milestoneError } = await this.supabase
+      .from(TABLES.MILESTONES)
+      .update({
+        status: 'settled',
+        transaction_hash: event.transactionHash,
+        updated_at: new Date(),
+      })
+      .eq('contract_id', contract.id)
+      .eq('status', 'pending');
+
+    if (milestoneError) {
+      throw milestoneError;
+    }
+  }
+
+  /**
+   * Attach the amending transaction to its accepted terms version
+   */
+  async handleContractAmended(event) {
+    const contract = await this.findContract(event.args.contractId.toString());
+
+    if (!contract) {
+      return;
+    }
+
+    const { error } = await this.supabase
+      .from(TABLES.CONTRACT_VERSIONS)
+      .update({
+        transaction_hash: event.transactionHash,
+        updated_at: new Date(),
+      })
+      .eq('contract_id', contract.id)
+      .eq('terms_uri', event.args.termsURI)
+      .is('transaction_hash', null);
+
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = ChainIndexer;
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// CIDv1 header: version 1, raw binary codec, sha2-256 multihash of 32 bytes
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+
+// Multibase prefix and alphabet of lowercase base32 without padding
+const BASE32_PREFIX = 'b';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const URI_SCHEME = 'ipfs://';
+
+// Storage folders for deliverable files and their watermarked previews,
+// one subfolder per contract
+const DELIVERABLES_FOLDER = 'deliverables';
+const PREVIEWS_FOLDER = 'previews';
+
+const INTEGRITY_STATUSES = {
+  VERIFIED: 'verified',
+  MISMATCH: 'mismatch',
+  MISSING: 'missing',
+  UNHASHED: 'unhashed',
+};
+
+/**
+ * Encode bytes as RFC 4648 base32, lowercase and unpadded
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Base32 text
+ */
+const toBase32 = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Files in a private Supabase storage bucket, read and written by path and
+ * downloaded through short-lived signed URLs
+ */
+class SupabaseBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {Object} options.supabase - Supabase client
+   * @param {string} options.bucket - Storage bucket
+   */
+  constructor({ supabase, bucket }) {
+    this.name = 'supabase';
+    this.supabase = supabase;
+    this.bucket = bucket;
+  }
+
+  async read({ path: filePath }) {
+    const { data, error } = await this.supabase.storage.from(this.bucket).download(filePath);
+
+    if (error) {
+      if (/not found/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async write({ path: filePath }, bytes, contentType, { upsert = false } = {}) {
+    const { error } = await this.supabase.storage
+      .from(this.bucket)
+      .upload(filePath, bytes, { contentType, upsert });
+
+    // A content-addressed path always holds the same bytes
+    if (error && !/already exists/i.test(error.message)) {
+      throw error;
+    }
+  }
+
+  async createSignedUrl({ path: filePath }, expiresIn, downloadName) {
+    const { data, error } = await this.supabase.storage
+      .from(this.bucket)
+      .createSignedUrl(filePath, expiresIn, { download: downloadName || true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data.signedUrl;
+  }
+}
+
+/**
+ * IPFS-compatible stand-in for tests and offline development. Each file is
+ * a block named by its CID in a local directory, so ipfs:// URIs resolve
+ * without a node or network access; files without a CID, such as previews,
+ * are kept by path. Signed URLs point at the server's local file route.
+ */
+class LocalBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.directory - Directory holding the blocks
+   * @param {string} options.signingSecret - Key for signed URLs
+   * @param {string} options.baseUrl - Server API URL the signed URLs point at
+   */
+  constructor({ directory, signingSecret, baseUrl }) {
+    if (!signingSecret) {
+      throw new Error('Content store signing secret is not configured');
+    }
+
+    this.name = 'local';
+    this.directory = directory;
+    this.signingSecret = signingSecret;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * File a location is kept in, inside the directory
+   * @param {Object} location - { path, cid }
+   * @returns {string} File path
+   */
+  resolve({ path: filePath, cid }) {
+    const key = path.normalize(cid || filePath).replace(/^(\.\.[/\\])+/, '');
+    return path.join(this.directory, key);
+  }
+
+  async read(location) {
+    try {
+      return await fs.readFile(this.resolve(location));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(location, bytes) {
+    const file = this.resolve(location);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, bytes);
+  }
+
+  async createSignedUrl({ path: filePath, cid }, expiresIn, downloadName) {
+    const key = cid || filePath;
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({
+      key,
+      expires: String(expires),
+      name: downloadName || path.basename(key),
+      signature: this.sign(key, expires),
+    });
+
+    return `${this.baseUrl}/files/local?${query}`;
+  }
+
+  /**
+   * Check a signed URL's query
+   * @param {Object} query - { key, expires, signature }
+   * @returns {boolean} Whether the URL is genuine and unexpired
+   */
+  verifySignedUrl({ key, expires, signature }) {
+    if (!key || !signature || !(Number(expires) > Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, Number(expires)));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('hex');
+  }
+}
+
+/**
+ * Content-addressed storage for deliverables. Files are stored under their
+ * CIDv1 (raw codec, sha2-256), which is also the on-chain deliverable URI,
+ * so anyone can re-hash the stored bytes and check them against the chain.
+ * A deliverable without a file is addressed by its metadata instead.
+ */
+class ContentStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.backend - Any object with async read(location),
+   *   write(location, bytes, contentType, options) and createSignedUrl(location, expiresIn, downloadName)
+   * @param {number} options.signedUrlTtl - Seconds a download URL stays valid
+   */
+  constructor({ backend, signedUrlTtl = 300 }) {
+    this.backend = backend;
+    this.signedUrlTtl = signedUrlTtl;
+  }
+
+  /**
+   * Build a store from the contentStore section of the server config
+   * @param {Object} options - Provider name, bucket, local directory and signing settings
+   * @param {Object} supabase - Supabase client for the bucket provider
+   * @returns {ContentStore} Store
+   */
+  static fromConfig({ provider, bucket, directory, signingSecret, baseUrl, signedUrlTtl } = {}, supabase) {
+    const backend = provider === 'local'
+      ? new LocalBackend({ directory, signingSecret, baseUrl })
+      : new SupabaseBackend({ supabase, bucket });
+
+    return new ContentStore({ backend, signedUrlTtl });
+  }
+
+  /**
+   * Hash content
+   * @param {Buffer|Uint8Array} bytes - Content
+   * @returns {Object} { cid, sha256 } with the digest in hex
+   */
+  static hash(bytes) {
+    const digest = crypto.createHash('sha256').update(bytes).digest();
+
+    return {
+      cid: BASE32_PREFIX + toBase32(Buffer.concat([CID_PREFIX, digest])),
+      sha256: digest.toString('hex'),
+    };
+  }
+
+  /**
+   * Bytes that address a deliverable without a file
+   * @param {Object} metadata - { contractId, title, description }
+   * @returns {Buffer} Content
+   */
+  static metadataBytes({ contractId, title, description }) {
+    return Buffer.from(JSON.stringify({ contractId, title, description: description || '' }));
+  }
+
+  /**
+   * Storage path of a deliverable file
+   * @param {string} contractId - Contract ID
+   * @param {string} cid - Content CID
+   * @param {string} fileName - Original file name, for its extension
+   * @returns {string} Path in the bucket
+   */
+  static filePath(contractId, cid, fileName = '') {
+    return `${DELIVERABLES_FOLDER}/${contractId}/${cid}${path.extname(fileName).toLowerCase()}`;
+  }
+
+  /**
+   * Check that a path is a content-addressed file of the contract
+   * @param {string} contractId - Contract ID
+   * @param {string} filePath - Path in the bucket
+   * @returns {string|null} CID the path names, or null
+   */
+  static parseFilePath(contractId, filePath) {
+    const match = new RegExp(`^${DELIVERABLES_FOLDER}/${contractId}/(b[a-z2-7]+)(\\.[a-z0-9]+)?$`).exec(
+      String(filePath || '')
+    );
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Path of the watermarked preview of a file
+   * @param {string} contractId - Contract ID
+   * @param {string} cid - CID of the original file
+   * @returns {string} Preview path
+   */
+  static previewPath(contractId, cid) {
+    return `${PREVIEWS_FOLDER}/${contractId}/${cid}.pdf`;
+  }
+
+  /**
+   * CID of a content-addressed deliverable file
+   * @param {string} filePath - Path in the bucket
+   * @returns {string|null} CID, or null for other paths such as previews
+   */
+  static cidOfPath(filePath) {
+    const match = new RegExp(`^${DELIVERABLES_FOLDER}/[^/]+/(b[a-z2-7]+)(\\.[a-z0-9]+)?$`).exec(
+      String(filePath || '')
+    );
+    return match ? match[1] : null;
+  }
+
+  /**
+   * @param {string} cid - Content CID
+   * @returns {string} On-chain deliverable URI
+   */
+  static toUri(cid) {
+    return `${URI_SCHEME}${cid}`;
+  }
+
+  /**
+   * @param {string} uri - Deliverable URI
+   * @returns {string|null} CID, or null for other URIs such as the old placeholders
+   */
+  static parseUri(uri) {
+    const match = /^ipfs:\/\/(b[a-z2-7]{58})$/.exec(String(uri || ''));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Store content at its content-addressed path
+   * @param {Buffer} bytes - Content
+   * @param {Object} options - { contractId, fileName, contentType }
+   * @returns {Promise<Object>} { cid, sha256, size, filePath }
+   */
+  async add(bytes, { contractId, fileName, contentType }) {
+    const { cid, sha256 } = ContentStore.hash(bytes);
+    const filePath = ContentStore.filePath(contractId, cid, fileName);
+
+    await this.backend.write({ path: filePath, cid }, bytes, contentType);
+
+    return { cid, sha256, size: bytes.length, filePath };
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} filePath - Path in the bucket
+   * @returns {Promise<Buffer|null>} Bytes, or null if the file is missing
+   */
+  async read(filePath) {
+    return this.backend.read({ path: filePath, cid: ContentStore.cidOfPath(filePath) });
+  }
+
+  /**
+   * Store a watermarked preview of a file, replacing an earlier one
+   * @param {string} contractId - Contract ID
+   * @param {string} cid - CID of the original file
+   * @param {Buffer} bytes - Preview PDF
+   * @returns {Promise<string>} Preview path
+   */
+  async addPreview(contractId, cid, bytes) {
+    const previewPath = ContentStore.previewPath(contractId, cid);
+
+    await this.backend.write({ path: previewPath }, bytes, 'application/pdf', { upsert: true });
+
+    return previewPath;
+  }
+
+  /**
+   * Create a short-lived download URL for a stored file
+   * @param {string} filePath - Path in the bucket
+   * @param {string} downloadName - File name the browser saves it as
+   * @returns {Promise<Object>} { url, expiresAt }
+   */
+  async createSignedUrl(filePath, downloadName) {
+    const url = await this.backend.createSignedUrl(
+      { path: filePath, cid: ContentStore.cidOfPath(filePath) },
+      this.signedUrlTtl,
+      downloadName
+    );
+
+    return { url, expiresAt: new Date(Date.now() + this.signedUrlTtl * 1000) };
+  }
+
+  /**
+   * Hash the content of a deliverable: its stored file when it has one,
+   * otherwise its metadata
+   * @param {Object} deliverable - { contractId, title, description, filePath }
+   * @returns {Promise<Object>} { cid, sha256, size, filePath }, or { error } when
+   *   the file is missing or not stored under its own CID
+   */
+  async describe({ contractId, title, description, filePath }) {
+    if (!filePath) {
+      const bytes = ContentStore.metadataBytes({ contractId, title, description });
+      return { ...ContentStore.hash(bytes), size: bytes.length, filePath: null };
+    }
+
+    const namedCid = ContentStore.parseFilePath(contractId, filePath);
+    if (!namedCid) {
+      return { error: 'File must be uploaded to the contract\'s deliverables folder' };
+    }
+
+    const bytes = await this.backend.read({ path: filePath, cid: namedCid });
+    if (!bytes) {
+      return { error: 'File not found in storage' };
+    }
+
+    const { cid, sha256 } = ContentStore.hash(bytes);
+    if (cid !== namedCid) {
+      return { error: 'File contents do not match its content address' };
+    }
+
+    return { cid, sha256, size: bytes.length, filePath };
+  }
+
+  /**
+   * Re-hash a deliverable's stored content and compare it with the CID
+   * recorded when it was submitted
+   * @param {Object} deliverable - Deliverable row
+   * @returns {Promise<Object>} { status, expectedCid, actualCid, sha256 }
+   */
+  async verify(deliverable) {
+    const expectedCid = deliverable.content_cid;
+
+    if (!expectedCid) {
+      return { status: INTEGRITY_STATUSES.UNHASHED, expectedCid: null, actualCid: null, sha256: null };
+    }
+
+    let bytes;
+    if (deliverable.file_path) {
+      bytes = await this.backend.read({ path: deliverable.file_path, cid: expectedCid });
+      if (!bytes) {
+        return { status: INTEGRITY_STATUSES.MISSING, expectedCid, actualCid: null, sha256: null };
+      }
+    } else {
+      bytes = ContentStore.metadataBytes({
+        contractId: deliverable.contract_id,
+        title: deliverable.title,
+        description: deliverable.description,
+      });
+    }
+
+    const { cid, sha256 } = ContentStore.hash(bytes);
+
+    return {
+      status: cid === expectedCid ? INTEGRITY_STATUSES.VERIFIED : INTEGRITY_STATUSES.MISMATCH,
+      expectedCid,
+      actualCid: cid,
+      sha256,
+    };
+  }
+}
+
+ContentStore.INTEGRITY_STATUSES = INTEGRITY_STATUSES;
+ContentStore.SupabaseBackend = SupabaseBackend;
+ContentStore.LocalBackend = LocalBackend;
+
+module.exports = ContentStore;
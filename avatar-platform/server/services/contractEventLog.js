@@ -0,0 +1,210 @@
+// Table names
+const TABLES = {
+  CONTRACT_EVENTS: 'contract_events',
+  PROFILES: 'profiles',
+};
+
+const EVENT_TYPES = {
+  CONTRACT_CREATED: 'contract_created',
+  STATUS_CHANGED: 'status_changed',
+  CONTRACT_SIGNED: 'contract_signed',
+  DELIVERABLE_ADDED: 'deliverable_added',
+  DELIVERABLE_APPROVED: 'deliverable_approved',
+  DELIVERABLE_REJECTED: 'deliverable_rejected',
+  DELIVERABLE_CHANGES_REQUESTED: 'deliverable_changes_requested',
+  DELIVERABLE_RESUBMITTED: 'deliverable_resubmitted',
+  DELIVERABLE_DOWNLOADED: 'deliverable_downloaded',
+  PAYMENT_VERIFIED: 'payment_verified',
+  AMENDMENT_PROPOSED: 'amendment_proposed',
+  AMENDMENT_ACCEPTED: 'amendment_accepted',
+  AMENDMENT_REJECTED: 'amendment_rejected',
+  DISPUTE_RAISED: 'dispute_raised',
+  DISPUTE_RESOLVED: 'dispute_resolved',
+  TIMESHEET_SUBMITTED: 'timesheet_submitted',
+  TIMESHEET_APPROVED: 'timesheet_approved',
+  TIMESHEET_REJECTED: 'timesheet_rejected',
+  CONTRACT_EXPIRED: 'contract_expired',
+  PAYOUT_SPLITS_UPDATED: 'payout_splits_updated',
+  TEAM_MEMBER_INVITED: 'team_member_invited',
+  TEAM_MEMBER_JOINED: 'team_member_joined',
+  TEAM_MEMBER_DECLINED: 'team_member_declined',
+  TEAM_MEMBER_UPDATED: 'team_member_updated',
+  TEAM_MEMBER_REMOVED: 'team_member_removed',
+  REVIEW_SUBMITTED: 'review_submitted',
+};
+
+/**
+ * Append-only audit log of contract mutations. Rows are only ever inserted,
+ * so the log shows who changed what even after the contract row is updated.
+ */
+class ContractEventLog {
+  /**
+   * @param {Object} options - Log options
+   * @param {Object} options.supabase - Supabase client
+   */
+  constructor({ supabase }) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Append an event for a contract
+   * @param {string} contractId - Contract ID
+   * @param {string} eventType - One of ContractEventLog.EVENT_TYPES
+   * @param {Object} event - Event data
+   * @param {string} event.actorId - User who made the change, omitted for system changes
+   * @param {string} event.fromStatus - Contract status before the change
+   * @param {string} event.toStatus - Contract status after the change
+   * @param {Object} event.details - Event specific data
+   * @param {string} event.transactionHash - Related blockchain transaction
+   * @returns {Promise<Object>} Inserted event row
+   */
+  async record(contractId, eventType, {
+    actorId = null,
+    fromStatus = null,
+    toStatus = null,
+    details = {},
+    transactionHash = null,
+  } = {}) {
+    const { data, error } = await this.supabase
+      .from(TABLES.CONTRACT_EVENTS)
+      .insert({
+        contract_id: contractId,
+        event_type: eventType,
+        actor_id: actorId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        details,
+        transaction_hash: transactionHash,
+        created_at: new Date(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a contract's events, oldest first, with actor names
+   * @param {string} contractId - Contract ID
+   * @returns {Promise<Array>} Formatted events
+   */
+  async getHistory(contractId) {
+    const { data, error } = await this.supabase
+      .from(TABLES.CONTRACT_EVENTS)
+      .select('*')
+      .eq('contract_id', contractId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    const actorIds = [...new Set(data.map(e => e.actor_id).filter(Boolean))];
+    let names = new Map();
+
+    if (actorIds.length > 0) {
+      const { data: profiles, error: profileError } = await this.supabase
+        .from(TABLES.PROFILES)
+        .select('id, name')
+        .in('id', actorIds);
+
+      if (profileError) {
+        throw profileError;
+      }
+
+      names = new Map(profiles.map(p => [p.id, p.name]));
+    }
+
+    return data.map(e => ({
+      id: e.id,
+      contractId: e.contract_id,
+      type: e.event_type,
+      actor: e.actor_id ? { id: e.actor_id, name: names.get(e.actor_id) || '' } : null,
+      fromStatus: e.from_status,
+      toStatus: e.to_status,
+      details: e.details || {},
+      transactionHash: e.transaction_hash,
+      description: ContractEventLog.describe(e.event_type, e),
+      createdAt: e.created_at,
+    }));
+  }
+
+  /**
+   * Human readable summary of an event
+   * @param {string} eventType - Event type
+   * @param {Object} event - Event row
+   * @returns {string} Description
+   */
+  static describe(eventType, { from_status: fromStatus, to_status: toStatus, details = {} }) {
+    switch (eventType) {
+      case EVENT_TYPES.CONTRACT_CREATED:
+        return 'Contract created';
+      case EVENT_TYPES.STATUS_CHANGED:
+        return `Status changed from ${fromStatus} to ${toStatus}`;
+      case EVENT_TYPES.CONTRACT_SIGNED:
+        return `Terms v${details.termsVersion} signed (${details.method === 'wallet' ? 'wallet' : 'email code'})`;
+      case EVENT_TYPES.DELIVERABLE_ADDED:
+        return `Deliverable "${details.title}" submitted`;
+      case EVENT_TYPES.DELIVERABLE_APPROVED:
+        return details.releasedMilestoneId
+          ? `Deliverable "${details.title}" approved, milestone released`
+          : `Deliverable "${details.title}" approved`;
+      case EVENT_TYPES.DELIVERABLE_REJECTED:
+        return `Deliverable "${details.title}" rejected`;
+      case EVENT_TYPES.DELIVERABLE_CHANGES_REQUESTED:
+        return `Changes requested on deliverable "${details.title}" v${details.version}`;
+      case EVENT_TYPES.DELIVERABLE_RESUBMITTED:
+        return `Deliverable "${details.title}" resubmitted as v${details.version}`;
+      case EVENT_TYPES.DELIVERABLE_DOWNLOADED:
+        return details.preview
+          ? `Watermarked preview of deliverable "${details.title}" v${details.version} downloaded`
+          : `Deliverable "${details.title}" v${details.version} downloaded`;
+      case EVENT_TYPES.PAYMENT_VERIFIED:
+        return 'Work verified and payment released';
+      case EVENT_TYPES.AMENDMENT_PROPOSED:
+        return `Amendment v${details.version} proposed`;
+      case EVENT_TYPES.AMENDMENT_ACCEPTED:
+        return `Amendment v${details.version} accepted`;
+      case EVENT_TYPES.AMENDMENT_REJECTED:
+        return `Amendment v${details.version} rejected`;
+      case EVENT_TYPES.DISPUTE_RAISED:
+        return `Dispute raised: ${details.reason}`;
+      case EVENT_TYPES.DISPUTE_RESOLVED:
+        return `Dispute resolved: ${details.resolution}`;
+      case EVENT_TYPES.TIMESHEET_SUBMITTED:
+        return `Timesheet for the week of ${details.weekStart} submitted (${details.hours} h)`;
+      case EVENT_TYPES.TIMESHEET_APPROVED:
+        return `Timesheet for the week of ${details.weekStart} approved and paid`;
+      case EVENT_TYPES.TIMESHEET_REJECTED:
+        return `Timesheet for the week of ${details.weekStart} rejected`;
+      case EVENT_TYPES.CONTRACT_EXPIRED:
+        return 'Contract expired without acceptance';
+      case EVENT_TYPES.PAYOUT_SPLITS_UPDATED:
+        return details.splits && details.splits.length > 0
+          ? `Payout split between the freelancer and ${details.splits.length} other wallet(s)`
+          : 'Payout splits removed';
+      case EVENT_TYPES.TEAM_MEMBER_INVITED:
+        return `${details.email} invited to the team for ${details.shareBps / 100}% of payments`;
+      case EVENT_TYPES.TEAM_MEMBER_JOINED:
+        return `Team member joined for ${details.shareBps / 100}% of payments`;
+      case EVENT_TYPES.TEAM_MEMBER_DECLINED:
+        return 'Team invitation declined';
+      case EVENT_TYPES.TEAM_MEMBER_UPDATED:
+        return `Team member's share changed from ${details.fromShareBps / 100}% to ${details.shareBps / 100}%`;
+      case EVENT_TYPES.TEAM_MEMBER_REMOVED:
+        return details.left ? 'Team member left the team' : 'Team member removed from the team';
+      case EVENT_TYPES.REVIEW_SUBMITTED:
+        return `${details.reviewerRole === 'investor' ? 'Investor' : 'Freelancer'} left a ${details.rating}-star review`;
+      default:
+        return eventType;
+    }
+  }
+}
+
+ContractEventLog.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = ContractEventLog;
@@ -0,0 +1,338 @@
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+  text: '#212121',
+  muted: '#757575',
+  rule: '#e0e0e0',
+  header: '#f5f5f5',
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+const formatDateTime = (date) =>
+  date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '-';
+
+const formatAmount = (value, currency = 'ETH') =>
+  `${Number(value || 0).toFixed(4).replace(/\.?0+$/, '')} ${currency}`;
+
+/**
+ * Service that renders a formatted contract as a printable PDF. Everything is
+ * drawn locally with pdfkit's built-in fonts, so no external service is used.
+ */
+class ContractPdfService {
+  /**
+   * @param {Object} options - Document options
+   * @param {string} options.size - Page size
+   * @param {number} options.margin - Page margin in points
+   */
+  constructor({ size = 'A4', margin = 50 } = {}) {
+    this.size = size;
+    this.margin = margin;
+  }
+
+  /**
+   * Render a contract export and stream it to a writable
+   * @param {Object} contract - Formatted contract, as returned by getContractById
+   * @param {Object} extras - Related records
+   * @param {Array} extras.history - Audit trail entries ({ date, event, actor })
+   * @param {Array} extras.signatures - Signatures on the contract
+   * @param {Array} extras.references - Blockchain references ({ label, value })
+   * @param {Object} output - Writable stream, e.g. an Express response
+   * @returns {PDFDocument} The finished document
+   */
+  render(contract, { history = [], signatures = [], references = [] }, output) {
+    const doc = new PDFDocument({
+      size: this.size,
+      margin: this.margin,
+      bufferPages: true,
+      info: {
+        Title: contract.title,
+        Subject: `Contract ${contract.id}`,
+        Creator: 'Avatar Platform',
+      },
+    });
+
+    doc.pipe(output);
+
+    this.renderHeader(doc, contract);
+    this.renderParties(doc, contract);
+    this.renderSummary(doc, contract);
+    this.renderTerms(doc, contract);
+
+    if (contract.milestones.length > 0) {
+      this.renderSection(doc, 'Milestones');
+      this.renderTable(doc, [
+        { label: '#', width: 25 },
+        { label: 'Title', width: 190 },
+        { label: 'Amount', width: 80 },
+        { label: 'Due', width: 75 },
+        { label: 'Status', width: 60 },
+        { label: 'Released', width: 65 },
+      ], contract.milestones.map((m, index) => [
+        String(index + 1),
+        m.title,
+        formatAmount(m.amount, contract.currency),
+        formatDate(m.dueDate),
+        m.status,
+        formatDate(m.releasedAt),
+      ]));
+    }
+
+    this.renderSection(doc, 'Deliverables');
+    if (contract.deliverables.length > 0) {
+      const milestoneTitles = new Map(contract.milestones.map(m => [m.id, m.title]));
+
+      this.renderTable(doc, [
+        { label: 'Title', width: 170 },
+        { label: 'Milestone', width: 110 },
+        { label: 'Due', width: 75 },
+        { label: 'Status', width: 70 },
+        { label: 'Submitted', width: 70 },
+      ], contract.deliverables.map(d => [
+        d.title,
+        milestoneTitles.get(d.milestoneId) || '-',
+        formatDate(d.dueDate),
+        d.overdue ? `${d.status} (overdue)` : d.status,
+        formatDate(d.createdAt),
+      ]));
+    } else {
+      this.renderNote(doc, 'No deliverables have been submitted.');
+    }
+
+    this.renderSection(doc, 'Signatures');
+    if (signatures.length > 0) {
+      this.renderTable(doc, [
+        { label: 'Party', width: 75 },
+        { label: 'Method', width: 55 },
+        { label: 'Signer', width: 200 },
+        { label: 'Terms', width: 45 },
+        { label: 'Signed', width: 120 },
+      ], signatures.map(s => [
+        s.role,
+        s.method,
+        s.method === 'wallet' ? s.signerAddress : s.email,
+        s.valid ? `v${s.termsVersion}` : `v${s.termsVersion} (superseded)`,
+        formatDateTime(s.signedAt),
+      ]));
+    } else {
+      this.renderNote(doc, 'The contract has not been signed.');
+    }
+
+    this.renderSection(doc, 'Status History');
+    if (history.length > 0) {
+      this.renderTable(doc, [
+        { label: 'Date', width: 120 },
+        { label: 'Event', width: 265 },
+        { label: 'By', width: 110 },
+      ], history.map(h => [formatDateTime(h.date), h.event, h.actor || '-']));
+    } else {
+      this.renderNote(doc, 'No history has been recorded.');
+    }
+
+    this.renderSection(doc, 'Blockchain References');
+    if (references.length > 0) {
+      references.forEach(({ label, value }) => this.renderField(doc, label, value, true));
+    } else {
+      this.renderNote(doc, 'This contract has not been recorded on-chain.');
+    }
+
+    this.renderFooters(doc, contract);
+    doc.end();
+
+    return doc;
+  }
+
+  renderHeader(doc, contract) {
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(20).text(contract.title);
+    doc
+      .moveDown(0.3)
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(COLORS.muted)
+      .text(`Contract ${contract.id} · ${contract.status.toUpperCase()}`);
+    doc.text(`Exported ${formatDateTime(new Date())}`);
+
+    if (contract.description) {
+      doc.moveDown(0.8).fillColor(COLORS.text).fontSize(11).text(contract.description);
+    }
+  }
+
+  renderParties(doc, contract) {
+    this.renderSection(doc, 'Parties');
+    this.renderField(doc, 'Investor', this.formatParty(contract.investor));
+    this.renderField(doc, 'Freelancer', this.formatParty(contract.freelancer));
+
+    // Team members who joined, with their share of each payment
+    (contract.team || [])
+      .filter(m => m.role === 'member' && m.status === 'accepted')
+      .forEach(m => this.renderField(doc, 'Team member', `${this.formatParty(m)} · ${m.shareBps / 100}%`));
+  }
+
+  renderSummary(doc, contract) {
+    this.renderSection(doc, 'Summary');
+    this.renderField(
+      doc,
+      contract.contractType === 'hourly' ? 'Budget' : 'Value',
+      formatAmount(contract.value, contract.currency)
+    );
+    if (contract.contractType === 'hourly') {
+      this.renderField(doc, 'Hourly rate', formatAmount(contract.hourlyRate, contract.currency));
+      this.renderField(doc, 'Weekly cap', contract.weeklyHourCap ? `${contract.weeklyHourCap} hours` : 'None');
+      this.renderField(doc, 'Approved hours', `${contract.timesheets.approvedHours} hours`);
+    }
+    if (contract.milestones.length > 0 || contract.contractType === 'hourly') {
+      const { released, remaining } = contract.balance;
+      this.renderField(
+        doc,
+        'Escrow',
+        `${formatAmount(released, contract.currency)} released, ${formatAmount(remaining, contract.currency)} remaining`
+      );
+    }
+    this.renderField(doc, 'Start date', formatDate(contract.startDate));
+    this.renderField(doc, 'End date', formatDate(contract.endDate));
+    this.renderField(doc, 'Created', formatDateTime(contract.createdAt));
+    if (contract.completedAt) {
+      this.renderField(doc, 'Completed', formatDateTime(contract.completedAt));
+    }
+    this.renderField(doc, 'Payment verified', contract.verified ? 'Yes' : 'No');
+  }
+
+  renderTerms(doc, contract) {
+    this.renderSection(doc, `Terms (version ${contract.termsVersion})`);
+    if (contract.terms) {
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(contract.terms);
+    } else {
+      this.renderNote(doc, 'No terms have been specified.');
+    }
+  }
+
+  formatParty(party) {
+    return party.name ? `${party.name} <${party.email}>` : party.email;
+  }
+
+  renderSection(doc, title) {
+    this.ensureSpace(doc, 60);
+    doc.moveDown(1.2);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(title);
+
+    const y = doc.y + 2;
+    doc
+      .moveTo(this.margin, y)
+      .lineTo(doc.page.width - this.margin, y)
+      .strokeColor(COLORS.rule)
+      .stroke();
+    doc.moveDown(0.5);
+  }
+
+  renderField(doc, label, value, monospace = false) {
+    const x = this.margin;
+    const labelWidth = 110;
+    const valueWidth = doc.page.width - this.margin * 2 - labelWidth;
+    const valueFont = monospace ? 'Courier' : 'Helvetica';
+    const text = value === undefined || value === null || value === '' ? '-' : String(value);
+
+    doc.font(valueFont).fontSize(monospace ? 9 : 10);
+    const height = Math.max(doc.heightOfString(text, { width: valueWidth }), 12);
+    this.ensureSpace(doc, height);
+
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.muted).text(label, x, y, { width: labelWidth });
+    doc
+      .font(valueFont)
+      .fontSize(monospace ? 9 : 10)
+      .fillColor(COLORS.text)
+      .text(text, x + labelWidth, y, { width: valueWidth });
+    doc.x = x;
+    doc.y = y + height + 4;
+  }
+
+  renderNote(doc, text) {
+    doc.font('Helvetica-Oblique').fontSize(10).fillColor(COLORS.muted).text(text, this.margin);
+  }
+
+  /**
+   * Draw a table, repeating the header row after each page break
+   */
+  renderTable(doc, columns, rows) {
+    const padding = 4;
+
+    const rowHeight = (cells, font) => {
+      doc.font(font).fontSize(9);
+      return Math.max(...cells.map((cell, i) =>
+        doc.heightOfString(String(cell), { width: columns[i].width - padding * 2 })
+      )) + padding * 2;
+    };
+
+    const drawRow = (cells, font, fill) => {
+      const height = rowHeight(cells, font);
+      let x = this.margin;
+      const y = doc.y;
+
+      if (fill) {
+        const width = columns.reduce((sum, c) => sum + c.width, 0);
+        doc.rect(x, y, width, height).fill(fill);
+      }
+
+      doc.font(font).fontSize(9).fillColor(COLORS.text);
+      cells.forEach((cell, i) => {
+        doc.text(String(cell), x + padding, y + padding, { width: columns[i].width - padding * 2 });
+        x += columns[i].width;
+      });
+
+      doc
+        .moveTo(this.margin, y + height)
+        .lineTo(x, y + height)
+        .strokeColor(COLORS.rule)
+        .stroke();
+      doc.x = this.margin;
+      doc.y = y + height;
+    };
+
+    const header = columns.map(c => c.label);
+    this.ensureSpace(doc, rowHeight(header, 'Helvetica-Bold') * 2);
+    drawRow(header, 'Helvetica-Bold', COLORS.header);
+
+    rows.forEach(cells => {
+      if (this.ensureSpace(doc, rowHeight(cells, 'Helvetica'))) {
+        drawRow(header, 'Helvetica-Bold', COLORS.header);
+      }
+      drawRow(cells, 'Helvetica');
+    });
+  }
+
+  /**
+   * Start a new page if the next block would not fit
+   * @returns {boolean} True if a page was added
+   */
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - this.margin) {
+      doc.addPage();
+      return true;
+    }
+    return false;
+  }
+
+  renderFooters(doc, contract) {
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise trigger a page break
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc
+        .font('Helvetica')
+        .fontSize(8)
+        .fillColor(COLORS.muted)
+        .text(
+          `${contract.title} · Page ${i + 1} of ${range.count}`,
+          this.margin,
+          doc.page.height - this.margin + 15,
+          { width: doc.page.width - this.margin * 2, align: 'center', lineBreak: false }
+        );
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+}
+
+module.exports = ContractPdfService;
@@ -0,0 +1,283 @@
+// Table names
+const TABLES = {
+  CONTRACTS: 'contracts',
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sort options and the column each one orders by. Ties are broken by id so
+// every row has a stable position for the cursor.
+const SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  oldest: { column: 'created_at', ascending: true },
+  'value-high': { column: 'value', ascending: false },
+  'value-low': { column: 'value', ascending: true },
+  updated: { column: 'updated_at', ascending: false },
+};
+
+// Contract dates a date range can filter on
+const DATE_FIELDS = {
+  created: 'created_at',
+  start: 'start_date',
+  end: 'end_date',
+};
+
+const STATUSES = ['draft', 'pending', 'active', 'completed', 'cancelled', 'disputed', 'expired'];
+
+const CONTRACT_SELECT = `
+  *,
+  investor:investor_id (
+    id,
+    email,
+    profiles (
+      name,
+      profile_image
+    )
+  ),
+  freelancer:freelancer_id (
+    id,
+    email,
+    profiles (
+      name,
+      profile_image
+    )
+  ),
+  timesheets (
+    status,
+    total_hours,
+    amount
+  )
+`;
+
+/**
+ * Quote a value for a PostgREST logic filter, which reserves commas,
+ * periods, colons and parentheses
+ * @param {*} value - Filter value
+ * @returns {string} Quoted value
+ */
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Full-text search, filtering and cursor pagination over the contracts a
+ * user is a party or team member of. Pages are read with keyset pagination
+ * so they stay consistent while contracts are created or updated.
+ */
+class ContractSearchService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.supabase - Supabase client
+   */
+  constructor({ supabase }) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Find a page of a user's contracts
+   * @param {string} userId - User ID
+   * @param {Array<string>} memberContractIds - Contracts the user is a team member of
+   * @param {Object} params - Parsed search parameters from parseParams
+   * @returns {Promise<Object>} { rows, nextCursor, total }
+   */
+  async search(userId, memberContractIds, params) {
+    const sort = SORTS[params.sort];
+
+    const parties = [`investor_id.eq.${userId}`, `freelancer_id.eq.${userId}`];
+    if (memberContractIds.length > 0) {
+      parties.push(`id.in.(${memberContractIds.join(',')})`);
+    }
+
+    // Each group must match, so they are combined into a single and()
+    const groups = [`or(${parties.join(',')})`];
+
+    if (params.counterpartyId) {
+      groups.push(
+        `or(investor_id.eq.${params.counterpartyId},freelancer_id.eq.${params.counterpartyId})`
+      );
+    }
+
+    if (params.cursor) {
+      const operator = sort.ascending ? 'gt' : 'lt';
+      const value = quote(params.cursor.value);
+      groups.push(
+        `or(${sort.column}.${operator}.${value},and(${sort.column}.eq.${value},id.${operator}.${params.cursor.id}))`
+      );
+    }
+
+    let query = this.supabase
+      .from(TABLES.CONTRACTS)
+      .select(CONTRACT_SELECT, { count: 'exact' })
+      .or(`and(${groups.join(',')})`);
+
+    if (params.q) {
+      query = query.textSearch('search_vector', params.q, { type: 'websearch', config: 'english' });
+    }
+
+    if (params.status) {
+      query = query.eq('status', params.status);
+    }
+
+    if (params.verified !== null) {
+      query = query.eq('verified', params.verified);
+    }
+
+    if (params.minValue !== null) {
+      query = query.gte('value', params.minValue);
+    }
+
+    if (params.maxValue !== null) {
+      query = query.lte('value', params.maxValue);
+    }
+
+    const dateColumn = DATE_FIELDS[params.dateField];
+
+    if (params.from) {
+      query = query.gte(dateColumn, params.from);
+    }
+
+    if (params.to) {
+      query = query.lte(dateColumn, params.to);
+    }
+
+    // One extra row tells whether there is another page
+    const { data, error, count } = await query
+      .order(sort.column, { ascending: sort.ascending })
+      .order('id', { ascending: sort.ascending })
+      .limit(params.limit + 1);
+
+    if (error) {
+      throw error;
+    }
+
+    const rows = data.slice(0, params.limit);
+    const last = rows[rows.length - 1];
+
+    return {
+      rows,
+      nextCursor: data.length > params.limit
+        ? ContractSearchService.encodeCursor({ value: last[sort.column], id: last.id })
+        : null,
+      total: count,
+    };
+  }
+
+  /**
+   * Parse and validate the query string of a contract search
+   * @param {Object} query - Request query
+   * @returns {Object} { params } or { error } with a message for the client
+   */
+  static parseParams(query = {}) {
+    const params = {
+      q: query.q ? String(query.q).trim() : '',
+      status: query.status && query.status !== 'all' ? query.status : null,
+      counterpartyId: query.counterpartyId || null,
+      verified: null,
+      minValue: null,
+      maxValue: null,
+      dateField: query.dateField || 'created',
+      from: query.from || null,
+      to: query.to || null,
+      sort: query.sort || 'newest',
+      limit: DEFAULT_LIMIT,
+      cursor: null,
+    };
+
+    if (params.status && !STATUSES.includes(params.status)) {
+      return { error: `Unknown status: ${params.status}` };
+    }
+
+    if (params.counterpartyId && !/^[0-9a-f-]{36}$/i.test(params.counterpartyId)) {
+      return { error: 'Counterparty must be a user ID' };
+    }
+
+    if (query.verified !== undefined && query.verified !== '') {
+      if (!['true', 'false'].includes(String(query.verified))) {
+        return { error: 'Verified must be true or false' };
+      }
+      params.verified = String(query.verified) === 'true';
+    }
+
+    for (const field of ['minValue', 'maxValue']) {
+      if (query[field] !== undefined && query[field] !== '') {
+        const value = Number(query[field]);
+        if (!Number.isFinite(value) || value < 0) {
+          return { error: `${field} must be a non-negative number` };
+        }
+        params[field] = value;
+      }
+    }
+
+    if (params.minValue !== null && params.maxValue !== null && params.minValue > params.maxValue) {
+      return { error: 'minValue cannot be greater than maxValue' };
+    }
+
+    if (!DATE_FIELDS[params.dateField]) {
+      return { error: `dateField must be one of ${Object.keys(DATE_FIELDS).join(', ')}` };
+    }
+
+    for (const field of ['from', 'to']) {
+      if (params[field] && Number.isNaN(Date.parse(params[field]))) {
+        return { error: `${field} must be a date` };
+      }
+    }
+
+    if (params.from && params.to && new Date(params.from) > new Date(params.to)) {
+      return { error: 'from cannot be after to' };
+    }
+
+    if (!SORTS[params.sort]) {
+      return { error: `sort must be one of ${Object.keys(SORTS).join(', ')}` };
+    }
+
+    if (query.limit !== undefined && query.limit !== '') {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return { error: 'limit must be a positive whole number' };
+      }
+      params.limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    if (query.cursor) {
+      params.cursor = ContractSearchService.decodeCursor(query.cursor);
+      if (!params.cursor) {
+        return { error: 'Invalid cursor' };
+      }
+    }
+
+    return { params };
+  }
+
+  /**
+   * Encode the position of the last row on a page
+   * @param {Object} position - { value, id } of the last row
+   * @returns {string} Opaque cursor
+   */
+  static encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor from encodeCursor
+   * @param {string} cursor - Opaque cursor
+   * @returns {Object|null} { value, id }, or null if the cursor is malformed
+   */
+  static decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!position || position.value === undefined || position.value === null || !/^[0-9a-f-]{36}$/i.test(position.id)) {
+        return null;
+      }
+      return position;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+ContractSearchService.SORTS = SORTS;
+ContractSearchService.DATE_FIELDS = DATE_FIELDS;
+ContractSearchService.DEFAULT_LIMIT = DEFAULT_LIMIT;
+ContractSearchService.MAX_LIMIT = MAX_LIMIT;
+ContractSearchService.CONTRACT_SELECT = CONTRACT_SELECT;
+
+module.exports = ContractSearchService;
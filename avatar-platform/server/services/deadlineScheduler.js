@@ -0,0 +1,273 @@
+const BlockchainService = require('./blockchainService');
+const ContractEventLog = require('./contractEventLog');
+const LedgerService = require('./ledgerService');
+
+// Table names
+const TABLES = {
+  CONTRACTS: 'contracts',
+  DELIVERABLES: 'deliverables',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Periodic task that enforces contract deadlines. Pending contracts the
+ * freelancer never accepted are expired (refunding any on-chain escrow), and
+ * active contracts and open deliverables past their due dates are flagged
+ * as overdue.
+ */
+class DeadlineScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.supabase - Supabase client
+   * @param {BlockchainService} options.blockchainService - Service used to cancel on-chain escrow
+   * @param {number} options.checkInterval - Delay between runs in ms
+   * @param {number} options.acceptanceWindowDays - Days a pending contract waits for acceptance
+   */
+  constructor({
+    supabase,
+    blockchainService,
+    checkInterval = 3600000,
+    acceptanceWindowDays = 14,
+  }) {
+    this.supabase = supabase;
+    this.blockchainService = blockchainService;
+    this.checkInterval = checkInterval;
+    this.acceptanceWindowDays = acceptanceWindowDays;
+    this.eventLog = new ContractEventLog({ supabase });
+    this.ledgerService = new LedgerService({ supabase });
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start running checks on the interval
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.scheduleNext(0);
+  }
+
+  /**
+   * Stop running checks
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleNext(delay) {
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    try {
+      await this.run();
+    } catch (error) {
+      console.error('Deadline scheduler error:', error);
+    } finally {
+      if (this.running) {
+        this.scheduleNext(this.checkInterval);
+      }
+    }
+  }
+
+  /**
+   * Run every deadline check once
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Number of contracts expired and items flagged
+   */
+  async run(now = new Date()) {
+    const expired = await this.expirePendingContracts(now);
+    const overdueContracts = await this.flagOverdueContracts(now);
+    const overdueDeliverables = await this.flagOverdueDeliverables(now);
+
+    return { expired, overdueContracts, overdueDeliverables };
+  }
+
+  /**
+   * Expire pending contracts whose acceptance window has passed or whose
+   * start date is before today. Each contract is claimed as 'expiring' before
+   * its escrow is cancelled on-chain, so it cannot be accepted meanwhile, and
+   * returned to pending if the cancellation fails. Claims abandoned by a
+   * crashed run are picked up again; cancelling twice on-chain is harmless.
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of contracts expired
+   */
+  async expirePendingContracts(now) {
+    const createdBefore = new Date(now.getTime() - this.acceptanceWindowDays * DAY_MS);
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
+    const claimedBefore = new Date(now.getTime() - this.checkInterval);
+
+    const { data: contracts, error } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .select('*')
+      .or(
+        `and(status.eq.pending,or(created_at.lt.${createdBefore.toISOString()},start_date.lt.${startOfToday.toISOString()})),` +
+        `and(status.eq.expiring,updated_at.lt.${claimedBefore.toISOString()})`
+      );
+
+    if (error) {
+      throw error;
+    }
+
+    let expired = 0;
+
+    for (const contract of contracts) {
+      const onChain = Boolean(contract.smart_contract_address && contract.blockchain_contract_id);
+
+      if (onChain && !this.blockchainService.isConfigured()) {
+        continue;
+      }
+
+      // Accepted or claimed by another run between the query and the claim
+      if (!(await this.claimContract(contract, now))) {
+        continue;
+      }
+
+      const updates = {
+        status: 'expired',
+        expired_at: now,
+        updated_at: now,
+      };
+
+      // Cancelling on-chain refunds the escrow to the investor
+      if (onChain) {
+        try {
+          const { transactionHash } = await this.blockchainService.updateContractStatus(
+            contract.blockchain_contract_id,
+            'cancelled'
+          );
+          updates.last_transaction_hash = transactionHash;
+        } catch (blockchainError) {
+          // Returned to pending so the next run retries
+          console.error(
+            `Error expiring contract ${contract.id} on blockchain:`,
+            BlockchainService.formatError(blockchainError)
+          );
+          await this.releaseContract(contract);
+          continue;
+        }
+      }
+
+      const { error: updateError } = await this.supabase
+        .from(TABLES.CONTRACTS)
+        .update(updates)
+        .eq('id', contract.id)
+        .eq('status', 'expiring');
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      await this.eventLog.record(contract.id, ContractEventLog.EVENT_TYPES.CONTRACT_EXPIRED, {
+        fromStatus: 'pending',
+        toStatus: 'expired',
+        transactionHash: updates.last_transaction_hash,
+      });
+
+      // Nothing is released before acceptance, so the whole escrow went back
+      if (onChain && Number(contract.value) > 0) {
+        await this.ledgerService.recordRefund(contract, {
+          amount: Number(contract.value),
+          source: LedgerService.SOURCES.EXPIRY,
+          sourceId: contract.id,
+          transactionHash: updates.last_transaction_hash,
+        });
+      }
+
+      expired++;
+    }
+
+    return expired;
+  }
+
+  /**
+   * Claim a contract for expiry with an optimistic lock on its status and
+   * last update
+   * @param {Object} contract - Contract row as read by the scheduler
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>} Whether this run holds the claim
+   */
+  async claimContract(contract, now) {
+    const { data, error } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .update({ status: 'expiring', updated_at: now })
+      .eq('id', contract.id)
+      .eq('status', contract.status)
+      .eq('updated_at', contract.updated_at)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    return data.length > 0;
+  }
+
+  /**
+   * Return a claimed contract to pending after its cancellation failed
+   * @param {Object} contract - Contract row
+   */
+  async releaseContract(contract) {
+    const { error } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .update({ status: 'pending', updated_at: new Date() })
+      .eq('id', contract.id)
+      .eq('status', 'expiring');
+
+    if (error) {
+      console.error(`Error returning contract ${contract.id} to pending:`, error);
+    }
+  }
+
+  /**
+   * Flag active contracts that have passed their end date
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of contracts flagged
+   */
+  async flagOverdueContracts(now) {
+    const { data, error } = await this.supabase
+      .from(TABLES.CONTRACTS)
+      .update({ overdue: true, updated_at: now })
+      .eq('status', 'active')
+      .eq('overdue', false)
+      .lt('end_date', now.toISOString())
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    return data.length;
+  }
+
+  /**
+   * Flag deliverables still awaiting approval or changes after their due date
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of deliverables flagged
+   */
+  async flagOverdueDeliverables(now) {
+    const { data, error } = await this.supabase
+      .from(TABLES.DELIVERABLES)
+      .update({ overdue: true, updated_at: now })
+      .in('status', ['pending', 'changes_requested'])
+      .eq('overdue', false)
+      .lt('due_date', now.toISOString())
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    return data.length;
+  }
+}
+
+module.exports = DeadlineScheduler;
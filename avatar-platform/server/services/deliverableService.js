@@ -0,0 +1,372 @@
+// Table names
+const TABLES = {
+  DELIVERABLES: 'deliverables',
+  DELIVERABLE_VERSIONS: 'deliverable_versions',
+  DELIVERABLE_COMMENTS: 'deliverable_comments',
+};
+
+const STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes_requested',
+  REJECTED: 'rejected',
+};
+
+// Statuses the investor can give a submitted version
+const REVIEW_STATUSES = [STATUSES.APPROVED, STATUSES.CHANGES_REQUESTED, STATUSES.REJECTED];
+
+// Deliverables still waiting on their owner or the investor
+const OPEN_STATUSES = [STATUSES.PENDING, STATUSES.CHANGES_REQUESTED];
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const AUTHOR_SELECT = `
+  author:author_id (
+    id,
+    email,
+    profiles (
+      name,
+      profile_image
+    )
+  )
+`;
+
+/**
+ * Versioned submissions of a deliverable. The deliverable row mirrors its
+ * current version; every resubmission after the investor requests changes
+ * adds a version, and earlier versions keep their files in the private
+ * deliverables bucket. Reviewers and the owner discuss each version in a comment thread.
+ */
+class DeliverableService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.supabase - Supabase client
+   */
+  constructor({ supabase }) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Record the first version of a newly added deliverable
+   * @param {Object} deliverable - Deliverable row
+   * @returns {Promise<Object>} Version row
+   */
+  async recordFirstVersion(deliverable) {
+    return this.insertVersion(deliverable, {
+      version: 1,
+      description: deliverable.description,
+      fileUrl: deliverable.file_url,
+      content: DeliverableService.contentOf(deliverable),
+      submittedBy: deliverable.owner_id,
+      status: deliverable.status,
+      submittedAt: deliverable.created_at,
+    });
+  }
+
+  /**
+   * Get the version a deliverable row currently mirrors. Deliverables added
+   * before versioning get it recorded on first use.
+   * @param {Object} deliverable - Deliverable row
+   * @returns {Promise<Object>} Version row
+   */
+  async getCurrentVersion(deliverable) {
+    const version = deliverable.current_version || 1;
+
+    const { data, error } = await this.supabase
+      .from(TABLES.DELIVERABLE_VERSIONS)
+      .select('*')
+      .eq('deliverable_id', deliverable.id)
+      .eq('version', version)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (data) {
+      return data;
+    }
+
+    return this.insertVersion(deliverable, {
+      version,
+      description: deliverable.description,
+      fileUrl: deliverable.file_url,
+      content: DeliverableService.contentOf(deliverable),
+      submittedBy: deliverable.owner_id,
+      status: deliverable.status,
+      submittedAt: deliverable.updated_at || deliverable.created_at,
+    });
+  }
+
+  /**
+   * Get every version of a deliverable with its comments, oldest first
+   * @param {Object} deliverable - Deliverable row
+   * @returns {Promise<Array>} Formatted versions
+   */
+  async getVersions(deliverable) {
+    await this.getCurrentVersion(deliverable);
+
+    const { data, error } = await this.supabase
+      .from(TABLES.DELIVERABLE_VERSIONS)
+      .select(`*, comments:deliverable_comments (*, ${AUTHOR_SELECT})`)
+      .eq('deliverable_id', deliverable.id)
+      .order('version', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(DeliverableService.formatVersion);
+  }
+
+  /**
+   * Get a version by ID
+   * @param {string} deliverableId - Deliverable ID
+   * @param {string} versionId - Version ID
+   * @returns {Promise<Object|null>} Version row, or null if it is not a version of the deliverable
+   */
+  async getVersion(deliverableId, versionId) {
+    const { data, error } = await this.supabase
+      .from(TABLES.DELIVERABLE_VERSIONS)
+      .select('*')
+      .eq('id', versionId)
+      .eq('deliverable_id', deliverableId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Record the investor's review of the current version, with optional
+   * feedback added to its thread. The caller updates the deliverable row.
+   * @param {Object} deliverable - Deliverable row
+   * @param {string} status - One of REVIEW_STATUSES
+   * @param {string} reviewerId - Investor's user ID
+   * @param {string} feedback - Reviewer comment
+   * @returns {Promise<Object>} Updated version row
+   */
+  async reviewVersion(deliverable, status, reviewerId, feedback = null) {
+    const current = await this.getCurrentVersion(deliverable);
+
+    const { data, error } = await this.supabase
+      .from(TABLES.DELIVERABLE_VERSIONS)
+      .update({
+        status,
+        reviewed_by: reviewerId,
+        reviewed_at: new Date(),
+      })
+      .eq('id', current.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    if (feedback) {
+      await this.addComment(data, reviewerId, feedback);
+    }
+
+    return data;
+  }
+
+  /**
+   * Submit a new version of a deliverable the investor requested changes
+   * on. The caller hashes the new content, which is the previous version's
+   * file when no new file is uploaded.
+   * @param {Object} deliverable - Deliverable row
+   * @param {Object} submission - New version
+   * @param {string} submission.submittedBy - Owner's user ID
+   * @param {string} submission.description - Description of the changes
+   * @param {string} submission.fileUrl - Public URL of a file uploaded before private storage
+   * @param {Object} submission.content - { cid, sha256, size, filePath } from ContentStore
+   * @param {string} submission.blockchainUri - URI of the new content when it was recorded on-chain
+   * @returns {Promise<Object>} { deliverable, version } rows
+   */
+  async resubmit(deliverable, { submittedBy, description, fileUrl, content, blockchainUri }) {
+    const previous = await this.getCurrentVersion(deliverable);
+    const now = new Date();
+
+    const version = await this.insertVersion(deliverable, {
+      version: previous.version + 1,
+      description,
+      fileUrl,
+      content,
+      submittedBy,
+      status: STATUSES.PENDING,
+      submittedAt: now,
+    });
+
+    const { data, error } = await this.supabase
+      .from(TABLES.DELIVERABLES)
+      .update({
+        status: STATUSES.PENDING,
+        current_version: version.version,
+        description: version.description,
+        file_url: version.file_url,
+        file_path: content.filePath,
+        file_size: content.size,
+        content_cid: content.cid,
+        content_sha256: content.sha256,
+        integrity_status: 'verified',
+        integrity_checked_at: now,
+        blockchain_uri: blockchainUri || deliverable.blockchain_uri || null,
+        updated_at: now,
+      })
+      .eq('id', deliverable.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return { deliverable: data, version };
+  }
+
+  /**
+   * Add a comment to a version's thread
+   * @param {Object} version - Version row
+   * @param {string} authorId - Author's user ID
+   * @param {string} body - Comment text
+   * @returns {Promise<Object>} Formatted comment
+   */
+  async addComment(version, authorId, body) {
+    const { data, error } = await this.supabase
+      .from(TABLES.DELIVERABLE_COMMENTS)
+      .insert({
+        deliverable_id: version.deliverable_id,
+        version_id: version.id,
+        author_id: authorId,
+        body: String(body).trim(),
+        created_at: new Date(),
+      })
+      .select(`*, ${AUTHOR_SELECT}`)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return DeliverableService.formatComment(data);
+  }
+
+  /**
+   * Insert a version row
+   * @param {Object} deliverable - Deliverable row
+   * @param {Object} version - Version fields
+   * @returns {Promise<Object>} Version row
+   */
+  async insertVersion(deliverable, { version, description, fileUrl, content, submittedBy, status, submittedAt }) {
+    const { data, error } = await this.supabase
+      .from(TABLES.DELIVERABLE_VERSIONS)
+      .insert({
+        deliverable_id: deliverable.id,
+        contract_id: deliverable.contract_id,
+        version,
+        description: description || null,
+        file_url: fileUrl || null,
+        file_path: content.filePath || null,
+        content_cid: content.cid || null,
+        content_sha256: content.sha256 || null,
+        submitted_by: submittedBy || null,
+        status,
+        submitted_at: submittedAt || new Date(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Content fields of a deliverable row in the shape ContentStore returns
+   * @param {Object} row - Deliverable or version row
+   * @returns {Object} { cid, sha256, size, filePath }
+   */
+  static contentOf(row) {
+    return {
+      cid: row.content_cid || null,
+      sha256: row.content_sha256 || null,
+      size: row.file_size || null,
+      filePath: row.file_path || null,
+    };
+  }
+
+  /**
+   * Validate a comment
+   * @param {*} body - Comment text
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateComment(body) {
+    if (typeof body !== 'string' || !body.trim()) {
+      return 'Comment is required';
+    }
+
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Format a version row with its comments for the client
+   * @param {Object} row - Version row
+   * @returns {Object} Version
+   */
+  static formatVersion(row) {
+    return {
+      id: row.id,
+      deliverableId: row.deliverable_id,
+      version: row.version,
+      description: row.description,
+      fileUrl: row.file_url,
+      hasFile: Boolean(row.file_path || row.file_url),
+      contentCid: row.content_cid,
+      status: row.status,
+      submittedBy: row.submitted_by,
+      submittedAt: row.submitted_at,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      comments: (row.comments || [])
+        .map(DeliverableService.formatComment)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+    };
+  }
+
+  /**
+   * Format a comment row with its author for the client
+   * @param {Object} row - Comment row
+   * @returns {Object} Comment
+   */
+  static formatComment(row) {
+    return {
+      id: row.id,
+      versionId: row.version_id,
+      body: row.body,
+      author: {
+        id: row.author_id,
+        email: row.author?.email || '',
+        name: row.author?.profiles?.name || '',
+        profileImage: row.author?.profiles?.profile_image || '',
+      },
+      createdAt: row.created_at,
+    };
+  }
+}
+
+DeliverableService.STATUSES = STATUSES;
+DeliverableService.REVIEW_STATUSES = REVIEW_STATUSES;
+DeliverableService.OPEN_STATUSES = OPEN_STATUSES;
+DeliverableService.MAX_COMMENT_LENGTH = MAX_COMMENT_LENGTH;
+
+module.exports = DeliverableService;
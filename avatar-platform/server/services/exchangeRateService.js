@@ -0,0 +1,152 @@
+const axios = require('axios');
+const { defaultRates } = require('../config/currencies');
+
+/**
+ * Rate provider backed by a fixed table, so conversion works offline
+ */
+class StaticRateProvider {
+  /**
+   * @param {Object} rates - Units of each currency per unit of the base currency
+   */
+  constructor(rates = defaultRates) {
+    this.name = 'static';
+    this.rates = rates;
+  }
+
+  async getRates() {
+    return { ...this.rates };
+  }
+}
+
+/**
+ * Rate provider that fetches a JSON document shaped like
+ * { "rates": { "EUR": 0.92, "ETH": 0.0003, ... } } relative to the base currency
+ */
+class HttpRateProvider {
+  /**
+   * @param {string} url - Rates endpoint
+   * @param {number} timeout - Request timeout in ms
+   */
+  constructor(url, timeout = 5000) {
+    this.name = 'http';
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  async getRates() {
+    const { data } = await axios.get(this.url, { timeout: this.timeout });
+
+    if (!data || typeof data.rates !== 'object') {
+      throw new Error('Exchange rate response has no rates');
+    }
+
+    return data.rates;
+  }
+}
+
+/**
+ * Converts amounts between contract currencies. Any object with an async
+ * getRates() method can be plugged in as the provider; rates are cached and
+ * the last known (or built-in) rates are used when the provider fails.
+ */
+class ExchangeRateService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.provider - Rate provider, defaults to the static table
+   * @param {string} options.baseCurrency - Currency the rates are relative to
+   * @param {number} options.cacheTtl - How long fetched rates are reused, in ms
+   */
+  constructor({ provider = new StaticRateProvider(), baseCurrency = 'USD', cacheTtl = 600000 } = {}) {
+    this.provider = provider;
+    this.baseCurrency = baseCurrency;
+    this.cacheTtl = cacheTtl;
+    this.cache = null;
+  }
+
+  /**
+   * Build a service from the exchangeRates section of the server config
+   * @param {Object} options - Provider name, base currency, URL, rates and cache TTL
+   * @returns {ExchangeRateService} Service
+   */
+  static fromConfig({ provider, baseCurrency, url, rates, cacheTtl } = {}) {
+    const rateProvider = provider === 'http' && url
+      ? new HttpRateProvider(url)
+      : new StaticRateProvider(rates || defaultRates);
+
+    return new ExchangeRateService({ provider: rateProvider, baseCurrency, cacheTtl });
+  }
+
+  /**
+   * Get the current rates
+   * @returns {Promise<Object>} Base currency, rates, source and fetch time
+   */
+  async getRates() {
+    if (this.cache && Date.now() - this.cache.fetchedAt < this.cacheTtl) {
+      return this.cache.result;
+    }
+
+    let result;
+    try {
+      const rates = await this.provider.getRates();
+      result = {
+        baseCurrency: this.baseCurrency,
+        rates: { ...rates, [this.baseCurrency]: 1 },
+        source: this.provider.name || 'custom',
+        updatedAt: new Date(),
+      };
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error.message);
+
+      // Keep serving the last good rates rather than failing every conversion
+      result = this.cache
+        ? { ...this.cache.result, stale: true }
+        : {
+            baseCurrency: this.baseCurrency,
+            rates: { ...defaultRates, [this.baseCurrency]: 1 },
+            source: 'fallback',
+            updatedAt: new Date(),
+            stale: true,
+          };
+    }
+
+    this.cache = { result, fetchedAt: Date.now() };
+    return result;
+  }
+
+  /**
+   * Convert an amount between currencies at the current rates
+   * @param {number} amount - Amount to convert
+   * @param {string} from - Currency of the amount
+   * @param {string} to - Target currency, defaults to the base currency
+   * @returns {Promise<number|null>} Converted amount, or null without a rate
+   */
+  async convert(amount, from, to = this.baseCurrency) {
+    const { rates } = await this.getRates();
+    return ExchangeRateService.convertWith(rates, amount, from, to);
+  }
+
+  /**
+   * Convert an amount with a given rate table
+   * @param {Object} rates - Units of each currency per unit of the base currency
+   * @param {number} amount - Amount to convert
+   * @param {string} from - Currency of the amount
+   * @param {string} to - Target currency
+   * @returns {number|null} Converted amount, or null without a rate
+   */
+  static convertWith(rates, amount, from, to) {
+    if (from === to) {
+      return Number(amount);
+    }
+
+    if (!(rates[from] > 0) || !(rates[to] > 0)) {
+      return null;
+    }
+
+    return (Number(amount) / rates[from]) * rates[to];
+  }
+}
+
+ExchangeRateService.StaticRateProvider = StaticRateProvider;
+ExchangeRateService.HttpRateProvider = HttpRateProvider;
+
+module.exports = ExchangeRateService;
@@ -0,0 +1,474 @@
+const ExchangeRateService = require('./exchangeRateService');
+const PayoutService = require('./payoutService');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+
+// Table names
+const TABLES = {
+  LEDGER_ENTRIES: 'ledger_entries',
+  INVOICES: 'invoices',
+};
+
+const ENTRY_TYPES = {
+  FUNDING: 'funding',
+  RELEASE: 'release',
+  REFUND: 'refund',
+  FEE: 'fee',
+  SPLIT: 'split',
+};
+
+const SOURCES = {
+  CONTRACT: 'contract',
+  MILESTONE: 'milestone',
+  TIMESHEET: 'timesheet',
+  VERIFICATION: 'verification',
+  DISPUTE: 'dispute',
+  CANCELLATION: 'cancellation',
+  EXPIRY: 'expiry',
+};
+
+// Attempts at claiming the next invoice number before giving up
+const MAX_NUMBER_ATTEMPTS = 3;
+
+/**
+ * Payment ledger for contract escrow. Every movement of money (escrow
+ * funding, payments to the freelancer and refunds to the investor) is
+ * appended as a ledger entry, and every payment to the freelancer is backed
+ * by an invoice. The platform fee and split recipients' shares of a payment
+ * are recorded as entries out of the freelancer's release.
+ */
+class LedgerService {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {Object} options.supabase - Supabase client
+   * @param {ExchangeRateService} options.exchangeRateService - Converts
+   *   totals across contracts into one currency
+   * @param {PayoutService} options.payoutService - Divides payments between
+   *   the platform fee, split recipients and the freelancer
+   */
+  constructor({
+    supabase,
+    exchangeRateService = new ExchangeRateService(),
+    payoutService = new PayoutService({ supabase }),
+  }) {
+    this.supabase = supabase;
+    this.exchangeRateService = exchangeRateService;
+    this.payoutService = payoutService;
+  }
+
+  /**
+   * Record the investor's deposit into escrow. A contract is funded once,
+   * so recording it again returns the existing entry.
+   * @param {Object} contract - Contract row
+   * @param {Object} funding - Funding data
+   * @param {number} funding.amount - Amount deposited
+   * @param {string} funding.transactionHash - Deposit transaction
+   * @returns {Promise<Object>} Ledger entry row
+   */
+  async recordFunding(contract, { amount, transactionHash = null }) {
+    const { data: existing, error } = await this.supabase
+      .from(TABLES.LEDGER_ENTRIES)
+      .select('*')
+      .eq('contract_id', contract.id)
+      .eq('entry_type', ENTRY_TYPES.FUNDING)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (existing) {
+      return existing;
+    }
+
+    return this.addEntry(contract, ENTRY_TYPES.FUNDING, {
+      amount,
+      fromUserId: contract.investor_id,
+      source: SOURCES.CONTRACT,
+      sourceId: contract.id,
+      transactionHash,
+    });
+  }
+
+  /**
+   * Record a payment to the freelancer and issue its invoice. The invoice is
+   * for the full amount; the fee and splits taken from it are recorded as
+   * separate entries.
+   * @param {Object} contract - Contract row
+   * @param {Object} release - Release data
+   * @param {number} release.amount - Amount paid
+   * @param {string} release.source - One of LedgerService.SOURCES
+   * @param {string} release.sourceId - Milestone, timesheet or dispute the payment is for
+   * @param {string} release.description - Invoice description
+   * @param {Array} release.lineItems - Invoice lines, defaults to a single line for the amount
+   * @param {string} release.transactionHash - Payment transaction
+   * @returns {Promise<Object>} Invoice row
+   */
+  async recordRelease(contract, {
+    amount,
+    source,
+    sourceId = null,
+    description,
+    lineItems = null,
+    transactionHash = null,
+  }) {
+    const invoice = await this.createInvoice(contract, {
+      amount,
+      source,
+      sourceId,
+      description,
+      lineItems: lineItems || [{ description, quantity: 1, unitPrice: amount, amount }],
+      transactionHash,
+    });
+
+    await this.addEntry(contract, ENTRY_TYPES.RELEASE, {
+      amount,
+      fromUserId: contract.investor_id,
+      toUserId: contract.freelancer_id,
+      source,
+      sourceId,
+      invoiceId: invoice.id,
+      transactionHash,
+    });
+
+    const payout = await this.payoutService.getBreakdown(contract, amount);
+
+    if (payout.platformFee > 0) {
+      await this.addEntry(contract, ENTRY_TYPES.FEE, {
+        amount: payout.platformFee,
+        fromUserId: contract.freelancer_id,
+        source,
+        sourceId,
+        invoiceId: invoice.id,
+        transactionHash,
+      });
+    }
+
+    for (const split of payout.splits.filter(s => s.amount > 0)) {
+      await this.addEntry(contract, ENTRY_TYPES.SPLIT, {
+        amount: split.amount,
+        fromUserId: contract.freelancer_id,
+        toUserId: split.recipientId,
+        source,
+        sourceId,
+        invoiceId: invoice.id,
+        transactionHash,
+      });
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Record escrow returned to the investor
+   * @param {Object} contract - Contract row
+   * @param {Object} refund - Refund data
+   * @param {number} refund.amount - Amount refunded
+   * @param {string} refund.source - One of LedgerService.SOURCES
+   * @param {string} refund.sourceId - Record that triggered the refund
+   * @param {string} refund.transactionHash - Refund transaction
+   * @returns {Promise<Object>} Ledger entry row
+   */
+  async recordRefund(contract, { amount, source, sourceId = null, transactionHash = null }) {
+    return this.addEntry(contract, ENTRY_TYPES.REFUND, {
+      amount,
+      toUserId: contract.investor_id,
+      source,
+      sourceId,
+      transactionHash,
+    });
+  }
+
+  /**
+   * Append a ledger entry
+   * @param {Object} contract - Contract row
+   * @param {string} entryType - One of LedgerService.ENTRY_TYPES
+   * @param {Object} entry - Entry data
+   * @returns {Promise<Object>} Ledger entry row
+   */
+  async addEntry(contract, entryType, {
+    amount,
+    fromUserId = null,
+    toUserId = null,
+    source,
+    sourceId = null,
+    invoiceId = null,
+    transactionHash = null,
+  }) {
+    const { data, error } = await this.supabase
+      .from(TABLES.LEDGER_ENTRIES)
+      .insert({
+        contract_id: contract.id,
+        entry_type: entryType,
+        amount,
+        currency: contract.currency || DEFAULT_CURRENCY,
+        from_user_id: fromUserId,
+        to_user_id: toUserId,
+        source,
+        source_id: sourceId,
+        invoice_id: invoiceId,
+        transaction_hash: transactionHash,
+        created_at: new Date(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Issue a paid invoice from the freelancer to the investor. Invoice
+   * numbers run per contract, so a concurrent payment that claims the same
+   * number is retried with the next one.
+   * @param {Object} contract - Contract row
+   * @param {Object} invoice - Invoice data
+   * @returns {Promise<Object>} Invoice row
+   */
+  async createInvoice(contract, { amount, source, sourceId, description, lineItems, transactionHash }) {
+    for (let attempt = 1; ; attempt++) {
+      const { count, error: countError } = await this.supabase
+        .from(TABLES.INVOICES)
+        .select('id', { count: 'exact', head: true })
+        .eq('contract_id', contract.id);
+
+      if (countError) {
+        throw countError;
+      }
+
+      const { data, error } = await this.supabase
+        .from(TABLES.INVOICES)
+        .insert({
+          contract_id: contract.id,
+          invoice_number: LedgerService.formatInvoiceNumber(contract.id, count + 1),
+          issuer_id: contract.freelancer_id,
+          recipient_id: contract.investor_id,
+          source_type: source,
+          source_id: sourceId,
+          description,
+          line_items: lineItems,
+          amount,
+          currency: contract.currency || DEFAULT_CURRENCY,
+          status: 'paid',
+          paid_at: new Date(),
+          transaction_hash: transactionHash,
+          created_at: new Date(),
+        })
+        .select()
+        .single();
+
+      // Unique violation: another payment took this number first
+      if (error && error.code === '23505' && attempt < MAX_NUMBER_ATTEMPTS) {
+        continue;
+      }
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    }
+  }
+
+  /**
+   * Get a contract's ledger entries and invoices, oldest first
+   * @param {string} contractId - Contract ID
+   * @returns {Promise<Object>} Entries, invoices and balance summary
+   */
+  async getLedger(contractId) {
+    const [entriesResult, invoicesResult] = await Promise.all([
+      this.supabase
+        .from(TABLES.LEDGER_ENTRIES)
+        .select('*')
+        .eq('contract_id', contractId)
+        .order('created_at', { ascending: true }),
+      this.supabase
+        .from(TABLES.INVOICES)
+        .select('*')
+        .eq('contract_id', contractId)
+        .order('created_at', { ascending: true }),
+    ]);
+
+    if (entriesResult.error) {
+      throw entriesResult.error;
+    }
+    if (invoicesResult.error) {
+      throw invoicesResult.error;
+    }
+
+    return {
+      entries: entriesResult.data.map(LedgerService.formatEntry),
+      invoices: invoicesResult.data.map(LedgerService.formatInvoice),
+      summary: LedgerService.summarize(entriesResult.data),
+    };
+  }
+
+  /**
+   * Get the invoices a user issued or received, newest first
+   * @param {string} userId - User ID
+   * @param {string} role - "issued", "received" or omitted for both
+   * @returns {Promise<Array>} Formatted invoices with contract titles
+   */
+  async getInvoices(userId, role = null) {
+    let query = this.supabase
+      .from(TABLES.INVOICES)
+      .select('*, contract:contract_id (id, title)');
+
+    if (role === 'issued') {
+      query = query.eq('issuer_id', userId);
+    } else if (role === 'received') {
+      query = query.eq('recipient_id', userId);
+    } else {
+      query = query.or(`issuer_id.eq.${userId},recipient_id.eq.${userId}`);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(LedgerService.formatInvoice);
+  }
+
+  /**
+   * Total the money a user has moved across all of their contracts. Entries
+   * are converted into the exchange rate service's base currency.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Funded, paid, earned, refunded, held and fee amounts
+   */
+  async getFinancialSummary(userId) {
+    const { data, error } = await this.supabase
+      .from(TABLES.LEDGER_ENTRIES)
+      .select('*')
+      .or(`from_user_id.eq.${userId},to_user_id.eq.${userId}`);
+
+    if (error) {
+      throw error;
+    }
+
+    const { baseCurrency, rates } = await this.exchangeRateService.getRates();
+    const toBase = (e) => ExchangeRateService.convertWith(
+      rates,
+      e.amount,
+      e.currency || DEFAULT_CURRENCY,
+      baseCurrency
+    ) || 0;
+
+    const total = (predicate) => data
+      .filter(predicate)
+      .reduce((sum, e) => sum + toBase(e), 0);
+
+    const funded = total(e => e.entry_type === ENTRY_TYPES.FUNDING && e.from_user_id === userId);
+    const paid = total(e => e.entry_type === ENTRY_TYPES.RELEASE && e.from_user_id === userId);
+    const refunded = total(e => e.entry_type === ENTRY_TYPES.REFUND && e.to_user_id === userId);
+    const fees = total(e => e.entry_type === ENTRY_TYPES.FEE && e.from_user_id === userId);
+
+    // Freelancers keep their releases less fees and the shares they pass on,
+    // and split recipients earn the shares passed to them
+    const released = total(e => e.entry_type === ENTRY_TYPES.RELEASE && e.to_user_id === userId);
+    const splitsOut = total(e => e.entry_type === ENTRY_TYPES.SPLIT && e.from_user_id === userId);
+    const splitsIn = total(e => e.entry_type === ENTRY_TYPES.SPLIT && e.to_user_id === userId);
+
+    return {
+      currency: baseCurrency,
+      funded,
+      paid,
+      refunded,
+      earned: released - fees - splitsOut + splitsIn,
+      fees,
+      inEscrow: Math.max(funded - paid - refunded, 0),
+      payments: data.filter(e => e.entry_type === ENTRY_TYPES.RELEASE).length,
+    };
+  }
+
+  /**
+   * Total a contract's ledger entries
+   * @param {Array} entries - Ledger entry rows
+   * @returns {Object} Funded, released, refunded, held, fee and split amounts
+   */
+  static summarize(entries = []) {
+    const total = (entryType) => entries
+      .filter(e => e.entry_type === entryType)
+      .reduce((sum, e) => sum + Number(e.amount), 0);
+
+    const funded = total(ENTRY_TYPES.FUNDING);
+    const released = total(ENTRY_TYPES.RELEASE);
+    const refunded = total(ENTRY_TYPES.REFUND);
+
+    return {
+      funded,
+      released,
+      refunded,
+      held: Math.max(funded - released - refunded, 0),
+      fees: total(ENTRY_TYPES.FEE),
+      splits: total(ENTRY_TYPES.SPLIT),
+    };
+  }
+
+  /**
+   * Build an invoice number from the contract ID and a per-contract sequence
+   * @param {string} contractId - Contract ID
+   * @param {number} sequence - Invoice sequence, starting at 1
+   * @returns {string} Invoice number, e.g. INV-1A2B3C4D-003
+   */
+  static formatInvoiceNumber(contractId, sequence) {
+    const prefix = String(contractId).replace(/-/g, '').slice(0, 8).toUpperCase();
+    return `INV-${prefix}-${String(sequence).padStart(3, '0')}`;
+  }
+
+  /**
+   * Format a ledger entry row
+   * @param {Object} entry - Ledger entry row
+   * @returns {Object} Formatted entry
+   */
+  static formatEntry(entry) {
+    return {
+      id: entry.id,
+      contractId: entry.contract_id,
+      type: entry.entry_type,
+      amount: Number(entry.amount),
+      currency: entry.currency || DEFAULT_CURRENCY,
+      fromUserId: entry.from_user_id,
+      toUserId: entry.to_user_id,
+      source: entry.source,
+      sourceId: entry.source_id,
+      invoiceId: entry.invoice_id,
+      transactionHash: entry.transaction_hash,
+      createdAt: entry.created_at,
+    };
+  }
+
+  /**
+   * Format an invoice row
+   * @param {Object} invoice - Invoice row
+   * @returns {Object} Formatted invoice
+   */
+  static formatInvoice(invoice) {
+    return {
+      id: invoice.id,
+      contractId: invoice.contract_id,
+      contractTitle: invoice.contract ? invoice.contract.title : undefined,
+      number: invoice.invoice_number,
+      issuerId: invoice.issuer_id,
+      recipientId: invoice.recipient_id,
+      source: invoice.source_type,
+      sourceId: invoice.source_id,
+      description: invoice.description,
+      lineItems: invoice.line_items || [],
+      amount: Number(invoice.amount),
+      currency: invoice.currency || DEFAULT_CURRENCY,
+      status: invoice.status,
+      paidAt: invoice.paid_at,
+      transactionHash: invoice.transaction_hash,
+      createdAt: invoice.created_at,
+    };
+  }
+}
+
+LedgerService.ENTRY_TYPES = ENTRY_TYPES;
+LedgerService.SOURCES = SOURCES;
+
+module.exports = LedgerService;
@@ -0,0 +1,609 @@
+const { categories, skills, industries } = require('../config/skillTaxonomy');
+
+// Table names
+const TABLES = {
+  USERS: 'users',
+  CONTRACTS: 'contracts',
+};
+
+// Rows read per request while loading every candidate
+const PAGE_SIZE = 1000;
+
+const FEATURES = {
+  SKILLS: 'skills',
+  INDUSTRY: 'industry',
+  SUCCESS: 'success',
+  REPUTATION: 'reputation',
+  RATE_FIT: 'rateFit',
+  RECENCY: 'recency',
+};
+
+const FEATURE_LABELS = {
+  [FEATURES.SKILLS]: 'Skills',
+  [FEATURES.INDUSTRY]: 'Industry',
+  [FEATURES.SUCCESS]: 'Contract success',
+  [FEATURES.REPUTATION]: 'Reputation',
+  [FEATURES.RATE_FIT]: 'Rate fit',
+  [FEATURES.RECENCY]: 'Recent activity',
+};
+
+// Share of the match score each feature contributes
+const DEFAULT_WEIGHTS = {
+  [FEATURES.SKILLS]: 0.3,
+  [FEATURES.INDUSTRY]: 0.15,
+  [FEATURES.SUCCESS]: 0.2,
+  [FEATURES.REPUTATION]: 0.15,
+  [FEATURES.RATE_FIT]: 0.1,
+  [FEATURES.RECENCY]: 0.1,
+};
+
+// Contracts that have ended, and the one outcome that counts as a success
+const FINISHED_STATUSES = ['completed', 'cancelled', 'expired', 'disputed'];
+const SUCCESS_STATUS = 'completed';
+
+// Skills listed on a profile count fully; skills only mentioned in a bio,
+// experience or contract description count half
+const LISTED = 1;
+const MENTIONED = 0.5;
+
+// Credit for a wanted skill when the other side has a skill in the same
+// group or only the same category
+const SAME_GROUP = 0.5;
+const SAME_CATEGORY = 0.2;
+
+// New users start from these priors instead of zero: one success in two
+// contracts, and a 3.5 star rating worth three reviews
+const SUCCESS_PRIOR = { successes: 1, total: 2 };
+const RATING_PRIOR = { rating: 3.5, count: 3 };
+const MAX_RATING = 5;
+
+// Typical contract values this many times apart have no rate fit left
+const RATE_FIT_RANGE = 4;
+
+// Neutral score for features without enough data to compare
+const UNKNOWN_SCORE = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SKILLS_BY_ID = new Map(skills.map(s => [s.id, s]));
+const CATEGORY_LABELS = new Map(categories.map(c => [c.id, c.label]));
+
+const normalize = (term) => String(term || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Every way of writing a skill, longest first so "react native" wins over "react"
+const TERM_PATTERNS = skills
+  .flatMap(skill => [skill.id, skill.label, ...skill.terms].map(term => ({ skill, term: normalize(term) })))
+  .filter((entry, index, all) => all.findIndex(e => e.term === entry.term) === index)
+  .sort((a, b) => b.term.length - a.term.length)
+  .map(({ skill, term }) => ({
+    skill,
+    term,
+    pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}(?=$|[^a-z0-9])`),
+  }));
+
+// Two-letter terms such as "go" or "ai" are only trusted in skill lists
+const MIN_TEXT_TERM_LENGTH = 3;
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const listLabels = (labels, max = 3) =>
+  labels.length > max ? `${labels.slice(0, max).join(', ')} and ${labels.length - max} more` : labels.join(', ');
+
+const formatMoney = (value, currency) =>
+  `${Number(value).toLocaleString('en-US', { maximumFractionDigits: value < 10 ? 2 : 0 })} ${currency}`;
+
+/**
+ * Collect every string in a JSON profile field such as experience or portfolio
+ */
+const textOf = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (typeof value === 'object') {
+    return Object.values(value).map(textOf).join(' ');
+  }
+  return '';
+};
+
+/**
+ * Recommends investors to freelancers and freelancers to investors. Every
+ * candidate is scored on weighted features (skill taxonomy overlap,
+ * industry, past contract success, reputation, rate fit and recency) and
+ * each score comes with a breakdown that explains it.
+ */
+class MatchingService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.supabase - Supabase client
+   * @param {Object} options.weights - Feature weights, merged over DEFAULT_WEIGHTS
+   * @param {number} options.recencyHalfLifeDays - Days of inactivity that halve the recency score
+   */
+  constructor({ supabase, weights = {}, recencyHalfLifeDays = 30 }) {
+    this.supabase = supabase;
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.recencyHalfLifeDays = recencyHalfLifeDays;
+  }
+
+  /**
+   * Rank every candidate for a user: freelancers for an investor and
+   * investors for a freelancer
+   * @param {string} userId - User to recommend to
+   * @param {Object} options - Paging and currency conversion
+   * @param {number} options.limit - Results per page
+   * @param {number} options.offset - Results to skip
+   * @param {Object} options.rates - Units of each currency per unit of the base currency
+   * @param {string} options.baseCurrency - Currency contract values are compared in
+   * @returns {Promise<Object|null>} { total, results }, or null for users who are neither
+   */
+  async recommend(userId, { limit = 20, offset = 0, rates = {}, baseCurrency = 'USD' } = {}) {
+    const { data: viewerRow, error } = await this.supabase
+      .from(TABLES.USERS)
+      .select('id, user_type')
+      .eq('id', userId)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!['investor', 'freelancer'].includes(viewerRow.user_type)) {
+      return null;
+    }
+
+    const candidateType = viewerRow.user_type === 'investor' ? 'freelancer' : 'investor';
+
+    const [users, contracts] = await Promise.all([
+      this.getUsers([viewerRow.user_type, candidateType]),
+      this.getContracts(),
+    ]);
+
+    const contractsByUser = MatchingService.groupContracts(contracts);
+    const now = Date.now();
+
+    const profileOf = (user) => this.buildProfile(user, contractsByUser.get(user.id) || [], {
+      rates,
+      baseCurrency,
+      now,
+    });
+
+    const viewerUser = users.find(u => u.id === userId);
+    const viewer = profileOf(viewerUser || { ...viewerRow, profiles: null });
+
+    const ranked = users
+      .filter(u => u.user_type === candidateType && u.id !== userId)
+      .map(user => {
+        const candidate = profileOf(user);
+        const breakdown = this.score(viewer, candidate, { baseCurrency, now });
+        const total = breakdown.reduce((sum, f) => sum + f.weight * f.score, 0);
+        const weights = breakdown.reduce((sum, f) => sum + f.weight, 0);
+
+        return {
+          ...MatchingService.formatCandidate(candidate),
+          matchScore: weights > 0 ? Math.round((total / weights) * 100) : 0,
+          breakdown,
+        };
+      })
+      .sort((a, b) => b.matchScore - a.matchScore || new Date(b.lastActiveAt) - new Date(a.lastActiveAt));
+
+    return {
+      total: ranked.length,
+      baseCurrency,
+      results: ranked.slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * Load every user of the given types with their profile, a page at a time
+   * @param {Array} userTypes - User types
+   * @returns {Promise<Array>} User rows
+   */
+  async getUsers(userTypes) {
+    return this.getAll(TABLES.USERS, `
+      id,
+      email,
+      user_type,
+      created_at,
+      profiles (
+        name,
+        bio,
+        profile_image,
+        wallet_address,
+        skills,
+        industries,
+        experience,
+        portfolio,
+        rating,
+        ratings_count,
+        updated_at
+      )
+    `, query => query.in('user_type', userTypes));
+  }
+
+  /**
+   * Load every contract with the fields the features need
+   * @returns {Promise<Array>} Contract rows
+   */
+  async getContracts() {
+    return this.getAll(
+      TABLES.CONTRACTS,
+      'id, title, description, investor_id, freelancer_id, status, value, currency, contract_type, hourly_rate, smart_contract_address, created_at, updated_at',
+      query => query
+    );
+  }
+
+  async getAll(table, select, filter) {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await filter(this.supabase.from(table).select(select))
+        .order('created_at', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      rows.push(...data);
+
+      if (data.length < PAGE_SIZE) {
+        return rows;
+      }
+    }
+  }
+
+  /**
+   * Everything the features compare about one user
+   * @param {Object} user - User row with its profile
+   * @param {Array} contracts - The user's contracts
+   * @returns {Object} Match profile
+   */
+  buildProfile(user, contracts, { rates, baseCurrency, now }) {
+    const profile = user.profiles || {};
+    const isInvestor = user.user_type === 'investor';
+    const ownContracts = contracts.filter(c => (isInvestor ? c.investor_id : c.freelancer_id) === user.id);
+
+    // Investors are matched on what they hire for, freelancers on what they offer
+    const skillWeights = new Map();
+    const addSkills = (found, strength) => found.forEach(id => {
+      skillWeights.set(id, Math.max(skillWeights.get(id) || 0, strength));
+    });
+
+    if (isInvestor) {
+      addSkills(MatchingService.skillsInText(ownContracts.map(c => c.title).join(' | ')), LISTED);
+      addSkills(MatchingService.skillsInList(profile.industries), MENTIONED);
+      addSkills(MatchingService.skillsInText(ownContracts.map(c => c.description).join(' | ')), MENTIONED);
+    } else {
+      addSkills(MatchingService.skillsInList(profile.skills), LISTED);
+      addSkills(MatchingService.skillsInText(textOf(profile.experience)), MENTIONED);
+      addSkills(MatchingService.skillsInText(textOf(profile.portfolio)), MENTIONED);
+    }
+    addSkills(MatchingService.skillsInText(profile.bio), MENTIONED);
+
+    const industryCategories = MatchingService.categoriesOf(profile.industries);
+    const skillCategories = [...skillWeights.keys()].map(id => SKILLS_BY_ID.get(id).category);
+
+    const finished = ownContracts.filter(c => FINISHED_STATUSES.includes(c.status));
+    const toBase = (amount, currency) => {
+      const rate = rates[currency || baseCurrency];
+      return rate ? Number(amount) / rate : null;
+    };
+
+    const fixedValues = ownContracts
+      .filter(c => c.contract_type !== 'hourly' && Number(c.value) > 0)
+      .map(c => toBase(c.value, c.currency))
+      .filter(v => v !== null);
+    const hourlyRates = ownContracts
+      .filter(c => c.contract_type === 'hourly' && Number(c.hourly_rate) > 0)
+      .map(c => toBase(c.hourly_rate, c.currency))
+      .filter(v => v !== null);
+
+    const activity = [
+      user.created_at,
+      profile.updated_at,
+      ...ownContracts.map(c => c.updated_at || c.created_at),
+    ].filter(Boolean).map(date => new Date(date).getTime());
+    const lastActiveAt = activity.length > 0 ? Math.min(Math.max(...activity), now) : null;
+
+    return {
+      user,
+      profile,
+      isInvestor,
+      skills: skillWeights,
+      categories: [...new Set(isInvestor ? [...industryCategories, ...skillCategories] : [...skillCategories, ...industryCategories])],
+      contractsCount: ownContracts.length,
+      finishedCount: finished.length,
+      completedCount: finished.filter(c => c.status === SUCCESS_STATUS).length,
+      averageContractValue: fixedValues.length > 0
+        ? fixedValues.reduce((sum, v) => sum + v, 0) / fixedValues.length
+        : 0,
+      typicalValue: median(fixedValues),
+      typicalHourlyRate: median(hourlyRates),
+      hasSmartContract: ownContracts.some(c => c.smart_contract_address),
+      rating: Number(profile.rating) || 0,
+      ratingsCount: profile.ratings_count || 0,
+      lastActiveAt: lastActiveAt ? new Date(lastActiveAt) : null,
+    };
+  }
+
+  /**
+   * Score a candidate for a viewer on every feature
+   * @param {Object} viewer - Viewer's match profile
+   * @param {Object} candidate - Candidate's match profile
+   * @returns {Array} Breakdown, one entry per feature with a weight
+   */
+  score(viewer, candidate, { baseCurrency, now }) {
+    const investor = viewer.isInvestor ? viewer : candidate;
+    const freelancer = viewer.isInvestor ? candidate : viewer;
+
+    const features = {
+      [FEATURES.SKILLS]: MatchingService.skillScore(investor, freelancer),
+      [FEATURES.INDUSTRY]: MatchingService.industryScore(investor, freelancer),
+      [FEATURES.SUCCESS]: MatchingService.successScore(candidate),
+      [FEATURES.REPUTATION]: MatchingService.reputationScore(candidate),
+      [FEATURES.RATE_FIT]: MatchingService.rateFitScore(viewer, candidate, baseCurrency),
+      [FEATURES.RECENCY]: this.recencyScore(candidate, now),
+    };
+
+    return Object.entries(features)
+      .filter(([feature]) => this.weights[feature] > 0)
+      .map(([feature, { score, reason }]) => ({
+        feature,
+        label: FEATURE_LABELS[feature],
+        weight: this.weights[feature],
+        score: Math.round(score * 100) / 100,
+        reason,
+      }));
+  }
+
+  /**
+   * How well the freelancer's skills cover what the investor hires for.
+   * Related skills in the same group earn partial credit.
+   */
+  static skillScore(investor, freelancer) {
+    const wanted = [...investor.skills.entries()];
+
+    if (wanted.length === 0) {
+      return { score: 0, reason: 'The investor has no skills to match against yet' };
+    }
+
+    if (freelancer.skills.size === 0) {
+      return { score: 0, reason: 'The freelancer has not listed any recognized skills' };
+    }
+
+    const offered = [...freelancer.skills.entries()].map(([id, strength]) => ({ skill: SKILLS_BY_ID.get(id), strength }));
+    const matched = [];
+    const related = [];
+
+    const credit = wanted.reduce((sum, [id, importance]) => {
+      const skill = SKILLS_BY_ID.get(id);
+      let best = 0;
+
+      offered.forEach(({ skill: other, strength }) => {
+        const similarity = other.id === skill.id ? 1
+          : other.group === skill.group ? SAME_GROUP
+          : other.category === skill.category ? SAME_CATEGORY
+          : 0;
+        best = Math.max(best, similarity * strength);
+      });
+
+      if (freelancer.skills.has(id)) {
+        matched.push(skill.label);
+      } else if (best >= SAME_GROUP * MENTIONED) {
+        related.push(skill.label);
+      }
+
+      return sum + importance * best;
+    }, 0);
+
+    const importance = wanted.reduce((sum, [, weight]) => sum + weight, 0);
+    const parts = [];
+    if (matched.length > 0) {
+      parts.push(`${matched.length} of ${wanted.length} wanted skills: ${listLabels(matched)}`);
+    }
+    if (related.length > 0) {
+      parts.push(`related experience for ${listLabels(related)}`);
+    }
+
+    return {
+      score: Math.min(credit / importance, 1),
+      reason: parts.length > 0 ? parts.join('; ') : 'No overlap with the skills wanted',
+    };
+  }
+
+  /**
+   * Share of the investor's industry categories the freelancer works in
+   */
+  static industryScore(investor, freelancer) {
+    if (investor.categories.length === 0) {
+      return { score: 0, reason: 'The investor has not listed any industries' };
+    }
+
+    const shared = investor.categories.filter(c => freelancer.categories.includes(c));
+
+    return {
+      score: shared.length / investor.categories.length,
+      reason: shared.length > 0
+        ? `Both work in ${listLabels(shared.map(c => CATEGORY_LABELS.get(c)))}`
+        : `No work in ${listLabels(investor.categories.map(c => CATEGORY_LABELS.get(c)))}`,
+    };
+  }
+
+  /**
+   * Share of the candidate's finished contracts that were completed,
+   * starting from a prior so one contract does not decide it
+   */
+  static successScore(candidate) {
+    const { completedCount, finishedCount } = candidate;
+
+    return {
+      score: (completedCount + SUCCESS_PRIOR.successes) / (finishedCount + SUCCESS_PRIOR.total),
+      reason: finishedCount > 0
+        ? `${completedCount} of ${finishedCount} finished contracts completed`
+        : 'No finished contracts yet',
+    };
+  }
+
+  /**
+   * Average rating, pulled towards the prior while there are few reviews
+   */
+  static reputationScore(candidate) {
+    const { rating, ratingsCount } = candidate;
+    const adjusted = (rating * ratingsCount + RATING_PRIOR.rating * RATING_PRIOR.count) /
+      (ratingsCount + RATING_PRIOR.count);
+
+    return {
+      score: adjusted / MAX_RATING,
+      reason: ratingsCount > 0
+        ? `${rating.toFixed(1)} stars from ${ratingsCount} review${ratingsCount === 1 ? '' : 's'}`
+        : 'No reviews yet',
+    };
+  }
+
+  /**
+   * How close the two sides' typical contracts are, hourly rates when both
+   * have hourly contracts and fixed values otherwise
+   */
+  static rateFitScore(viewer, candidate, baseCurrency) {
+    const [mine, theirs, unit] = viewer.typicalHourlyRate && candidate.typicalHourlyRate
+      ? [viewer.typicalHourlyRate, candidate.typicalHourlyRate, '/h']
+      : [viewer.typicalValue, candidate.typicalValue, ''];
+
+    if (!mine || !theirs) {
+      return { score: UNKNOWN_SCORE, reason: 'Not enough contract history to compare rates' };
+    }
+
+    const distance = Math.abs(Math.log(theirs / mine)) / Math.log(RATE_FIT_RANGE);
+
+    return {
+      score: Math.max(0, 1 - distance),
+      reason: `Typical contract ${formatMoney(theirs, baseCurrency)}${unit}, yours ${formatMoney(mine, baseCurrency)}${unit}`,
+    };
+  }
+
+  /**
+   * Halves with every half-life of inactivity
+   */
+  recencyScore(candidate, now) {
+    if (!candidate.lastActiveAt) {
+      return { score: 0, reason: 'No activity yet' };
+    }
+
+    const days = Math.floor((now - candidate.lastActiveAt.getTime()) / DAY_MS);
+
+    return {
+      score: Math.pow(0.5, days / this.recencyHalfLifeDays),
+      reason: days === 0 ? 'Active today' : `Active ${days} day${days === 1 ? '' : 's'} ago`,
+    };
+  }
+
+  /**
+   * Skills named in a profile list, e.g. ["React Developer", "UI/UX"]
+   * @param {Array} terms - Listed skills or industries
+   * @returns {Array} Skill IDs
+   */
+  static skillsInList(terms) {
+    return [...new Set((terms || []).flatMap(term => MatchingService.skillsInText(term, 1)))];
+  }
+
+  /**
+   * Skills mentioned in free text
+   * @param {string} text - Text
+   * @param {number} minTermLength - Shortest term to look for
+   * @returns {Array} Skill IDs
+   */
+  static skillsInText(text, minTermLength = MIN_TEXT_TERM_LENGTH) {
+    let remaining = normalize(text);
+    const found = new Set();
+
+    if (!remaining) {
+      return [];
+    }
+
+    // Longer terms are matched first and removed, so "react native" is not also "react"
+    TERM_PATTERNS.forEach(({ skill, term, pattern }) => {
+      if (term.length >= minTermLength && pattern.test(remaining)) {
+        found.add(skill.id);
+        remaining = remaining.replace(new RegExp(pattern.source, 'g'), '$1 ');
+      }
+    });
+
+    return [...found];
+  }
+
+  /**
+   * Industry categories named in a profile list
+   * @param {Array} terms - Listed industries
+   * @returns {Array} Category IDs
+   */
+  static categoriesOf(terms) {
+    return [...new Set((terms || []).flatMap(term => {
+      const key = normalize(term);
+      const category = categories.find(c => c.id === key || normalize(c.label) === key);
+      return category ? [category.id] : industries[key] || [];
+    }))];
+  }
+
+  /**
+   * Index contracts by each party
+   * @param {Array} contracts - Contract rows
+   * @returns {Map} User ID to contracts
+   */
+  static groupContracts(contracts) {
+    const byUser = new Map();
+    contracts.forEach(contract => {
+      [contract.investor_id, contract.freelancer_id].filter(Boolean).forEach(id => {
+        if (!byUser.has(id)) {
+          byUser.set(id, []);
+        }
+        byUser.get(id).push(contract);
+      });
+    });
+    return byUser;
+  }
+
+  /**
+   * Format a candidate for the client
+   * @param {Object} candidate - Match profile
+   * @returns {Object} Candidate
+   */
+  static formatCandidate({ user, profile, categories: userCategories, ...stats }) {
+    return {
+      id: user.id,
+      email: user.email,
+      userType: user.user_type,
+      name: profile.name || '',
+      bio: profile.bio || '',
+      profileImage: profile.profile_image || '',
+      walletAddress: profile.wallet_address || '',
+      skills: profile.skills || [],
+      industries: profile.industries || [],
+      categories: userCategories.length > 0 ? userCategories : ['other'],
+      rating: stats.rating,
+      ratingsCount: stats.ratingsCount,
+      contractsCount: stats.contractsCount,
+      completedContracts: stats.completedCount,
+      averageContractValue: Math.round(stats.averageContractValue * 100) / 100,
+      hasSmartContract: stats.hasSmartContract,
+      lastActiveAt: stats.lastActiveAt,
+      createdAt: user.created_at,
+    };
+  }
+}
+
+MatchingService.FEATURES = FEATURES;
+MatchingService.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
+module.exports = MatchingService;
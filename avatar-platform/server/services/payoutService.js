@@ -0,0 +1,261 @@
+const { ethers } = require('ethers');
+const { currencies, DEFAULT_CURRENCY } = require('../config/currencies');
+
+// Table names
+const TABLES = {
+  PAYOUT_SPLITS: 'payout_splits',
+  PROFILES: 'profiles',
+};
+
+const BPS_DENOMINATOR = 10000;
+
+// Splits a single contract can carry, keeping on-chain payouts cheap
+const MAX_SPLITS = 5;
+
+/**
+ * Works out how a payment to the freelancer is divided: the platform fee
+ * comes off first, then each split recipient's share of the rest, and the
+ * freelancer keeps the remainder. Amounts are rounded down in the
+ * currency's smallest unit the same way the escrow contract does.
+ */
+class PayoutService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.supabase - Supabase client
+   * @param {Object} options.platformFee - Fee ({ bps }) for contracts that did not record their own
+   */
+  constructor({ supabase, platformFee = { bps: 0 } }) {
+    this.supabase = supabase;
+    this.platformFeeBps = platformFee.bps || 0;
+  }
+
+  /**
+   * Get a contract's payout splits in payout order
+   * @param {string} contractId - Contract ID
+   * @returns {Promise<Array>} Split rows
+   */
+  async getSplits(contractId) {
+    const { data, error } = await this.supabase
+      .from(TABLES.PAYOUT_SPLITS)
+      .select('*')
+      .eq('contract_id', contractId)
+      .order('position', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Replace a contract's payout splits
+   * @param {Object} contract - Contract row
+   * @param {Array} splits - Splits ({ recipientId, walletAddress, shareBps, label, teamMemberId })
+   * @returns {Promise<Array>} Split rows
+   */
+  async replaceSplits(contract, splits) {
+    const { error: deleteError } = await this.supabase
+      .from(TABLES.PAYOUT_SPLITS)
+      .delete()
+      .eq('contract_id', contract.id);
+
+    if (deleteError) {
+      throw deleteError;
+    }
+
+    if (splits.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await this.supabase
+      .from(TABLES.PAYOUT_SPLITS)
+      .insert(splits.map((split, index) => ({
+        contract_id: contract.id,
+        recipient_id: split.recipientId || null,
+        wallet_address: split.walletAddress || null,
+        share_bps: split.shareBps,
+        label: split.label || null,
+        team_member_id: split.teamMemberId || null,
+        position: index,
+        created_at: new Date(),
+      })))
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    return data.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Fill in missing wallet addresses of recipients on the platform from
+   * their profiles
+   * @param {Array} splits - Splits ({ recipientId, walletAddress, shareBps, label, teamMemberId })
+   * @returns {Promise<Array>} Splits with wallet addresses where known
+   */
+  async resolveWallets(splits) {
+    const recipientIds = splits.filter(s => s.recipientId && !s.walletAddress).map(s => s.recipientId);
+    let wallets = {};
+
+    if (recipientIds.length > 0) {
+      const { data, error } = await this.supabase
+        .from(TABLES.PROFILES)
+        .select('id, wallet_address')
+        .in('id', recipientIds);
+
+      if (error) {
+        throw error;
+      }
+
+      wallets = Object.fromEntries(data.map(p => [p.id, p.wallet_address]));
+    }
+
+    return splits.map(s => ({
+      recipientId: s.recipientId || null,
+      walletAddress: s.walletAddress || wallets[s.recipientId] || null,
+      shareBps: Number(s.shareBps),
+      label: s.label || null,
+      teamMemberId: s.teamMemberId || null,
+    }));
+  }
+
+  /**
+   * Get the fee rate that applies to a contract
+   * @param {Object} contract - Contract row
+   * @returns {number} Fee in basis points
+   */
+  getFeeBps(contract) {
+    return contract.platform_fee_bps === null || contract.platform_fee_bps === undefined
+      ? this.platformFeeBps
+      : Number(contract.platform_fee_bps);
+  }
+
+  /**
+   * Work out how a payment on a contract is divided
+   * @param {Object} contract - Contract row
+   * @param {number} amount - Amount released from escrow
+   * @returns {Promise<Object>} Payout breakdown
+   */
+  async getBreakdown(contract, amount) {
+    const splits = await this.getSplits(contract.id);
+    return PayoutService.computeBreakdown(
+      amount,
+      this.getFeeBps(contract),
+      splits,
+      contract.currency || DEFAULT_CURRENCY
+    );
+  }
+
+  /**
+   * Divide a payment between the platform, split recipients and the freelancer
+   * @param {number} amount - Amount released from escrow
+   * @param {number} feeBps - Platform fee in basis points
+   * @param {Array} splits - Split rows
+   * @param {string} currency - Currency of the amount
+   * @returns {Object} Amount, fee, split amounts and the freelancer's remainder
+   */
+  static computeBreakdown(amount, feeBps, splits = [], currency = DEFAULT_CURRENCY) {
+    const decimals = PayoutService.getDecimals(currency);
+    const units = ethers.parseUnits(Number(amount).toFixed(decimals), decimals);
+    const denominator = BigInt(BPS_DENOMINATOR);
+    const toAmount = value => Number(ethers.formatUnits(value, decimals));
+
+    const fee = (units * BigInt(feeBps)) / denominator;
+    const net = units - fee;
+
+    let remainder = net;
+    const splitAmounts = splits.map((split) => {
+      const share = (net * BigInt(split.share_bps)) / denominator;
+      remainder -= share;
+      return {
+        ...PayoutService.formatSplit(split),
+        amount: toAmount(share),
+      };
+    });
+
+    return {
+      amount: toAmount(units),
+      currency,
+      feeBps,
+      platformFee: toAmount(fee),
+      splits: splitAmounts,
+      freelancerAmount: toAmount(remainder),
+    };
+  }
+
+  /**
+   * Check a list of splits before saving it
+   * @param {Array} splits - Splits ({ recipientId, walletAddress, shareBps, label })
+   * @param {boolean} onChain - Whether every split needs a wallet address
+   * @returns {string|null} Error message, or null if the splits are valid
+   */
+  static validateSplits(splits, onChain = false) {
+    if (!Array.isArray(splits)) {
+      return 'Splits must be an array';
+    }
+
+    if (splits.length > MAX_SPLITS) {
+      return `A contract can have at most ${MAX_SPLITS} splits`;
+    }
+
+    let total = 0;
+    for (const split of splits) {
+      if (!Number.isInteger(split.shareBps) || split.shareBps <= 0) {
+        return 'Each split needs a positive share in basis points';
+      }
+
+      if (!split.recipientId && !split.walletAddress) {
+        return 'Each split needs a recipient or wallet address';
+      }
+
+      if (split.walletAddress && !ethers.isAddress(split.walletAddress)) {
+        return `Invalid wallet address: ${split.walletAddress}`;
+      }
+
+      if (onChain && !split.walletAddress) {
+        return 'Splits on blockchain contracts need a wallet address';
+      }
+
+      total += split.shareBps;
+    }
+
+    if (total > BPS_DENOMINATOR) {
+      return 'Splits cannot add up to more than 100% of the payment';
+    }
+
+    return null;
+  }
+
+  /**
+   * Decimals amounts in a currency are rounded to
+   * @param {string} code - Currency code
+   * @returns {number} Decimals
+   */
+  static getDecimals(code) {
+    const currency = currencies.find(c => c.code === code);
+    return currency ? currency.decimals : 18;
+  }
+
+  /**
+   * Format a payout split row
+   * @param {Object} split - Split row
+   * @returns {Object} Formatted split
+   */
+  static formatSplit(split) {
+    return {
+      id: split.id,
+      recipientId: split.recipient_id,
+      walletAddress: split.wallet_address,
+      shareBps: Number(split.share_bps),
+      label: split.label,
+      teamMemberId: split.team_member_id || null,
+    };
+  }
+}
+
+PayoutService.BPS_DENOMINATOR = BPS_DENOMINATOR;
+PayoutService.MAX_SPLITS = MAX_SPLITS;
+
+module.exports = PayoutService;
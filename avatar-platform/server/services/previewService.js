@@ -0,0 +1,154 @@
+const PDFDocument = require('pdfkit');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+
+// Extensions rendered as plain text
+const TEXT_EXTENSIONS = ['txt', 'md', 'csv', 'json', 'log', 'xml', 'html', 'css', 'js', 'sol'];
+
+// Text previews stop after this many characters
+const MAX_TEXT_LENGTH = 20000;
+
+const DEFAULT_LABEL = 'PREVIEW - payment pending';
+
+/**
+ * Service that renders a watermarked PDF preview of a deliverable file, so an
+ * investor can review the work before paying without receiving a clean copy.
+ * Images and text files can be previewed; other formats cannot be redrawn
+ * with pdfkit and get no preview.
+ */
+class PreviewService {
+  /**
+   * @param {Object} options - Document options
+   * @param {string} options.size - Page size
+   * @param {number} options.margin - Page margin in points
+   * @param {string} options.label - Watermark text
+   */
+  constructor({ size = 'A4', margin = 50, label = DEFAULT_LABEL } = {}) {
+    this.size = size;
+    this.margin = margin;
+    this.label = label;
+  }
+
+  /**
+   * Whether a file can be previewed
+   * @param {Buffer} bytes - File content
+   * @param {string} extension - File extension, without the dot
+   * @returns {string|null} 'image', 'text' or null
+   */
+  static kindOf(bytes, extension) {
+    if (PreviewService.isImage(bytes)) {
+      return 'image';
+    }
+
+    if (TEXT_EXTENSIONS.includes(String(extension || '').toLowerCase()) && !bytes.includes(0)) {
+      return 'text';
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {Buffer} bytes - File content
+   * @returns {boolean} Whether the content is a PNG or JPEG image
+   */
+  static isImage(bytes) {
+    return (
+      bytes.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE) ||
+      bytes.subarray(0, JPEG_SIGNATURE.length).equals(JPEG_SIGNATURE)
+    );
+  }
+
+  /**
+   * Render a watermarked preview
+   * @param {Buffer} bytes - File content
+   * @param {Object} file - File details
+   * @param {string} file.title - Deliverable title, shown in the document info
+   * @param {string} file.extension - File extension, without the dot
+   * @returns {Promise<Buffer|null>} Preview PDF, or null if the file cannot be previewed
+   */
+  render(bytes, { title, extension }) {
+    const kind = PreviewService.kindOf(bytes, extension);
+
+    if (!kind) {
+      return Promise.resolve(null);
+    }
+
+    const doc = new PDFDocument({
+      size: this.size,
+      margin: this.margin,
+      bufferPages: true,
+      info: {
+        Title: `${title} (preview)`,
+        Creator: 'Avatar Platform',
+      },
+    });
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    if (kind === 'image') {
+      this.renderImage(doc, bytes);
+    } else {
+      this.renderText(doc, bytes.toString('utf8'));
+    }
+
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      this.renderWatermark(doc);
+    }
+
+    doc.end();
+    return done;
+  }
+
+  renderImage(doc, bytes) {
+    const width = doc.page.width - this.margin * 2;
+    const height = doc.page.height - this.margin * 2;
+
+    doc.image(bytes, this.margin, this.margin, { fit: [width, height], align: 'center', valign: 'center' });
+  }
+
+  renderText(doc, text) {
+    const truncated = text.length > MAX_TEXT_LENGTH;
+
+    doc.font('Courier').fontSize(9).fillColor('#212121')
+      .text(truncated ? text.slice(0, MAX_TEXT_LENGTH) : text);
+
+    if (truncated) {
+      doc.moveDown().font('Helvetica-Oblique').fillColor('#757575')
+        .text('The preview is truncated. The full file is available once payment is released.');
+    }
+  }
+
+  /**
+   * Draw the watermark diagonally across the current page
+   */
+  renderWatermark(doc) {
+    const { width, height } = doc.page;
+    const angle = (-Math.atan2(height, width) * 180) / Math.PI;
+
+    doc.save();
+    doc.rotate(angle, { origin: [width / 2, height / 2] });
+    doc.font('Helvetica-Bold').fontSize(48).fillColor('#9e9e9e').fillOpacity(0.3);
+
+    [-160, 0, 160].forEach(offset => {
+      doc.text(this.label, 0, height / 2 - 24 + offset, {
+        width,
+        align: 'center',
+        lineBreak: false,
+      });
+    });
+
+    doc.restore();
+  }
+}
+
+PreviewService.TEXT_EXTENSIONS = TEXT_EXTENSIONS;
+
+module.exports = PreviewService;
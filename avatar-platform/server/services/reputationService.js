@@ -0,0 +1,320 @@
+// Table names
+const TABLES = {
+  REVIEWS: 'reviews',
+  CONTRACTS: 'contracts',
+  PROFILES: 'profiles',
+};
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_COMMENT_LENGTH = 2000;
+
+const REVIEW_SELECT = `
+  *,
+  reviewer:reviewer_id (
+    id,
+    email,
+    profiles (
+      name,
+      profile_image
+    )
+  ),
+  contract:contract_id (
+    id,
+    title,
+    blockchain_contract_id
+  )
+`;
+
+/**
+ * Reputation from two sources: reviews the investor and freelancer leave
+ * each other once a contract is verified, and the reputation counter
+ * AvatarContract increments for the freelancer's wallet on every on-chain
+ * verification. Average ratings are cached on the profile so lists can be
+ * sorted without reading every review.
+ */
+class ReputationService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.supabase - Supabase client
+   * @param {BlockchainService} options.blockchainService - Reads on-chain reputation (optional)
+   */
+  constructor({ supabase, blockchainService = null }) {
+    this.supabase = supabase;
+    this.blockchainService = blockchainService;
+  }
+
+  /**
+   * Get the reviews left on a contract
+   * @param {string} contractId - Contract ID
+   * @returns {Promise<Array>} Formatted reviews
+   */
+  async getContractReviews(contractId) {
+    const { data, error } = await this.supabase
+      .from(TABLES.REVIEWS)
+      .select(REVIEW_SELECT)
+      .eq('contract_id', contractId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(ReputationService.formatReview);
+  }
+
+  /**
+   * Get the reviews a user has received, newest first
+   * @param {string} userId - Reviewed user
+   * @param {number} limit - Maximum number of reviews
+   * @returns {Promise<Array>} Formatted reviews
+   */
+  async getUserReviews(userId, limit = 20) {
+    const { data, error } = await this.supabase
+      .from(TABLES.REVIEWS)
+      .select(REVIEW_SELECT)
+      .eq('reviewee_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(ReputationService.formatReview);
+  }
+
+  /**
+   * Save a review and refresh the reviewed user's cached rating
+   * @param {Object} contract - Contract row
+   * @param {Object} review - Review
+   * @param {string} review.reviewerId - User leaving the review
+   * @param {string} review.reviewerRole - 'investor' or 'freelancer'
+   * @param {number} review.rating - Stars from MIN_RATING to MAX_RATING
+   * @param {string} review.comment - Review text
+   * @returns {Promise<Object>} Formatted review
+   */
+  async createReview(contract, { reviewerId, reviewerRole, rating, comment }) {
+    const revieweeId = reviewerRole === 'investor' ? contract.freelancer_id : contract.investor_id;
+
+    const { data, error } = await this.supabase
+      .from(TABLES.REVIEWS)
+      .insert({
+        contract_id: contract.id,
+        reviewer_id: reviewerId,
+        reviewee_id: revieweeId,
+        reviewer_role: reviewerRole,
+        rating,
+        comment: comment || null,
+        created_at: new Date(),
+        updated_at: new Date(),
+      })
+      .select(REVIEW_SELECT)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await this.refreshRating(revieweeId);
+
+    return ReputationService.formatReview(data);
+  }
+
+  /**
+   * Recalculate a user's average rating from their reviews
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { rating, ratingsCount }
+   */
+  async refreshRating(userId) {
+    const { data, error } = await this.supabase
+      .from(TABLES.REVIEWS)
+      .select('rating')
+      .eq('reviewee_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    const { rating, ratingsCount } = ReputationService.aggregate(data);
+
+    const { error: updateError } = await this.supabase
+      .from(TABLES.PROFILES)
+      .update({ rating, ratings_count: ratingsCount, updated_at: new Date() })
+      .eq('id', userId);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    return { rating, ratingsCount };
+  }
+
+  /**
+   * Summarize a user's reputation: ratings overall and per role, verified
+   * contracts, and how the on-chain counter compares with them
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Reputation summary
+   */
+  async getSummary(userId) {
+    const [reviewsResult, contractsResult] = await Promise.all([
+      this.supabase
+        .from(TABLES.REVIEWS)
+        .select('rating, reviewer_role')
+        .eq('reviewee_id', userId),
+      this.supabase
+        .from(TABLES.CONTRACTS)
+        .select('id, investor_id, freelancer_id, blockchain_contract_id')
+        .or(`investor_id.eq.${userId},freelancer_id.eq.${userId}`)
+        .eq('verified', true),
+    ]);
+
+    if (reviewsResult.error) {
+      throw reviewsResult.error;
+    }
+
+    if (contractsResult.error) {
+      throw contractsResult.error;
+    }
+
+    const reviews = reviewsResult.data;
+    const verified = contractsResult.data;
+
+    // Reviews by investors rate the user's work as a freelancer
+    return {
+      ...ReputationService.aggregate(reviews),
+      asFreelancer: ReputationService.aggregate(reviews.filter(r => r.reviewer_role === 'investor')),
+      asInvestor: ReputationService.aggregate(reviews.filter(r => r.reviewer_role === 'freelancer')),
+      verifiedContracts: verified.length,
+      onChain: await this.reconcile(
+        userId,
+        verified.filter(c => c.freelancer_id === userId && c.blockchain_contract_id).length
+      ),
+    };
+  }
+
+  /**
+   * Compare the on-chain reputation of the user's wallet with the
+   * freelancer contracts the database has as verified on-chain, and cache
+   * the on-chain value on the profile
+   * @param {string} userId - User ID
+   * @param {number} expected - Verified on-chain contracts with the user as freelancer
+   * @returns {Promise<Object|null>} { walletAddress, reputation, expected, inSync },
+   *   or null when there is no wallet or chain to read
+   */
+  async reconcile(userId, expected) {
+    if (!this.blockchainService || !this.blockchainService.contractAddress || !this.blockchainService.rpcUrl) {
+      return null;
+    }
+
+    const { data: profile, error } = await this.supabase
+      .from(TABLES.PROFILES)
+      .select('wallet_address')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!profile || !profile.wallet_address) {
+      return null;
+    }
+
+    let reputation;
+    try {
+      reputation = await this.blockchainService.getReputation(profile.wallet_address);
+    } catch (chainError) {
+      // The ratings are still useful while the chain is unreachable
+      console.error('Error reading on-chain reputation:', chainError);
+      return null;
+    }
+
+    const { error: updateError } = await this.supabase
+      .from(TABLES.PROFILES)
+      .update({ on_chain_reputation: reputation, reputation_checked_at: new Date() })
+      .eq('id', userId);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    return {
+      walletAddress: profile.wallet_address,
+      reputation,
+      expected,
+      inSync: reputation === expected,
+    };
+  }
+
+  /**
+   * Check a rating and comment before saving them
+   * @param {number} rating - Stars
+   * @param {string} comment - Review text
+   * @returns {string|null} Error message, or null if the review is valid
+   */
+  static validateReview(rating, comment) {
+    if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+      return `Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`;
+    }
+
+    if (comment && String(comment).length > MAX_COMMENT_LENGTH) {
+      return `Review cannot be longer than ${MAX_COMMENT_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Average a set of ratings
+   * @param {Array} reviews - Rows with a rating
+   * @returns {Object} { rating, ratingsCount, distribution }
+   */
+  static aggregate(reviews) {
+    const distribution = {};
+    for (let stars = MIN_RATING; stars <= MAX_RATING; stars++) {
+      distribution[stars] = reviews.filter(r => Number(r.rating) === stars).length;
+    }
+
+    const total = reviews.reduce((sum, r) => sum + Number(r.rating), 0);
+
+    return {
+      rating: reviews.length > 0 ? Math.round((total / reviews.length) * 100) / 100 : 0,
+      ratingsCount: reviews.length,
+      distribution,
+    };
+  }
+
+  /**
+   * Format a review row
+   * @param {Object} review - Review row with its reviewer and contract
+   * @returns {Object} Formatted review
+   */
+  static formatReview(review) {
+    return {
+      id: review.id,
+      contractId: review.contract_id,
+      contractTitle: review.contract?.title || '',
+      reviewerId: review.reviewer_id,
+      revieweeId: review.reviewee_id,
+      reviewerRole: review.reviewer_role,
+      reviewer: {
+        id: review.reviewer_id,
+        name: review.reviewer?.profiles?.name || '',
+        email: review.reviewer?.email || '',
+        profileImage: review.reviewer?.profiles?.profile_image || '',
+      },
+      rating: Number(review.rating),
+      comment: review.comment,
+      // Verified on-chain, so the work behind the review is on the record
+      onChain: Boolean(review.contract?.blockchain_contract_id),
+      createdAt: review.created_at,
+    };
+  }
+}
+
+ReputationService.MIN_RATING = MIN_RATING;
+ReputationService.MAX_RATING = MAX_RATING;
+ReputationService.MAX_COMMENT_LENGTH = MAX_COMMENT_LENGTH;
+
+module.exports = ReputationService;
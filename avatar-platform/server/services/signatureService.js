@@ -0,0 +1,270 @@
+const ethers = require('ethers');
+const { createClient } = require('@supabase/supabase-js');
+
+// EIP-712 signing domain name, shared with the wallet prompt on the client
+const DOMAIN_NAME = 'Avatar Platform';
+const DOMAIN_VERSION = '1';
+
+const ACCEPTANCE_TYPES = {
+  ContractAcceptance: [
+    { name: 'contractId', type: 'string' },
+    { name: 'termsHash', type: 'bytes32' },
+    { name: 'termsVersion', type: 'uint256' },
+    { name: 'role', type: 'string' },
+  ],
+};
+
+// Table names
+const TABLES = {
+  SIGNATURE_CODES: 'signature_codes',
+};
+
+// How long an email code can be used, matching Supabase Auth's OTP expiry
+const CODE_TTL_MS = 60 * 60 * 1000;
+
+const toISOString = (date) => (date ? new Date(date).toISOString() : null);
+
+const toAmount = (amount) => (amount === null || amount === undefined ? null : String(Number(amount)));
+
+/**
+ * Service for hashing contract terms and verifying the signatures both
+ * parties give when accepting them. Wallet users sign EIP-712 typed data;
+ * everyone else confirms with a one-time code sent to their email.
+ */
+class SignatureService {
+  /**
+   * @param {Object} options - Signature configuration
+   * @param {Object} options.supabase - Service-role Supabase client that stores email code requests
+   * @param {string} options.supabaseUrl - Supabase project URL
+   * @param {string} options.supabaseAnonKey - Supabase anon key used to send and check email codes
+   * @param {string|number} options.chainId - Chain ID bound into the signing domain (optional)
+   * @param {string} options.contractAddress - AvatarContract address bound into the signing domain (optional)
+   */
+  constructor({ supabase, supabaseUrl, supabaseAnonKey, chainId, contractAddress } = {}) {
+    this.supabase = supabase;
+    this.supabaseUrl = supabaseUrl;
+    this.supabaseAnonKey = supabaseAnonKey;
+    this.chainId = chainId ? Number(chainId) : undefined;
+    this.contractAddress = contractAddress;
+    this.authClient = null;
+  }
+
+  /**
+   * Canonical hash of everything a party agrees to when signing
+   * @param {Object} contract - Contract row with its milestones
+   * @returns {string} keccak256 hash of the canonical terms
+   */
+  getTermsHash(contract) {
+    // Keys are listed explicitly so the serialization never depends on row order
+    const canonical = {
+      contractId: contract.id,
+      title: contract.title || '',
+      description: contract.description || '',
+      terms: contract.terms || '',
+      value: String(Number(contract.value) || 0),
+      currency: contract.currency || null,
+      contractType: contract.contract_type || 'fixed',
+      hourlyRate: toAmount(contract.hourly_rate),
+      weeklyHourCap: toAmount(contract.weekly_hour_cap),
+      investorId: contract.investor_id,
+      freelancerId: contract.freelancer_id,
+      termsVersion: contract.terms_version || 1,
+      startDate: toISOString(contract.start_date),
+      endDate: toISOString(contract.end_date),
+      milestones: [...(contract.milestones || [])]
+        .sort((a, b) => a.position - b.position)
+        .map(m => ({
+          title: m.title,
+          amount: String(Number(m.amount)),
+          dueDate: toISOString(m.due_date),
+        })),
+    };
+
+    return ethers.id(JSON.stringify(canonical));
+  }
+
+  /**
+   * EIP-712 signing domain
+   * @returns {Object} Domain separator fields
+   */
+  getDomain() {
+    const domain = { name: DOMAIN_NAME, version: DOMAIN_VERSION };
+
+    if (this.chainId) {
+      domain.chainId = this.chainId;
+    }
+
+    if (this.contractAddress) {
+      domain.verifyingContract = this.contractAddress;
+    }
+
+    return domain;
+  }
+
+  /**
+   * Typed data a party signs to accept the contract terms
+   * @param {string} contractId - Contract ID
+   * @param {string} termsHash - Hash from getTermsHash
+   * @param {number} termsVersion - Terms version being accepted
+   * @param {string} role - 'investor' or 'freelancer'
+   * @returns {Object} Domain, types, primary type and message
+   */
+  getTypedData(contractId, termsHash, termsVersion, role) {
+    return {
+      domain: this.getDomain(),
+      types: ACCEPTANCE_TYPES,
+      primaryType: 'ContractAcceptance',
+      message: {
+        contractId,
+        termsHash,
+        termsVersion,
+        role,
+      },
+    };
+  }
+
+  /**
+   * Recover the wallet that signed a contract acceptance
+   * @param {Object} typedData - Typed data from getTypedData
+   * @param {string} signature - EIP-712 signature
+   * @returns {string|null} Checksummed signer address, or null if the signature is malformed
+   */
+  recoverSigner(typedData, signature) {
+    try {
+      return ethers.verifyTypedData(
+        typedData.domain,
+        typedData.types,
+        typedData.message,
+        signature
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check that a stored signature row still covers the given terms
+   * @param {Object} row - contract_signatures row
+   * @param {string} termsHash - Hash of the contract's current terms
+   * @returns {boolean} True if the signature is valid for these terms
+   */
+  isValidSignature(row, termsHash) {
+    if (row.terms_hash !== termsHash) {
+      return false;
+    }
+
+    if (row.method === 'email') {
+      return Boolean(row.confirmed_at);
+    }
+
+    const typedData = this.getTypedData(row.contract_id, row.terms_hash, row.terms_version, row.role);
+    const signer = this.recoverSigner(typedData, row.signature);
+
+    return Boolean(signer) && signer.toLowerCase() === (row.signer_address || '').toLowerCase();
+  }
+
+  /**
+   * Supabase client used only for email codes. It is kept apart from the
+   * service-role client because verifying a code signs the client in.
+   * @returns {Object} Supabase client
+   */
+  getAuthClient() {
+    if (!this.supabaseUrl || !this.supabaseAnonKey) {
+      throw new Error('Supabase anon key is not configured');
+    }
+
+    if (!this.authClient) {
+      this.authClient = createClient(this.supabaseUrl, this.supabaseAnonKey, {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false,
+        },
+      });
+    }
+
+    return this.authClient;
+  }
+
+  /**
+   * Email a one-time confirmation code to an existing user
+   * @param {string} email - User email
+   */
+  async sendEmailCode(email) {
+    const { error } = await this.getAuthClient().auth.signInWithOtp({
+      email,
+      options: { shouldCreateUser: false },
+    });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check a one-time code sent with sendEmailCode
+   * @param {string} email - User email
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<boolean>} True if the code belongs to this email
+   */
+  async verifyEmailCode(email, code) {
+    const { data, error } = await this.getAuthClient().auth.verifyOtp({
+      email,
+      token: String(code),
+      type: 'email',
+    });
+
+    return !error && data.user?.email === email;
+  }
+
+  /**
+   * Remember the contract and terms an email code was sent for. Codes only
+   * identify the user, so each user's latest request decides what their
+   * code can sign.
+   * @param {string} userId - User the code was sent to
+   * @param {string} contractId - Contract being signed
+   * @param {string} termsHash - Hash of the terms being signed
+   */
+  async recordCodeRequest(userId, contractId, termsHash) {
+    const { error } = await this.supabase
+      .from(TABLES.SIGNATURE_CODES)
+      .upsert({
+        user_id: userId,
+        contract_id: contractId,
+        terms_hash: termsHash,
+        expires_at: new Date(Date.now() + CODE_TTL_MS),
+        created_at: new Date(),
+      }, { onConflict: 'user_id' });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Use up the user's code request if it was for these contract terms
+   * @param {string} userId - User signing
+   * @param {string} contractId - Contract being signed
+   * @param {string} termsHash - Hash of the contract's current terms
+   * @returns {Promise<boolean>} True if the code was sent for these terms and has not expired
+   */
+  async consumeCodeRequest(userId, contractId, termsHash) {
+    const { data, error } = await this.supabase
+      .from(TABLES.SIGNATURE_CODES)
+      .delete()
+      .eq('user_id', userId)
+      .eq('contract_id', contractId)
+      .eq('terms_hash', termsHash)
+      .gt('expires_at', new Date().toISOString())
+      .select('user_id');
+
+    if (error) {
+      throw error;
+    }
+
+    return data.length > 0;
+  }
+}
+
+SignatureService.ACCEPTANCE_TYPES = ACCEPTANCE_TYPES;
+
+module.exports = SignatureService;
@@ -0,0 +1,312 @@
+const { BPS_DENOMINATOR } = require('./payoutService');
+
+// Table names
+const TABLES = {
+  CONTRACT_MEMBERS: 'contract_members',
+  USERS: 'users',
+};
+
+const MEMBER_STATUSES = {
+  INVITED: 'invited',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  REMOVED: 'removed',
+};
+
+// Roles a user can play in a contract. The lead is the contract's
+// freelancer, who also holds the contract on-chain.
+const ROLES = {
+  INVESTOR: 'investor',
+  LEAD: 'freelancer',
+  MEMBER: 'member',
+};
+
+// Members still on the roster
+const ACTIVE_STATUSES = [MEMBER_STATUSES.INVITED, MEMBER_STATUSES.ACCEPTED];
+
+const MEMBER_SELECT = `
+  *,
+  user:user_id (
+    id,
+    email,
+    profiles (
+      name,
+      profile_image,
+      wallet_address
+    )
+  )
+`;
+
+/**
+ * Freelancers working on a contract alongside its lead freelancer. Each
+ * member owns a share of the payments and submits their own deliverables;
+ * accepted members' shares are paid out as payout splits, so the escrow
+ * contract keeps a single freelancer.
+ */
+class TeamService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.supabase - Supabase client
+   */
+  constructor({ supabase }) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Get a contract's team members, oldest invitation first
+   * @param {string} contractId - Contract ID
+   * @param {boolean} includeInactive - Also return declined and removed members
+   * @returns {Promise<Array>} Member rows with their user and profile
+   */
+  async getMembers(contractId, includeInactive = false) {
+    let query = this.supabase
+      .from(TABLES.CONTRACT_MEMBERS)
+      .select(MEMBER_SELECT)
+      .eq('contract_id', contractId)
+      .order('created_at', { ascending: true });
+
+    if (!includeInactive) {
+      query = query.in('status', ACTIVE_STATUSES);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a user's place on a contract's roster
+   * @param {string} contractId - Contract ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Invited or accepted member row
+   */
+  async getMembership(contractId, userId) {
+    const { data, error } = await this.supabase
+      .from(TABLES.CONTRACT_MEMBERS)
+      .select('*')
+      .eq('contract_id', contractId)
+      .eq('user_id', userId)
+      .in('status', ACTIVE_STATUSES)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the role a user plays in a contract. Invited members can see the
+   * contract before they accept.
+   * @param {Object} contract - Contract row
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { role, member }, or null for outsiders
+   */
+  async getAccess(contract, userId) {
+    if (contract.investor_id === userId) {
+      return { role: ROLES.INVESTOR, member: null };
+    }
+
+    if (contract.freelancer_id === userId) {
+      return { role: ROLES.LEAD, member: null };
+    }
+
+    const member = await this.getMembership(contract.id, userId);
+    return member ? { role: ROLES.MEMBER, member } : null;
+  }
+
+  /**
+   * Get the IDs of contracts a user is a team member of
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Contract IDs
+   */
+  async getMemberContractIds(userId) {
+    const { data, error } = await this.supabase
+      .from(TABLES.CONTRACT_MEMBERS)
+      .select('contract_id')
+      .eq('user_id', userId)
+      .in('status', ACTIVE_STATUSES);
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(m => m.contract_id);
+  }
+
+  /**
+   * Find the user to invite by email
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} User row
+   */
+  async findUserByEmail(email) {
+    const { data, error } = await this.supabase
+      .from(TABLES.USERS)
+      .select('id, email, user_type')
+      // Escaped so % and _ in the address match literally
+      .ilike('email', email.trim().replace(/[\\%_]/g, '\\$&'))
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Invite a freelancer to a contract's team
+   * @param {string} contractId - Contract ID
+   * @param {Object} invite - Invitation
+   * @param {string} invite.userId - Invited user
+   * @param {number} invite.shareBps - Share of each payment, in basis points
+   * @param {string} invite.invitedBy - Lead freelancer sending the invitation
+   * @returns {Promise<Object>} Member row
+   */
+  async invite(contractId, { userId, shareBps, invitedBy }) {
+    const { data, error } = await this.supabase
+      .from(TABLES.CONTRACT_MEMBERS)
+      .insert({
+        contract_id: contractId,
+        user_id: userId,
+        share_bps: shareBps,
+        status: MEMBER_STATUSES.INVITED,
+        invited_by: invitedBy,
+        created_at: new Date(),
+        updated_at: new Date(),
+      })
+      .select(MEMBER_SELECT)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a member row
+   * @param {string} memberId - Member ID
+   * @param {Object} updates - Columns to change
+   * @returns {Promise<Object>} Updated member row
+   */
+  async update(memberId, updates) {
+    const { data, error } = await this.supabase
+      .from(TABLES.CONTRACT_MEMBERS)
+      .update({ ...updates, updated_at: new Date() })
+      .eq('id', memberId)
+      .select(MEMBER_SELECT)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Payout splits paying the accepted members their shares
+   * @param {Array} members - Member rows with their user and profile
+   * @returns {Array} Splits ({ recipientId, walletAddress, shareBps, label, teamMemberId })
+   */
+  static toSplits(members) {
+    return members
+      .filter(m => m.status === MEMBER_STATUSES.ACCEPTED)
+      .map(m => ({
+        recipientId: m.user_id,
+        walletAddress: m.user?.profiles?.wallet_address || null,
+        shareBps: Number(m.share_bps),
+        label: `Team: ${m.user?.profiles?.name || m.user?.email || 'member'}`,
+        teamMemberId: m.id,
+      }));
+  }
+
+  /**
+   * Build a contract's roster: the lead freelancer followed by the members.
+   * The lead keeps whatever the accepted members' shares leave over.
+   * @param {Object} contract - Contract row with its freelancer
+   * @param {Array} members - Member rows with their user and profile
+   * @param {Array} deliverables - The contract's deliverable rows
+   * @returns {Array} Formatted roster
+   */
+  static formatTeam(contract, members = [], deliverables = []) {
+    const memberShares = members
+      .filter(m => m.status === MEMBER_STATUSES.ACCEPTED)
+      .reduce((sum, m) => sum + Number(m.share_bps), 0);
+
+    // Deliverables from before teams belong to the lead
+    const withOwners = deliverables.map(d => ({ ...d, owner_id: d.owner_id || contract.freelancer_id }));
+
+    return [
+      {
+        id: null,
+        userId: contract.freelancer_id,
+        role: ROLES.LEAD,
+        email: contract.freelancer?.email || '',
+        name: contract.freelancer?.profiles?.name || '',
+        profileImage: contract.freelancer?.profiles?.profile_image || '',
+        shareBps: BPS_DENOMINATOR - memberShares,
+        status: MEMBER_STATUSES.ACCEPTED,
+        deliverables: TeamService.countDeliverables(withOwners, contract.freelancer_id),
+        invitedAt: null,
+        respondedAt: null,
+      },
+      ...members.map(m => TeamService.formatMember(m, withOwners)),
+    ];
+  }
+
+  /**
+   * Format a member row
+   * @param {Object} member - Member row with its user and profile
+   * @param {Array} deliverables - The contract's deliverable rows
+   * @returns {Object} Formatted member
+   */
+  static formatMember(member, deliverables = []) {
+    return {
+      id: member.id,
+      userId: member.user_id,
+      role: ROLES.MEMBER,
+      email: member.user?.email || '',
+      name: member.user?.profiles?.name || '',
+      profileImage: member.user?.profiles?.profile_image || '',
+      shareBps: Number(member.share_bps),
+      status: member.status,
+      deliverables: TeamService.countDeliverables(deliverables, member.user_id),
+      invitedAt: member.created_at,
+      respondedAt: member.responded_at,
+    };
+  }
+
+  /**
+   * Count a team member's deliverables by status
+   * @param {Array} deliverables - Deliverable rows
+   * @param {string} userId - Owner of the deliverables
+   * @returns {Object} { total, pending, approved, changesRequested, rejected }
+   */
+  static countDeliverables(deliverables, userId) {
+    const own = deliverables.filter(d => d.owner_id === userId);
+    const count = status => own.filter(d => d.status === status).length;
+
+    return {
+      total: own.length,
+      pending: count('pending'),
+      approved: count('approved'),
+      changesRequested: count('changes_requested'),
+      rejected: count('rejected'),
+    };
+  }
+}
+
+TeamService.MEMBER_STATUSES = MEMBER_STATUSES;
+TeamService.ROLES = ROLES;
+TeamService.ACTIVE_STATUSES = ACTIVE_STATUSES;
+TeamService.MEMBER_SELECT = MEMBER_SELECT;
+
+module.exports = TeamService;
@@ -0,0 +1,380 @@
+const axios = require('axios');
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// What each bucket accepts. Types are checked against the sniffed content,
+// not the name or type the browser sent.
+const BUCKET_POLICIES = {
+  avatars: {
+    maxSize: 5 * MB,
+    types: IMAGE_TYPES,
+  },
+  deliverables: {
+    maxSize: 50 * MB,
+    types: [
+      ...IMAGE_TYPES,
+      'application/pdf',
+      'application/zip',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'text/plain',
+      'text/markdown',
+      'text/csv',
+      'application/json',
+    ],
+  },
+};
+
+const REJECTIONS = {
+  EMPTY: 'empty',
+  TOO_LARGE: 'too_large',
+  TYPE_NOT_ALLOWED: 'type_not_allowed',
+  INFECTED: 'infected',
+};
+
+// Office formats are zip containers, told apart by the extension they were sent with
+const ZIP_FORMATS = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+
+const TEXT_FORMATS = {
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json',
+};
+
+// Only this much of a file is checked for text
+const TEXT_SNIFF_LENGTH = 8192;
+
+// JPEG segments with Exif, XMP (APP1) and IPTC (APP13) metadata
+const JPEG_METADATA_MARKERS = [0xe1, 0xed];
+const JPEG_START_OF_SCAN = 0xda;
+
+// PNG chunks with Exif, text and timestamp metadata
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME'];
+
+// WebP chunks with metadata, and their flags in the VP8X header
+const WEBP_METADATA_CHUNKS = { EXIF: 0x08, 'XMP ': 0x04 };
+
+// Standard antivirus test file, so the stub scanner can be exercised
+const EICAR_SIGNATURE = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+const startsWith = (bytes, signature, offset = 0) =>
+  bytes.length >= offset + signature.length &&
+  bytes.subarray(offset, offset + signature.length).equals(Buffer.from(signature));
+
+/**
+ * Scanner that flags only the EICAR test file, for local development
+ */
+class StubScanner {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  async scan(bytes) {
+    return bytes.includes(EICAR_SIGNATURE)
+      ? { clean: false, threat: 'EICAR-Test-File' }
+      : { clean: true, threat: null };
+  }
+}
+
+/**
+ * Scanner that posts the file to a scanning service which answers
+ * { "clean": true } or { "clean": false, "threat": "name" }
+ */
+class HttpScanner {
+  /**
+   * @param {string} url - Scan endpoint
+   * @param {number} timeout - Request timeout in ms
+   */
+  constructor(url, timeout = 30000) {
+    this.name = 'http';
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  async scan(bytes, { fileName }) {
+    const { data } = await axios.post(this.url, bytes, {
+      timeout: this.timeout,
+      maxBodyLength: Infinity,
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-File-Name': encodeURIComponent(fileName || ''),
+      },
+    });
+
+    if (!data || typeof data.clean !== 'boolean') {
+      throw new Error('Scan response has no verdict');
+    }
+
+    return { clean: data.clean, threat: data.threat || null };
+  }
+}
+
+/**
+ * Checks files uploaded through the server before they are stored: size
+ * and type limits per bucket, with the type sniffed from the content,
+ * metadata stripped from images, and a virus scan. Any object with an async
+ * scan(bytes, { fileName, mime }) method can be plugged in as the scanner.
+ */
+class UploadService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.policies - Limits per bucket, defaults to BUCKET_POLICIES
+   * @param {Object} options.scanner - Virus scanner, defaults to the stub
+   */
+  constructor({ policies = BUCKET_POLICIES, scanner = new StubScanner() } = {}) {
+    this.policies = policies;
+    this.scanner = scanner;
+  }
+
+  /**
+   * Build a service from the uploads section of the server config
+   * @param {Object} options - Scanner provider, URL and timeout, and size limits per bucket
+   * @returns {UploadService} Service
+   */
+  static fromConfig({ scanner, scannerUrl, scanTimeout, maxSizes = {} } = {}) {
+    const policies = Object.fromEntries(
+      Object.entries(BUCKET_POLICIES).map(([bucket, policy]) => [
+        bucket,
+        { ...policy, maxSize: maxSizes[bucket] || policy.maxSize },
+      ])
+    );
+
+    const fileScanner = scanner === 'http' && scannerUrl
+      ? new HttpScanner(scannerUrl, scanTimeout)
+      : new StubScanner();
+
+    return new UploadService({ policies, scanner: fileScanner });
+  }
+
+  /**
+   * @param {string} bucket - Bucket name
+   * @returns {Object|null} { maxSize, types }, or null for buckets that take no uploads
+   */
+  getPolicy(bucket) {
+    return Object.prototype.hasOwnProperty.call(this.policies, bucket) ? this.policies[bucket] : null;
+  }
+
+  /**
+   * Check an uploaded file and prepare it for storage
+   * @param {string} bucket - Bucket the file is for
+   * @param {Object} file - { buffer, originalname } as parsed by multer
+   * @returns {Promise<Object>} { bytes, mime, extension, size } ready to store,
+   *   or { error, reason } with one of REJECTIONS
+   */
+  async process(bucket, { buffer, originalname }) {
+    const policy = this.getPolicy(bucket);
+
+    if (!buffer || buffer.length === 0) {
+      return { error: 'File is empty', reason: REJECTIONS.EMPTY };
+    }
+
+    if (buffer.length > policy.maxSize) {
+      return {
+        error: `File cannot be larger than ${Math.round(policy.maxSize / MB)} MB`,
+        reason: REJECTIONS.TOO_LARGE,
+      };
+    }
+
+    const type = UploadService.sniff(buffer, originalname);
+
+    if (!type || !policy.types.includes(type.mime)) {
+      return {
+        error: type
+          ? `Files of type ${type.mime} cannot be uploaded here`
+          : 'File type could not be recognized',
+        reason: REJECTIONS.TYPE_NOT_ALLOWED,
+      };
+    }
+
+    const bytes = UploadService.stripMetadata(buffer, type.mime);
+
+    const verdict = await this.scanner.scan(bytes, { fileName: originalname, mime: type.mime });
+
+    if (!verdict.clean) {
+      return {
+        error: 'File failed the virus scan',
+        reason: REJECTIONS.INFECTED,
+        threat: verdict.threat,
+      };
+    }
+
+    return { bytes, mime: type.mime, extension: type.extension, size: bytes.length };
+  }
+
+  /**
+   * Work out a file's type from its content. Zip containers and text are
+   * narrowed down by the extension the file was sent with.
+   * @param {Buffer} bytes - Content
+   * @param {string} fileName - Name the file was sent with
+   * @returns {Object|null} { mime, extension }, or null if the type is unknown
+   */
+  static sniff(bytes, fileName = '') {
+    const sentExtension = String(fileName).includes('.')
+      ? String(fileName).split('.').pop().toLowerCase()
+      : '';
+
+    if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+      return { mime: 'image/png', extension: 'png' };
+    }
+
+    if (startsWith(bytes, [0xff, 0xd8, 0xff])) {
+      return { mime: 'image/jpeg', extension: 'jpg' };
+    }
+
+    if (startsWith(bytes, 'GIF87a') || startsWith(bytes, 'GIF89a')) {
+      return { mime: 'image/gif', extension: 'gif' };
+    }
+
+    if (startsWith(bytes, 'RIFF') && startsWith(bytes, 'WEBP', 8)) {
+      return { mime: 'image/webp', extension: 'webp' };
+    }
+
+    if (startsWith(bytes, '%PDF-')) {
+      return { mime: 'application/pdf', extension: 'pdf' };
+    }
+
+    if (startsWith(bytes, [0x50, 0x4b, 0x03, 0x04])) {
+      return ZIP_FORMATS[sentExtension] && bytes.includes('[Content_Types].xml')
+        ? { mime: ZIP_FORMATS[sentExtension], extension: sentExtension }
+        : { mime: 'application/zip', extension: 'zip' };
+    }
+
+    if (UploadService.isText(bytes)) {
+      return TEXT_FORMATS[sentExtension]
+        ? { mime: TEXT_FORMATS[sentExtension], extension: sentExtension }
+        : { mime: 'text/plain', extension: 'txt' };
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {Buffer} bytes - Content
+   * @returns {boolean} Whether the start of the content is UTF-8 text
+   */
+  static isText(bytes) {
+    const sample = bytes.subarray(0, TEXT_SNIFF_LENGTH);
+
+    if (sample.includes(0)) {
+      return false;
+    }
+
+    try {
+      // A multi-byte character may be cut off at the end of the sample
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: bytes.length > sample.length });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove Exif, XMP and other metadata, such as camera details and GPS
+   * position, from an image. Other files are returned unchanged.
+   * @param {Buffer} bytes - Content
+   * @param {string} mime - Sniffed type
+   * @returns {Buffer} Content without metadata
+   */
+  static stripMetadata(bytes, mime) {
+    switch (mime) {
+      case 'image/jpeg':
+        return UploadService.stripJpeg(bytes);
+      case 'image/png':
+        return UploadService.stripPng(bytes);
+      case 'image/webp':
+        return UploadService.stripWebp(bytes);
+      default:
+        return bytes;
+    }
+  }
+
+  static stripJpeg(bytes) {
+    const parts = [bytes.subarray(0, 2)];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+
+      // Entropy-coded image data follows the scan header
+      if (marker === JPEG_START_OF_SCAN) {
+        break;
+      }
+
+      const end = offset + 2 + bytes.readUInt16BE(offset + 2);
+
+      if (!JPEG_METADATA_MARKERS.includes(marker)) {
+        parts.push(bytes.subarray(offset, end));
+      }
+
+      offset = end;
+    }
+
+    parts.push(bytes.subarray(offset));
+    return Buffer.concat(parts);
+  }
+
+  static stripPng(bytes) {
+    const parts = [bytes.subarray(0, 8)];
+    let offset = 8;
+
+    // Each chunk is its length, type, data and CRC
+    while (offset + 12 <= bytes.length) {
+      const end = offset + 12 + bytes.readUInt32BE(offset);
+      const type = bytes.toString('latin1', offset + 4, offset + 8);
+
+      if (!PNG_METADATA_CHUNKS.includes(type)) {
+        parts.push(bytes.subarray(offset, end));
+      }
+
+      offset = end;
+    }
+
+    parts.push(bytes.subarray(offset));
+    return Buffer.concat(parts);
+  }
+
+  static stripWebp(bytes) {
+    const parts = [];
+    let offset = 12;
+
+    // Each chunk is its type, length and data, padded to an even length
+    while (offset + 8 <= bytes.length) {
+      const type = bytes.toString('latin1', offset, offset + 4);
+      const size = bytes.readUInt32LE(offset + 4);
+      const end = Math.min(offset + 8 + size + (size % 2), bytes.length);
+
+      if (!Object.prototype.hasOwnProperty.call(WEBP_METADATA_CHUNKS, type)) {
+        parts.push(Buffer.from(bytes.subarray(offset, end)));
+      }
+
+      offset = end;
+    }
+
+    // The extended header flags which metadata chunks are present
+    const header = parts.find(chunk => chunk.toString('latin1', 0, 4) === 'VP8X');
+    if (header) {
+      header[8] &= ~Object.values(WEBP_METADATA_CHUNKS).reduce((flags, flag) => flags | flag, 0);
+    }
+
+    const body = Buffer.concat(parts);
+    const riff = Buffer.from(bytes.subarray(0, 12));
+    riff.writeUInt32LE(body.length + 4, 4);
+
+    return Buffer.concat([riff, body]);
+  }
+}
+
+UploadService.BUCKET_POLICIES = BUCKET_POLICIES;
+UploadService.REJECTIONS = REJECTIONS;
+UploadService.StubScanner = StubScanner;
+UploadService.HttpScanner = HttpScanner;
+
+module.exports = UploadService;
@@ -0,0 +1,156 @@
+const ethers = require('ethers');
+const BlockchainService = require('../services/blockchainService');
+const { startChain } = require('./helpers/chain');
+
+// Compiling AvatarContract with solc-js takes a while on a cold cache
+jest.setTimeout(120000);
+
+describe('BlockchainService on a local chain', () => {
+  let chain;
+  let service;
+  let freelancer;
+
+  beforeAll(async () => {
+    chain = await startChain();
+    service = new BlockchainService({
+      rpcUrl: chain.rpcUrl,
+      privateKey: chain.keys[0],
+      contractAddress: await chain.avatar.getAddress(),
+    });
+    freelancer = await chain.wallets[2].getAddress();
+  });
+
+  afterAll(async () => {
+    service.getProvider().destroy();
+    await chain.close();
+  });
+
+  const balanceOf = (address) => chain.provider.getBalance(address);
+
+  it('creates a contract funded by the operator', async () => {
+    const submitted = jest.fn();
+
+    const result = await service.createContract(freelancer, 'ipfs://terms-db-1', '1.5', {
+      onSubmitted: submitted,
+    });
+
+    expect(submitted).toHaveBeenCalledWith(result.transactionHash);
+
+    const onChain = await chain.avatar.contracts(result.blockchainContractId);
+    expect(onChain.investor).toBe(await chain.wallets[0].getAddress());
+    expect(onChain.freelancer).toBe(freelancer);
+    expect(onChain.termsURI).toBe('ipfs://terms-db-1');
+    expect(onChain.value).toBe(ethers.parseEther('1.5'));
+  });
+
+  it('finds ether deposited with the operator wallet', async () => {
+    const investor = chain.wallets[1];
+    const deposit = await investor.sendTransaction({
+      to: await chain.wallets[0].getAddress(),
+      value: ethers.parseEther('1'),
+    });
+    const transfer = await investor.sendTransaction({ to: freelancer, value: ethers.parseEther('1') });
+    await Promise.all([deposit.wait(), transfer.wait()]);
+
+    expect(await service.getDeposit(deposit.hash)).toEqual({
+      from: await investor.getAddress(),
+      value: ethers.parseEther('1'),
+    });
+    expect(await service.getDeposit(transfer.hash)).toBeNull();
+  });
+
+  it('parses the contract ID from a receipt it waits for again', async () => {
+    const { transactionHash, blockchainContractId } = await service.createContract(
+      freelancer,
+      'ipfs://terms-db-2',
+      '0.5'
+    );
+
+    const receipt = await service.waitForTransaction(transactionHash);
+
+    expect(service.parseCreatedContract(receipt).blockchainContractId).toBe(blockchainContractId);
+  });
+
+  it('releases the escrow to the freelancer on verification', async () => {
+    const { blockchainContractId } = await service.createContract(freelancer, 'ipfs://terms-db-3', '2');
+    const before = await balanceOf(freelancer);
+
+    await service.updateContractStatus(blockchainContractId, 'active');
+    await service.updateContractStatus(blockchainContractId, 'completed');
+    const { transactionHash } = await service.verifyAndReleasePayment(blockchainContractId);
+
+    expect(transactionHash).toMatch(/^0x[0-9a-f]{64}$/);
+    expect((await balanceOf(freelancer)) - before).toBe(ethers.parseEther('2'));
+    expect((await chain.avatar.contracts(blockchainContractId)).verified).toBe(true);
+  });
+
+  it('releases milestones one tranche at a time', async () => {
+    const { blockchainContractId } = await service.createContract(freelancer, 'ipfs://terms-db-4', '0.3', {
+      milestones: [{ amount: '0.1' }, { amount: '0.2' }],
+    });
+    const before = await balanceOf(freelancer);
+
+    await service.updateContractStatus(blockchainContractId, 'active');
+    await service.releaseMilestone(blockchainContractId, 0);
+
+    expect((await balanceOf(freelancer)) - before).toBe(ethers.parseEther('0.1'));
+
+    await service.releaseMilestone(blockchainContractId, 1);
+
+    expect((await balanceOf(freelancer)) - before).toBe(ethers.parseEther('0.3'));
+  });
+
+  it('pays approved hours from an hourly budget', async () => {
+    const { blockchainContractId } = await service.createContract(freelancer, 'ipfs://terms-db-5', '1', {
+      hourly: true,
+    });
+    const before = await balanceOf(freelancer);
+
+    await service.updateContractStatus(blockchainContractId, 'active');
+    await service.releasePayment(blockchainContractId, '0.25');
+
+    expect((await balanceOf(freelancer)) - before).toBe(ethers.parseEther('0.25'));
+  });
+
+  it('refunds the operator when a contract is cancelled', async () => {
+    const { blockchainContractId } = await service.createContract(freelancer, 'ipfs://terms-db-6', '1');
+    const operator = await chain.wallets[0].getAddress();
+    const before = await balanceOf(operator);
+
+    const { transactionHash } = await service.updateContractStatus(blockchainContractId, 'cancelled');
+
+    // The operator sends the cancellation, so it pays the gas out of the refund
+    const { fee } = await chain.provider.getTransactionReceipt(transactionHash);
+    expect((await balanceOf(operator)) - before).toBe(ethers.parseEther('1') - fee);
+
+    const onChain = await chain.avatar.contracts(blockchainContractId);
+    expect(onChain.status).toBe(3n);
+    expect(onChain.value).toBe(0n);
+  });
+
+  it('rejects statuses with no on-chain equivalent', async () => {
+    await expect(service.updateContractStatus('0', 'expired')).rejects.toThrow(
+      'Status expired has no on-chain equivalent'
+    );
+  });
+
+  it('sends concurrent transactions without reusing a nonce', async () => {
+    const results = await Promise.all([
+      service.createContract(freelancer, 'ipfs://terms-db-7', '0.1'),
+      service.createContract(freelancer, 'ipfs://terms-db-8', '0.1'),
+      service.createContract(freelancer, 'ipfs://terms-db-9', '0.1'),
+    ]);
+
+    const ids = new Set(results.map(result => result.blockchainContractId));
+    expect(ids.size).toBe(3);
+  });
+
+  it('records deliverable URIs on the contract', async () => {
+    const { blockchainContractId } = await service.createContract(freelancer, 'ipfs://terms-db-10', '0.1');
+    await service.updateContractStatus(blockchainContractId, 'active');
+
+    await service.addDeliverable(blockchainContractId, 'ipfs://bafkreitest');
+
+    expect(await service.getDeliverables(blockchainContractId)).toEqual(['ipfs://bafkreitest']);
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const ContentStore = require('../services/contentStore');
+
+const { INTEGRITY_STATUSES } = ContentStore;
+
+const CONTRACT_ID = 'contract-1';
+
+describe('ContentStore', () => {
+  describe('hash', () => {
+    // CIDs `ipfs add --cid-version 1 --raw-leaves` gives the same bytes
+    it.each([
+      ['', 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku'],
+      ['hello world', 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'],
+    ])('gives %j the IPFS raw-leaf CID', (text, cid) => {
+      expect(ContentStore.hash(Buffer.from(text)).cid).toBe(cid);
+    });
+
+    it('returns the SHA-256 digest in hex', () => {
+      expect(ContentStore.hash(Buffer.from('hello world')).sha256).toBe(
+        'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9'
+      );
+    });
+
+    it('round-trips the CID through the on-chain URI', () => {
+      const { cid } = ContentStore.hash(Buffer.from('deliverable'));
+
+      expect(ContentStore.toUri(cid)).toBe(`ipfs://${cid}`);
+      expect(ContentStore.parseUri(ContentStore.toUri(cid))).toBe(cid);
+      expect(ContentStore.parseUri('ipfs://deliverable-42')).toBeNull();
+    });
+  });
+
+  describe('paths', () => {
+    const { cid } = ContentStore.hash(Buffer.from('report'));
+
+    it('names deliverable files by their CID', () => {
+      const filePath = ContentStore.filePath(CONTRACT_ID, cid, 'Report.PDF');
+
+      expect(filePath).toBe(`deliverables/${CONTRACT_ID}/${cid}.pdf`);
+      expect(ContentStore.parseFilePath(CONTRACT_ID, filePath)).toBe(cid);
+      expect(ContentStore.cidOfPath(filePath)).toBe(cid);
+    });
+
+    it('rejects files outside the contract\'s deliverables folder', () => {
+      expect(ContentStore.parseFilePath(CONTRACT_ID, `deliverables/contract-2/${cid}.pdf`)).toBeNull();
+      expect(ContentStore.parseFilePath(CONTRACT_ID, `avatars/${cid}.png`)).toBeNull();
+      expect(ContentStore.cidOfPath(ContentStore.previewPath(CONTRACT_ID, cid))).toBeNull();
+    });
+  });
+
+  describe('with the local backend', () => {
+    let directory;
+    let store;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'content-store-'));
+      store = ContentStore.fromConfig({
+        provider: 'local',
+        directory,
+        signingSecret: 'test-secret',
+        baseUrl: 'http://localhost:5000/api',
+      });
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    const addFile = (text) => store.add(Buffer.from(text), {
+      contractId: CONTRACT_ID,
+      fileName: 'report.txt',
+      contentType: 'text/plain',
+    });
+
+    const deliverableOf = (content, fields = {}) => ({
+      contract_id: CONTRACT_ID,
+      title: 'Report',
+      description: '',
+      file_path: content.filePath,
+      content_cid: content.cid,
+      ...fields,
+    });
+
+    it('stores files as blocks named by their CID', async () => {
+      const content = await addFile('final report');
+
+      expect(content.size).toBe(12);
+      expect(await fs.readFile(path.join(directory, content.cid), 'utf8')).toBe('final report');
+      expect((await store.read(content.filePath)).toString()).toBe('final report');
+    });
+
+    it('describes an uploaded file by re-hashing it', async () => {
+      const content = await addFile('final report');
+
+      expect(await store.describe({ contractId: CONTRACT_ID, title: 'Report', filePath: content.filePath }))
+        .toEqual(content);
+    });
+
+    it('addresses a deliverable without a file by its metadata', async () => {
+      const metadata = { contractId: CONTRACT_ID, title: 'Report', description: 'Summary' };
+
+      const content = await store.describe(metadata);
+
+      expect(content.cid).toBe(ContentStore.hash(ContentStore.metadataBytes(metadata)).cid);
+      expect(content.filePath).toBeNull();
+    });
+
+    it('refuses files that are missing or do not match their address', async () => {
+      const content = await addFile('final report');
+      const { cid: otherCid } = ContentStore.hash(Buffer.from('something else'));
+
+      await fs.writeFile(path.join(directory, content.cid), 'tampered');
+
+      expect(await store.describe({ contractId: CONTRACT_ID, filePath: content.filePath })).toEqual({
+        error: 'File contents do not match its content address',
+      });
+      expect(await store.describe({
+        contractId: CONTRACT_ID,
+        filePath: ContentStore.filePath(CONTRACT_ID, otherCid, 'report.txt'),
+      })).toEqual({ error: 'File not found in storage' });
+      expect(await store.describe({ contractId: CONTRACT_ID, filePath: 'uploads/report.txt' })).toEqual({
+        error: 'File must be uploaded to the contract\'s deliverables folder',
+      });
+    });
+
+    it('verifies stored content against the recorded CID', async () => {
+      const content = await addFile('final report');
+
+      expect(await store.verify(deliverableOf(content))).toEqual({
+        status: INTEGRITY_STATUSES.VERIFIED,
+        expectedCid: content.cid,
+        actualCid: content.cid,
+        sha256: content.sha256,
+      });
+    });
+
+    it('reports tampered and missing files', async () => {
+      const content = await addFile('final report');
+      const deliverable = deliverableOf(content);
+
+      await fs.writeFile(path.join(directory, content.cid), 'tampered');
+      const tampered = await store.verify(deliverable);
+
+      expect(tampered.status).toBe(INTEGRITY_STATUSES.MISMATCH);
+      expect(tampered.actualCid).toBe(ContentStore.hash(Buffer.from('tampered')).cid);
+
+      await fs.rm(path.join(directory, content.cid));
+
+      expect((await store.verify(deliverable)).status).toBe(INTEGRITY_STATUSES.MISSING);
+    });
+
+    it('reports edited metadata of a deliverable without a file', async () => {
+      const content = await store.describe({ contractId: CONTRACT_ID, title: 'Report', description: 'v1' });
+
+      expect((await store.verify(deliverableOf(content, { description: 'v1' }))).status)
+        .toBe(INTEGRITY_STATUSES.VERIFIED);
+      expect((await store.verify(deliverableOf(content, { description: 'v2' }))).status)
+        .toBe(INTEGRITY_STATUSES.MISMATCH);
+    });
+
+    it('has nothing to check for deliverables from before hashing', async () => {
+      expect((await store.verify({ contract_id: CONTRACT_ID, content_cid: null })).status)
+        .toBe(INTEGRITY_STATUSES.UNHASHED);
+    });
+
+    it('refuses to start without a signing secret', () => {
+      expect(() => ContentStore.fromConfig({ provider: 'local', directory })).toThrow(
+        'Content store signing secret is not configured'
+      );
+    });
+
+    it('signs download URLs that expire', async () => {
+      const content = await addFile('final report');
+
+      const { url } = await store.createSignedUrl(content.filePath, 'report.txt');
+      const query = Object.fromEntries(new URL(url).searchParams);
+
+      expect(query.key).toBe(content.cid);
+      expect(store.backend.verifySignedUrl(query)).toBe(true);
+      expect(store.backend.verifySignedUrl({ ...query, signature: '0'.repeat(64) })).toBe(false);
+      expect(store.backend.verifySignedUrl({ ...query, expires: String(Math.floor(Date.now() / 1000) - 1) }))
+        .toBe(false);
+    });
+  });
+});
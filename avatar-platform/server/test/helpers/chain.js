@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+const ganache = require('ganache');
+const ethers = require('ethers');
+
+const CONTRACTS_DIR = path.join(__dirname, '../../../smart-contracts/contracts');
+const SOURCES = ['AvatarContract.sol', 'mocks/MockERC20.sol'];
+
+let compiled = null;
+
+/**
+ * Compile AvatarContract and the mock token with the compiler settings of
+ * smart-contracts/truffle-config.js. OpenZeppelin imports resolve from
+ * node_modules.
+ * @returns {Object} Contracts by name, each with its abi and bytecode
+ */
+const compile = () => {
+  if (compiled) {
+    return compiled;
+  }
+
+  const input = {
+    language: 'Solidity',
+    sources: Object.fromEntries(SOURCES.map(source => [
+      source,
+      { content: fs.readFileSync(path.join(CONTRACTS_DIR, source), 'utf8') },
+    ])),
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      evmVersion: 'london',
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } },
+    },
+  };
+
+  const findImports = (importPath) => {
+    try {
+      return { contents: fs.readFileSync(require.resolve(importPath), 'utf8') };
+    } catch (error) {
+      return { error: `Import ${importPath} not found` };
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  const errors = (output.errors || []).filter(e => e.severity === 'error');
+
+  if (errors.length > 0) {
+    throw new Error(errors.map(e => e.formattedMessage).join('\n'));
+  }
+
+  compiled = {};
+  for (const file of Object.values(output.contracts)) {
+    for (const [name, contract] of Object.entries(file)) {
+      compiled[name] = { abi: contract.abi, bytecode: contract.evm.bytecode.object };
+    }
+  }
+
+  return compiled;
+};
+
+/**
+ * Start a ganache node and deploy AvatarContract from the first account,
+ * which becomes the contract's operator
+ * @returns {Promise<Object>} { rpcUrl, provider, keys, wallets, avatar, deploy, close }
+ */
+const startChain = async () => {
+  const contracts = compile();
+
+  const server = ganache.server({
+    logging: { quiet: true },
+    wallet: { deterministic: true },
+    chain: { hardfork: 'london' },
+  });
+  await server.listen(0);
+
+  const rpcUrl = `http://127.0.0.1:${server.address().port}`;
+  // Uncached, so balances read twice within a test see every transaction
+  const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true, cacheTimeout: -1 });
+  const keys = Object.values(server.provider.getInitialAccounts()).map(account => account.secretKey);
+  const wallets = keys.map(key => new ethers.NonceManager(new ethers.Wallet(key, provider)));
+
+  /**
+   * Deploy a compiled contract
+   * @param {string} name - Contract name
+   * @param {Array} args - Constructor arguments
+   * @param {number} account - Index of the deploying account
+   */
+  const deploy = async (name, args = [], account = 0) => {
+    const { abi, bytecode } = contracts[name];
+    const factory = new ethers.ContractFactory(abi, bytecode, wallets[account]);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  };
+
+  const avatar = await deploy('AvatarContract');
+
+  return {
+    rpcUrl,
+    provider,
+    keys,
+    wallets,
+    avatar,
+    deploy,
+    close: async () => {
+      provider.destroy();
+      await server.close();
+    },
+  };
+};
+
+module.exports = { compile, startChain };
@@ -0,0 +1,115 @@
+const ethers = require('ethers');
+const BlockchainService = require('../services/blockchainService');
+const { getDecimals } = require('../config/currencies');
+const { startChain } = require('./helpers/chain');
+
+// Compiling AvatarContract with solc-js takes a while on a cold cache
+jest.setTimeout(120000);
+
+const usdc = (amount) => ethers.parseUnits(String(amount), getDecimals('USDC'));
+
+describe('Operator-relayed token escrow', () => {
+  let chain;
+  let service;
+  let token;
+  let investor;
+  let freelancer;
+
+  beforeAll(async () => {
+    chain = await startChain();
+    service = new BlockchainService({
+      rpcUrl: chain.rpcUrl,
+      privateKey: chain.keys[0],
+      contractAddress: await chain.avatar.getAddress(),
+    });
+
+    token = await chain.deploy('MockERC20', ['USD Coin', 'USDC', getDecimals('USDC')]);
+    await (await chain.avatar.setTokenAllowed(await token.getAddress(), true)).wait();
+
+    [investor, freelancer] = [chain.wallets[1], chain.wallets[2]];
+    await (await chain.avatar.connect(investor).createProfile('ipfs://investor', true)).wait();
+    await (await chain.avatar.connect(freelancer).createProfile('ipfs://freelancer', false)).wait();
+    await (await token.mint(await investor.getAddress(), usdc(10000))).wait();
+  });
+
+  afterAll(async () => {
+    service.getProvider().destroy();
+    await chain.close();
+  });
+
+  /**
+   * The investor's wallet approves and creates the escrow; the server only relays
+   */
+  const createTokenContract = async (amount) => {
+    await (await token.connect(investor).approve(await chain.avatar.getAddress(), amount)).wait();
+    const receipt = await (await chain.avatar.connect(investor).createTokenContract(
+      await freelancer.getAddress(),
+      'ipfs://terms-token',
+      await token.getAddress(),
+      amount
+    )).wait();
+
+    return service.parseCreatedContract(receipt).blockchainContractId;
+  };
+
+  const balanceOf = async (wallet) => token.balanceOf(await wallet.getAddress());
+
+  it('pulls the approved amount into escrow', async () => {
+    const before = await balanceOf(investor);
+
+    const contractId = await createTokenContract(usdc(500));
+
+    expect(before - (await balanceOf(investor))).toBe(usdc(500));
+    expect((await chain.avatar.contracts(contractId)).value).toBe(usdc(500));
+  });
+
+  it('pays the freelancer in tokens when the operator verifies', async () => {
+    const contractId = await createTokenContract(usdc(400));
+    const before = await balanceOf(freelancer);
+
+    await service.updateContractStatus(contractId, 'active');
+    await service.updateContractStatus(contractId, 'completed');
+    await service.verifyAndReleasePayment(contractId);
+
+    expect((await balanceOf(freelancer)) - before).toBe(usdc(400));
+  });
+
+  it('pays approved hours in the token decimals', async () => {
+    await (await token.connect(investor).approve(await chain.avatar.getAddress(), usdc(300))).wait();
+    const receipt = await (await chain.avatar.connect(investor).createTokenHourlyContract(
+      await freelancer.getAddress(),
+      'ipfs://terms-hourly',
+      await token.getAddress(),
+      usdc(300)
+    )).wait();
+    const { blockchainContractId } = service.parseCreatedContract(receipt);
+    const before = await balanceOf(freelancer);
+
+    await service.updateContractStatus(blockchainContractId, 'active');
+    await service.releasePayment(blockchainContractId, '112.5', getDecimals('USDC'));
+
+    expect((await balanceOf(freelancer)) - before).toBe(usdc(112.5));
+  });
+
+  it('splits a disputed token escrow', async () => {
+    const contractId = await createTokenContract(usdc(500));
+    const investorBefore = await balanceOf(investor);
+    const freelancerBefore = await balanceOf(freelancer);
+
+    await service.updateContractStatus(contractId, 'active');
+    await service.updateContractStatus(contractId, 'disputed');
+    await service.resolveDispute(contractId, '150', getDecimals('USDC'));
+
+    expect((await balanceOf(freelancer)) - freelancerBefore).toBe(usdc(150));
+    expect((await balanceOf(investor)) - investorBefore).toBe(usdc(350));
+  });
+
+  it('refunds the investor in tokens on cancellation', async () => {
+    const contractId = await createTokenContract(usdc(250));
+    const before = await balanceOf(investor);
+
+    await service.updateContractStatus(contractId, 'cancelled');
+
+    expect((await balanceOf(investor)) - before).toBe(usdc(250));
+  });
+});
@@ -1,12 +1,17 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
 /**
  * @title AvatarContract
  * @dev Smart contract for Avatar platform to manage freelancer-investor relationships
  */
 contract AvatarContract {
-    enum ContractStatus { Pending, Active, Completed, Cancelled }
+    using SafeERC20 for IERC20;
+    
+    enum ContractStatus { Pending, Active, Completed, Cancelled, Disputed }
     
     struct Profile {
         address walletAddress;
@@ -29,18 +34,67 @@ contract AvatarContract {
         bool verified;
     }
     
+    struct PayoutSplit {
+        address recipient;
+        uint256 shareBps;        // Share of the freelancer's net payment, in basis points
+    }
+    
+    struct Milestone {
+        uint256 amount;          // Portion of the escrow released for this milestone
+        uint256 dueDate;         // Unix timestamp, 0 if none
+        bool released;
+    }
+    
     mapping(address => Profile) public profiles;
     mapping(uint256 => WorkContract) public contracts;
     mapping(address => uint256[]) public userContracts;
+    mapping(uint256 => Milestone[]) private contractMilestones;
+    
+    // Hourly contracts hold a budget that is paid out per approved timesheet
+    mapping(uint256 => bool) public hourlyContracts;
+    
+    // ERC-20 token a contract is escrowed in, address(0) for ether
+    mapping(uint256 => address) public contractTokens;
+    
+    // Tokens the operator has approved for escrow
+    mapping(address => bool) public allowedTokens;
+    
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant MAX_PLATFORM_FEE_BPS = 2000;
+    
+    // Fee taken from every payment to a freelancer, in basis points
+    uint256 public platformFeeBps;
+    address public feeRecipient;
+    
+    // Fee of each contract, fixed when the contract is created
+    mapping(uint256 => uint256) public contractFeeBps;
+    
+    // Other wallets (e.g. an agency or subcontractor) sharing the freelancer's payments
+    mapping(uint256 => PayoutSplit[]) private payoutSplits;
     
     uint256 private nextContractId = 1;
     
+    // Platform wallet allowed to relay transactions on behalf of participants
+    address public immutable operator;
+    
+    // Wallet allowed to settle disputes by splitting the escrow
+    address public arbiter;
+    
     event ProfileCreated(address indexed user, bool isInvestor);
     event ProfileUpdated(address indexed user);
     event ContractCreated(uint256 indexed contractId, address indexed investor, address indexed freelancer);
     event ContractStatusUpdated(uint256 indexed contractId, ContractStatus status);
     event DeliverableAdded(uint256 indexed contractId, string deliverableURI);
     event ContractVerified(uint256 indexed contractId);
+    event MilestoneReleased(uint256 indexed contractId, uint256 indexed milestoneIndex, uint256 amount);
+    event DisputeResolved(uint256 indexed contractId, uint256 freelancerAmount, uint256 investorAmount);
+    event ArbiterChanged(address indexed arbiter);
+    event ContractAmended(uint256 indexed contractId, string termsURI);
+    event PaymentReleased(uint256 indexed contractId, uint256 amount);
+    event TokenAllowed(address indexed token, bool allowed);
+    event PlatformFeeChanged(uint256 feeBps, address indexed recipient);
+    event PayoutSplitsUpdated(uint256 indexed contractId);
+    event PayoutDistributed(uint256 indexed contractId, uint256 amount, uint256 platformFee, uint256 freelancerAmount);
     
     modifier onlyRegistered() {
         require(profiles[msg.sender].exists, "User not registered");
@@ -50,12 +104,59 @@ contract AvatarContract {
     modifier onlyContractParticipant(uint256 contractId) {
         require(
             contracts[contractId].investor == msg.sender || 
-            contracts[contractId].freelancer == msg.sender,
+            contracts[contractId].freelancer == msg.sender ||
+            operator == msg.sender,
             "Not authorized"
         );
         _;
     }
     
+    modifier onlyArbiter() {
+        require(msg.sender == arbiter || msg.sender == operator, "Only arbiter");
+        _;
+    }
+    
+    constructor() {
+        operator = msg.sender;
+    }
+    
+    /**
+     * @dev Set the wallet allowed to resolve disputes
+     * @param newArbiter Address of the arbiter
+     */
+    function setArbiter(address newArbiter) external {
+        require(msg.sender == operator, "Only operator");
+        arbiter = newArbiter;
+        emit ArbiterChanged(newArbiter);
+    }
+    
+    /**
+     * @dev Set the fee taken from payments on contracts created from now on
+     * @param feeBps Fee in basis points
+     * @param recipient Wallet receiving the fee
+     */
+    function setPlatformFee(uint256 feeBps, address recipient) external {
+        require(msg.sender == operator, "Only operator");
+        require(feeBps <= MAX_PLATFORM_FEE_BPS, "Fee too high");
+        // Older contracts keep their fee rate, so there must always be a recipient
+        require(recipient != address(0), "Invalid fee recipient");
+        platformFeeBps = feeBps;
+        feeRecipient = recipient;
+        emit PlatformFeeChanged(feeBps, recipient);
+    }
+    
+    /**
+     * @dev Allow or disallow an ERC-20 token for escrow
+     * @param token Address of the token
+     * @param allowed Whether new contracts may be escrowed in the token
+     */
+    function setTokenAllowed(address token, bool allowed) external {
+        require(msg.sender == operator, "Only operator");
+        require(token != address(0), "Invalid token");
+        allowedTokens[token] = allowed;
+        emit TokenAllowed(token, allowed);
+    }
+    
     /**
      * @dev Create a new user profile
      * @param profileURI IPFS URI containing profile data
@@ -91,16 +192,110 @@ contract AvatarContract {
      * @param termsURI IPFS URI containing contract terms
      */
     function createContract(address freelancer, string memory termsURI) external payable onlyRegistered {
+        _createContract(freelancer, termsURI, msg.value);
+    }
+    
+    /**
+     * @dev Create a new contract whose escrow is released in milestone tranches
+     * @param freelancer Address of the freelancer
+     * @param termsURI IPFS URI containing contract terms
+     * @param amounts Amount of each milestone, must add up to msg.value
+     * @param dueDates Due date of each milestone as a unix timestamp
+     */
+    function createContractWithMilestones(
+        address freelancer,
+        string memory termsURI,
+        uint256[] memory amounts,
+        uint256[] memory dueDates
+    ) external payable onlyRegistered {
+        uint256 contractId = _createContract(freelancer, termsURI, msg.value);
+        _addMilestones(contractId, amounts, dueDates);
+    }
+    
+    /**
+     * @dev Create an hourly contract. msg.value is the budget, paid out as timesheets are approved.
+     * @param freelancer Address of the freelancer
+     * @param termsURI IPFS URI containing contract terms
+     */
+    function createHourlyContract(address freelancer, string memory termsURI) external payable onlyRegistered {
+        uint256 contractId = _createContract(freelancer, termsURI, msg.value);
+        hourlyContracts[contractId] = true;
+    }
+    
+    /**
+     * @dev Create a contract escrowed in an ERC-20 token. The investor must first
+     * approve this contract to transfer the amount.
+     * @param freelancer Address of the freelancer
+     * @param termsURI IPFS URI containing contract terms
+     * @param token Address of an allowed ERC-20 token
+     * @param amount Amount of the token to hold in escrow
+     */
+    function createTokenContract(
+        address freelancer,
+        string memory termsURI,
+        address token,
+        uint256 amount
+    ) external onlyRegistered {
+        uint256 contractId = _createContract(freelancer, termsURI, amount);
+        _depositToken(contractId, token, amount);
+    }
+    
+    /**
+     * @dev Create a token contract whose escrow is released in milestone tranches
+     * @param freelancer Address of the freelancer
+     * @param termsURI IPFS URI containing contract terms
+     * @param token Address of an allowed ERC-20 token
+     * @param amounts Amount of each milestone, the escrow is their sum
+     * @param dueDates Due date of each milestone as a unix timestamp
+     */
+    function createTokenContractWithMilestones(
+        address freelancer,
+        string memory termsURI,
+        address token,
+        uint256[] memory amounts,
+        uint256[] memory dueDates
+    ) external onlyRegistered {
+        uint256 total = 0;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            total += amounts[i];
+        }
+        
+        uint256 contractId = _createContract(freelancer, termsURI, total);
+        _addMilestones(contractId, amounts, dueDates);
+        _depositToken(contractId, token, total);
+    }
+    
+    /**
+     * @dev Create an hourly contract whose budget is held in an ERC-20 token
+     * @param freelancer Address of the freelancer
+     * @param termsURI IPFS URI containing contract terms
+     * @param token Address of an allowed ERC-20 token
+     * @param budget Amount of the token to hold in escrow
+     */
+    function createTokenHourlyContract(
+        address freelancer,
+        string memory termsURI,
+        address token,
+        uint256 budget
+    ) external onlyRegistered {
+        uint256 contractId = _createContract(freelancer, termsURI, budget);
+        hourlyContracts[contractId] = true;
+        _depositToken(contractId, token, budget);
+    }
+    
+    function _createContract(address freelancer, string memory termsURI, uint256 value) private returns (uint256) {
         require(profiles[msg.sender].isInvestor, "Only investors can create contracts");
-        require(profiles[freelancer].exists, "Freelancer not registered");
+        require(profiles[freelancer].exists || msg.sender == operator, "Freelancer not registered");
         require(!profiles[freelancer].isInvestor, "Cannot create contract with another investor");
         
+        uint256 contractId = nextContractId;
+        
         WorkContract memory newContract = WorkContract({
-            id: nextContractId,
+            id: contractId,
             investor: msg.sender,
             freelancer: freelancer,
             termsURI: termsURI,
-            value: msg.value,
+            value: value,
             createdAt: block.timestamp,
             completedAt: 0,
             status: ContractStatus.Pending,
@@ -108,12 +303,97 @@ contract AvatarContract {
             verified: false
         });
         
-        contracts[nextContractId] = newContract;
-        userContracts[msg.sender].push(nextContractId);
-        userContracts[freelancer].push(nextContractId);
+        contracts[contractId] = newContract;
+        contractFeeBps[contractId] = platformFeeBps;
+        userContracts[msg.sender].push(contractId);
+        userContracts[freelancer].push(contractId);
         
-        emit ContractCreated(nextContractId, msg.sender, freelancer);
+        emit ContractCreated(contractId, msg.sender, freelancer);
         nextContractId++;
+        
+        return contractId;
+    }
+    
+    function _addMilestones(uint256 contractId, uint256[] memory amounts, uint256[] memory dueDates) private {
+        require(amounts.length == dueDates.length, "Milestone length mismatch");
+        
+        uint256 total = 0;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            total += amounts[i];
+            contractMilestones[contractId].push(Milestone({
+                amount: amounts[i],
+                dueDate: dueDates[i],
+                released: false
+            }));
+        }
+        require(total == contracts[contractId].value, "Milestones must add up to contract value");
+    }
+    
+    /**
+     * @dev Pull a token escrow from the investor. Only the amount actually received
+     * is accepted, so fee-on-transfer tokens cannot under-fund a contract.
+     */
+    function _depositToken(uint256 contractId, address token, uint256 amount) private {
+        require(allowedTokens[token], "Token not allowed");
+        require(amount > 0, "Amount must be greater than zero");
+        
+        contractTokens[contractId] = token;
+        
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        require(
+            IERC20(token).balanceOf(address(this)) - balanceBefore == amount,
+            "Token transfer amount mismatch"
+        );
+    }
+    
+    /**
+     * @dev Pay the freelancer out of escrow, less the platform fee and any splits
+     */
+    function _payFreelancer(uint256 contractId, uint256 amount) private {
+        WorkContract storage workContract = contracts[contractId];
+        
+        uint256 fee = (amount * contractFeeBps[contractId]) / BPS_DENOMINATOR;
+        if (fee > 0) {
+            _payout(contractId, feeRecipient, fee);
+        }
+        
+        uint256 net = amount - fee;
+        uint256 freelancerAmount = net;
+        PayoutSplit[] storage splits = payoutSplits[contractId];
+        for (uint256 i = 0; i < splits.length; i++) {
+            uint256 share = (net * splits[i].shareBps) / BPS_DENOMINATOR;
+            if (share > 0) {
+                freelancerAmount -= share;
+                _payout(contractId, splits[i].recipient, share);
+            }
+        }
+        
+        if (freelancerAmount > 0) {
+            _payout(contractId, workContract.freelancer, freelancerAmount);
+        }
+        
+        emit PayoutDistributed(contractId, amount, fee, freelancerAmount);
+    }
+    
+    /**
+     * @dev Pay out of a contract's escrow in the currency it was funded with
+     */
+    function _payout(uint256 contractId, address recipient, uint256 amount) private {
+        address token = contractTokens[contractId];
+        if (token == address(0)) {
+            payable(recipient).transfer(amount);
+        } else {
+            IERC20(token).safeTransfer(recipient, amount);
+        }
+    }
+    
+    /**
+     * @dev Balance this contract holds in the currency a contract was funded with
+     */
+    function _escrowBalance(uint256 contractId) private view returns (uint256) {
+        address token = contractTokens[contractId];
+        return token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
     }
     
     /**
@@ -131,30 +411,77 @@ contract AvatarContract {
         if (status == ContractStatus.Active) {
             require(
                 workContract.status == ContractStatus.Pending && 
-                workContract.freelancer == msg.sender,
+                (workContract.freelancer == msg.sender || operator == msg.sender),
                 "Invalid status change"
             );
         } else if (status == ContractStatus.Completed) {
             require(
                 workContract.status == ContractStatus.Active && 
-                workContract.freelancer == msg.sender,
+                (workContract.freelancer == msg.sender || operator == msg.sender),
                 "Invalid status change"
             );
             workContract.completedAt = block.timestamp;
         } else if (status == ContractStatus.Cancelled) {
             require(workContract.status != ContractStatus.Completed, "Cannot cancel completed contract");
+            require(workContract.status != ContractStatus.Disputed, "Cannot cancel disputed contract");
             
             // Refund if cancelled
-            if (workContract.value > 0 && address(this).balance >= workContract.value) {
-                payable(workContract.investor).transfer(workContract.value);
+            if (workContract.value > 0 && _escrowBalance(contractId) >= workContract.value) {
+                uint256 refund = workContract.value;
                 workContract.value = 0;
+                _payout(contractId, workContract.investor, refund);
             }
+        } else if (status == ContractStatus.Disputed) {
+            require(
+                workContract.status == ContractStatus.Active ||
+                (workContract.status == ContractStatus.Completed && !workContract.verified),
+                "Invalid status change"
+            );
+        } else if (status == ContractStatus.Pending) {
+            // Contracts never return to Pending, which would otherwise let a
+            // disputed contract be cancelled without going through resolveDispute
+            revert("Invalid status change");
         }
         
         workContract.status = status;
         emit ContractStatusUpdated(contractId, status);
     }
     
+    /**
+     * @dev Share the freelancer's payments on a contract with other wallets. Replaces
+     * any earlier splits; the freelancer keeps whatever the shares leave.
+     * @param contractId ID of the contract
+     * @param recipients Wallets receiving a share
+     * @param sharesBps Share of each wallet in basis points of the net payment
+     */
+    function setPayoutSplits(uint256 contractId, address[] memory recipients, uint256[] memory sharesBps) external {
+        WorkContract storage workContract = contracts[contractId];
+        require(
+            workContract.freelancer == msg.sender || operator == msg.sender,
+            "Only freelancer can set splits"
+        );
+        require(
+            !workContract.verified && workContract.status != ContractStatus.Cancelled,
+            "Contract is settled"
+        );
+        require(recipients.length == sharesBps.length, "Split length mismatch");
+        
+        delete payoutSplits[contractId];
+        
+        uint256 total = 0;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid split recipient");
+            total += sharesBps[i];
+            payoutSplits[contractId].push(PayoutSplit({
+                recipient: recipients[i],
+                shareBps: sharesBps[i]
+            }));
+        }
+        require(total <= BPS_DENOMINATOR, "Splits exceed payment");
+        
+        emit PayoutSplitsUpdated(contractId);
+    }
+    
     /**
      * @dev Add deliverable to contract
      * @param contractId ID of the contract
@@ -170,30 +497,153 @@ contract AvatarContract {
         emit DeliverableAdded(contractId, deliverableURI);
     }
     
+    /**
+     * @dev Record amended terms agreed by both parties. The escrowed value is unchanged.
+     * @param contractId ID of the contract
+     * @param termsURI IPFS URI of the amended terms
+     */
+    function amendTerms(uint256 contractId, string memory termsURI)
+        external
+        onlyContractParticipant(contractId)
+    {
+        WorkContract storage workContract = contracts[contractId];
+        require(
+            workContract.status == ContractStatus.Pending ||
+            workContract.status == ContractStatus.Active,
+            "Contract must be pending or active"
+        );
+        workContract.termsURI = termsURI;
+        emit ContractAmended(contractId, termsURI);
+    }
+    
+    /**
+     * @dev Release the escrowed tranche of a single milestone to the freelancer
+     * @param contractId ID of the contract
+     * @param milestoneIndex Index of the milestone
+     */
+    function releaseMilestone(uint256 contractId, uint256 milestoneIndex) external {
+        WorkContract storage workContract = contracts[contractId];
+        require(
+            workContract.investor == msg.sender || operator == msg.sender,
+            "Only investor can release milestones"
+        );
+        require(
+            workContract.status == ContractStatus.Active ||
+            workContract.status == ContractStatus.Completed,
+            "Contract must be active or completed"
+        );
+        require(milestoneIndex < contractMilestones[contractId].length, "Milestone does not exist");
+        
+        Milestone storage milestone = contractMilestones[contractId][milestoneIndex];
+        require(!milestone.released, "Milestone already released");
+        
+        milestone.released = true;
+        workContract.value -= milestone.amount;
+        _payFreelancer(contractId, milestone.amount);
+        
+        emit MilestoneReleased(contractId, milestoneIndex, milestone.amount);
+    }
+    
+    /**
+     * @dev Pay the freelancer for approved hours out of an hourly contract's budget
+     * @param contractId ID of the contract
+     * @param amount Amount to pay
+     */
+    function releasePayment(uint256 contractId, uint256 amount) external {
+        WorkContract storage workContract = contracts[contractId];
+        require(
+            workContract.investor == msg.sender || operator == msg.sender,
+            "Only investor can release payments"
+        );
+        require(hourlyContracts[contractId], "Not an hourly contract");
+        require(
+            workContract.status == ContractStatus.Active ||
+            workContract.status == ContractStatus.Completed,
+            "Contract must be active or completed"
+        );
+        require(amount > 0 && amount <= workContract.value, "Amount exceeds escrow");
+        
+        workContract.value -= amount;
+        _payFreelancer(contractId, amount);
+        
+        emit PaymentReleased(contractId, amount);
+    }
+    
     /**
      * @dev Verify contract and release payment
      * @param contractId ID of the contract
      */
     function verifyAndReleasePayment(uint256 contractId) external {
         WorkContract storage workContract = contracts[contractId];
-        require(workContract.investor == msg.sender, "Only investor can verify");
+        require(
+            workContract.investor == msg.sender || operator == msg.sender,
+            "Only investor can verify"
+        );
         require(workContract.status == ContractStatus.Completed, "Contract must be completed");
         require(!workContract.verified, "Contract already verified");
         
         workContract.verified = true;
         
+        // Any milestones still held are paid out with the remaining escrow
+        Milestone[] storage milestones = contractMilestones[contractId];
+        for (uint256 i = 0; i < milestones.length; i++) {
+            milestones[i].released = true;
+        }
+        
         // Increase freelancer reputation
         profiles[workContract.freelancer].reputation += 1;
         
-        // Release payment to freelancer
-        if (workContract.value > 0 && address(this).balance >= workContract.value) {
-            payable(workContract.freelancer).transfer(workContract.value);
+        // Release payment to freelancer. Hourly work has already been paid,
+        // so the unused budget goes back to the investor.
+        if (workContract.value > 0 && _escrowBalance(contractId) >= workContract.value) {
+            uint256 payment = workContract.value;
             workContract.value = 0;
+            if (hourlyContracts[contractId]) {
+                _payout(contractId, workContract.investor, payment);
+            } else {
+                _payFreelancer(contractId, payment);
+            }
         }
         
         emit ContractVerified(contractId);
     }
     
+    /**
+     * @dev Settle a disputed contract by splitting the remaining escrow
+     * @param contractId ID of the contract
+     * @param freelancerAmount Amount paid to the freelancer, the rest is refunded to the investor
+     */
+    function resolveDispute(uint256 contractId, uint256 freelancerAmount) external onlyArbiter {
+        WorkContract storage workContract = contracts[contractId];
+        require(workContract.status == ContractStatus.Disputed, "Contract must be disputed");
+        require(freelancerAmount <= workContract.value, "Amount exceeds escrow");
+        
+        uint256 investorAmount = workContract.value - freelancerAmount;
+        
+        workContract.value = 0;
+        workContract.verified = true;
+        workContract.status = ContractStatus.Completed;
+        if (workContract.completedAt == 0) {
+            workContract.completedAt = block.timestamp;
+        }
+        
+        // The split settles every milestone still held
+        Milestone[] storage milestones = contractMilestones[contractId];
+        for (uint256 i = 0; i < milestones.length; i++) {
+            milestones[i].released = true;
+        }
+        
+        if (freelancerAmount > 0) {
+            _payFreelancer(contractId, freelancerAmount);
+        }
+        if (investorAmount > 0) {
+            _payout(contractId, workContract.investor, investorAmount);
+        }
+        
+        emit ContractStatusUpdated(contractId, ContractStatus.Completed);
+        emit DisputeResolved(contractId, freelancerAmount, investorAmount);
+    }
+    
     /**
      * @dev Get all contracts for a user
      * @param user Address of the user
@@ -211,4 +661,22 @@ contract AvatarContract {
     function getDeliverables(uint256 contractId) external view returns (string[] memory) {
         return contracts[contractId].deliverableURIs;
     }
+    
+    /**
+     * @dev Get the payout splits of a contract
+     * @param contractId ID of the contract
+     * @return Array of splits
+     */
+    function getPayoutSplits(uint256 contractId) external view returns (PayoutSplit[] memory) {
+        return payoutSplits[contractId];
+    }
+    
+    /**
+     * @dev Get milestones for a contract
+     * @param contractId ID of the contract
+     * @return Array of milestones
+     */
+    function getMilestones(uint256 contractId) external view returns (Milestone[] memory) {
+        return contractMilestones[contractId];
+    }
 }
\ No newline at end of file
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @dev Mintable stablecoin stand-in for tests on a local chain
+ */
+contract MockERC20 is ERC20 {
+    uint8 private immutable tokenDecimals;
+    
+    constructor(string memory name, string memory symbol, uint8 decimals_) ERC20(name, symbol) {
+        tokenDecimals = decimals_;
+    }
+    
+    function decimals() public view override returns (uint8) {
+        return tokenDecimals;
+    }
+    
+    /**
+     * @dev Mint tokens to any account
+     * @param to Address receiving the tokens
+     * @param amount Amount to mint
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
@@ -0,0 +1,20 @@
+const AvatarContract = artifacts.require('AvatarContract');
+
+// The deploying account becomes the platform operator used by the server.
+// ESCROW_TOKENS is a comma-separated list of ERC-20 addresses (e.g. USDC, DAI)
+// that investors may fund contracts with. PLATFORM_FEE_BPS and
+// FEE_RECIPIENT set the fee taken from payments to freelancers.
+module.exports = async function (deployer) {
+  await deployer.deploy(AvatarContract);
+  const avatar = await AvatarContract.deployed();
+
+  const tokens = (process.env.ESCROW_TOKENS || '').split(',').map((t) => t.trim()).filter(Boolean);
+  for (const token of tokens) {
+    await avatar.setTokenAllowed(token, true);
+  }
+
+  const feeBps = parseInt(process.env.PLATFORM_FEE_BPS || '0', 10);
+  if (feeBps > 0) {
+    await avatar.setPlatformFee(feeBps, process.env.FEE_RECIPIENT);
+  }
+};
@@ -0,0 +1,259 @@
+const { BN, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+
+const AvatarContract = artifacts.require('AvatarContract');
+const MockERC20 = artifacts.require('MockERC20');
+
+// Contract status enum values
+const Status = { Pending: 0, Active: 1, Completed: 2, Cancelled: 3, Disputed: 4 };
+
+// USDC-style token amounts have 6 decimals
+const usdc = (amount) => new BN(amount).mul(new BN(10).pow(new BN(6)));
+
+contract('AvatarContract', ([operator, investor, freelancer, other, agency, treasury]) => {
+  let avatar;
+  let token;
+
+  beforeEach(async () => {
+    avatar = await AvatarContract.new({ from: operator });
+    token = await MockERC20.new('USD Coin', 'USDC', 6);
+
+    await avatar.setTokenAllowed(token.address, true, { from: operator });
+    await avatar.createProfile('ipfs://investor', true, { from: investor });
+    await avatar.createProfile('ipfs://freelancer', false, { from: freelancer });
+    await token.mint(investor, usdc(10000));
+  });
+
+  /**
+   * Approve and create a token contract, returning its on-chain ID
+   */
+  const createTokenContract = async (amount) => {
+    await token.approve(avatar.address, amount, { from: investor });
+    const receipt = await avatar.createTokenContract(freelancer, 'ipfs://terms', token.address, amount, {
+      from: investor,
+    });
+    return receipt.logs.find((log) => log.event === 'ContractCreated').args.contractId;
+  };
+
+  const activate = async (contractId) => {
+    await avatar.updateContractStatus(contractId, Status.Active, { from: freelancer });
+  };
+
+  describe('token allowlist', () => {
+    it('lets only the operator allow tokens', async () => {
+      await expectRevert(
+        avatar.setTokenAllowed(token.address, false, { from: other }),
+        'Only operator'
+      );
+
+      const receipt = await avatar.setTokenAllowed(token.address, false, { from: operator });
+      expectEvent(receipt, 'TokenAllowed', { token: token.address, allowed: false });
+      assert.isFalse(await avatar.allowedTokens(token.address));
+    });
+
+    it('rejects tokens that are not allowed', async () => {
+      const unlisted = await MockERC20.new('Other', 'OTH', 18);
+      await unlisted.mint(investor, usdc(100));
+      await unlisted.approve(avatar.address, usdc(100), { from: investor });
+
+      await expectRevert(
+        avatar.createTokenContract(freelancer, 'ipfs://terms', unlisted.address, usdc(100), { from: investor }),
+        'Token not allowed'
+      );
+    });
+  });
+
+  describe('createTokenContract', () => {
+    it('pulls the approved amount into escrow', async () => {
+      const contractId = await createTokenContract(usdc(500));
+
+      const workContract = await avatar.contracts(contractId);
+      assert.equal(workContract.value.toString(), usdc(500).toString());
+      assert.equal(await avatar.contractTokens(contractId), token.address);
+      assert.equal((await token.balanceOf(avatar.address)).toString(), usdc(500).toString());
+      assert.equal((await token.balanceOf(investor)).toString(), usdc(9500).toString());
+    });
+
+    it('requires an allowance', async () => {
+      await expectRevert(
+        avatar.createTokenContract(freelancer, 'ipfs://terms', token.address, usdc(500), { from: investor }),
+        'ERC20: insufficient allowance'
+      );
+    });
+
+    it('rejects an empty escrow', async () => {
+      await expectRevert(
+        avatar.createTokenContract(freelancer, 'ipfs://terms', token.address, 0, { from: investor }),
+        'Amount must be greater than zero'
+      );
+    });
+
+    it('keeps ether contracts unaffected', async () => {
+      const receipt = await avatar.createContract(freelancer, 'ipfs://terms', {
+        from: investor,
+        value: web3.utils.toWei('1', 'ether'),
+      });
+      const { contractId } = receipt.logs.find((log) => log.event === 'ContractCreated').args;
+
+      assert.equal(await avatar.contractTokens(contractId), '0x0000000000000000000000000000000000000000');
+    });
+  });
+
+  describe('token payouts', () => {
+    it('pays the freelancer in tokens on verification', async () => {
+      const contractId = await createTokenContract(usdc(500));
+      await activate(contractId);
+      await avatar.updateContractStatus(contractId, Status.Completed, { from: freelancer });
+
+      await avatar.verifyAndReleasePayment(contractId, { from: investor });
+
+      assert.equal((await token.balanceOf(freelancer)).toString(), usdc(500).toString());
+      assert.equal((await avatar.contracts(contractId)).value.toString(), '0');
+    });
+
+    it('refunds the investor in tokens on cancellation', async () => {
+      const contractId = await createTokenContract(usdc(500));
+
+      await avatar.updateContractStatus(contractId, Status.Cancelled, { from: investor });
+
+      assert.equal((await token.balanceOf(investor)).toString(), usdc(10000).toString());
+      assert.equal((await token.balanceOf(avatar.address)).toString(), '0');
+    });
+
+    it('releases milestones in tokens', async () => {
+      const amounts = [usdc(200), usdc(300)];
+      await token.approve(avatar.address, usdc(500), { from: investor });
+      const receipt = await avatar.createTokenContractWithMilestones(
+        freelancer,
+        'ipfs://terms',
+        token.address,
+        amounts,
+        [0, 0],
+        { from: investor }
+      );
+      const { contractId } = receipt.logs.find((log) => log.event === 'ContractCreated').args;
+      await activate(contractId);
+
+      await avatar.releaseMilestone(contractId, 0, { from: investor });
+
+      assert.equal((await token.balanceOf(freelancer)).toString(), usdc(200).toString());
+      assert.equal((await avatar.contracts(contractId)).value.toString(), usdc(300).toString());
+    });
+
+    it('pays approved hours from a token budget and refunds the rest', async () => {
+      await token.approve(avatar.address, usdc(1000), { from: investor });
+      const receipt = await avatar.createTokenHourlyContract(freelancer, 'ipfs://terms', token.address, usdc(1000), {
+        from: investor,
+      });
+      const { contractId } = receipt.logs.find((log) => log.event === 'ContractCreated').args;
+      await activate(contractId);
+
+      await avatar.releasePayment(contractId, usdc(400), { from: investor });
+      await avatar.updateContractStatus(contractId, Status.Completed, { from: freelancer });
+      await avatar.verifyAndReleasePayment(contractId, { from: investor });
+
+      assert.equal((await token.balanceOf(freelancer)).toString(), usdc(400).toString());
+      assert.equal((await token.balanceOf(investor)).toString(), usdc(9600).toString());
+    });
+
+    it('splits a disputed token escrow', async () => {
+      const contractId = await createTokenContract(usdc(500));
+      await activate(contractId);
+      await avatar.updateContractStatus(contractId, Status.Disputed, { from: investor });
+
+      const receipt = await avatar.resolveDispute(contractId, usdc(150), { from: operator });
+
+      expectEvent(receipt, 'DisputeResolved', { freelancerAmount: usdc(150), investorAmount: usdc(350) });
+      assert.equal((await token.balanceOf(freelancer)).toString(), usdc(150).toString());
+      assert.equal((await token.balanceOf(investor)).toString(), usdc(9850).toString());
+    });
+  });
+
+  describe('platform fee and payout splits', () => {
+    beforeEach(async () => {
+      // 5% platform fee
+      await avatar.setPlatformFee(500, treasury, { from: operator });
+    });
+
+    it('caps the platform fee', async () => {
+      await expectRevert(avatar.setPlatformFee(2001, treasury, { from: operator }), 'Fee too high');
+      await expectRevert(avatar.setPlatformFee(100, treasury, { from: other }), 'Only operator');
+    });
+
+    it('fixes the fee when the contract is created', async () => {
+      const contractId = await createTokenContract(usdc(1000));
+      await avatar.setPlatformFee(1000, treasury, { from: operator });
+
+      assert.equal((await avatar.contractFeeBps(contractId)).toString(), '500');
+    });
+
+    it('takes the fee and splits from payments to the freelancer', async () => {
+      const contractId = await createTokenContract(usdc(1000));
+      await avatar.setPayoutSplits(contractId, [agency], [2000], { from: freelancer });
+      await activate(contractId);
+      await avatar.updateContractStatus(contractId, Status.Completed, { from: freelancer });
+
+      const receipt = await avatar.verifyAndReleasePayment(contractId, { from: investor });
+
+      expectEvent(receipt, 'PayoutDistributed', {
+        amount: usdc(1000),
+        platformFee: usdc(50),
+        freelancerAmount: usdc(760),
+      });
+      assert.equal((await token.balanceOf(treasury)).toString(), usdc(50).toString());
+      assert.equal((await token.balanceOf(agency)).toString(), usdc(190).toString());
+      assert.equal((await token.balanceOf(freelancer)).toString(), usdc(760).toString());
+    });
+
+    it('does not charge a fee on refunds', async () => {
+      const contractId = await createTokenContract(usdc(1000));
+
+      await avatar.updateContractStatus(contractId, Status.Cancelled, { from: investor });
+
+      assert.equal((await token.balanceOf(treasury)).toString(), '0');
+      assert.equal((await token.balanceOf(investor)).toString(), usdc(10000).toString());
+    });
+
+    it('lets only the freelancer set splits', async () => {
+      const contractId = await createTokenContract(usdc(1000));
+
+      await expectRevert(
+        avatar.setPayoutSplits(contractId, [agency], [2000], { from: investor }),
+        'Only freelancer can set splits'
+      );
+      await expectRevert(
+        avatar.setPayoutSplits(contractId, [agency, other], [6000, 5000], { from: freelancer }),
+        'Splits exceed payment'
+      );
+    });
+  });
+
+  describe('disputes', () => {
+    it('settles a disputed contract only through resolveDispute', async () => {
+      const contractId = await createTokenContract(usdc(500));
+      await activate(contractId);
+      await avatar.updateContractStatus(contractId, Status.Disputed, { from: investor });
+
+      // Disputed -> Pending -> Cancelled would refund the investor without arbitration
+      await expectRevert(
+        avatar.updateContractStatus(contractId, Status.Pending, { from: investor }),
+        'Invalid status change'
+      );
+      await expectRevert(
+        avatar.updateContractStatus(contractId, Status.Cancelled, { from: investor }),
+        'Cannot cancel disputed contract'
+      );
+
+      assert.equal((await avatar.contracts(contractId)).status.toString(), String(Status.Disputed));
+      assert.equal((await token.balanceOf(investor)).toString(), usdc(9500).toString());
+    });
+
+    it('never returns a contract to pending', async () => {
+      const contractId = await createTokenContract(usdc(500));
+
+      await expectRevert(
+        avatar.updateContractStatus(contractId, Status.Pending, { from: investor }),
+        'Invalid status change'
+      );
+    });
+  });
+});